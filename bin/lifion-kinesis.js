@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const run = require('../lib/cli');
+
+async function main() {
+  const exitCode = await run(process.argv.slice(2));
+  // The compression library keeps a message port open, so the process has to be ended once the
+  // output is flushed.
+  process.stdout.write('', () => process.exit(exitCode));
+}
+
+main();
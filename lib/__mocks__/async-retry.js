@@ -1,6 +1,8 @@
 'use strict';
 
 async function asyncRetry(func, opts) {
+  const { forever, retries } = opts;
+  let attempt = 0;
   let data;
   let error;
   let stopRetries;
@@ -10,14 +12,15 @@ async function asyncRetry(func, opts) {
   };
 
   do {
+    attempt += 1;
     error = null;
     stopRetries = true;
     try {
-      data = await func(bail);
+      data = await func(bail, attempt);
     } catch (err) {
-      opts.onRetry(err);
       error = err;
-      stopRetries = false;
+      stopRetries = !forever && retries !== undefined && attempt > retries;
+      if (!stopRetries) opts.onRetry(err);
     }
   } while (!stopRetries);
 
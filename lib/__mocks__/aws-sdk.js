@@ -22,6 +22,7 @@ const describeTable = createResponseMock();
 const get = createResponseMock();
 const listTagsOfResource = createResponseMock();
 const put = createResponseMock();
+const query = createResponseMock();
 const tagResource = createResponseMock();
 const update = createResponseMock();
 const waitFor = createResponseMock();
@@ -38,6 +39,7 @@ DynamoDB.DocumentClient = jest.fn(() => ({
   delete: deleteMock,
   get,
   put,
+  query,
   update
 }));
 
@@ -111,6 +113,7 @@ function mockClear() {
   get.mockClear();
   listTagsOfResource.mockClear();
   put.mockClear();
+  query.mockClear();
   tagResource.mockClear();
   update.mockClear();
   waitFor.mockClear();
@@ -0,0 +1,542 @@
+/**
+ * Module to inspect and repair the state of a consumer group stored in DynamoDB. The state is read
+ * with the same functions as the state store, in any of its layouts, and the changes are made with
+ * conditional updates on the versions of the entries, so they're safe while the consumers of the
+ * group are running: a change is discarded if the entry changed since it was read.
+ *
+ * @module admin
+ * @private
+ */
+
+'use strict';
+
+const projectName = require('project-name');
+const { generate } = require('short-uuid');
+
+const DynamoDbClient = require('./dynamodb-client');
+const { getItemKey, getShardsPath, mergeEntryItems, queryEntryItems } = require('./state-layout');
+const { name: moduleName } = require('../package.json');
+
+const HEARTBEAT_FAILURE_TIMEOUT = 40 * 1000;
+
+const privateData = new WeakMap();
+
+/**
+ * Provides access to the private data of the specified instance.
+ *
+ * @param {Object} instance - The private data's owner.
+ * @returns {Object} The private data.
+ * @private
+ */
+function internal(instance) {
+  if (!privateData.has(instance)) privateData.set(instance, {});
+  return privateData.get(instance);
+}
+
+/**
+ * Throws if the given error isn't a failed condition of an update, after logging it.
+ *
+ * @param {Object} instance - The instance of the admin to get the private data from.
+ * @param {Error} err - The error of the update.
+ * @private
+ */
+function ensureConditionalError(instance, err) {
+  const { logger } = internal(instance);
+  if (err.code !== 'ConditionalCheckFailedException') {
+    logger.error(err);
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the state of the consumer group. The state stored in an item per shard is detected
+ * from the item of the stream, which has no `consumers` then, and the entries stored in their own
+ * items are merged into the state, so it has the same shape in both layouts.
+ *
+ * @param {Object} instance - The instance of the admin to get the private data from.
+ * @fulfil {Object} - An object with the `streamState`, and whether the state is stored in an item
+ *         per shard (`useItemPerShard`) or not.
+ * @reject {Error} - If there's no state for the consumer group.
+ * @returns {Promise}
+ * @private
+ */
+async function getGroupState(instance) {
+  const privateProps = internal(instance);
+  const { client, consumerGroup, streamName } = privateProps;
+  const { Item } = await client.get({ ConsistentRead: true, Key: getItemKey(privateProps) });
+  if (!Item) {
+    throw new Error(`There's no state for the "${consumerGroup}" group of "${streamName}".`);
+  }
+  const useItemPerShard = !Item.consumers;
+  if (!useItemPerShard) return { streamState: Item, useItemPerShard };
+
+  const streamState = mergeEntryItems(Item, await queryEntryItems(privateProps));
+  return { streamState, useItemPerShard };
+}
+
+/**
+ * Returns the consumers in the group state, sorted by ID, without the state of their shards.
+ *
+ * @param {Object} streamState - The state of the consumer group.
+ * @returns {Array<Object>} The consumers, with their `consumerId`, the `enhancedConsumerName` of
+ *          the enhanced fan-out consumer they use, and whether they missed their heartbeats
+ *          (`isGone`) or not.
+ * @private
+ */
+function getConsumers(streamState) {
+  const { consumers, enhancedConsumers } = streamState;
+  const consumerNames = Object.keys(enhancedConsumers);
+  return Object.keys(consumers)
+    .sort()
+    .map((consumerId) => {
+      const { shards, ...consumer } = consumers[consumerId];
+      const heartbeatAge = Date.now() - new Date(consumer.heartbeat).getTime();
+      return {
+        ...consumer,
+        consumerId,
+        enhancedConsumerName:
+          consumerNames.find((name) => enhancedConsumers[name].isUsedBy === consumerId) || null,
+        isGone: heartbeatAge > HEARTBEAT_FAILURE_TIMEOUT
+      };
+    });
+}
+
+/**
+ * Returns the enhanced fan-out consumers in the group state, sorted by name, without the state of
+ * their shards.
+ *
+ * @param {Object} streamState - The state of the consumer group.
+ * @returns {Array<Object>} The enhanced consumers, with their `consumerName`.
+ * @private
+ */
+function getEnhancedConsumers(streamState) {
+  const { enhancedConsumers } = streamState;
+  return Object.keys(enhancedConsumers)
+    .sort()
+    .map((consumerName) => {
+      const { shards, ...enhancedConsumer } = enhancedConsumers[consumerName];
+      return { ...enhancedConsumer, consumerName };
+    });
+}
+
+/**
+ * Returns the given state of the shards as a list sorted by shard ID, with the given scope.
+ *
+ * @param {Object} shards - The state of the shards, by shard ID.
+ * @param {Object} scope - The scope of the state of the shards.
+ * @returns {Array<Object>} The state of the shards, with their `shardId` and `scope`.
+ * @private
+ */
+function toLeases(shards, scope) {
+  return Object.keys(shards)
+    .sort()
+    .map((shardId) => ({ ...shards[shardId], scope, shardId }));
+}
+
+/**
+ * Returns the state of the shards in the group state, sorted by shard ID. The shards leased by
+ * the group are listed first, then the ones of the standalone consumers and the standalone
+ * enhanced fan-out consumers, which have their own state of the shards.
+ *
+ * @param {Object} streamState - The state of the consumer group.
+ * @returns {Array<Object>} The state of the shards, with their `shardId` and the `scope` of the
+ *          state: an empty object for the shards leased by the group, or an object with the
+ *          `consumerId` or the `enhancedConsumerName` the state belongs to.
+ * @private
+ */
+function getLeases(streamState) {
+  const { consumers, enhancedConsumers, shards } = streamState;
+  const getScopedLeases = (entries, scopeKey) =>
+    Object.keys(entries)
+      .sort()
+      .filter((id) => entries[id].shards)
+      .reduce((leases, id) => [...leases, ...toLeases(entries[id].shards, { [scopeKey]: id })], []);
+  return [
+    ...toLeases(shards, {}),
+    ...getScopedLeases(consumers, 'consumerId'),
+    ...getScopedLeases(enhancedConsumers, 'enhancedConsumerName')
+  ];
+}
+
+/**
+ * Finds the state of a shard in the group state, along with the key of the item where it's stored
+ * and the path to it within the item.
+ *
+ * @param {Object} instance - The instance of the admin to get the private data from.
+ * @param {Object} groupState - The group state, as returned by `getGroupState`.
+ * @param {string} shardId - The ID of the shard.
+ * @param {Object} [scope={}] - The scope of the shard state, as returned in the leases.
+ * @param {string} [scope.consumerId] - The ID of the standalone consumer the state belongs to.
+ * @param {string} [scope.enhancedConsumerName] - The name of the standalone enhanced fan-out
+ *        consumer the state belongs to.
+ * @returns {Object} An object with the `Key` of the item, the `shardState`, the `shardsPath`,
+ *          and the `shardsPathNames`.
+ * @throws {TypeError} If the shard isn't in the given scope of the group state.
+ * @private
+ */
+function getShardLocation(instance, groupState, shardId, scope = {}) {
+  const { streamState, useItemPerShard } = groupState;
+  const { consumerId, enhancedConsumerName } = scope;
+  const props = { ...internal(instance), useItemPerShard };
+  let location;
+  if (consumerId) {
+    location = {
+      Key: getItemKey(props, 'consumers', consumerId),
+      entry: streamState.consumers[consumerId],
+      ...getShardsPath('consumers', consumerId)
+    };
+  } else if (enhancedConsumerName) {
+    location = {
+      Key: getItemKey(props),
+      entry: streamState.enhancedConsumers[enhancedConsumerName],
+      ...getShardsPath('enhancedConsumers', enhancedConsumerName)
+    };
+  } else {
+    location = {
+      Key: getItemKey(props, 'shards', shardId),
+      entry: streamState,
+      ...getShardsPath()
+    };
+  }
+
+  const { entry, ...rest } = location;
+  const shardState = entry && entry.shards && entry.shards[shardId];
+  if (!shardState) throw new TypeError(`The shard "${shardId}" doesn't exist in the state.`);
+  return { ...rest, shardState };
+}
+
+/**
+ * Changes the state of a shard unless its version changed since it was read, in which case the
+ * change is discarded. A new version is recorded along with the changes.
+ *
+ * @param {Object} instance - The instance of the admin to get the private data from.
+ * @param {string} shardId - The ID of the shard.
+ * @param {Object} location - The location of the shard state, as returned by `getShardLocation`.
+ * @param {Object} changes - The attributes of the shard state to change.
+ * @fulfil {boolean} - `true` if the shard state changed, `false` otherwise.
+ * @returns {Promise}
+ * @private
+ */
+async function updateShardState(instance, shardId, location, changes) {
+  const { client } = internal(instance);
+  const { Key, shardState, shardsPath, shardsPathNames } = location;
+  const values = { ...changes, version: generate() };
+  const attributes = Object.keys(values);
+  try {
+    await client.update({
+      ConditionExpression: `${shardsPath}.#b.#v = :v`,
+      ExpressionAttributeNames: attributes.reduce(
+        (obj, attribute, index) => ({ ...obj, [`#${index}`]: attribute }),
+        { ...shardsPathNames, '#b': shardId, '#v': 'version' }
+      ),
+      ExpressionAttributeValues: attributes.reduce(
+        (obj, attribute, index) => ({ ...obj, [`:${index}`]: values[attribute] }),
+        { ':v': shardState.version }
+      ),
+      Key,
+      UpdateExpression: `SET ${attributes
+        .map((attribute, index) => `${shardsPath}.#b.#${index} = :${index}`)
+        .join(', ')}`
+    });
+    return true;
+  } catch (err) {
+    ensureConditionalError(instance, err);
+    return false;
+  }
+}
+
+/**
+ * Class with the operations to inspect and repair the state of a consumer group.
+ *
+ * @alias module:admin
+ */
+class Admin {
+  /**
+   * Initializes an instance of the admin.
+   *
+   * @param {Object} options - The initialization options.
+   * @param {string} [options.consumerGroup] - The name of the consumer group. If not provided, it
+   *        defaults to the name of the application/project using this module.
+   * @param {Object} [options.dynamoDb={}] - The initialization options for the DynamoDB client
+   *        used to store the state of the consumers, as in the client.
+   * @param {string} [options.dynamoDb.tableName] - The name of the table in which the state of
+   *        the consumers is stored. If not provided, it defaults to "lifion-kinesis-state".
+   * @param {Object} [options.logger] - An object with the `warn`, `debug`, and `error` functions
+   *        that will be used for logging purposes.
+   * @param {Object} [options.metrics] - A metrics reporter for the calls to DynamoDB.
+   * @param {Object} [options.retry] - The retry policy for the calls to DynamoDB.
+   * @param {string} options.streamName - The name of the stream the consumer group reads from.
+   */
+  constructor(options = {}) {
+    const {
+      consumerGroup = projectName(process.cwd()),
+      dynamoDb = {},
+      logger = {},
+      metrics,
+      retry,
+      streamName
+    } = options;
+    const { provisionedThroughput, tableName, tags, ...awsOptions } = dynamoDb;
+
+    const normLogger = {
+      debug: typeof logger.debug === 'function' ? logger.debug.bind(logger) : Function.prototype,
+      error: typeof logger.error === 'function' ? logger.error.bind(logger) : Function.prototype,
+      warn: typeof logger.warn === 'function' ? logger.warn.bind(logger) : Function.prototype
+    };
+
+    if (!streamName) {
+      const errorMsg = 'The "streamName" option is required.';
+      normLogger.error(errorMsg);
+      throw new TypeError(errorMsg);
+    }
+
+    Object.assign(internal(this), {
+      client: new DynamoDbClient({
+        awsOptions,
+        logger: normLogger,
+        metrics,
+        retry,
+        tableName: tableName || `${moduleName}-state`
+      }),
+      consumerGroup,
+      logger: normLogger,
+      streamName
+    });
+  }
+
+  /**
+   * Deletes the whole state of the consumer group, i.e. the consumers, the leases, and the
+   * checkpoints. The consumers of the group should be stopped first, so it's refused while any
+   * of them is sending heartbeats unless forced.
+   *
+   * @param {Object} [options] - The options.
+   * @param {boolean} [options.force=false] - Set to `true` to delete the state even if there are
+   *        active consumers in the group.
+   * @fulfil {undefined} - Once the state has been deleted.
+   * @reject {Error} - If there are active consumers in the group, or there's no state for it.
+   * @returns {Promise}
+   */
+  async deleteGroupState({ force = false } = {}) {
+    const { client, consumerGroup, logger } = internal(this);
+    const { streamState } = await getGroupState(this);
+
+    const activeCount = getConsumers(streamState).filter(({ isGone }) => !isGone).length;
+    if (activeCount > 0 && !force) {
+      throw new Error(`The group has ${activeCount} active consumer(s), stop them first.`);
+    }
+
+    const items = await queryEntryItems(internal(this));
+    await Promise.all(
+      [
+        getItemKey(internal(this)),
+        ...items.map(({ streamName }) => ({ consumerGroup, streamName }))
+      ].map((Key) => client.delete({ Key }))
+    );
+    logger.debug(`The state of the "${consumerGroup}" group has been deleted.`);
+  }
+
+  /**
+   * Describes the consumer group with a single read of its state.
+   *
+   * @fulfil {Object} - An object with the `consumerGroup`, the `streamName`, the
+   *         `streamCreatedOn`, whether the state is stored in an item per shard
+   *         (`useItemPerShard`) or not, and the `consumers`, `enhancedConsumers`, and `leases`, as
+   *         returned by `listConsumers()`, `listEnhancedConsumers()`, and `listLeases()`.
+   * @reject {Error} - If there's no state for the consumer group.
+   * @returns {Promise}
+   */
+  async describeGroup() {
+    const { consumerGroup, streamName } = internal(this);
+    const { streamState, useItemPerShard } = await getGroupState(this);
+    return {
+      consumerGroup,
+      consumers: getConsumers(streamState),
+      enhancedConsumers: getEnhancedConsumers(streamState),
+      leases: getLeases(streamState),
+      streamCreatedOn: streamState.streamCreatedOn,
+      streamName,
+      useItemPerShard
+    };
+  }
+
+  /**
+   * Removes a consumer from the group, releases the leases it owns, and releases the enhanced
+   * fan-out consumer it uses, so other consumers can take over its shards right away instead of
+   * waiting for its heartbeat to expire. A consumer that is still running registers again with
+   * its next heartbeat, and it stops reading from the shards it lost.
+   *
+   * @param {string} consumerId - The ID of the consumer to evict.
+   * @fulfil {boolean} - `true` if the consumer was evicted, `false` if it wasn't in the group.
+   * @reject {Error} - If there's no state for the consumer group.
+   * @returns {Promise}
+   */
+  async evictConsumer(consumerId) {
+    const { client, logger } = internal(this);
+    const groupState = await getGroupState(this);
+    const { streamState, useItemPerShard } = groupState;
+    const { consumers, enhancedConsumers, shards } = streamState;
+    if (!consumers[consumerId]) return false;
+
+    const Key = getItemKey({ ...internal(this), useItemPerShard }, 'consumers', consumerId);
+    try {
+      await (useItemPerShard
+        ? client.delete({ ConditionExpression: 'attribute_exists(streamName)', Key })
+        : client.update({
+            ConditionExpression: 'attribute_exists(#a.#b)',
+            ExpressionAttributeNames: { '#a': 'consumers', '#b': consumerId },
+            Key,
+            UpdateExpression: 'REMOVE #a.#b'
+          }));
+    } catch (err) {
+      ensureConditionalError(this, err);
+      return false;
+    }
+
+    await Promise.all(
+      Object.keys(shards)
+        .filter((shardId) => shards[shardId].leaseOwner === consumerId)
+        .map((shardId) =>
+          updateShardState(this, shardId, getShardLocation(this, groupState, shardId), {
+            handoff: false,
+            leaseExpiration: null,
+            leaseOwner: null
+          })
+        )
+    );
+
+    await Promise.all(
+      Object.keys(enhancedConsumers)
+        .filter((consumerName) => enhancedConsumers[consumerName].isUsedBy === consumerId)
+        .map(async (consumerName) => {
+          try {
+            await client.update({
+              ConditionExpression: '#a.#b.#c = :w AND #a.#b.#d = :x',
+              ExpressionAttributeNames: {
+                '#a': 'enhancedConsumers',
+                '#b': consumerName,
+                '#c': 'isUsedBy',
+                '#d': 'version'
+              },
+              ExpressionAttributeValues: {
+                ':w': consumerId,
+                ':x': enhancedConsumers[consumerName].version,
+                ':y': null,
+                ':z': generate()
+              },
+              Key: getItemKey(internal(this)),
+              UpdateExpression: 'SET #a.#b.#c = :y, #a.#b.#d = :z'
+            });
+          } catch (err) {
+            ensureConditionalError(this, err);
+          }
+        })
+    );
+
+    logger.debug(`The consumer "${consumerId}" has been evicted.`);
+    return true;
+  }
+
+  /**
+   * Lists the consumers in the group.
+   *
+   * @fulfil {Array<Object>} - The consumers sorted by ID, with their `consumerId`, the details
+   *         they registered with (e.g. `appName`, `heartbeat`, `host`, `instanceName`, and `pid`),
+   *         the `enhancedConsumerName` of the enhanced fan-out consumer they use, if any, and
+   *         whether they missed their heartbeats (`isGone`) or not.
+   * @reject {Error} - If there's no state for the consumer group.
+   * @returns {Promise}
+   */
+  async listConsumers() {
+    const { streamState } = await getGroupState(this);
+    return getConsumers(streamState);
+  }
+
+  /**
+   * Lists the enhanced fan-out consumers registered for the group.
+   *
+   * @fulfil {Array<Object>} - The enhanced consumers sorted by name, with their `consumerName`,
+   *         their `arn`, and the ID of the consumer that uses them (`isUsedBy`).
+   * @reject {Error} - If there's no state for the consumer group.
+   * @returns {Promise}
+   */
+  async listEnhancedConsumers() {
+    const { streamState } = await getGroupState(this);
+    return getEnhancedConsumers(streamState);
+  }
+
+  /**
+   * Lists the state of the shards: who owns their leases, and where their checkpoints are. The
+   * shards leased by the group come first, followed by the ones of the standalone consumers and
+   * the standalone enhanced fan-out consumers, which keep their own state of the shards.
+   *
+   * @fulfil {Array<Object>} - The state of the shards, with their `shardId`, `leaseOwner`,
+   *         `leaseExpiration`, `checkpoint`, `depleted`, `parent`, and `version`, and the `scope`
+   *         of the state: an empty object for the shards leased by the group, or an object with the
+   *         `consumerId` or the `enhancedConsumerName` the state belongs to, which can be given
+   *         to `releaseLease()` and `setCheckpoint()`.
+   * @reject {Error} - If there's no state for the consumer group.
+   * @returns {Promise}
+   */
+  async listLeases() {
+    const { streamState } = await getGroupState(this);
+    return getLeases(streamState);
+  }
+
+  /**
+   * Releases the lease of a shard, so any consumer in the group can take it over. The consumer
+   * that owned the lease stops reading from the shard once it detects the lease is lost.
+   *
+   * @param {string} shardId - The ID of the shard.
+   * @param {Object} [scope] - The scope of the shard state, as returned by `listLeases()`. If not
+   *        provided, the lease of the shard in the group is released.
+   * @fulfil {boolean} - `true` if the lease was released, `false` if it changed in the meantime.
+   * @reject {Error} - If the shard isn't in the state of the group.
+   * @returns {Promise}
+   */
+  async releaseLease(shardId, scope) {
+    const { logger } = internal(this);
+    const groupState = await getGroupState(this);
+    const location = getShardLocation(this, groupState, shardId, scope);
+    const isReleased = await updateShardState(this, shardId, location, {
+      handoff: false,
+      leaseExpiration: null,
+      leaseOwner: null
+    });
+    if (isReleased) logger.debug(`The lease of "${shardId}" has been released.`);
+    return isReleased;
+  }
+
+  /**
+   * Sets the checkpoint of a shard, so it's read after the given sequence number. The consumer
+   * reading from the shard detects the change and starts reading from the new checkpoint, as
+   * when resetting the checkpoints with the client.
+   *
+   * @param {string} shardId - The ID of the shard.
+   * @param {string} sequenceNumber - The sequence number to store as the checkpoint.
+   * @param {Object} [scope] - The scope of the shard state, as returned by `listLeases()`. If not
+   *        provided, the checkpoint of the shard in the group is set.
+   * @fulfil {boolean} - `true` if the checkpoint was set, `false` if the shard state changed in
+   *         the meantime.
+   * @reject {Error} - If the sequence number is missing, or the shard isn't in the state of the
+   *         group.
+   * @returns {Promise}
+   */
+  async setCheckpoint(shardId, sequenceNumber, scope) {
+    if (typeof sequenceNumber !== 'string') {
+      throw new TypeError('The sequence number is required.');
+    }
+    const { logger } = internal(this);
+    const groupState = await getGroupState(this);
+    const location = getShardLocation(this, groupState, shardId, scope);
+    const isSet = await updateShardState(this, shardId, location, {
+      checkpoint: sequenceNumber,
+      depleted: false,
+      resetId: generate(),
+      startingPosition: null
+    });
+    if (isSet) logger.debug(`The checkpoint of "${shardId}" has been set to "${sequenceNumber}".`);
+    return isSet;
+  }
+}
+
+module.exports = Admin;
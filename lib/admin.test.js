@@ -0,0 +1,509 @@
+'use strict';
+
+const { resetMockCounter } = require('short-uuid');
+
+const Admin = require('./admin');
+const DynamoDbClient = require('./dynamodb-client');
+
+jest.mock('./dynamodb-client', () => {
+  const get = jest.fn(() => Promise.resolve({}));
+  const deleteMock = jest.fn(() => Promise.resolve({}));
+  const query = jest.fn(() => Promise.resolve({ Items: [] }));
+  const update = jest.fn(() => Promise.resolve({}));
+  return jest.fn(() => ({ delete: deleteMock, get, query, update }));
+});
+
+function conditionalError() {
+  return Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' });
+}
+
+function recent() {
+  return new Date(Date.now() - 1000).toISOString();
+}
+
+function getEvictionState() {
+  return {
+    consumers: { 'id-1': { heartbeat: recent() }, 'id-2': { heartbeat: recent() } },
+    enhancedConsumers: {
+      'consumer-0': { isUsedBy: 'id-1', version: '1' },
+      'consumer-1': { isUsedBy: 'id-2', version: '2' }
+    },
+    shards: {
+      'shard-0000': { leaseOwner: 'id-1', version: '3' },
+      'shard-0001': { leaseOwner: 'id-2', version: '4' }
+    }
+  };
+}
+
+describe('lib/admin', () => {
+  const debug = jest.fn();
+  const error = jest.fn();
+  const logger = { debug, error, warn: jest.fn() };
+  const options = { consumerGroup: 'test-group', logger, streamName: 'test-stream' };
+  const past = '2019-01-01T00:00:00.000Z';
+  const groupKey = { consumerGroup: 'test-group', streamName: 'test-stream' };
+
+  const client = new DynamoDbClient();
+
+  const mockState = (streamState) => {
+    client.get.mockResolvedValueOnce({ Item: { ...groupKey, ...streamState } });
+  };
+
+  afterEach(() => {
+    debug.mockClear();
+    error.mockClear();
+    resetMockCounter();
+    client.delete.mockClear();
+    client.get.mockClear();
+    client.query.mockClear();
+    client.update.mockReset();
+    DynamoDbClient.mockClear();
+  });
+
+  test('the module exports the expected', () => {
+    expect(Admin).toEqual(expect.any(Function));
+    expect(Admin).toThrow('Class constructor');
+    expect(Object.getOwnPropertyNames(Admin.prototype)).toEqual([
+      'constructor',
+      'deleteGroupState',
+      'describeGroup',
+      'evictConsumer',
+      'listConsumers',
+      'listEnhancedConsumers',
+      'listLeases',
+      'releaseLease',
+      'setCheckpoint'
+    ]);
+  });
+
+  test('the constructor requires a stream name', () => {
+    const errorMsg = 'The "streamName" option is required.';
+    expect(() => new Admin({ logger })).toThrow(new TypeError(errorMsg));
+    expect(error).toHaveBeenCalledWith(errorMsg);
+    expect(() => new Admin()).toThrow(new TypeError(errorMsg));
+  });
+
+  test('the constructor initializes a DynamoDB client for the state table', () => {
+    const admin = new Admin({ streamName: 'test-stream' });
+    expect(admin).toBeInstanceOf(Admin);
+    expect(DynamoDbClient).toHaveBeenCalledWith({
+      awsOptions: {},
+      logger: {
+        debug: expect.any(Function),
+        error: expect.any(Function),
+        warn: expect.any(Function)
+      },
+      metrics: undefined,
+      retry: undefined,
+      tableName: 'lifion-kinesis-state'
+    });
+    const retry = { maxAttempts: 3 };
+    const dynamoDb = { provisionedThroughput: {}, region: 'us-east-1', tableName: 'foo', tags: {} };
+    expect(new Admin({ ...options, dynamoDb, retry })).toBeInstanceOf(Admin);
+    expect(DynamoDbClient).toHaveBeenLastCalledWith(
+      expect.objectContaining({ awsOptions: { region: 'us-east-1' }, retry, tableName: 'foo' })
+    );
+  });
+
+  test('the operations fail if there is no state for the consumer group', async () => {
+    const admin = new Admin(options);
+    await expect(admin.describeGroup()).rejects.toThrow(
+      `There's no state for the "test-group" group of "test-stream".`
+    );
+    expect(client.get).toHaveBeenCalledWith({ ConsistentRead: true, Key: groupKey });
+  });
+
+  describe('describeGroup', () => {
+    test('the group is described from the state stored in a single item', async () => {
+      const admin = new Admin(options);
+      const heartbeat = recent();
+      mockState({
+        consumers: {
+          'id-1': { appName: 'foo', heartbeat, isActive: true },
+          'id-2': {
+            heartbeat: past,
+            isStandalone: true,
+            shards: { 'shard-0000': { version: '1' } }
+          }
+        },
+        enhancedConsumers: {
+          'consumer-0': { arn: 'arn:0', isUsedBy: null, shards: {}, version: '3' },
+          'consumer-1': { arn: 'arn:1', isUsedBy: 'id-1', version: '2' }
+        },
+        shards: {
+          'shard-0000': { leaseOwner: null, version: '5' },
+          'shard-0001': { leaseOwner: 'id-1', version: '4' }
+        },
+        streamCreatedOn: past
+      });
+      await expect(admin.describeGroup()).resolves.toEqual({
+        consumerGroup: 'test-group',
+        consumers: [
+          {
+            appName: 'foo',
+            consumerId: 'id-1',
+            enhancedConsumerName: 'consumer-1',
+            heartbeat,
+            isActive: true,
+            isGone: false
+          },
+          {
+            consumerId: 'id-2',
+            enhancedConsumerName: null,
+            heartbeat: past,
+            isGone: true,
+            isStandalone: true
+          }
+        ],
+        enhancedConsumers: [
+          { arn: 'arn:0', consumerName: 'consumer-0', isUsedBy: null, version: '3' },
+          { arn: 'arn:1', consumerName: 'consumer-1', isUsedBy: 'id-1', version: '2' }
+        ],
+        leases: [
+          { leaseOwner: null, scope: {}, shardId: 'shard-0000', version: '5' },
+          { leaseOwner: 'id-1', scope: {}, shardId: 'shard-0001', version: '4' },
+          { scope: { consumerId: 'id-2' }, shardId: 'shard-0000', version: '1' }
+        ],
+        streamCreatedOn: past,
+        streamName: 'test-stream',
+        useItemPerShard: false
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('the group is described from the state stored in an item per shard', async () => {
+      const admin = new Admin(options);
+      mockState({
+        enhancedConsumers: {
+          'consumer-0': { arn: 'arn:0', isUsedBy: null, shards: { 'shard-0000': {} } }
+        }
+      });
+      client.query
+        .mockResolvedValueOnce({
+          Items: [{ consumers: { 'id-1': { heartbeat: past } } }],
+          LastEvaluatedKey: 'foo'
+        })
+        .mockResolvedValueOnce({ Items: [{ shards: { 'shard-0000': { version: '1' } } }] });
+      const { consumers, leases, useItemPerShard } = await admin.describeGroup();
+      expect(consumers).toEqual([expect.objectContaining({ consumerId: 'id-1' })]);
+      expect(leases).toEqual([
+        { scope: {}, shardId: 'shard-0000', version: '1' },
+        { scope: { enhancedConsumerName: 'consumer-0' }, shardId: 'shard-0000' }
+      ]);
+      expect(useItemPerShard).toBe(true);
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(client.query).toHaveBeenNthCalledWith(2, {
+        ConsistentRead: true,
+        ExclusiveStartKey: 'foo',
+        ExpressionAttributeNames: { '#a': 'consumerGroup', '#b': 'streamName' },
+        ExpressionAttributeValues: { ':a': 'test-group', ':b': 'test-stream/' },
+        KeyConditionExpression: '#a = :a AND begins_with(#b, :b)'
+      });
+    });
+  });
+
+  describe('listConsumers, listEnhancedConsumers, and listLeases', () => {
+    const streamState = {
+      consumers: { 'id-1': { heartbeat: past } },
+      enhancedConsumers: { 'consumer-0': { arn: 'arn:0', isUsedBy: null } },
+      shards: { 'shard-0000': { leaseOwner: 'id-1' } }
+    };
+
+    test('the consumers can be listed', async () => {
+      mockState(streamState);
+      await expect(new Admin(options).listConsumers()).resolves.toEqual([
+        { consumerId: 'id-1', enhancedConsumerName: null, heartbeat: past, isGone: true }
+      ]);
+    });
+
+    test('the enhanced consumers can be listed', async () => {
+      mockState(streamState);
+      await expect(new Admin(options).listEnhancedConsumers()).resolves.toEqual([
+        { arn: 'arn:0', consumerName: 'consumer-0', isUsedBy: null }
+      ]);
+    });
+
+    test('the leases can be listed', async () => {
+      mockState(streamState);
+      await expect(new Admin(options).listLeases()).resolves.toEqual([
+        { leaseOwner: 'id-1', scope: {}, shardId: 'shard-0000' }
+      ]);
+    });
+  });
+
+  describe('releaseLease', () => {
+    const streamState = {
+      consumers: { 'id-1': { heartbeat: past, shards: { 'shard-0000': { version: '2' } } } },
+      enhancedConsumers: {
+        'consumer-0': { shards: { 'shard-0000': { version: '3' } } },
+        'consumer-1': {}
+      },
+      shards: { 'shard-0000': { leaseOwner: 'id-1', version: '1' } }
+    };
+
+    test('the lease of a shard in the group is released if it did not change', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      await expect(admin.releaseLease('shard-0000')).resolves.toBe(true);
+      expect(client.update).toHaveBeenCalledWith({
+        ConditionExpression: '#a.#b.#v = :v',
+        ExpressionAttributeNames: {
+          '#0': 'handoff',
+          '#1': 'leaseExpiration',
+          '#2': 'leaseOwner',
+          '#3': 'version',
+          '#a': 'shards',
+          '#b': 'shard-0000',
+          '#v': 'version'
+        },
+        ExpressionAttributeValues: { ':0': false, ':1': null, ':2': null, ':3': '0000', ':v': '1' },
+        Key: groupKey,
+        UpdateExpression: 'SET #a.#b.#0 = :0, #a.#b.#1 = :1, #a.#b.#2 = :2, #a.#b.#3 = :3'
+      });
+      expect(debug).toHaveBeenCalledWith('The lease of "shard-0000" has been released.');
+    });
+
+    test('the lease of a shard is not released if it changed in the meantime', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      client.update.mockRejectedValueOnce(conditionalError());
+      await expect(admin.releaseLease('shard-0000')).resolves.toBe(false);
+      expect(debug).not.toHaveBeenCalled();
+    });
+
+    test('unexpected errors releasing a lease are thrown', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      const err = new Error('foo');
+      client.update.mockRejectedValueOnce(err);
+      await expect(admin.releaseLease('shard-0000')).rejects.toThrow(err);
+      expect(error).toHaveBeenCalledWith(err);
+    });
+
+    test('the leases in the state of standalone consumers can be released', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      await admin.releaseLease('shard-0000', { consumerId: 'id-1' });
+      mockState(streamState);
+      await admin.releaseLease('shard-0000', { enhancedConsumerName: 'consumer-0' });
+      expect(client.update.mock.calls.map(([params]) => params)).toEqual([
+        expect.objectContaining({
+          ConditionExpression: '#a0.#a1.#a2.#b.#v = :v',
+          ExpressionAttributeNames: expect.objectContaining({
+            '#a0': 'consumers',
+            '#a1': 'id-1',
+            '#a2': 'shards'
+          }),
+          ExpressionAttributeValues: expect.objectContaining({ ':v': '2' }),
+          Key: groupKey
+        }),
+        expect.objectContaining({
+          ExpressionAttributeNames: expect.objectContaining({
+            '#a0': 'enhancedConsumers',
+            '#a1': 'consumer-0',
+            '#a2': 'shards'
+          }),
+          ExpressionAttributeValues: expect.objectContaining({ ':v': '3' }),
+          Key: groupKey
+        })
+      ]);
+    });
+
+    test('the leases are released in the items of the shards or the consumers', async () => {
+      const admin = new Admin(options);
+      const { consumers, shards, ...rest } = streamState;
+      mockState(rest);
+      client.query.mockResolvedValueOnce({ Items: [{ consumers }, { shards }] });
+      await admin.releaseLease('shard-0000');
+      mockState(rest);
+      client.query.mockResolvedValueOnce({ Items: [{ consumers }, { shards }] });
+      await admin.releaseLease('shard-0000', { consumerId: 'id-1' });
+      expect(client.update.mock.calls.map(([{ Key }]) => Key)).toEqual([
+        { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0000' },
+        { consumerGroup: 'test-group', streamName: 'test-stream/consumers/id-1' }
+      ]);
+    });
+
+    test('releasing the lease of an unknown shard fails', async () => {
+      const admin = new Admin(options);
+      const errorMsg = 'The shard "shard-0001" doesn\'t exist in the state.';
+      mockState(streamState);
+      await expect(admin.releaseLease('shard-0001')).rejects.toThrow(new TypeError(errorMsg));
+      mockState(streamState);
+      await expect(admin.releaseLease('shard-0000', { consumerId: 'id-2' })).rejects.toThrow(
+        errorMsg.replace('0001', '0000')
+      );
+      mockState(streamState);
+      await expect(
+        admin.releaseLease('shard-0000', { enhancedConsumerName: 'consumer-1' })
+      ).rejects.toThrow(errorMsg.replace('0001', '0000'));
+      expect(client.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setCheckpoint', () => {
+    const streamState = {
+      consumers: {},
+      enhancedConsumers: {},
+      shards: { 'shard-0000': { checkpoint: '1', depleted: true, version: '1' } }
+    };
+
+    test('the checkpoint of a shard is set as a reset', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      await expect(admin.setCheckpoint('shard-0000', '2')).resolves.toBe(true);
+      expect(client.update).toHaveBeenCalledWith({
+        ConditionExpression: '#a.#b.#v = :v',
+        ExpressionAttributeNames: {
+          '#0': 'checkpoint',
+          '#1': 'depleted',
+          '#2': 'resetId',
+          '#3': 'startingPosition',
+          '#4': 'version',
+          '#a': 'shards',
+          '#b': 'shard-0000',
+          '#v': 'version'
+        },
+        ExpressionAttributeValues: {
+          ':0': '2',
+          ':1': false,
+          ':2': '0000',
+          ':3': null,
+          ':4': '0001',
+          ':v': '1'
+        },
+        Key: groupKey,
+        UpdateExpression:
+          'SET #a.#b.#0 = :0, #a.#b.#1 = :1, #a.#b.#2 = :2, #a.#b.#3 = :3, #a.#b.#4 = :4'
+      });
+      expect(debug).toHaveBeenCalledWith('The checkpoint of "shard-0000" has been set to "2".');
+    });
+
+    test('the checkpoint is not set if the shard changed in the meantime', async () => {
+      const admin = new Admin(options);
+      mockState(streamState);
+      client.update.mockRejectedValueOnce(conditionalError());
+      await expect(admin.setCheckpoint('shard-0000', '2')).resolves.toBe(false);
+      expect(debug).not.toHaveBeenCalled();
+    });
+
+    test('setting a checkpoint requires a sequence number', async () => {
+      const admin = new Admin(options);
+      await expect(admin.setCheckpoint('shard-0000')).rejects.toThrow(
+        new TypeError('The sequence number is required.')
+      );
+      expect(client.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evictConsumer', () => {
+    test('evicting a consumer releases its leases and its enhanced consumer', async () => {
+      const admin = new Admin(options);
+      mockState(getEvictionState());
+      await expect(admin.evictConsumer('id-1')).resolves.toBe(true);
+      expect(client.update).toHaveBeenCalledTimes(3);
+      expect(client.update).toHaveBeenNthCalledWith(1, {
+        ConditionExpression: 'attribute_exists(#a.#b)',
+        ExpressionAttributeNames: { '#a': 'consumers', '#b': 'id-1' },
+        Key: groupKey,
+        UpdateExpression: 'REMOVE #a.#b'
+      });
+      expect(client.update).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({
+          ExpressionAttributeNames: expect.objectContaining({ '#b': 'shard-0000' }),
+          ExpressionAttributeValues: expect.objectContaining({ ':2': null, ':v': '3' })
+        })
+      );
+      expect(client.update).toHaveBeenNthCalledWith(3, {
+        ConditionExpression: '#a.#b.#c = :w AND #a.#b.#d = :x',
+        ExpressionAttributeNames: {
+          '#a': 'enhancedConsumers',
+          '#b': 'consumer-0',
+          '#c': 'isUsedBy',
+          '#d': 'version'
+        },
+        ExpressionAttributeValues: { ':w': 'id-1', ':x': '1', ':y': null, ':z': '0001' },
+        Key: groupKey,
+        UpdateExpression: 'SET #a.#b.#c = :y, #a.#b.#d = :z'
+      });
+      expect(debug).toHaveBeenCalledWith('The consumer "id-1" has been evicted.');
+    });
+
+    test('the item of the consumer is deleted when using an item per shard', async () => {
+      const admin = new Admin(options);
+      const { consumers, shards, ...rest } = getEvictionState();
+      mockState(rest);
+      client.query.mockResolvedValueOnce({ Items: [{ consumers }, { shards }] });
+      await expect(admin.evictConsumer('id-1')).resolves.toBe(true);
+      expect(client.delete).toHaveBeenCalledWith({
+        ConditionExpression: 'attribute_exists(streamName)',
+        Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/id-1' }
+      });
+      expect(client.update).toHaveBeenCalledTimes(2);
+    });
+
+    test('evicting an unknown consumer does nothing', async () => {
+      const admin = new Admin(options);
+      mockState(getEvictionState());
+      await expect(admin.evictConsumer('id-3')).resolves.toBe(false);
+      expect(client.update).not.toHaveBeenCalled();
+    });
+
+    test('evicting a consumer removed in the meantime does nothing', async () => {
+      const admin = new Admin(options);
+      mockState(getEvictionState());
+      client.update.mockRejectedValueOnce(conditionalError());
+      await expect(admin.evictConsumer('id-1')).resolves.toBe(false);
+      expect(client.update).toHaveBeenCalledTimes(1);
+    });
+
+    test('enhanced consumers that changed in the meantime are not released', async () => {
+      const admin = new Admin(options);
+      mockState(getEvictionState());
+      client.update
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(conditionalError());
+      await expect(admin.evictConsumer('id-1')).resolves.toBe(true);
+    });
+
+    test('unexpected errors releasing the enhanced consumers are thrown', async () => {
+      const admin = new Admin(options);
+      mockState(getEvictionState());
+      const err = new Error('foo');
+      client.update.mockResolvedValueOnce({}).mockResolvedValueOnce({}).mockRejectedValueOnce(err);
+      await expect(admin.evictConsumer('id-1')).rejects.toThrow(err);
+      expect(error).toHaveBeenCalledWith(err);
+    });
+  });
+
+  describe('deleteGroupState', () => {
+    test('the state of a group without active consumers is deleted', async () => {
+      const admin = new Admin(options);
+      mockState({ consumers: { 'id-1': { heartbeat: past } }, enhancedConsumers: {} });
+      client.query.mockResolvedValueOnce({
+        Items: [{ ...groupKey, streamName: 'test-stream/shards/shard-0000' }]
+      });
+      await expect(admin.deleteGroupState()).resolves.toBeUndefined();
+      expect(client.delete.mock.calls).toEqual([
+        [{ Key: groupKey }],
+        [{ Key: { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0000' } }]
+      ]);
+      expect(debug).toHaveBeenCalledWith('The state of the "test-group" group has been deleted.');
+    });
+
+    test('the state of a group with active consumers is only deleted if forced', async () => {
+      const admin = new Admin(options);
+      const streamState = { consumers: { 'id-1': { heartbeat: recent() } }, enhancedConsumers: {} };
+      mockState(streamState);
+      await expect(admin.deleteGroupState()).rejects.toThrow(
+        'The group has 1 active consumer(s), stop them first.'
+      );
+      expect(client.delete).not.toHaveBeenCalled();
+      mockState(streamState);
+      await admin.deleteGroupState({ force: true });
+      expect(client.delete).toHaveBeenCalledWith({ Key: groupKey });
+    });
+  });
+});
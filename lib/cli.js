@@ -0,0 +1,436 @@
+/**
+ * Module with the command-line tool of the library, which writes records into a stream, prints
+ * the records of a stream as they arrive, lists its shards, and inspects or repairs the state of
+ * its consumer groups.
+ *
+ * @module cli
+ * @private
+ */
+
+'use strict';
+
+const { createReadStream } = require('fs');
+const readline = require('readline');
+
+const Kinesis = require('./index');
+const { version } = require('../package.json');
+
+const MAX_PUT_RECORDS_SIZE = 500;
+
+const BOOLEAN_OPTIONS = new Set(['help', 'trim-horizon', 'use-s3', 'verbose', 'version']);
+
+const VALUE_OPTIONS = new Set([
+  'bucket',
+  'compression',
+  'consumer',
+  'count',
+  'enhanced-consumer',
+  'file',
+  'from',
+  'group',
+  'partition-key',
+  'sequence-number',
+  'shard',
+  'stream',
+  'timestamp'
+]);
+
+const USAGE = `Usage: lifion-kinesis <command> --stream <name> [options]
+
+Commands:
+  put                   Writes the records from stdin or an NDJSON file, one record per line.
+  tail                  Prints the records as they arrive to all the shards, as NDJSON.
+  shards                Lists the shards of the stream.
+  group describe        Prints the consumers and the leases of a consumer group.
+  group reset           Resets the checkpoints of a consumer group.
+  group release         Releases the lease of a shard, or all the leases of a consumer.
+
+Options:
+  --stream <name>       The name of the stream (required).
+  --group <name>        The name of the consumer group (required by the group commands).
+  --compression <name>  The compression of the records, like "LZ-UTF8".
+  --use-s3              Stores or reads the large records from S3.
+  --bucket <name>       The name of the S3 bucket for the large records.
+  --verbose             Prints the debug messages of the client to stderr.
+  --help                Prints this message.
+  --version             Prints the version of the tool.
+
+Options of put:
+  --file <path>         The NDJSON file with the records, stdin is used if not provided.
+  --partition-key <key> The partition key of all the records, a hash of the data by default.
+
+Options of tail:
+  --from <position>     LATEST (default), TRIM_HORIZON, or a timestamp.
+  --count <n>           Stops after printing the given number of records.
+
+Options of group reset:
+  --trim-horizon        Resets all the shards to the oldest records.
+  --timestamp <date>    Resets all the shards to the records after the given timestamp.
+  --shard <id>          Resets a shard to the record after the given sequence number.
+  --sequence-number <n>
+
+Options of group release:
+  --shard <id>          Releases the lease of the given shard.
+  --consumer <id>       Evicts the given consumer, releasing all the leases it owns.
+  --enhanced-consumer <name>
+                        The enhanced fan-out consumer of the lease to release, if any.
+`;
+
+/**
+ * Parses the command-line arguments into the positional arguments and the options.
+ *
+ * @param {Array<string>} args - The command-line arguments, without the node and script paths.
+ * @returns {Object} An object with the `positionals` and the `options`.
+ * @throws {TypeError} If an option is unknown or is missing its value.
+ * @private
+ */
+function parseArgs(args) {
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const [name, ...valueParts] = arg.slice(2).split('=');
+      if (BOOLEAN_OPTIONS.has(name)) {
+        options[name] = true;
+      } else if (VALUE_OPTIONS.has(name)) {
+        const value = valueParts.length > 0 ? valueParts.join('=') : args[(i += 1)];
+        if (value === undefined) throw new TypeError(`The "--${name}" option requires a value.`);
+        options[name] = value;
+      } else {
+        throw new TypeError(`The "--${name}" option is unknown.`);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { options, positionals };
+}
+
+/**
+ * Creates a logger that writes the messages of the client into the given stream, the debug
+ * messages are only written in verbose mode.
+ *
+ * @param {Object} stderr - The writable stream for the messages.
+ * @param {boolean} verbose - Whether the debug messages should be written.
+ * @returns {Object} A logger with `debug`, `error`, and `warn` methods.
+ * @private
+ */
+function createLogger(stderr, verbose) {
+  const write = (...messages) => stderr.write(`${messages.join(' ')}\n`);
+  return { debug: verbose ? write : () => {}, error: write, warn: write };
+}
+
+/**
+ * Gets the options of the client that are shared by all the commands.
+ *
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} stderr - The writable stream for the messages of the client.
+ * @returns {Object} The options for the Kinesis client.
+ * @private
+ */
+function getClientOptions(options, stderr) {
+  return {
+    ...(options.compression && { compression: options.compression }),
+    ...(options.group && { consumerGroup: options.group }),
+    createStreamIfNeeded: false,
+    logger: createLogger(stderr, options.verbose),
+    ...(options.bucket && { s3: { bucketName: options.bucket } }),
+    streamName: options.stream,
+    useS3ForLargeItems: Boolean(options['use-s3'])
+  };
+}
+
+/**
+ * Writes a value into the given stream as a line of JSON.
+ *
+ * @param {Object} stdout - The writable stream.
+ * @param {*} value - The value to write.
+ * @private
+ */
+function writeJson(stdout, value) {
+  stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+/**
+ * Reads the lines of a readable stream in batches, handled one after the other as the lines
+ * arrive, so the whole stream isn't kept in memory. The stream is paused while a full batch is
+ * handled, and the remaining lines are handled once the stream ends.
+ *
+ * @param {Object} input - The readable stream.
+ * @param {number} size - The number of lines in a full batch.
+ * @param {Function} handleBatch - An async function called with the lines of each batch and the
+ *        number of lines before them.
+ * @fulfil {undefined} - Once all the lines are handled.
+ * @reject {Error} - On any error reading the stream or handling the batches.
+ * @returns {Promise}
+ * @private
+ */
+function readLineBatches(input, size, handleBatch) {
+  return new Promise((resolve, reject) => {
+    let handling = Promise.resolve();
+    let isFailed = false;
+    let lines = [];
+    let offset = 0;
+    const lineReader = readline.createInterface({ crlfDelay: Number.POSITIVE_INFINITY, input });
+
+    const flush = () => {
+      const batch = lines;
+      const batchOffset = offset;
+      lines = [];
+      offset += batch.length;
+      handling = handling.then(() => handleBatch(batch, batchOffset));
+      return handling;
+    };
+
+    const fail = (err) => {
+      isFailed = true;
+      lineReader.close();
+      reject(err);
+    };
+
+    input.on('error', fail);
+    lineReader
+      .on('line', (line) => {
+        lines.push(line);
+        if (lines.length < size) return;
+        lineReader.pause();
+        flush()
+          .then(() => lineReader.resume())
+          .catch(fail);
+      })
+      .on('close', () => {
+        if (!isFailed) flush().then(resolve).catch(fail);
+      })
+      .on('error', fail);
+  });
+}
+
+/**
+ * Gets the initial position for the `tail` command.
+ *
+ * @param {string} [from=LATEST] - Either `LATEST`, `TRIM_HORIZON`, or a timestamp, as a date
+ *        string or as milliseconds since the epoch.
+ * @returns {string|Object} The initial position for the Kinesis client.
+ * @throws {TypeError} If the given position is invalid.
+ * @private
+ */
+function getTailPosition(from = 'LATEST') {
+  if (from === 'LATEST' || from === 'TRIM_HORIZON') return from;
+  const timestamp = new Date(/^\d+$/.test(from) ? Number(from) : from);
+  if (Number.isNaN(timestamp.getTime())) throw new TypeError('The "--from" option is invalid.');
+  return { timestamp, type: 'AT_TIMESTAMP' };
+}
+
+/**
+ * Writes the records from stdin or an NDJSON file into the stream, in batches of up to 500
+ * records sent as the lines are read. Each line of the input is parsed as JSON and used as the
+ * data of a record. The results are printed as NDJSON, in the same order as the records.
+ *
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise<boolean>} `false` if any of the records failed to be written.
+ * @private
+ */
+async function put(options, io) {
+  const partitionKey = options['partition-key'];
+  const input = options.file ? createReadStream(options.file) : io.stdin;
+  const kinesis = new Kinesis(getClientOptions(options, io.stderr));
+  let hasFailures = false;
+
+  await readLineBatches(input, MAX_PUT_RECORDS_SIZE, async (lines, offset) => {
+    const records = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch {
+        throw new TypeError(`The line ${offset + index + 1} of the input isn't valid JSON.`);
+      }
+      records.push({ data, ...(partitionKey && { partitionKey }) });
+    });
+    if (records.length === 0) return;
+    const { records: results } = await kinesis.putRecords({ records });
+    results.forEach((result) => {
+      if (result.errorCode) hasFailures = true;
+      writeJson(io.stdout, result);
+    });
+  });
+
+  return !hasFailures;
+}
+
+/**
+ * Prints the records of all the shards of the stream as NDJSON, as they arrive. The position is
+ * kept in memory, so there are no leases, checkpoints, or consumer groups involved. The command
+ * runs until interrupted or until the given number of records is printed.
+ *
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise}
+ * @private
+ */
+async function tail(options, io) {
+  const { count, from } = options;
+  const maxCount = count === undefined ? Number.POSITIVE_INFINITY : Number(count);
+  if (!(Number.isInteger(maxCount) && maxCount > 0) && maxCount !== Number.POSITIVE_INFINITY) {
+    throw new TypeError('The "--count" option must be a positive integer.');
+  }
+
+  const kinesis = new Kinesis({
+    ...getClientOptions(options, io.stderr),
+    initialPosition: getTailPosition(from),
+    stateStore: Kinesis.createMemoryStateStore(),
+    stopOnSignals: true,
+    useAutoShardAssignment: false
+  });
+
+  let printed = 0;
+  await kinesis.process((record, { shardId }) => {
+    if (printed === maxCount) return;
+    writeJson(io.stdout, { ...record, shardId });
+    printed += 1;
+    if (printed === maxCount) kinesis.stopConsumer();
+  });
+}
+
+/**
+ * Lists the shards of the stream as NDJSON.
+ *
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise}
+ * @private
+ */
+async function shards(options, io) {
+  const kinesis = new Kinesis(getClientOptions(options, io.stderr));
+  const list = await kinesis.listShards();
+  list.forEach((shard) => writeJson(io.stdout, shard));
+}
+
+/**
+ * Resets the checkpoints of the consumer group to the position given in the options.
+ *
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise}
+ * @private
+ */
+async function resetGroup(options, io) {
+  const { shard, timestamp } = options;
+  const sequenceNumber = options['sequence-number'];
+  let params;
+  if (options['trim-horizon']) params = 'TRIM_HORIZON';
+  else if (timestamp)
+    params = { toTimestamp: /^\d+$/.test(timestamp) ? Number(timestamp) : timestamp };
+  else if (shard && sequenceNumber) params = { toSequenceNumbers: { [shard]: sequenceNumber } };
+  else {
+    throw new TypeError(
+      'Either "--trim-horizon", "--timestamp", or "--shard" with "--sequence-number" is required.'
+    );
+  }
+  const kinesis = new Kinesis(getClientOptions(options, io.stderr));
+  await kinesis.resetCheckpoints(params);
+  writeJson(io.stdout, { reset: true });
+}
+
+/**
+ * Releases the lease of a shard of the consumer group, or evicts a consumer of the group.
+ *
+ * @param {Object} admin - The admin client of the consumer group.
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise<boolean>} `true` if the lease was released or the consumer evicted.
+ * @private
+ */
+async function releaseGroup(admin, options, io) {
+  const { consumer, shard } = options;
+  const enhancedConsumerName = options['enhanced-consumer'];
+  if (consumer) {
+    const evicted = await admin.evictConsumer(consumer);
+    writeJson(io.stdout, { consumerId: consumer, evicted });
+    return evicted;
+  }
+  if (!shard) throw new TypeError('Either "--shard" or "--consumer" is required.');
+  const released = await admin.releaseLease(
+    shard,
+    enhancedConsumerName ? { enhancedConsumerName } : {}
+  );
+  writeJson(io.stdout, { released, shardId: shard });
+  return released;
+}
+
+/**
+ * Runs a subcommand of the `group` command.
+ *
+ * @param {string} subcommand - Either `describe`, `reset`, or `release`.
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} io - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @returns {Promise<boolean>} `false` if the command couldn't complete its change.
+ * @private
+ */
+async function group(subcommand, options, io) {
+  if (!options.group) throw new TypeError('The "--group" option is required.');
+  if (subcommand === 'reset') {
+    await resetGroup(options, io);
+    return true;
+  }
+  const admin = Kinesis.admin({
+    consumerGroup: options.group,
+    logger: createLogger(io.stderr, options.verbose),
+    streamName: options.stream
+  });
+  if (subcommand === 'describe') {
+    io.stdout.write(`${JSON.stringify(await admin.describeGroup(), null, 2)}\n`);
+    return true;
+  }
+  if (subcommand === 'release') return releaseGroup(admin, options, io);
+  throw new TypeError(`The "group ${subcommand || ''}" command is unknown.`);
+}
+
+/**
+ * Runs the command-line tool with the given arguments.
+ *
+ * @param {Array<string>} args - The command-line arguments, without the node and script paths.
+ * @param {Object} [io=process] - An object with the `stdin`, `stdout`, and `stderr` streams.
+ * @fulfil {number} - The exit code, `0` on success and `1` on failure.
+ * @returns {Promise}
+ * @alias module:cli
+ */
+async function run(args, io = process) {
+  try {
+    const { options, positionals } = parseArgs(args);
+    const [command, subcommand] = positionals;
+
+    if (options.version) {
+      io.stdout.write(`${version}\n`);
+      return 0;
+    }
+    if (options.help || !command) {
+      (options.help ? io.stdout : io.stderr).write(USAGE);
+      return options.help ? 0 : 1;
+    }
+    if (!options.stream) throw new TypeError('The "--stream" option is required.');
+
+    switch (command) {
+      case 'group':
+        return (await group(subcommand, options, io)) ? 0 : 1;
+      case 'put':
+        return (await put(options, io)) ? 0 : 1;
+      case 'shards':
+        await shards(options, io);
+        return 0;
+      case 'tail':
+        await tail(options, io);
+        return 0;
+      default:
+        throw new TypeError(`The "${command}" command is unknown.`);
+    }
+  } catch (err) {
+    io.stderr.write(`${err.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = run;
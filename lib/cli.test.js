@@ -0,0 +1,441 @@
+'use strict';
+
+const { createReadStream } = require('fs');
+const { PassThrough } = require('stream');
+
+const Kinesis = require('./index');
+const run = require('./cli');
+const { version } = require('../package.json');
+
+jest.mock('fs', () => ({ ...jest.requireActual('fs'), createReadStream: jest.fn() }));
+
+jest.mock('./index', () => {
+  const admin = {
+    describeGroup: jest.fn(() => Promise.resolve({ consumers: [], leases: [] })),
+    evictConsumer: jest.fn(() => Promise.resolve(true)),
+    releaseLease: jest.fn(() => Promise.resolve(true))
+  };
+  const client = {
+    listShards: jest.fn(() => Promise.resolve([])),
+    process: jest.fn(() => Promise.resolve()),
+    putRecords: jest.fn(({ records }) =>
+      Promise.resolve({
+        records: records.map((record, index) => ({ sequenceNumber: `${index}`, shardId: 'foo' }))
+      })
+    ),
+    resetCheckpoints: jest.fn(() => Promise.resolve()),
+    stopConsumer: jest.fn(() => Promise.resolve())
+  };
+  const KinesisMock = jest.fn(() => client);
+  KinesisMock.admin = jest.fn(() => admin);
+  KinesisMock.createMemoryStateStore = jest.fn(() => 'memory-store');
+  return KinesisMock;
+});
+
+function createIo(input = '') {
+  const stdin = new PassThrough();
+  stdin.end(input);
+  return { stderr: { write: jest.fn() }, stdin, stdout: { write: jest.fn() } };
+}
+
+function getOutput(stream) {
+  return stream.write.mock.calls.map(([chunk]) => chunk).join('');
+}
+
+function getJsonLines(stream) {
+  return getOutput(stream)
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+describe('lib/cli', () => {
+  const client = new Kinesis();
+  const admin = Kinesis.admin();
+  const stream = ['--stream', 'test-stream'];
+
+  afterEach(() => {
+    Kinesis.mockClear();
+    Kinesis.admin.mockClear();
+    Kinesis.createMemoryStateStore.mockClear();
+    createReadStream.mockReset();
+    Object.values(admin).forEach((mock) => mock.mockClear());
+    Object.values(client).forEach((mock) => mock.mockClear());
+  });
+
+  test('the module exports the expected', () => {
+    expect(run).toEqual(expect.any(Function));
+  });
+
+  test('the usage is printed when asked for help', async () => {
+    const io = createIo();
+    await expect(run(['--help'], io)).resolves.toBe(0);
+    expect(getOutput(io.stdout)).toMatch(/^Usage: lifion-kinesis <command>/);
+    expect(io.stderr.write).not.toHaveBeenCalled();
+  });
+
+  test('the usage is printed into stderr when there is no command', async () => {
+    const io = createIo();
+    await expect(run([], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toMatch(/^Usage: lifion-kinesis <command>/);
+    expect(io.stdout.write).not.toHaveBeenCalled();
+  });
+
+  test('the version is printed when asked for it', async () => {
+    const io = createIo();
+    await expect(run(['--version'], io)).resolves.toBe(0);
+    expect(getOutput(io.stdout)).toBe(`${version}\n`);
+  });
+
+  test('the process streams are used by default', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    await expect(run(['--version'])).resolves.toBe(0);
+    expect(write).toHaveBeenCalledWith(`${version}\n`);
+    write.mockRestore();
+  });
+
+  test('unknown options are rejected', async () => {
+    const io = createIo();
+    await expect(run(['shards', '--foo'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--foo" option is unknown.\n');
+  });
+
+  test('options without a value are rejected', async () => {
+    const io = createIo();
+    await expect(run(['shards', '--stream'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--stream" option requires a value.\n');
+  });
+
+  test('the stream name is required', async () => {
+    const io = createIo();
+    await expect(run(['shards'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--stream" option is required.\n');
+  });
+
+  test('unknown commands are rejected', async () => {
+    const io = createIo();
+    await expect(run(['foo', ...stream], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "foo" command is unknown.\n');
+  });
+
+  test('the shards command lists the shards as NDJSON', async () => {
+    const io = createIo();
+    client.listShards.mockResolvedValueOnce([{ shardId: 'foo' }, { shardId: 'bar' }]);
+    await expect(run(['shards', '--stream=test-stream'], io)).resolves.toBe(0);
+    expect(Kinesis).toHaveBeenCalledWith({
+      createStreamIfNeeded: false,
+      logger: {
+        debug: expect.any(Function),
+        error: expect.any(Function),
+        warn: expect.any(Function)
+      },
+      streamName: 'test-stream',
+      useS3ForLargeItems: false
+    });
+    expect(getJsonLines(io.stdout)).toEqual([{ shardId: 'foo' }, { shardId: 'bar' }]);
+  });
+
+  test('the client messages are written into stderr', async () => {
+    const io = createIo();
+    await run(['shards', ...stream], io);
+    const [[{ logger }]] = Kinesis.mock.calls;
+    logger.debug('foo');
+    logger.warn('bar', 'baz');
+    logger.error('qux');
+    expect(getOutput(io.stderr)).toBe('bar baz\nqux\n');
+  });
+
+  test('the client debug messages are written into stderr in verbose mode', async () => {
+    const io = createIo();
+    await run(['shards', ...stream, '--verbose'], io);
+    const [[{ logger }]] = Kinesis.mock.calls;
+    logger.debug('foo');
+    expect(getOutput(io.stderr)).toBe('foo\n');
+  });
+
+  test('client errors are written into stderr', async () => {
+    const io = createIo();
+    client.listShards.mockRejectedValueOnce(new Error('foo'));
+    await expect(run(['shards', ...stream], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('foo\n');
+  });
+
+  test('the put command writes the records from stdin', async () => {
+    const io = createIo('{"foo":"bar"}\n\n"baz"\n');
+    await expect(run(['put', ...stream], io)).resolves.toBe(0);
+    expect(client.putRecords).toHaveBeenCalledWith({
+      records: [{ data: { foo: 'bar' } }, { data: 'baz' }]
+    });
+    expect(getJsonLines(io.stdout)).toEqual([
+      { sequenceNumber: '0', shardId: 'foo' },
+      { sequenceNumber: '1', shardId: 'foo' }
+    ]);
+  });
+
+  test('the put command uses the encoding and partition key options', async () => {
+    const io = createIo('1\n2\n');
+    const args = ['put', ...stream, '--compression', 'LZ-UTF8', '--partition-key', 'foo'];
+    args.push('--use-s3', '--bucket', 'test-bucket');
+    await expect(run(args, io)).resolves.toBe(0);
+    expect(Kinesis).toHaveBeenCalledWith(
+      expect.objectContaining({
+        compression: 'LZ-UTF8',
+        s3: { bucketName: 'test-bucket' },
+        useS3ForLargeItems: true
+      })
+    );
+    expect(client.putRecords).toHaveBeenCalledWith({
+      records: [
+        { data: 1, partitionKey: 'foo' },
+        { data: 2, partitionKey: 'foo' }
+      ]
+    });
+  });
+
+  test('the put command writes the records in batches of 500', async () => {
+    const io = createIo(`${Array.from({ length: 501 }, (value, index) => index).join('\n')}\n`);
+    await expect(run(['put', ...stream], io)).resolves.toBe(0);
+    expect(client.putRecords).toHaveBeenCalledTimes(2);
+    expect(client.putRecords.mock.calls[0][0].records).toHaveLength(500);
+    expect(client.putRecords.mock.calls[1][0].records).toEqual([{ data: 500 }]);
+    expect(getJsonLines(io.stdout)).toHaveLength(501);
+  });
+
+  test('the put command writes no records if the input is empty', async () => {
+    const io = createIo('\n');
+    await expect(run(['put', ...stream], io)).resolves.toBe(0);
+    expect(client.putRecords).not.toHaveBeenCalled();
+    expect(io.stdout.write).not.toHaveBeenCalled();
+  });
+
+  test('the put command sends the batches as the lines are read', async () => {
+    const io = createIo();
+    io.stdin = new PassThrough();
+    const promise = run(['put', ...stream], io);
+    io.stdin.write(`${Array.from({ length: 500 }, (value, index) => index).join('\n')}\n`);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(client.putRecords).toHaveBeenCalledTimes(1);
+    io.stdin.end('500\n');
+    await expect(promise).resolves.toBe(0);
+    expect(client.putRecords).toHaveBeenCalledTimes(2);
+    expect(client.putRecords).toHaveBeenLastCalledWith({ records: [{ data: 500 }] });
+  });
+
+  test('the put command fails if any of the records fails to be written', async () => {
+    const io = createIo('1\n2\n');
+    const failure = { errorCode: 'InternalFailure', errorMessage: 'foo' };
+    client.putRecords.mockResolvedValueOnce({
+      records: [{ sequenceNumber: '0', shardId: 'foo' }, failure]
+    });
+    await expect(run(['put', ...stream], io)).resolves.toBe(1);
+    expect(getJsonLines(io.stdout)).toEqual([{ sequenceNumber: '0', shardId: 'foo' }, failure]);
+  });
+
+  test('the put command reads the records from a file', async () => {
+    const file = new PassThrough();
+    file.end('{"foo":"bar"}\r\n');
+    createReadStream.mockReturnValueOnce(file);
+    const io = createIo();
+    await expect(run(['put', ...stream, '--file', 'records.ndjson'], io)).resolves.toBe(0);
+    expect(createReadStream).toHaveBeenCalledWith('records.ndjson');
+    expect(client.putRecords).toHaveBeenCalledWith({ records: [{ data: { foo: 'bar' } }] });
+  });
+
+  test('the put command fails if the file cannot be read', async () => {
+    const file = new PassThrough();
+    createReadStream.mockReturnValueOnce(file);
+    const io = createIo();
+    const promise = run(['put', ...stream, '--file', 'missing.ndjson'], io);
+    file.emit('error', new Error('ENOENT: no such file or directory'));
+    await expect(promise).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toMatch(/ENOENT/);
+    expect(client.putRecords).not.toHaveBeenCalled();
+  });
+
+  test('the put command rejects lines that are not JSON in later batches', async () => {
+    const io = createIo(
+      `${Array.from({ length: 500 }, (value, index) => index).join('\n')}\nfoo\n`
+    );
+    await expect(run(['put', ...stream], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe("The line 501 of the input isn't valid JSON.\n");
+    expect(client.putRecords).toHaveBeenCalledTimes(1);
+  });
+
+  test('the put command rejects lines that are not JSON', async () => {
+    const io = createIo('1\nfoo\n');
+    await expect(run(['put', ...stream], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe("The line 2 of the input isn't valid JSON.\n");
+    expect(client.putRecords).not.toHaveBeenCalled();
+  });
+
+  test('the tail command prints the records from the latest position', async () => {
+    const io = createIo();
+    client.process.mockImplementationOnce(async (handler) => {
+      await handler({ data: 'foo', sequenceNumber: '1' }, { shardId: 'shard-0000' });
+      await handler({ data: 'bar', sequenceNumber: '2' }, { shardId: 'shard-0001' });
+    });
+    await expect(run(['tail', ...stream], io)).resolves.toBe(0);
+    expect(Kinesis).toHaveBeenCalledWith(
+      expect.objectContaining({
+        initialPosition: 'LATEST',
+        stateStore: 'memory-store',
+        stopOnSignals: true,
+        useAutoShardAssignment: false
+      })
+    );
+    expect(getJsonLines(io.stdout)).toEqual([
+      { data: 'foo', sequenceNumber: '1', shardId: 'shard-0000' },
+      { data: 'bar', sequenceNumber: '2', shardId: 'shard-0001' }
+    ]);
+    expect(client.stopConsumer).not.toHaveBeenCalled();
+  });
+
+  test('the tail command stops after printing the given number of records', async () => {
+    const io = createIo();
+    client.process.mockImplementationOnce(async (handler) => {
+      await handler({ data: 'foo' }, { shardId: 'shard-0000' });
+      await handler({ data: 'bar' }, { shardId: 'shard-0000' });
+    });
+    await expect(run(['tail', ...stream, '--count', '1'], io)).resolves.toBe(0);
+    expect(getJsonLines(io.stdout)).toEqual([{ data: 'foo', shardId: 'shard-0000' }]);
+    expect(client.stopConsumer).toHaveBeenCalledTimes(1);
+  });
+
+  test('the tail command rejects invalid counts', async () => {
+    const io = createIo();
+    await expect(run(['tail', ...stream, '--count', '0'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--count" option must be a positive integer.\n');
+    expect(client.process).not.toHaveBeenCalled();
+  });
+
+  test('the tail command can start from the oldest records', async () => {
+    const io = createIo();
+    await expect(run(['tail', ...stream, '--from', 'TRIM_HORIZON'], io)).resolves.toBe(0);
+    expect(Kinesis).toHaveBeenCalledWith(
+      expect.objectContaining({ initialPosition: 'TRIM_HORIZON' })
+    );
+  });
+
+  test('the tail command can start from a timestamp', async () => {
+    const io = createIo();
+    await run(['tail', ...stream, '--from', '2019-01-01T00:00:00.000Z'], io);
+    await run(['tail', ...stream, '--from', '1546300800000'], io);
+    const expected = { timestamp: new Date('2019-01-01T00:00:00.000Z'), type: 'AT_TIMESTAMP' };
+    expect(Kinesis.mock.calls[0][0].initialPosition).toEqual(expected);
+    expect(Kinesis.mock.calls[1][0].initialPosition).toEqual(expected);
+  });
+
+  test('the tail command rejects invalid positions', async () => {
+    const io = createIo();
+    await expect(run(['tail', ...stream, '--from', 'foo'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--from" option is invalid.\n');
+  });
+
+  test('the group commands require a consumer group', async () => {
+    const io = createIo();
+    await expect(run(['group', 'describe', ...stream], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('The "--group" option is required.\n');
+  });
+
+  test('unknown group commands are rejected', async () => {
+    const io = createIo();
+    await expect(run(['group', 'foo', ...stream, '--group', 'bar'], io)).resolves.toBe(1);
+    await expect(run(['group', ...stream, '--group', 'bar'], io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe(
+      'The "group foo" command is unknown.\nThe "group " command is unknown.\n'
+    );
+  });
+
+  test('the group describe command prints the state of the group', async () => {
+    const io = createIo();
+    const args = ['group', 'describe', ...stream, '--group', 'test-group'];
+    await expect(run(args, io)).resolves.toBe(0);
+    expect(Kinesis.admin).toHaveBeenCalledWith({
+      consumerGroup: 'test-group',
+      logger: {
+        debug: expect.any(Function),
+        error: expect.any(Function),
+        warn: expect.any(Function)
+      },
+      streamName: 'test-stream'
+    });
+    expect(getOutput(io.stdout)).toBe('{\n  "consumers": [],\n  "leases": []\n}\n');
+  });
+
+  test('the group reset command resets the checkpoints to the oldest records', async () => {
+    const io = createIo();
+    const args = ['group', 'reset', ...stream, '--group', 'test-group', '--trim-horizon'];
+    await expect(run(args, io)).resolves.toBe(0);
+    expect(Kinesis).toHaveBeenCalledWith(expect.objectContaining({ consumerGroup: 'test-group' }));
+    expect(client.resetCheckpoints).toHaveBeenCalledWith('TRIM_HORIZON');
+    expect(getJsonLines(io.stdout)).toEqual([{ reset: true }]);
+  });
+
+  test('the group reset command resets the checkpoints to a timestamp', async () => {
+    const io = createIo();
+    const args = ['group', 'reset', ...stream, '--group', 'test-group'];
+    await run([...args, '--timestamp', '2019-01-01'], io);
+    await run([...args, '--timestamp', '1546300800000'], io);
+    expect(client.resetCheckpoints.mock.calls).toEqual([
+      [{ toTimestamp: '2019-01-01' }],
+      [{ toTimestamp: 1546300800000 }]
+    ]);
+  });
+
+  test('the group reset command resets the checkpoint of a shard', async () => {
+    const io = createIo();
+    const args = ['group', 'reset', ...stream, '--group', 'test-group', '--shard', 'foo'];
+    await expect(run([...args, '--sequence-number', '123'], io)).resolves.toBe(0);
+    expect(client.resetCheckpoints).toHaveBeenCalledWith({ toSequenceNumbers: { foo: '123' } });
+  });
+
+  test('the group reset command requires a position', async () => {
+    const io = createIo();
+    const args = ['group', 'reset', ...stream, '--group', 'test-group', '--shard', 'foo'];
+    await expect(run(args, io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe(
+      'Either "--trim-horizon", "--timestamp", or "--shard" with "--sequence-number" is required.\n'
+    );
+    expect(client.resetCheckpoints).not.toHaveBeenCalled();
+  });
+
+  test('the group release command releases the lease of a shard', async () => {
+    const io = createIo();
+    const args = ['group', 'release', ...stream, '--group', 'test-group', '--shard', 'foo'];
+    await expect(run(args, io)).resolves.toBe(0);
+    expect(admin.releaseLease).toHaveBeenCalledWith('foo', {});
+    expect(getJsonLines(io.stdout)).toEqual([{ released: true, shardId: 'foo' }]);
+  });
+
+  test('the group release command releases the lease of an enhanced consumer', async () => {
+    const io = createIo();
+    const args = ['group', 'release', ...stream, '--group', 'test-group', '--shard', 'foo'];
+    admin.releaseLease.mockResolvedValueOnce(false);
+    await expect(run([...args, '--enhanced-consumer', 'bar'], io)).resolves.toBe(1);
+    expect(admin.releaseLease).toHaveBeenCalledWith('foo', { enhancedConsumerName: 'bar' });
+    expect(getJsonLines(io.stdout)).toEqual([{ released: false, shardId: 'foo' }]);
+  });
+
+  test('the group release command evicts a consumer', async () => {
+    const io = createIo();
+    const args = ['group', 'release', ...stream, '--group', 'test-group', '--consumer', 'foo'];
+    await expect(run(args, io)).resolves.toBe(0);
+    expect(admin.evictConsumer).toHaveBeenCalledWith('foo');
+    expect(getJsonLines(io.stdout)).toEqual([{ consumerId: 'foo', evicted: true }]);
+  });
+
+  test('the group release command fails if the consumer is not in the group', async () => {
+    const io = createIo();
+    const args = ['group', 'release', ...stream, '--group', 'test-group', '--consumer', 'foo'];
+    admin.evictConsumer.mockResolvedValueOnce(false);
+    await expect(run(args, io)).resolves.toBe(1);
+    expect(getJsonLines(io.stdout)).toEqual([{ consumerId: 'foo', evicted: false }]);
+  });
+
+  test('the group release command requires a shard or a consumer', async () => {
+    const io = createIo();
+    const args = ['group', 'release', ...stream, '--group', 'test-group'];
+    await expect(run(args, io)).resolves.toBe(1);
+    expect(getOutput(io.stderr)).toBe('Either "--shard" or "--consumer" is required.\n');
+  });
+});
@@ -39,7 +39,35 @@ const BAIL_RETRY_LIST = Object.freeze([
  */
 const FORCED_RETRY_LIST = Object.freeze(['ENOTFOUND', 'ENETUNREACH']);
 
+/**
+ * A list of the methods a state store must implement to keep the shared state of the consumers.
+ *
+ * @memberof module:constants
+ */
+const STATE_STORE_METHODS = Object.freeze([
+  'clearOldConsumers',
+  'deregisterConsumer',
+  'deregisterEnhancedConsumer',
+  'ensureShardStateExists',
+  'getAssignedEnhancedConsumer',
+  'getEnhancedConsumers',
+  'getOwnedShards',
+  'getShardAndStreamState',
+  'getShardsAndStreamState',
+  'lockShardLease',
+  'markShardAsDepleted',
+  'markShardForHandoff',
+  'registerConsumer',
+  'registerEnhancedConsumer',
+  'releaseShardLease',
+  'renewShardLeases',
+  'resetShardCheckpoint',
+  'start',
+  'storeShardCheckpoint'
+]);
+
 module.exports = Object.freeze({
   BAIL_RETRY_LIST,
-  FORCED_RETRY_LIST
+  FORCED_RETRY_LIST,
+  STATE_STORE_METHODS
 });
@@ -8,7 +8,8 @@ describe('lib/constants', () => {
   test('the module exports the expected', () => {
     expect(constants).toEqual({
       BAIL_RETRY_LIST: expect.any(Array),
-      FORCED_RETRY_LIST: expect.any(Array)
+      FORCED_RETRY_LIST: expect.any(Array),
+      STATE_STORE_METHODS: expect.any(Array)
     });
   });
 });
@@ -35,8 +35,12 @@ class ConsumersManager {
    *
    * @param {Object} options - The initialization options.
    * @param {Object} options.awsOptions - The initialization options for AWS.Kinesis.
+   * @param {boolean} options.checkpointAfterProcessing - Whether to store the automatic
+   *        checkpoints once the records are processed instead of as soon as they're received.
    * @param {Object} options.client - An instance of the Kinesis client.
    * @param {string} options.compression - The kind of data compression to use with records.
+   * @param {Object} options.initialPosition - Where to start reading shards from when there's no
+   *        stored checkpoint for them.
    * @param {number} options.limit - The limit of records per get records call.
    * @param {Object} options.logger - An instance of a logger.
    * @param {number} options.noRecordsPollDelay - The delay in milliseconds before attempting to
@@ -45,6 +49,8 @@ class ConsumersManager {
    *        option defines the delay in milliseconds in between poll requests for more records.
    * @param {Function} options.pushToStream - A function to push incoming records to the consumer.
    * @param {Object} options.s3 - The S3 options in the current kinesis client.
+   * @param {Function} [options.sendToDeadLetter] - If provided, the records that can't be decoded
+   *        are sent to the dead-letter target through this function.
    * @param {string|boolean} [options.shouldParseJson] - Whether if retrieved records' data should
    *        be parsed as JSON or not.
    * @param {Object} options.stateStore - An instance of the state store.
@@ -57,12 +63,18 @@ class ConsumersManager {
    *        user-intervention before polling for more records, or not.
    * @param {boolean} options.useS3ForLargeItems - Whether to automatically use an S3
    *        bucket to store large items or not.
+   * @param {Function} options.waitForProcessing - A function that returns a promise resolved once
+   *        the given records pushed to the consumer are processed.
+   * @param {Function} options.waitForRead - A function that returns a promise resolved once more
+   *        records can be pushed to the consumer.
    */
   constructor(options) {
     const {
       awsOptions,
+      checkpointAfterProcessing,
       client,
       compression,
+      initialPosition,
       limit,
       logger,
       noRecordsPollDelay,
@@ -70,6 +82,7 @@ class ConsumersManager {
       pushToStream,
       s3,
       s3Client,
+      sendToDeadLetter,
       shouldDeaggregate,
       shouldParseJson,
       stateStore,
@@ -77,21 +90,28 @@ class ConsumersManager {
       useAutoCheckpoints,
       useEnhancedFanOut,
       usePausedPolling,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     } = options;
 
     Object.assign(internal(this), {
       awsOptions,
+      checkpointAfterProcessing,
       client,
       compression,
       consumers: {},
+      initialPosition,
+      isStopped: false,
       limit,
       logger,
       noRecordsPollDelay,
       pollDelay,
       pushToStream,
+      resetIds: {},
       s3,
       s3Client,
+      sendToDeadLetter,
       shouldDeaggregate,
       shouldParseJson,
       stateStore,
@@ -99,14 +119,18 @@ class ConsumersManager {
       useAutoCheckpoints,
       useEnhancedFanOut,
       usePausedPolling,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     });
   }
 
   /**
    * Triggers the reconciliation of shard consumers where new instances of either the fan-out or
    * polling consumers will be initialized for newly acquired shard leases, or where running
-   * consumers will be stopped for lost or expired shard leases.
+   * consumers will be stopped for lost or expired shard leases. Running consumers for shards
+   * whose checkpoint has been reset are restarted so they read from the new position. Nothing is
+   * reconciled once the manager is stopped, so no consumers are started after the shutdown.
    *
    * @fulfil {undefined}
    * @returns {Promise}
@@ -114,16 +138,20 @@ class ConsumersManager {
   async reconcile() {
     const {
       awsOptions,
+      checkpointAfterProcessing,
       client,
       compression,
       consumers,
+      initialPosition,
       limit,
       logger,
       noRecordsPollDelay,
       pollDelay,
       pushToStream,
+      resetIds,
       s3,
       s3Client,
+      sendToDeadLetter,
       shouldDeaggregate,
       shouldParseJson,
       stateStore,
@@ -131,9 +159,12 @@ class ConsumersManager {
       useAutoCheckpoints,
       useEnhancedFanOut,
       usePausedPolling,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     } = internal(this);
 
+    if (internal(this).isStopped) return;
     logger.debug('Reconciling shard consumers…');
 
     const stopConsumer = (shardId) => {
@@ -160,20 +191,27 @@ class ConsumersManager {
     }
 
     const ownedShards = await stateStore.getOwnedShards();
+    if (internal(this).isStopped) return;
     const ownedShardIds = Object.keys(ownedShards);
 
     // Start consumers for the shards the consumer owns.
     await Promise.all(
       ownedShardIds.map(async (shardId) => {
-        const runningConsumer = consumers[shardId];
         const shard = ownedShards[shardId];
+        if (consumers[shardId] && resetIds[shardId] !== shard.resetId) {
+          logger.debug(`The checkpoint for "${shardId}" has been reset.`);
+          stopConsumer(shardId);
+        }
+        const runningConsumer = consumers[shardId];
         if (!runningConsumer) {
           try {
             logger.debug(`Starting a consumer for "${shardId}"…`);
             const consumer = !useEnhancedFanOut
               ? new PollingConsumer({
+                  checkpointAfterProcessing,
                   client,
                   compression,
+                  initialPosition,
                   limit,
                   logger,
                   noRecordsPollDelay,
@@ -181,6 +219,7 @@ class ConsumersManager {
                   pushToStream,
                   s3,
                   s3Client,
+                  sendToDeadLetter,
                   shardId,
                   shouldDeaggregate,
                   shouldParseJson,
@@ -190,17 +229,22 @@ class ConsumersManager {
                   useAutoCheckpoints,
                   usePausedPolling,
                   useS3ForLargeItems,
+                  waitForProcessing,
+                  waitForRead,
                   ...shard
                 })
               : new FanOutConsumer({
                   awsOptions,
+                  checkpointAfterProcessing,
                   client,
                   compression,
                   consumerArn,
+                  initialPosition,
                   logger,
                   pushToStream,
                   s3,
                   s3Client,
+                  sendToDeadLetter,
                   shardId,
                   shouldDeaggregate,
                   shouldParseJson,
@@ -208,9 +252,12 @@ class ConsumersManager {
                   stopConsumer,
                   streamName,
                   useS3ForLargeItems,
+                  waitForProcessing,
+                  waitForRead,
                   ...shard
                 });
             consumers[shardId] = consumer;
+            resetIds[shardId] = shard.resetId;
             consumer.start();
           } catch (err) {
             logger.error('Unexpected recoverable error when trying to start a consumer:', err);
@@ -231,13 +278,41 @@ class ConsumersManager {
   }
 
   /**
-   * Stops all the running shard consumers.
+   * Stops all the running shard consumers, and prevents any further reconciliation from starting
+   * new ones.
+   *
+   * @fulfil {undefined} - Once the polls or the records being processed by the consumers are done.
+   * @returns {Promise}
+   */
+  async stop() {
+    const privateProps = internal(this);
+    const { consumers } = privateProps;
+    privateProps.isStopped = true;
+    const runningConsumers = Object.values(consumers).filter(Boolean);
+    Object.keys(consumers).forEach((shardId) => {
+      consumers[shardId] = undefined;
+    });
+    await Promise.all(runningConsumers.map((consumer) => consumer.stop()));
+  }
+
+  /**
+   * Stops the running consumer of a shard, if any.
    *
-   * @returns {undefined}
+   * @param {string} shardId - The ID of the shard to stop the consumer for.
+   * @fulfil {undefined} - Once the poll or the records being processed by the consumer are done.
+   * @returns {Promise}
    */
-  stop() {
-    const { consumers } = internal(this);
-    Object.keys(consumers).forEach((shardId) => consumers[shardId].stop());
+  async stopConsumer(shardId) {
+    const { consumers, logger } = internal(this);
+    const consumer = consumers[shardId];
+    if (!consumer) return;
+    consumers[shardId] = undefined;
+    try {
+      logger.debug(`Stopping the consumer for "${shardId}"…`);
+      await consumer.stop();
+    } catch (err) {
+      logger.error('Unexpected recoverable failure when trying to stop a consumer:', err);
+    }
   }
 }
 
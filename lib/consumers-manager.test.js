@@ -100,6 +100,32 @@ describe('lib/consumers-manager', () => {
     expect(debug).toHaveBeenCalledTimes(3);
   });
 
+  test('the manager restarts consumers for shards with reset checkpoints', async () => {
+    manager = new ConsumersManager({ logger, stateStore });
+    await manager.reconcile();
+    PollingConsumer.clearMocks();
+    ownedShards.foo.resetId = '0001';
+    ownedShards.foo.startingPosition = { type: 'TRIM_HORIZON' };
+    await manager.reconcile();
+
+    expect(PollingConsumer.getMocks().stop).toHaveBeenCalled();
+    expect(PollingConsumer).toHaveBeenCalledWith(
+      expect.objectContaining({
+        resetId: '0001',
+        shardId: 'foo',
+        startingPosition: { type: 'TRIM_HORIZON' }
+      })
+    );
+    expect(PollingConsumer.getMocks().start).toHaveBeenCalled();
+
+    const { debug } = logger;
+    expect(debug).toHaveBeenNthCalledWith(3, 'Reconciling shard consumers…');
+    expect(debug).toHaveBeenNthCalledWith(4, 'The checkpoint for "foo" has been reset.');
+    expect(debug).toHaveBeenNthCalledWith(5, 'Stopping the consumer for "foo"…');
+    expect(debug).toHaveBeenNthCalledWith(6, 'Starting a consumer for "foo"…');
+    expect(debug).toHaveBeenCalledTimes(6);
+  });
+
   test('the manager stops consumers for no longer owned shards', async () => {
     manager = new ConsumersManager({ logger, stateStore });
     await manager.reconcile();
@@ -193,7 +219,91 @@ describe('lib/consumers-manager', () => {
   test('the manager stops all consumers when asked to stop', async () => {
     manager = new ConsumersManager({ logger, stateStore });
     await manager.reconcile();
-    manager.stop();
-    expect(PollingConsumer.getMocks().stop).toHaveBeenCalled();
+    await expect(manager.stop()).resolves.toBeUndefined();
+    expect(PollingConsumer.getMocks().stop).toHaveBeenCalledTimes(1);
+    await manager.stop();
+    expect(PollingConsumer.getMocks().stop).toHaveBeenCalledTimes(1);
+  });
+
+  test('the manager does not reconcile once stopped', async () => {
+    manager = new ConsumersManager({ logger, stateStore });
+    await manager.stop();
+    await expect(manager.reconcile()).resolves.toBeUndefined();
+    expect(stateStore.getOwnedShards).not.toHaveBeenCalled();
+    expect(PollingConsumer).not.toHaveBeenCalled();
+  });
+
+  test('a reconciliation in progress does not start consumers once the manager stops', async () => {
+    let resolveOwnedShards;
+    stateStore.getOwnedShards.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveOwnedShards = resolve;
+        })
+    );
+    manager = new ConsumersManager({ logger, stateStore });
+    const reconcile = manager.reconcile();
+    await manager.stop();
+    resolveOwnedShards(ownedShards);
+    await reconcile;
+    expect(PollingConsumer).not.toHaveBeenCalled();
+  });
+
+  test('the manager waits for the consumers to be done when asked to stop', async () => {
+    let resolveStop;
+    PollingConsumer.getMocks().stop.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveStop = resolve;
+        })
+    );
+    manager = new ConsumersManager({ logger, stateStore });
+    await manager.reconcile();
+    let isStopped = false;
+    const stop = manager.stop().then(() => {
+      isStopped = true;
+      return undefined;
+    });
+    await Promise.resolve();
+    expect(isStopped).toBe(false);
+    resolveStop();
+    await stop;
+    expect(isStopped).toBe(true);
+  });
+
+  test('the manager can stop the consumer of a single shard and wait for it', async () => {
+    let resolveStop;
+    PollingConsumer.getMocks().stop.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveStop = resolve;
+        })
+    );
+    manager = new ConsumersManager({ logger, stateStore });
+    await manager.reconcile();
+    let isStopped = false;
+    const stop = manager.stopConsumer('foo').then(() => {
+      isStopped = true;
+      return undefined;
+    });
+    await Promise.resolve();
+    expect(isStopped).toBe(false);
+    resolveStop();
+    await stop;
+    expect(isStopped).toBe(true);
+    await manager.stopConsumer('foo');
+    expect(PollingConsumer.getMocks().stop).toHaveBeenCalledTimes(1);
+    expect(logger.debug).toHaveBeenCalledWith('Stopping the consumer for "foo"…');
+  });
+
+  test('the manager recovers from errors when stopping the consumer of a single shard', async () => {
+    PollingConsumer.getMocks().stop.mockRejectedValueOnce(new Error('foo'));
+    manager = new ConsumersManager({ logger, stateStore });
+    await manager.reconcile();
+    await expect(manager.stopConsumer('foo')).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith(
+      'Unexpected recoverable failure when trying to stop a consumer:',
+      expect.objectContaining({ message: 'foo' })
+    );
   });
 });
@@ -46,7 +46,10 @@ const deaggregate = (kinesisRecord, perRecordCallback, afterRecordCallback) => {
       perRecordCallback(null, {
         ApproximateArrivalTimestamp,
         Data: item.data,
-        ExplicitPartitionKey: protobufMessage.explicit_hash_key_table[item.explicit_hash_key_index],
+        // the explicit hash key index is optional, only records with one have it set
+        ExplicitPartitionKey: Object.prototype.hasOwnProperty.call(item, 'explicit_hash_key_index')
+          ? protobufMessage.explicit_hash_key_table[item.explicit_hash_key_index]
+          : undefined,
         PartitionKey: protobufMessage.partition_key_table[item.partition_key_index],
         SequenceNumber,
         SubSequenceNumber: i
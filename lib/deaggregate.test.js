@@ -74,6 +74,17 @@ describe('lib/deaggregate', () => {
     expect(Buffer.from(result[3].Data).toString()).toEqual('message2');
   });
 
+  test('records without an explicit hash key index have no explicit partition key', async () => {
+    delete messages[0].explicit_hash_key_index;
+    const buff = builder.encode(message).finish();
+    const checksum = crypto.createHash('md5').update(buff).digest();
+    const data = Buffer.concat([Buffer.from(KPL_MAGIC_NUMBER, 'hex'), buff, checksum]);
+    const result = await deaggregate([{ ...content, Data: data }]);
+    expect(result[0].ExplicitPartitionKey).toBeUndefined();
+    expect(result[0].PartitionKey).toEqual('key1');
+    expect(result[1].ExplicitPartitionKey).toEqual('hash2');
+  });
+
   test('null values are handled properly', async () => {
     const result = await deaggregate(null);
     expect(result).toEqual(null);
@@ -10,11 +10,17 @@
 
 'use strict';
 
-const retry = require('async-retry');
 const { DynamoDB } = require('aws-sdk');
 
+const { getMetricsReporter, measureRequest } = require('./metrics');
 const { reportError, reportResponse } = require('./stats');
-const { getStackObj, shouldBailRetry, transformErrorStack } = require('./utils');
+const {
+  getRetryOpts,
+  getStackObj,
+  retryCall,
+  shouldBailRetry,
+  transformErrorStack
+} = require('./utils');
 
 const privateData = new WeakMap();
 const statsSource = 'dynamoDb';
@@ -37,6 +43,7 @@ function internal(instance) {
  * are the original ones provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.DynamoDB.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
  * @param {...*} args - The arguments of the method call.
  * @fulfil {*} - The original response from the AWS.DynamoDB call.
@@ -45,11 +52,12 @@ function internal(instance) {
  * @private
  *
  */
-async function sdkCall(client, methodName, ...args) {
+async function sdkCall(client, meter, methodName, ...args) {
   const stackObj = getStackObj(sdkCall);
   try {
-    return client[methodName](...args)
-      .promise()
+    const { labels, metrics } = meter;
+    const request = client[methodName](...args).promise();
+    return measureRequest(metrics, { ...labels, operation: methodName }, request)
       .then((response) => {
         reportResponse(statsSource);
         return response;
@@ -72,20 +80,22 @@ async function sdkCall(client, methodName, ...args) {
  * are based on a custom logic replacing the one provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.DynamoDB.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
- * @param {Object} retryOpts - The [retry options as in async-retry]{@link external:AsyncRetry}.
+ * @param {Object} retryOpts - The retry options as returned by `getRetryOpts`.
  * @param {...*} args - The argument of the method call.
  * @fulfil {*} - The original response from the AWS.DynamoDB call.
  * @reject {Error} - The error details from AWS.DynamoDB with a corrected error stack.
  * @returns {Promise}
  * @private
  */
-function retriableSdkCall(client, methodName, retryOpts, ...args) {
+function retriableSdkCall(client, meter, methodName, retryOpts, ...args) {
   const stackObj = getStackObj(retriableSdkCall);
-  return retry((bail) => {
+  return retryCall((bail) => {
     try {
-      return client[methodName](...args)
-        .promise()
+      const { labels, metrics } = meter;
+      const request = client[methodName](...args).promise();
+      return measureRequest(metrics, { ...labels, operation: methodName }, request)
         .then((response) => {
           reportResponse(statsSource);
           return response;
@@ -117,35 +127,40 @@ class DynamoDbClient {
    * @param {Object} options - The initialization options.
    * @param {Object} options.awsOptions - The initialization options for AWS.DynamoDB.
    * @param {Object} options.logger - An instace of a logger.
+   * @param {Object} [options.metrics] - A metrics reporter, see the `metrics` option of the client.
+   * @param {Object} [options.retry] - The retry policy, the `state` options apply to the calls.
    * @param {string} options.tableName - The name of the DynamoDB table.
    */
-  constructor({ awsOptions, logger, tableName }) {
+  constructor({ awsOptions, logger, metrics, retry, tableName }) {
     const client = new DynamoDB(awsOptions);
+    const labels = { service: 'dynamodb', table: tableName };
+    const reporter = getMetricsReporter(metrics, logger);
 
     const docClient = new DynamoDB.DocumentClient({
       params: { TableName: tableName },
       service: client
     });
 
-    const retryOpts = {
-      forever: true,
-      maxTimeout: 5 * 60 * 1000,
-      minTimeout: 1000,
-      onRetry: (err) => {
-        const { code, message, requestId, statusCode } = err;
-        logger.warn(
-          `Trying to recover from AWS.DynamoDB error…\n${[
-            `\t- Message: ${message}`,
-            `\t- Request ID: ${requestId}`,
-            `\t- Code: ${code} (${statusCode})`,
-            `\t- Table: ${tableName}`
-          ].join('\n')}`
-        );
-      },
-      randomize: true
-    };
+    const retryOpts = getRetryOpts(retry, 'state', (err) => {
+      const { code, message, requestId, statusCode } = err;
+      reporter.counter('aws_request_retries_total', 1, { ...labels, code });
+      logger.warn(
+        `Trying to recover from AWS.DynamoDB error…\n${[
+          `\t- Message: ${message}`,
+          `\t- Request ID: ${requestId}`,
+          `\t- Code: ${code} (${statusCode})`,
+          `\t- Table: ${tableName}`
+        ].join('\n')}`
+      );
+    });
 
-    Object.assign(internal(this), { client, docClient, logger, retryOpts });
+    Object.assign(internal(this), {
+      client,
+      docClient,
+      logger,
+      meter: { labels, metrics: reporter },
+      retryOpts
+    });
   }
 
   /**
@@ -155,9 +170,9 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   async createTable(...args) {
-    const { client, logger } = internal(this);
+    const { client, logger, meter } = internal(this);
     try {
-      await sdkCall(client, 'createTable', ...args);
+      await sdkCall(client, meter, 'createTable', ...args);
       return undefined;
     } catch (err) {
       if (err.code === 'ResourceInUseException') {
@@ -176,8 +191,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   describeTable(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'describeTable', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'describeTable', retryOpts, ...args);
   }
 
   /**
@@ -187,8 +202,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   listTagsOfResource(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'listTagsOfResource', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'listTagsOfResource', retryOpts, ...args);
   }
 
   /**
@@ -198,9 +213,9 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   async tagResource(...args) {
-    const { client, logger } = internal(this);
+    const { client, logger, meter } = internal(this);
     try {
-      await sdkCall(client, 'tagResource', ...args);
+      await sdkCall(client, meter, 'tagResource', ...args);
       return undefined;
     } catch (err) {
       if (err.code === 'ResourceInUseException') {
@@ -218,8 +233,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   waitFor(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'waitFor', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'waitFor', retryOpts, ...args);
   }
 
   /**
@@ -229,8 +244,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   delete(...args) {
-    const { docClient } = internal(this);
-    return sdkCall(docClient, 'delete', ...args);
+    const { docClient, meter } = internal(this);
+    return sdkCall(docClient, meter, 'delete', ...args);
   }
 
   /**
@@ -241,8 +256,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   get(...args) {
-    const { docClient, retryOpts } = internal(this);
-    return retriableSdkCall(docClient, 'get', retryOpts, ...args);
+    const { docClient, meter, retryOpts } = internal(this);
+    return retriableSdkCall(docClient, meter, 'get', retryOpts, ...args);
   }
 
   /**
@@ -253,8 +268,20 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   put(...args) {
-    const { docClient, retryOpts } = internal(this);
-    return retriableSdkCall(docClient, 'put', retryOpts, ...args);
+    const { docClient, meter, retryOpts } = internal(this);
+    return retriableSdkCall(docClient, meter, 'put', retryOpts, ...args);
+  }
+
+  /**
+   * Finds the items with the given partition key and a sort key matching the key condition by
+   * delegating to `AWS.DynamoDB.query()`.
+   *
+   * @param {...*} args - The arguments.
+   * @returns {Promise}
+   */
+  query(...args) {
+    const { docClient, meter, retryOpts } = internal(this);
+    return retriableSdkCall(docClient, meter, 'query', retryOpts, ...args);
   }
 
   /**
@@ -265,8 +292,8 @@ class DynamoDbClient {
    * @returns {Promise}
    */
   update(...args) {
-    const { docClient, retryOpts } = internal(this);
-    return retriableSdkCall(docClient, 'update', retryOpts, ...args);
+    const { docClient, meter, retryOpts } = internal(this);
+    return retriableSdkCall(docClient, meter, 'update', retryOpts, ...args);
   }
 }
 
@@ -47,6 +47,7 @@ describe('lib/dynamodb-client', () => {
       'delete',
       'get',
       'put',
+      'query',
       'update'
     ]);
   });
@@ -58,6 +59,45 @@ describe('lib/dynamodb-client', () => {
     expect(DynamoDB).toHaveBeenCalledWith(awsOptions);
   });
 
+  test('the calls are retried according to the retry policy for the state', async () => {
+    const retry = { maxAttempts: 5, state: { maxAttempts: 3 } };
+    client = new DynamoDbClient({ logger, retry });
+    sdkClient = new DynamoDB();
+    error = Object.assign(new Error('foo'), { code: 'ETIMEDOUT' });
+    Array.from({ length: 3 }).forEach(() => {
+      sdkClient.describeTable.mockImplementationOnce(() => ({
+        promise: () => Promise.reject(error)
+      }));
+    });
+    await expect(client.describeTable({})).rejects.toEqual(
+      expect.objectContaining({ attempts: 3, message: 'foo' })
+    );
+    expect(sdkClient.describeTable).toHaveBeenCalledTimes(3);
+    expect(warn).toHaveBeenCalledTimes(2);
+    mockClear();
+  });
+
+  test('the calls and their retries are reported in the metrics', async () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    client = new DynamoDbClient({ logger, metrics, tableName: 'test-table' });
+    sdkClient = new DynamoDB.DocumentClient();
+    error = Object.assign(new Error('foo'), { code: 'ETIMEDOUT' });
+    sdkClient.get.mockImplementationOnce(() => ({ promise: () => Promise.reject(error) }));
+    await expect(client.get({})).resolves.toEqual({});
+    const labels = { service: 'dynamodb', table: 'test-table' };
+    expect(metrics.histogram).toHaveBeenCalledTimes(2);
+    expect(metrics.histogram).toHaveBeenCalledWith(
+      'aws_request_duration_seconds',
+      expect.any(Number),
+      { ...labels, operation: 'get' }
+    );
+    expect(metrics.counter.mock.calls).toEqual([
+      ['aws_request_errors_total', 1, { ...labels, code: 'ETIMEDOUT', operation: 'get' }],
+      ['aws_request_retries_total', 1, { ...labels, code: 'ETIMEDOUT' }]
+    ]);
+    mockClear();
+  });
+
   describe.each`
     methodName              | isDocClient | isRetriable
     ${'createTable'}        | ${false}    | ${false}
@@ -66,6 +106,7 @@ describe('lib/dynamodb-client', () => {
     ${'get'}                | ${true}     | ${true}
     ${'listTagsOfResource'} | ${false}    | ${true}
     ${'put'}                | ${true}     | ${true}
+    ${'query'}              | ${true}     | ${true}
     ${'tagResource'}        | ${false}    | ${false}
     ${'update'}             | ${true}     | ${true}
     ${'waitFor'}            | ${false}    | ${true}
@@ -154,7 +154,9 @@ class PreProcess extends Transform {
 
 /**
  * Class that implements a post-processing stream used to push records outside the internal
- * stream pipeline. It also stores checkpoints as records arrive, and look for shard depletion.
+ * stream pipeline. It also stores checkpoints as records arrive (or once they're processed, if
+ * checkpoints are stored after processing), and look for shard depletion. Writes aren't
+ * acknowledged while the stream outside the pipeline is full.
  *
  * @augments external:Writable
  * @memberof module:fan-out-consumer
@@ -167,23 +169,44 @@ class PostProcess extends Writable {
    * @param {Object} options - The initialization options.
    * @param {Function} options.abort - A function that will close the entire pipeline, called
    *        when no data has been pushed through the event stream on a given time window.
+   * @param {boolean} [options.checkpointAfterProcessing] - Whether to store the checkpoints once
+   *        the records are processed instead of as soon as they're received.
    * @param {Object} options.logger - An instance of a logger.
    * @param {Function} options.markShardAsDepleted - A function that will mark a given shard as
    *        depleted. Called when a shard depletion event has been detected.
    * @param {Function} options.pushToStream - A function that pushes records out of the pipeline.
    * @param {Function} options.setCheckpoint - A function that stores the checkpoint for the shard.
    * @param {string} options.shardId - The ID of the shard.
+   * @param {Function} [options.waitForProcessing] - A function that returns a promise resolved
+   *        once the given records pushed out of the pipeline are processed.
+   * @param {Function} options.waitForRead - A function that returns a promise resolved once more
+   *        records can be pushed out of the pipeline.
    */
-  constructor({ abort, logger, markShardAsDepleted, pushToStream, setCheckpoint, shardId }) {
+  constructor({
+    abort,
+    checkpointAfterProcessing,
+    logger,
+    markShardAsDepleted,
+    pushToStream,
+    setCheckpoint,
+    shardId,
+    waitForProcessing,
+    waitForRead
+  }) {
     super({ objectMode: true });
     Object.assign(internal(this), {
       abort,
+      checkpointAfterProcessing,
+      checkpointing: Promise.resolve(true),
       logger,
       markShardAsDepleted,
       pushToStream,
       setCheckpoint,
       shardId,
-      timeoutId: null
+      timeoutId: null,
+      waitForProcessing,
+      waitForRead,
+      writing: Promise.resolve()
     });
   }
 
@@ -192,6 +215,43 @@ class PostProcess extends Writable {
     clearTimeout(timeoutId);
   }
 
+  /**
+   * Stores a checkpoint once the checkpoints before it are stored, and once the given records are
+   * processed (if any). Neither the checkpoint nor the ones after it are stored if the records
+   * aren't processed (e.g. their processing failed, or the consumer stopped before), nor once a
+   * checkpoint is reset.
+   *
+   * @param {Object} [data] - The data pushed out of the pipeline with the records.
+   * @param {string} sequenceNumber - The sequence number to store as the checkpoint.
+   */
+  checkpointInOrder(data, sequenceNumber) {
+    const privateProps = internal(this);
+    const { checkpointing, logger, pushToStream, setCheckpoint, waitForProcessing } = privateProps;
+    privateProps.checkpointing = (async () => {
+      if (!(await checkpointing)) return false;
+      try {
+        if (data && !(await waitForProcessing(data))) return false;
+        return await setCheckpoint(sequenceNumber);
+      } catch (err) {
+        logger.error(err);
+        pushToStream(err);
+        return true;
+      }
+    })();
+  }
+
+  /**
+   * Waits for the chunk being written, if any, and for the checkpoints of the records being
+   * processed.
+   *
+   * @fulfil {undefined} - Once the chunk being written is done and the checkpoints are stored.
+   * @returns {Promise}
+   */
+  async waitForWrite() {
+    await internal(this).writing;
+    await internal(this).checkpointing;
+  }
+
   /**
    * The stream writable logic.
    *
@@ -200,22 +260,51 @@ class PostProcess extends Writable {
    * @param {Function} callback - The callback for more data.
    */
   async _write(chunk, encoding, callback) {
-    const { abort, logger, markShardAsDepleted, pushToStream, setCheckpoint, shardId, timeoutId } =
-      internal(this);
-    clearTimeout(timeoutId);
-    internal(this).timeoutId = setTimeout(abort, 10000);
-    const { continuationSequenceNumber, millisBehindLatest, records } = chunk;
-    if (continuationSequenceNumber !== undefined) {
-      await setCheckpoint(continuationSequenceNumber);
-      const recordsCount = records.length;
-      const msBehind = millisBehindLatest;
-      if (recordsCount > 0) {
-        logger.debug(`Got ${recordsCount} record(s) from "${shardId}" (${msBehind}ms behind)`);
-        pushToStream(null, { ...chunk, shardId });
+    const {
+      abort,
+      checkpointAfterProcessing,
+      logger,
+      markShardAsDepleted,
+      pushToStream,
+      setCheckpoint,
+      shardId,
+      timeoutId,
+      waitForRead
+    } = internal(this);
+    let settle;
+    internal(this).writing = new Promise((resolve) => {
+      settle = resolve;
+    });
+    try {
+      clearTimeout(timeoutId);
+      internal(this).timeoutId = setTimeout(abort, 10000);
+      const { continuationSequenceNumber, millisBehindLatest, records } = chunk;
+      if (continuationSequenceNumber !== undefined) {
+        const recordsCount = records.length;
+        const msBehind = millisBehindLatest;
+        const data = recordsCount > 0 ? { ...chunk, shardId } : null;
+        const isStored =
+          checkpointAfterProcessing || (await setCheckpoint(continuationSequenceNumber));
+        if (isStored && data) {
+          logger.debug(`Got ${recordsCount} record(s) from "${shardId}" (${msBehind}ms behind)`);
+          const hasCapacity = pushToStream(null, data);
+          if (checkpointAfterProcessing) this.checkpointInOrder(data, continuationSequenceNumber);
+          if (hasCapacity === false) {
+            clearTimeout(internal(this).timeoutId);
+            logger.debug(`Pausing the subscription to "${shardId}" until the records are read…`);
+            await waitForRead();
+            logger.debug(`Resuming the subscription to "${shardId}".`);
+            internal(this).timeoutId = setTimeout(abort, 10000);
+          }
+        } else if (checkpointAfterProcessing) {
+          this.checkpointInOrder(null, continuationSequenceNumber);
+        }
+        callback();
+      } else {
+        markShardAsDepleted();
       }
-      callback();
-    } else {
-      markShardAsDepleted();
+    } finally {
+      settle();
     }
   }
 }
@@ -232,38 +321,59 @@ class FanOutConsumer {
    * @param {Object} options - The initialization options.
    * @param {Object} options.awsOptions - The AWS.Kinesis options to use in the HTTP request.
    * @param {string} options.checkpoint - The last-known checkpoint for the stream shard.
+   * @param {boolean} [options.checkpointAfterProcessing] - Whether to store the checkpoints once
+   *        the records are processed instead of as soon as they're received.
    * @param {Object} options.client - An instance of the Kinesis client.
    * @param {string} options.compression - The kind of data compression to use with records.
    * @param {string} options.consumerArn - The ARN of the enhanced consumer as registered in AWS.
+   * @param {Object} [options.initialPosition] - Where to start reading the shard from when there's
+   *        no checkpoint, an object with `type`, and either `sequenceNumber` or `timestamp`. A
+   *        sequence number that doesn't belong to the shard is ignored in favor of the latest.
    * @param {string} options.leaseExpiration - The timestamp of the shard lease expiration.
    * @param {Object} options.logger - An instance of a logger.
    * @param {Function} options.pushToStream - A function to push incoming records to the consumer.
+   * @param {string} [options.resetId] - The ID of the last reset of the shard checkpoint.
+   * @param {Function} [options.sendToDeadLetter] - If provided, the records that can't be decoded
+   *        are sent to the dead-letter target through this function instead of being pushed.
    * @param {string} options.shardId - The ID of the stream shard to subscribe for records.
+   * @param {Object} [options.startingPosition] - The position the shard checkpoint was reset to,
+   *        if any. When present, it takes precedence over the initial position.
    * @param {Object} options.stateStore - An instance of the state store.
    * @param {Function} options.stopConsumer - A function that stops this consumer from the manager.
    * @param {string} options.streamName - The name of the Kinesis stream.
    *        user-intervention before polling for more records, or not.
    * @param {boolean} options.useS3ForLargeItems - Whether to automatically use an S3
    *        bucket to store large items or not.
+   * @param {Function} [options.waitForProcessing] - A function that returns a promise resolved
+   *        once the given records pushed to the consumer are processed.
+   * @param {Function} options.waitForRead - A function that returns a promise resolved once more
+   *        records can be pushed to the consumer.
    */
   constructor(options) {
     const {
       awsOptions,
       checkpoint,
+      checkpointAfterProcessing,
       client,
       compression,
       consumerArn,
+      initialPosition = { type: 'LATEST' },
       leaseExpiration,
       logger,
       pushToStream,
+      resetId,
       s3,
+      sendToDeadLetter,
       shardId,
       shouldDeaggregate,
       shouldParseJson,
+      startingPosition,
       stateStore,
       stopConsumer,
       streamName,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     } = options;
 
     const { endpoint = DEFAULT_KINESIS_ENDPOINT, region } = awsOptions;
@@ -288,17 +398,21 @@ class FanOutConsumer {
 
     Object.assign(internal(this), {
       checkpoint,
+      checkpointAfterProcessing,
       client,
       compression,
       consumerArn,
       expirationTimeoutId: null,
       httpClient,
+      initialPosition: startingPosition || initialPosition,
       leaseExpiration,
       logger,
       pushToStream,
       request: null,
+      resetId,
       retryPipeline: true,
       s3,
+      sendToDeadLetter,
       shardId,
       shouldDeaggregate,
       shouldParseJson,
@@ -306,7 +420,9 @@ class FanOutConsumer {
       stopConsumer,
       stream: null,
       streamName,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     });
   }
 
@@ -319,6 +435,7 @@ class FanOutConsumer {
   async start() {
     const privateProps = internal(this);
     const {
+      checkpointAfterProcessing,
       client,
       compression,
       consumerArn,
@@ -326,32 +443,25 @@ class FanOutConsumer {
       leaseExpiration,
       logger,
       pushToStream,
+      resetId,
       s3,
       s3Client,
+      sendToDeadLetter,
       shardId,
       shouldDeaggregate,
       shouldParseJson,
       stateStore,
       stopConsumer,
       streamName,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     } = privateProps;
 
     logger.debug(`Starting an enhanced fan-out subscriber for shard "${shardId}"…`);
 
     this.updateLeaseExpiration(leaseExpiration);
 
-    let shardsPath;
-    let shardsPathNames;
-
-    try {
-      ({ shardsPath, shardsPathNames } = await stateStore.getShardsData());
-    } catch (err) {
-      logger.warn("Can't start the consumer as the state can't be resolved:", err);
-      stopConsumer(shardId);
-      return;
-    }
-
     const requestFlags = {};
 
     const handleRequest = (req) => {
@@ -380,8 +490,14 @@ class FanOutConsumer {
     };
 
     const setCheckpoint = async (sequenceNumber) => {
-      await stateStore.storeShardCheckpoint(shardId, sequenceNumber, shardsPath, shardsPathNames);
+      const isStored = await stateStore.storeShardCheckpoint(shardId, sequenceNumber, resetId);
+      if (!isStored) {
+        logger.debug(`The checkpoint for "${shardId}" has been reset, stopping the consumer…`);
+        stopConsumer(shardId);
+        return false;
+      }
       privateProps.checkpoint = sequenceNumber;
+      return true;
     };
 
     const abort = () => {
@@ -402,16 +518,20 @@ class FanOutConsumer {
         await wait(5000);
       }
 
-      const { checkpoint } = privateProps;
+      const { checkpoint, initialPosition } = privateProps;
+      const { sequenceNumber, timestamp, type } = initialPosition;
 
       const stream = httpClient.stream({
         body: JSON.stringify({
           ConsumerARN: consumerArn,
           ShardId: shardId,
-          StartingPosition: {
-            ...(checkpoint && { SequenceNumber: checkpoint }),
-            Type: checkpoint ? 'AFTER_SEQUENCE_NUMBER' : 'LATEST'
-          }
+          StartingPosition: checkpoint
+            ? { SequenceNumber: checkpoint, Type: 'AFTER_SEQUENCE_NUMBER' }
+            : {
+                ...(sequenceNumber && { SequenceNumber: sequenceNumber }),
+                ...(timestamp && { Timestamp: new Date(timestamp).getTime() / 1000 }),
+                Type: type
+              }
         }),
         headers: { 'X-Amz-Target': AWS_API_TARGET },
         service: 'kinesis'
@@ -422,12 +542,16 @@ class FanOutConsumer {
 
       const postProcess = new PostProcess({
         abort,
+        checkpointAfterProcessing,
         logger,
         markShardAsDepleted,
         pushToStream,
         setCheckpoint,
-        shardId
+        shardId,
+        waitForProcessing,
+        waitForRead
       });
+      privateProps.postProcess = postProcess;
 
       try {
         const processes = [
@@ -437,6 +561,9 @@ class FanOutConsumer {
           new RecordsDecoder({
             compression,
             logger,
+            onDecodeError:
+              sendToDeadLetter &&
+              ((record, error) => sendToDeadLetter({ attempts: 1, error, record, shardId })),
             s3,
             s3Client,
             shouldParseJson,
@@ -451,6 +578,12 @@ class FanOutConsumer {
         await asyncPipeline(processes);
       } catch (err) {
         const { code, message, requestId, statusCode } = err;
+        if (code === 'InvalidArgumentException' && !checkpoint && type === 'AT_SEQUENCE_NUMBER') {
+          logger.warn(
+            `The initial position for "${streamName}/${shardId}" is invalid. Ignoring it.`
+          );
+          privateProps.initialPosition = { type: 'LATEST' };
+        }
         if (code !== 'ERR_STREAM_PREMATURE_CLOSE') {
           if (!shouldBailRetry(err) || code === 'ResourceInUseException') {
             logger.warn(
@@ -477,11 +610,15 @@ class FanOutConsumer {
   }
 
   /**
-   * Stops the internal stream pipeline.
+   * Stops the internal stream pipeline. The records being processed, if any, are still
+   * checkpointed once they're processed.
+   *
+   * @fulfil {undefined} - Once the records being written out of the pipeline are done.
+   * @returns {Promise}
    */
   stop() {
     const privateProps = internal(this);
-    const { expirationTimeoutId, request, stream } = privateProps;
+    const { expirationTimeoutId, postProcess, request, stream } = privateProps;
     if (request) {
       request.abort();
       privateProps.request = null;
@@ -493,6 +630,7 @@ class FanOutConsumer {
     }
     clearTimeout(expirationTimeoutId);
     privateProps.expirationTimeoutId = null;
+    return postProcess ? postProcess.waitForWrite() : Promise.resolve();
   }
 
   /**
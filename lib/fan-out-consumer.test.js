@@ -61,15 +61,13 @@ describe('lib/fan-out-consumer', () => {
   const warn = jest.fn();
   const logger = { debug, error, warn };
 
-  const getShardsData = jest.fn(() =>
-    Promise.resolve({ shardsPath: '#a', shardsPathNames: { '#a': 'a' } })
-  );
   const markShardAsDepleted = jest.fn();
-  const storeShardCheckpoint = jest.fn();
-  const stateStore = { getShardsData, markShardAsDepleted, storeShardCheckpoint };
+  const storeShardCheckpoint = jest.fn(() => Promise.resolve(true));
+  const stateStore = { markShardAsDepleted, storeShardCheckpoint };
 
   const pushToStream = jest.fn();
   const stopConsumer = jest.fn();
+  const waitForRead = jest.fn(() => Promise.resolve());
   const options = {
     awsOptions: { region: 'us-east-1' },
     checkpoint: null,
@@ -82,7 +80,8 @@ describe('lib/fan-out-consumer', () => {
     shardId: 'shard-0001',
     stateStore,
     stopConsumer,
-    streamName: 'test-stream'
+    streamName: 'test-stream',
+    waitForRead
   };
 
   beforeEach(() => {
@@ -94,12 +93,12 @@ describe('lib/fan-out-consumer', () => {
     aws.mockClear();
     debug.mockClear();
     error.mockClear();
-    getShardsData.mockClear();
     got.mockClear();
     markShardAsDepleted.mockClear();
     pushToStream.mockClear();
     stopConsumer.mockClear();
     storeShardCheckpoint.mockClear();
+    waitForRead.mockClear();
     warn.mockClear();
     stats.reportError.mockClear();
     stats.reportResponse.mockClear();
@@ -205,7 +204,7 @@ describe('lib/fan-out-consumer', () => {
     expect(setTimeout).toHaveBeenNthCalledWith(1, expect.any(Function), expect.any(Number));
     expect(setTimeout).toHaveBeenNthCalledWith(2, expect.any(Function), 10000);
 
-    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', '#a', { '#a': 'a' });
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', undefined);
 
     expect(debug).toHaveBeenCalledTimes(3);
     expect(debug).toHaveBeenNthCalledWith(
@@ -227,6 +226,215 @@ describe('lib/fan-out-consumer', () => {
     expect(stats.reportError).not.toHaveBeenCalled();
   });
 
+  test('the records that cannot be decoded are sent to the dead-letter', async () => {
+    const sendToDeadLetter = jest.fn(() => Promise.resolve());
+    const consumer = new FanOutConsumer({ ...options, sendToDeadLetter });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    await nextTickWait();
+    const [[{ onDecodeError }]] = records.RecordsDecoder.mock.calls;
+    const decodeError = new Error('foo');
+    await onDecodeError({ data: 'Zm9v', sequenceNumber: '1' }, decodeError);
+    expect(sendToDeadLetter).toHaveBeenCalledWith({
+      attempts: 1,
+      error: decodeError,
+      record: { data: 'Zm9v', sequenceNumber: '1' },
+      shardId: 'shard-0001'
+    });
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+  });
+
+  test('the pipeline stops acknowledging records until they are read if the stream is full', async () => {
+    let resumeSubscription;
+    waitForRead.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resumeSubscription = resolve;
+        })
+    );
+    pushToStream.mockImplementationOnce(() => false);
+    const consumer = new FanOutConsumer(options);
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    ['2', '3'].forEach((continuationSequenceNumber) => {
+      response.push({ continuationSequenceNumber, millisBehindLatest: 0, records: [{}] });
+    });
+
+    await nextTickWait();
+    expect(waitForRead).toHaveBeenCalledTimes(1);
+    expect(storeShardCheckpoint).toHaveBeenCalledTimes(1);
+    expect(debug).toHaveBeenCalledWith(
+      'Pausing the subscription to "shard-0001" until the records are read…'
+    );
+
+    resumeSubscription();
+    await nextTickWait();
+    expect(debug).toHaveBeenCalledWith('Resuming the subscription to "shard-0001".');
+    expect(storeShardCheckpoint).toHaveBeenCalledTimes(2);
+    expect(pushToStream).toHaveBeenCalledTimes(2);
+
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+  });
+
+  test('the checkpoints are stored once the records are processed if requested', async () => {
+    let markAsProcessed;
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markAsProcessed = resolve;
+        })
+    );
+    const consumer = new FanOutConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    [
+      { continuationSequenceNumber: '2', millisBehindLatest: 0, records: [{}] },
+      { continuationSequenceNumber: '3', millisBehindLatest: 0, records: [] }
+    ].forEach((chunk) => response.push(chunk));
+
+    await nextTickWait();
+    const data = { continuationSequenceNumber: '2', millisBehindLatest: 0, records: [{}] };
+    expect(pushToStream).toHaveBeenCalledWith(null, { ...data, shardId: 'shard-0001' });
+    expect(waitForProcessing).toHaveBeenCalledWith({ ...data, shardId: 'shard-0001' });
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+
+    markAsProcessed(true);
+    await nextTickWait();
+    expect(storeShardCheckpoint).toHaveBeenNthCalledWith(1, 'shard-0001', '2', undefined);
+    expect(storeShardCheckpoint).toHaveBeenNthCalledWith(2, 'shard-0001', '3', undefined);
+    expect(pushToStream).toHaveBeenCalledTimes(1);
+    expect(waitForProcessing).toHaveBeenCalledTimes(1);
+
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+  });
+
+  test('stopping the consumer waits for the records being processed', async () => {
+    let markAsProcessed;
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markAsProcessed = resolve;
+        })
+    );
+    const consumer = new FanOutConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    response.push({ continuationSequenceNumber: '2', millisBehindLatest: 0, records: [{}] });
+    await nextTickWait();
+
+    let isStopped = false;
+    const stop = consumer.stop().then(() => {
+      isStopped = true;
+      return undefined;
+    });
+    await nextTickWait();
+    expect(isStopped).toBe(false);
+    markAsProcessed(true);
+    await stop;
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', undefined);
+    await start;
+  });
+
+  test("the checkpoints aren't stored if the records won't be processed", async () => {
+    const waitForProcessing = jest.fn(() => Promise.resolve(false));
+    const consumer = new FanOutConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    response.push({ continuationSequenceNumber: '2', millisBehindLatest: 0, records: [{}] });
+    await nextTickWait();
+    await consumer.stop();
+    expect(waitForProcessing).toHaveBeenCalledTimes(1);
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+    await start;
+  });
+
+  test('the errors while storing checkpoints after processing are pushed', async () => {
+    const err = new Error('foo');
+    storeShardCheckpoint.mockRejectedValueOnce(err);
+    const consumer = new FanOutConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing: jest.fn(() => Promise.resolve(true))
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    response.push({ continuationSequenceNumber: '2', millisBehindLatest: 0, records: [{}] });
+    await nextTickWait();
+    await consumer.stop();
+    expect(error).toHaveBeenCalledWith(err);
+    expect(pushToStream).toHaveBeenCalledWith(err);
+    await start;
+  });
+
+  test('no more checkpoints are stored after one is reset', async () => {
+    storeShardCheckpoint.mockResolvedValueOnce(false);
+    const consumer = new FanOutConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing: jest.fn(() => Promise.resolve(true))
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    ['2', '3'].forEach((continuationSequenceNumber) => {
+      response.push({ continuationSequenceNumber, millisBehindLatest: 0, records: [{}] });
+    });
+    await nextTickWait();
+    await consumer.stop();
+    expect(storeShardCheckpoint).toHaveBeenCalledTimes(1);
+    expect(stopConsumer).toHaveBeenCalledWith('shard-0001');
+    await start;
+  });
+
   test('the shard checkpoint is used as the starting point if available', async () => {
     const consumer = new FanOutConsumer({ ...options, checkpoint: '1' });
     const start = consumer.start();
@@ -255,6 +463,104 @@ describe('lib/fan-out-consumer', () => {
     });
   });
 
+  test('the initial position is used as the starting point if there is no checkpoint', async () => {
+    const initialPosition = { timestamp: new Date('2019-01-01'), type: 'AT_TIMESTAMP' };
+    const consumer = new FanOutConsumer({ ...options, initialPosition });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response, stream } = got.getMocks();
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+    expect(stream).toHaveBeenCalledWith({
+      body: JSON.stringify({
+        ConsumerARN: 'arn:enhanced-consumer',
+        ShardId: 'shard-0001',
+        StartingPosition: { Timestamp: 1546300800, Type: 'AT_TIMESTAMP' }
+      }),
+      headers: { 'X-Amz-Target': 'Kinesis_20131202.SubscribeToShard' },
+      service: 'kinesis'
+    });
+  });
+
+  test('an initial sequence number is used as the starting point if there is no checkpoint', async () => {
+    const initialPosition = { sequenceNumber: '3', type: 'AT_SEQUENCE_NUMBER' };
+    const consumer = new FanOutConsumer({ ...options, initialPosition });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response, stream } = got.getMocks();
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+    expect(stream).toHaveBeenCalledWith({
+      body: JSON.stringify({
+        ConsumerARN: 'arn:enhanced-consumer',
+        ShardId: 'shard-0001',
+        StartingPosition: { SequenceNumber: '3', Type: 'AT_SEQUENCE_NUMBER' }
+      }),
+      headers: { 'X-Amz-Target': 'Kinesis_20131202.SubscribeToShard' },
+      service: 'kinesis'
+    });
+  });
+
+  test('an initial sequence number from another shard is ignored in favor of the latest', async () => {
+    const initialPosition = { sequenceNumber: '3', type: 'AT_SEQUENCE_NUMBER' };
+    const consumer = new FanOutConsumer({ ...options, initialPosition });
+    const start = consumer.start();
+    await nextTickWait();
+    let { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/json' },
+      statusCode: 400
+    });
+    response.push(
+      JSON.stringify({
+        __type: 'InvalidArgumentException',
+        message: 'Invalid StartingSequenceNumber'
+      })
+    );
+    await nextTickWait();
+    await nextTickWait();
+    const gotMocks = got.getMocks();
+    ({ response } = gotMocks);
+    const { stream } = gotMocks;
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+    expect(stream).toHaveBeenCalledTimes(2);
+    expect(stream).toHaveBeenNthCalledWith(2, {
+      body: JSON.stringify({
+        ConsumerARN: 'arn:enhanced-consumer',
+        ShardId: 'shard-0001',
+        StartingPosition: { Type: 'LATEST' }
+      }),
+      headers: { 'X-Amz-Target': 'Kinesis_20131202.SubscribeToShard' },
+      service: 'kinesis'
+    });
+    expect(warn).toHaveBeenCalledWith(
+      'The initial position for "test-stream/shard-0001" is invalid. Ignoring it.'
+    );
+  });
+
+  test('the position a checkpoint was reset to takes precedence over the initial one', async () => {
+    const consumer = new FanOutConsumer({
+      ...options,
+      initialPosition: { type: 'TRIM_HORIZON' },
+      startingPosition: { timestamp: '2019-01-01T00:00:00.000Z', type: 'AT_TIMESTAMP' }
+    });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response, stream } = got.getMocks();
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+    expect(stream).toHaveBeenCalledWith({
+      body: JSON.stringify({
+        ConsumerARN: 'arn:enhanced-consumer',
+        ShardId: 'shard-0001',
+        StartingPosition: { Timestamp: 1546300800, Type: 'AT_TIMESTAMP' }
+      }),
+      headers: { 'X-Amz-Target': 'Kinesis_20131202.SubscribeToShard' },
+      service: 'kinesis'
+    });
+  });
+
   test('non event stream responses are reported as errors', async () => {
     const consumer = new FanOutConsumer(options);
     const start = consumer.start();
@@ -291,21 +597,6 @@ describe('lib/fan-out-consumer', () => {
     expect(stats.reportError).toHaveBeenCalledWith('kinesis', { statusCode: 500 }, 'test-stream');
   });
 
-  test("the consumer is stopped when the shards state can't be resolved on start", async () => {
-    const consumer = new FanOutConsumer(options);
-    getShardsData.mockImplementationOnce(() => {
-      throw new Error('foo');
-    });
-    await consumer.start();
-    expect(warn).toHaveBeenCalledTimes(1);
-    expect(warn).toHaveBeenNthCalledWith(
-      1,
-      "Can't start the consumer as the state can't be resolved:",
-      expect.objectContaining({ message: 'foo' })
-    );
-    expect(stopConsumer).toHaveBeenCalledWith('shard-0001');
-  });
-
   test('an empty array of records in the stream is not pushed outside the pipeline', async () => {
     const consumer = new FanOutConsumer({ ...options, shouldDeaggregate: true });
     const start = consumer.start();
@@ -323,7 +614,7 @@ describe('lib/fan-out-consumer', () => {
     await nextTickWait();
     response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
     await start;
-    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', '#a', { '#a': 'a' });
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', undefined);
     expect(debug).toHaveBeenNthCalledWith(2, 'Subscription to shard is successful.');
     expect(debug).toHaveBeenCalledTimes(2);
     expect(pushToStream).toHaveBeenCalledTimes(1);
@@ -331,6 +622,33 @@ describe('lib/fan-out-consumer', () => {
     expect(stats.reportError).not.toHaveBeenCalled();
   });
 
+  test("records aren't pushed outside the pipeline if the checkpoint has been reset", async () => {
+    storeShardCheckpoint.mockResolvedValueOnce(false);
+    const consumer = new FanOutConsumer({ ...options, resetId: '0001' });
+    const start = consumer.start();
+    await nextTickWait();
+    const { response } = got.getMocks();
+    response.emit('response', {
+      headers: { 'content-type': 'application/vnd.amazon.eventstream' },
+      statusCode: 200
+    });
+    response.push({
+      continuationSequenceNumber: '2',
+      millisBehindLatest: 0,
+      records: [{ foo: 'bar' }]
+    });
+    await nextTickWait();
+    response.emit('error', Object.assign(new Error('foo'), { code: 'ValidationException' }));
+    await start;
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shard-0001', '2', '0001');
+    expect(stopConsumer).toHaveBeenCalledWith('shard-0001');
+    expect(debug).toHaveBeenNthCalledWith(
+      3,
+      'The checkpoint for "shard-0001" has been reset, stopping the consumer…'
+    );
+    expect(pushToStream).toHaveBeenCalledTimes(1);
+  });
+
   test("a shard is marked as depleted if there's no continuation sequence number", async () => {
     const consumer = new FanOutConsumer(options);
     const start = consumer.start();
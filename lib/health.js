@@ -0,0 +1,114 @@
+/**
+ * Module that checks the health of a consumer, and that serves the result of the checks over HTTP
+ * so it can be used as a readiness or liveness probe. A consumer is healthy when:
+ *
+ * - The last heartbeat succeeded and it was sent recently.
+ * - The lease acquisition loop completed an attempt recently.
+ * - None of the shards leased by the consumer stalled, that is, there are records to read from
+ *   the shard but none have been consumed recently.
+ * - There's been a successful response from AWS recently.
+ *
+ * @module health
+ * @private
+ */
+
+'use strict';
+
+const http = require('http');
+
+/**
+ * Tells whether a timestamp is within the given timeout from now.
+ *
+ * @param {Date|number} [timestamp] - The timestamp to check.
+ * @param {number} timeout - The timeout in milliseconds.
+ * @returns {boolean} `true` if there's a timestamp and it's recent enough, `false` otherwise.
+ * @private
+ */
+function isRecent(timestamp, timeout) {
+  return Boolean(timestamp) && Date.now() - new Date(timestamp).getTime() <= timeout;
+}
+
+/**
+ * Checks the health of a consumer.
+ *
+ * @param {Object} params - The parameters.
+ * @param {string} params.consumerId - The ID of the consumer.
+ * @param {Object} params.heartbeat - The status of the heartbeat manager, with the time of the
+ *        `lastHeartbeat` and whether the `lastHeartbeatFailed`.
+ * @param {Object} params.leases - The status of the lease manager, with the time of the
+ *        `lastAcquisition` attempt.
+ * @param {Object} params.stats - The stats of the stream as returned by the stats module.
+ * @param {number} params.timeout - The time in milliseconds after which the heartbeats, the lease
+ *        acquisition attempts, the consumption of the shards, or the AWS responses are too old.
+ * @returns {Object} The result of the checks (`aws`, `heartbeat`, `leases`, and `shards`), each
+ *          with an `isHealthy` flag, and an overall `isHealthy` flag.
+ * @memberof module:health
+ */
+function checkHealth({ consumerId, heartbeat, leases, stats, timeout }) {
+  const { lastHeartbeat = null, lastHeartbeatFailed = false } = heartbeat;
+  const { lastAcquisition = null } = leases;
+  const { kinesis: { shards = {} } = {}, lastAwsResponse = null } = stats;
+
+  const stalledShards = Object.keys(shards).filter((shardId) => {
+    const { lastRecordConsumed, leaseOwner, millisBehindLatest } = shards[shardId];
+    return (
+      leaseOwner === consumerId && millisBehindLatest > 0 && !isRecent(lastRecordConsumed, timeout)
+    );
+  });
+
+  const checks = {
+    aws: { isHealthy: isRecent(lastAwsResponse, timeout), lastAwsResponse },
+    heartbeat: {
+      isHealthy: !lastHeartbeatFailed && isRecent(lastHeartbeat, timeout),
+      lastHeartbeat,
+      lastHeartbeatFailed
+    },
+    leases: { isHealthy: isRecent(lastAcquisition, timeout), lastAcquisition },
+    shards: { isHealthy: stalledShards.length === 0, stalledShards }
+  };
+
+  return { checks, isHealthy: Object.values(checks).every(({ isHealthy }) => isHealthy) };
+}
+
+/**
+ * Starts an HTTP listener that responds to any request with the health of the consumer, as JSON,
+ * with a 200 status code if the consumer is healthy, or with a 503 status code if it isn't.
+ *
+ * @param {Object} params - The parameters.
+ * @param {Function} params.getHealth - A function that returns the health of the consumer.
+ * @param {Object} params.logger - An instance of a logger.
+ * @param {number} params.port - The port to listen on.
+ * @fulfil {Object} - The instance of `http.Server`, once it's listening.
+ * @reject {Error} - If the listener can't be started (i.e. the port is in use).
+ * @returns {Promise}
+ * @memberof module:health
+ */
+function startHealthServer({ getHealth, logger, port }) {
+  const server = http.createServer((req, res) => {
+    const health = getHealth();
+    res.writeHead(health.isHealthy ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(health));
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.removeListener('error', reject);
+      logger.debug(`The health checks are being served on port ${server.address().port}.`);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Stops an HTTP listener started with `startHealthServer`.
+ *
+ * @param {Object} server - The instance of `http.Server`.
+ * @fulfil {undefined} - Once the listener is closed.
+ * @returns {Promise}
+ * @memberof module:health
+ */
+function stopHealthServer(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+module.exports = { checkHealth, startHealthServer, stopHealthServer };
@@ -0,0 +1,136 @@
+'use strict';
+
+const http = require('http');
+
+const { checkHealth, startHealthServer, stopHealthServer } = require('./health');
+
+function getResponse(port) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: 'localhost', port }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve({ body: JSON.parse(body), statusCode: res.statusCode }));
+      })
+      .on('error', reject);
+  });
+}
+
+describe('lib/health', () => {
+  const debug = jest.fn();
+  const logger = { debug };
+  const timeout = 60000;
+
+  function getParams(overrides = {}) {
+    const now = new Date();
+    return {
+      consumerId: 'foo',
+      heartbeat: { lastHeartbeat: now, lastHeartbeatFailed: false },
+      leases: { lastAcquisition: now },
+      stats: { kinesis: { shards: {} }, lastAwsResponse: now },
+      timeout,
+      ...overrides
+    };
+  }
+
+  afterEach(() => {
+    debug.mockClear();
+  });
+
+  test('the module exports the expected', () => {
+    expect(checkHealth).toEqual(expect.any(Function));
+    expect(startHealthServer).toEqual(expect.any(Function));
+    expect(stopHealthServer).toEqual(expect.any(Function));
+  });
+
+  test('a consumer with recent heartbeats, acquisitions, and responses is healthy', () => {
+    const params = getParams();
+    const { lastAcquisition } = params.leases;
+    expect(checkHealth(params)).toEqual({
+      checks: {
+        aws: { isHealthy: true, lastAwsResponse: lastAcquisition },
+        heartbeat: { isHealthy: true, lastHeartbeat: lastAcquisition, lastHeartbeatFailed: false },
+        leases: { isHealthy: true, lastAcquisition },
+        shards: { isHealthy: true, stalledShards: [] }
+      },
+      isHealthy: true
+    });
+  });
+
+  test("a consumer that hasn't started isn't healthy", () => {
+    expect(checkHealth({ heartbeat: {}, leases: {}, stats: {}, timeout })).toEqual({
+      checks: {
+        aws: { isHealthy: false, lastAwsResponse: null },
+        heartbeat: { isHealthy: false, lastHeartbeat: null, lastHeartbeatFailed: false },
+        leases: { isHealthy: false, lastAcquisition: null },
+        shards: { isHealthy: true, stalledShards: [] }
+      },
+      isHealthy: false
+    });
+  });
+
+  test('a consumer with failed or old heartbeats, acquisitions, or responses is unhealthy', () => {
+    const old = new Date(Date.now() - timeout - 1000);
+    const failedHeartbeat = { lastHeartbeat: new Date(), lastHeartbeatFailed: true };
+    expect(checkHealth(getParams({ heartbeat: failedHeartbeat })).isHealthy).toBe(false);
+    const oldHeartbeat = { lastHeartbeat: old, lastHeartbeatFailed: false };
+    expect(checkHealth(getParams({ heartbeat: oldHeartbeat })).isHealthy).toBe(false);
+    const oldAcquisition = { lastAcquisition: old };
+    expect(checkHealth(getParams({ leases: oldAcquisition })).isHealthy).toBe(false);
+    const oldResponse = { lastAwsResponse: old };
+    expect(checkHealth(getParams({ stats: oldResponse })).checks.aws.isHealthy).toBe(false);
+  });
+
+  test('the leased shards with records to read but none consumed recently are stalled', () => {
+    const old = new Date(Date.now() - timeout - 1000);
+    const shards = {
+      'shard-0000': { lastRecordConsumed: old, leaseOwner: 'foo', millisBehindLatest: 1000 },
+      'shard-0001': { lastRecordConsumed: old, leaseOwner: 'foo', millisBehindLatest: 0 },
+      'shard-0002': { lastRecordConsumed: old, leaseOwner: 'bar', millisBehindLatest: 1000 },
+      'shard-0003': { lastRecordConsumed: new Date(), leaseOwner: 'foo', millisBehindLatest: 1 }
+    };
+    const params = getParams({ stats: { kinesis: { shards }, lastAwsResponse: new Date() } });
+    expect(checkHealth(params)).toEqual(
+      expect.objectContaining({
+        checks: expect.objectContaining({
+          shards: { isHealthy: false, stalledShards: ['shard-0000'] }
+        }),
+        isHealthy: false
+      })
+    );
+  });
+
+  test('the health server responds with the health of the consumer', async () => {
+    const getHealth = jest.fn(() => ({ isHealthy: true }));
+    const server = await startHealthServer({ getHealth, logger, port: 0 });
+    try {
+      const { port } = server.address();
+      expect(debug).toHaveBeenCalledWith(`The health checks are being served on port ${port}.`);
+      await expect(getResponse(port)).resolves.toEqual({
+        body: { isHealthy: true },
+        statusCode: 200
+      });
+      getHealth.mockReturnValueOnce({ isHealthy: false });
+      await expect(getResponse(port)).resolves.toEqual({
+        body: { isHealthy: false },
+        statusCode: 503
+      });
+    } finally {
+      await stopHealthServer(server);
+    }
+    expect(server.listening).toBe(false);
+  });
+
+  test('the health server fails to start if the port is in use', async () => {
+    const getHealth = jest.fn();
+    const server = await startHealthServer({ getHealth, logger, port: 0 });
+    try {
+      const { port } = server.address();
+      await expect(startHealthServer({ getHealth, logger, port })).rejects.toThrow('EADDRINUSE');
+    } finally {
+      await stopHealthServer(server);
+    }
+  });
+});
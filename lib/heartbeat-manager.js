@@ -3,7 +3,8 @@
  * will also keep storing a hearbeat in the shared stream state and will detect old clients.
  * Clients are considered as old when they miss a given number of hartbeats (currently 3). Old
  * clients are removed from the state and any shard leases or enhanced fan-out consumers in use by
- * those clients will get released.
+ * those clients will get released. Old standalone clients with an instance name are kept for a week
+ * so the next run of the same instance can resume from their checkpoints.
  *
  * @module heartbeat-manager
  * @private
@@ -13,6 +14,7 @@
 
 const HEARTBEAT_INTERVAL = 20 * 1000;
 const HEARTBEAT_FAILURE_TIMEOUT = HEARTBEAT_INTERVAL * 2;
+const STALE_INSTANCE_TIMEOUT = 7 * 24 * 60 * 60 * 1000;
 
 const privateData = new WeakMap();
 
@@ -42,7 +44,23 @@ class HeartbeatManager {
    * @param {Object} options.stateStore - An instance of the state store.
    */
   constructor({ logger, stateStore }) {
-    Object.assign(internal(this), { logger, stateStore });
+    Object.assign(internal(this), {
+      lastHeartbeat: null,
+      lastHeartbeatFailed: false,
+      logger,
+      stateStore
+    });
+  }
+
+  /**
+   * Returns the status of the heartbeats, for the health checks of the client.
+   *
+   * @returns {Object} An object with the time of the `lastHeartbeat` that succeeded, and whether
+   *          the `lastHeartbeatFailed` or not.
+   */
+  getStatus() {
+    const { lastHeartbeat, lastHeartbeatFailed } = internal(this);
+    return { lastHeartbeat, lastHeartbeatFailed };
   }
 
   /**
@@ -57,29 +75,42 @@ class HeartbeatManager {
     const { logger, stateStore, timeoutId } = privateProps;
 
     if (timeoutId) return;
+    privateProps.isStopped = false;
 
     const heartbeat = async () => {
       try {
         await stateStore.registerConsumer();
-        await stateStore.clearOldConsumers(HEARTBEAT_FAILURE_TIMEOUT);
+        await stateStore.clearOldConsumers(HEARTBEAT_FAILURE_TIMEOUT, STALE_INSTANCE_TIMEOUT);
+        Object.assign(privateProps, { lastHeartbeat: new Date(), lastHeartbeatFailed: false });
         logger.debug('Heartbeat sent.');
       } catch (err) {
+        privateProps.lastHeartbeatFailed = true;
         logger.error('Unexpected recoverable failure when trying to send a hearbeat:', err);
       }
-      privateProps.timeoutId = setTimeout(heartbeat, HEARTBEAT_INTERVAL);
+      if (internal(this).isStopped) return;
+      privateProps.timeoutId = setTimeout(() => {
+        privateProps.heartbeat = heartbeat();
+      }, HEARTBEAT_INTERVAL);
     };
 
-    await heartbeat();
+    const firstHeartbeat = heartbeat();
+    privateProps.heartbeat = firstHeartbeat;
+    await firstHeartbeat;
   }
 
   /**
    * Stops the hearbeat interval.
+   *
+   * @fulfil {undefined} - Once the heartbeat in progress, if any, is done.
+   * @returns {Promise}
    */
   stop() {
     const privateProps = internal(this);
-    const { timeoutId } = privateProps;
+    const { heartbeat, timeoutId } = privateProps;
     clearTimeout(timeoutId);
+    privateProps.isStopped = true;
     privateProps.timeoutId = null;
+    return Promise.resolve(heartbeat);
   }
 }
 
@@ -35,7 +35,7 @@ describe('lib/heartbeat-manager', () => {
     await manager.start();
     jest.runOnlyPendingTimers();
     await nextTickWait();
-    expect(clearOldConsumers).toHaveBeenCalledWith(expect.any(Number));
+    expect(clearOldConsumers).toHaveBeenCalledWith(40000, 604800000);
     expect(clearOldConsumers).toHaveBeenCalledTimes(2);
     expect(registerConsumer).toHaveBeenCalled();
     expect(registerConsumer).toHaveBeenCalledTimes(2);
@@ -103,4 +103,37 @@ describe('lib/heartbeat-manager', () => {
     );
     expect(error).toHaveBeenCalledTimes(1);
   });
+
+  test('the heartbeat manager reports the status of the last heartbeat', async () => {
+    const manager = new HeartbeatManager({ logger, stateStore });
+    expect(manager.getStatus()).toEqual({ lastHeartbeat: null, lastHeartbeatFailed: false });
+    registerConsumer.mockRejectedValueOnce(new Error('foo'));
+    await manager.start();
+    expect(manager.getStatus()).toEqual({ lastHeartbeat: null, lastHeartbeatFailed: true });
+    jest.runOnlyPendingTimers();
+    await nextTickWait();
+    expect(manager.getStatus()).toEqual({
+      lastHeartbeat: expect.any(Date),
+      lastHeartbeatFailed: false
+    });
+    manager.stop();
+  });
+
+  test('stopping the heartbeat manager waits for the heartbeat in progress', async () => {
+    const manager = new HeartbeatManager({ logger, stateStore });
+    let register;
+    registerConsumer.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          register = resolve;
+        })
+    );
+    const start = manager.start();
+    const stop = manager.stop();
+    register();
+    await expect(stop).resolves.toBeUndefined();
+    await start;
+    expect(clearOldConsumers).toHaveBeenCalledTimes(1);
+    expect(setTimeout).not.toHaveBeenCalled();
+  });
 });
@@ -10,11 +10,16 @@ const projectName = require('project-name');
 const { PassThrough } = require('stream');
 const { generate } = require('short-uuid');
 
+const Admin = require('./admin');
 const ConsumersManager = require('./consumers-manager');
 const HeartbeatManager = require('./heartbeat-manager');
 const KinesisClient = require('./kinesis-client');
+const LocalStateStore = require('./local-state-store');
 const S3Client = require('./s3-client');
 const LeaseManager = require('./lease-manager');
+const Producer = require('./producer');
+const PrometheusMetrics = require('./prometheus-metrics');
+const RecordProcessor = require('./record-processor');
 const StateStore = require('./state-store');
 const RecordsModule = require('./records');
 const {
@@ -22,17 +27,25 @@ const {
   confirmBucketTags,
   ensureBucketExists
 } = require('./bucket');
-const { getStats, reportRecordConsumed } = require('./stats');
+const { checkHealth, startHealthServer, stopHealthServer } = require('./health');
+const { STATE_STORE_METHODS } = require('./constants');
+const { getStats, reportRecordConsumed, reportShardConsumption } = require('./stats');
 const { name: moduleName } = require('../package.json');
 const {
   confirmStreamTags,
   ensureStreamEncription,
   ensureStreamExists,
   getEnhancedConsumers,
+  getShardsHashKeyRanges,
+  getStreamShards,
   registerEnhancedConsumer
 } = require('./stream');
 
 const MAX_ENHANCED_CONSUMER_PER_CREATION = 5;
+const MAX_PUT_RECORDS_BYTES = 5 * 1024 * 1024;
+const MAX_PUT_RECORDS_SIZE = 500;
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+const SIMPLE_INITIAL_POSITIONS = new Set(['LATEST', 'TRIM_HORIZON']);
 
 const privateData = new WeakMap();
 
@@ -59,18 +72,18 @@ function internal(instance) {
  */
 async function ensureStreamInitialized(instance, streamName) {
   const privateProps = internal(instance);
-  const { compression, logger, s3, useS3ForLargeItems } = privateProps;
+  const { compression, deadLetter, logger, metrics, retry, s3, useS3ForLargeItems } = privateProps;
 
   let params;
-  let s3Client;
+  let { s3Client } = privateProps;
 
   if (!streamName || streamName === privateProps.streamName) {
     const { streamArn, streamCreatedOn } = await ensureStreamExists(privateProps);
     Object.assign(privateProps, { streamArn, streamCreatedOn });
     params = privateProps;
 
-    if (useS3ForLargeItems) {
-      s3Client = useS3ForLargeItems && new S3Client({ ...s3, logger });
+    if (useS3ForLargeItems || (deadLetter && deadLetter.useS3)) {
+      s3Client = new S3Client({ ...s3, logger, metrics, retry });
       const { bucketName, tags: s3Tags } = s3;
       await ensureBucketExists({ bucketName, client: s3Client, logger });
       await confirmBucketTags({ bucketName, client: s3Client, logger, tags: s3Tags });
@@ -81,6 +94,7 @@ async function ensureStreamInitialized(instance, streamName) {
         streamName: params.streamName
       });
     }
+    privateProps.s3Client = s3Client;
   } else {
     params = { ...privateProps, streamName };
     await ensureStreamExists(params);
@@ -89,8 +103,6 @@ async function ensureStreamInitialized(instance, streamName) {
   if (encryption) await ensureStreamEncription(params);
   if (tags) await confirmStreamTags(params);
 
-  privateProps.s3Client = s3Client;
-
   privateProps.recordsEncoder = RecordsModule.getRecordsEncoder({
     compression,
     outputEncoding: 'Buffer',
@@ -101,6 +113,60 @@ async function ensureStreamInitialized(instance, streamName) {
   });
 }
 
+/**
+ * Creates the store of the shared state of the consumers, either the one backed by DynamoDB or the
+ * one returned by the factory given in the `stateStore` option, which is checked to implement all
+ * the methods used by the client. The state store isn't started.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the call originated from.
+ * @returns {Object} The state store.
+ * @private
+ */
+function createStateStore(instance) {
+  const privateProps = internal(instance);
+  const { logger, stateStoreFactory } = privateProps;
+  if (!stateStoreFactory) return new StateStore(privateProps);
+
+  const {
+    capacityWeight,
+    consumerGroup,
+    consumerId,
+    emitEvent,
+    instanceName,
+    maxLeases,
+    shardFilter,
+    streamCreatedOn,
+    streamName,
+    useAutoShardAssignment,
+    useEnhancedFanOut,
+    useItemPerShard
+  } = privateProps;
+  const stateStore = stateStoreFactory({
+    capacityWeight,
+    consumerGroup,
+    consumerId,
+    emitEvent,
+    instanceName,
+    logger,
+    maxLeases,
+    shardFilter,
+    streamCreatedOn,
+    streamName,
+    useAutoShardAssignment,
+    useEnhancedFanOut,
+    useItemPerShard
+  });
+  const missingMethod = STATE_STORE_METHODS.find(
+    (method) => !stateStore || typeof stateStore[method] !== 'function'
+  );
+  if (missingMethod) {
+    const errorMsg = `The state store is missing the "${missingMethod}" method.`;
+    logger.error(errorMsg);
+    throw new TypeError(errorMsg);
+  }
+  return stateStore;
+}
+
 /**
  * If the `useEnhancedFanOut` option is enabled, this function will be called to prepare for the
  * automated distribution of the enhanced fan-out consumers into the consumers of this module on
@@ -168,6 +234,110 @@ async function setUpEnhancedConsumers(instance) {
   );
 }
 
+/**
+ * Normalizes the initial position option into an object with `type` and, depending on the type,
+ * either `sequenceNumber` or `timestamp` (as a date). The option can be given as a string for the
+ * `LATEST` and `TRIM_HORIZON` types, or as an object for any of the supported types.
+ *
+ * @param {string|Object} initialPosition - The initial position as provided in the options.
+ * @returns {Object} The normalized initial position, `null` if the given one is invalid.
+ * @private
+ */
+function getInitialPosition(initialPosition) {
+  const { sequenceNumber, timestamp, type } =
+    typeof initialPosition === 'string' ? { type: initialPosition } : initialPosition || {};
+  if (type === 'AT_SEQUENCE_NUMBER') {
+    return typeof sequenceNumber === 'string' && sequenceNumber ? { sequenceNumber, type } : null;
+  }
+  if (type === 'AT_TIMESTAMP') {
+    const date = new Date(timestamp);
+    return timestamp != null && !Number.isNaN(date.getTime()) ? { timestamp: date, type } : null;
+  }
+  return SIMPLE_INITIAL_POSITIONS.has(type) ? { type } : null;
+}
+
+/**
+ * Tells whether a value is a list of shard IDs.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if the value is an array of strings, `false` otherwise.
+ * @private
+ */
+function isShardIdsList(value) {
+  return Array.isArray(value) && value.every((id) => typeof id === 'string');
+}
+
+/**
+ * Normalizes the options that pin a consumer to a subset of the stream shards into a shard filter
+ * with an allow-list of `shardIds`, a deny-list of `excludedShardIds`, and a `hashKeyRange`.
+ *
+ * @param {Object} options - The options of the client.
+ * @param {Array<string>} [options.excludedShardIds] - The IDs of the shards not to read from.
+ * @param {Object} [options.hashKeyRange] - The range of hash keys of the shards to read from.
+ * @param {Array<string>} [options.shardIds] - The IDs of the shards to read from.
+ * @returns {Object} The shard filter, `null` if the consumer isn't pinned to a subset of shards.
+ * @throws {TypeError} If any of the options is invalid.
+ * @private
+ */
+function getShardFilter({ excludedShardIds, hashKeyRange, shardIds }) {
+  if (shardIds != null && !isShardIdsList(shardIds)) {
+    throw new TypeError('The "shardIds" option is invalid.');
+  }
+  if (excludedShardIds != null && !isShardIdsList(excludedShardIds)) {
+    throw new TypeError('The "excludedShardIds" option is invalid.');
+  }
+  const { endingHashKey, startingHashKey } = hashKeyRange || {};
+  const hashKeys = [String(startingHashKey), String(endingHashKey)];
+  if (hashKeyRange != null && !hashKeys.every((key) => /^\d+$/.test(key))) {
+    throw new TypeError('The "hashKeyRange" option is invalid.');
+  }
+  if (!shardIds && !excludedShardIds && !hashKeyRange) return null;
+  return {
+    excludedShardIds: excludedShardIds || [],
+    hashKeyRange: hashKeyRange
+      ? { endingHashKey: hashKeys[1], startingHashKey: hashKeys[0] }
+      : null,
+    shardIds: shardIds || null
+  };
+}
+
+/**
+ * Returns a function that resolves the position a shard checkpoint should be reset to, according
+ * to the parameters given to `resetCheckpoints`.
+ *
+ * @param {string|Object} params - Either `"TRIM_HORIZON"` or an object with `toTimestamp` or
+ *        `toSequenceNumbers`.
+ * @returns {Function} A function that returns the position for a given shard ID.
+ * @private
+ */
+function getResetPositionResolver(params) {
+  if (params === 'TRIM_HORIZON') return () => ({ type: 'TRIM_HORIZON' });
+
+  const { toSequenceNumbers, toTimestamp } = params || {};
+
+  if (toTimestamp !== undefined) {
+    const position = getInitialPosition({ timestamp: toTimestamp, type: 'AT_TIMESTAMP' });
+    if (!position) throw new TypeError('The "toTimestamp" parameter is invalid.');
+    const timestamp = position.timestamp.toISOString();
+    return () => ({ timestamp, type: 'AT_TIMESTAMP' });
+  }
+
+  if (toSequenceNumbers && typeof toSequenceNumbers === 'object') {
+    const invalidEntry = Object.entries(toSequenceNumbers).find(
+      ([, sequenceNumber]) => typeof sequenceNumber !== 'string' || !/^\d+$/.test(sequenceNumber)
+    );
+    if (invalidEntry) {
+      throw new TypeError(`The sequence number for the shard "${invalidEntry[0]}" is invalid.`);
+    }
+    return (shardId) => ({
+      sequenceNumber: toSequenceNumbers[shardId],
+      type: 'AFTER_SEQUENCE_NUMBER'
+    });
+  }
+
+  throw new TypeError('Either "TRIM_HORIZON", "toTimestamp", or "toSequenceNumbers" is required.');
+}
+
 function parsePutRecordResult({ EncryptionType, SequenceNumber, ShardId }) {
   return {
     encryptionType: EncryptionType,
@@ -176,21 +346,345 @@ function parsePutRecordResult({ EncryptionType, SequenceNumber, ShardId }) {
   };
 }
 
-function parsePutRecordsResult({ EncryptionType, Records }) {
+function parsePutRecordsResult({ EncryptionType, Records }, positions) {
+  const records = Records.map(({ ErrorCode, ErrorMessage, SequenceNumber, ShardId }) =>
+    ErrorCode
+      ? { errorCode: ErrorCode, errorMessage: ErrorMessage }
+      : { sequenceNumber: SequenceNumber, shardId: ShardId }
+  );
   return {
     encryptionType: EncryptionType,
-    records: Records.map(({ SequenceNumber, ShardId }) => ({
-      sequenceNumber: SequenceNumber,
-      shardId: ShardId
-    }))
+    records: positions
+      ? positions.map(({ index, subSequenceNumber }) => ({ ...records[index], subSequenceNumber }))
+      : records
   };
 }
 
+/**
+ * Encodes a record into the format expected by AWS.Kinesis, initializing the stream first if
+ * there's no records encoder yet.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the call originated from.
+ * @param {Object} record - The record to encode.
+ * @param {string} [streamName] - The name of the stream the record will be put into.
+ * @fulfil {Object} - The encoded record.
+ * @returns {Promise}
+ * @private
+ */
+async function encodeRecord(instance, record, streamName) {
+  const privateProps = internal(instance);
+  if (!privateProps.recordsEncoder) await ensureStreamInitialized(instance, streamName);
+  return privateProps.recordsEncoder(record);
+}
+
+/**
+ * Gets the hash key ranges of the open shards of a stream. The ranges are cached by stream, so
+ * the shards are only listed again once the cache is cleared (when the records are written into
+ * shards that aren't in the cached ranges, like after resharding).
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the call originated from.
+ * @param {string} streamName - The name of the stream to get the hash key ranges for.
+ * @fulfil {Array<Object>} - Objects with `shardId`, `startingHashKey`, and `endingHashKey`.
+ * @returns {Promise}
+ * @private
+ */
+async function getHashKeyRanges(instance, streamName) {
+  const { client, hashKeyRanges, logger } = internal(instance);
+  if (!hashKeyRanges.has(streamName)) {
+    hashKeyRanges.set(streamName, getShardsHashKeyRanges({ client, logger, streamName }));
+  }
+  try {
+    return await hashKeyRanges.get(streamName);
+  } catch (err) {
+    hashKeyRanges.delete(streamName);
+    throw err;
+  }
+}
+
+/**
+ * Writes encoded records into a stream in a single call. If the `useAggregation` option is
+ * enabled, the records are aggregated first. If the stream doesn't exist and the
+ * `createStreamIfNeeded` option is enabled, the stream is created and the call retried.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the call originated from.
+ * @param {Array<Object>} encodedRecords - The records in the format expected by AWS.Kinesis.
+ * @param {string} [streamName] - The name of the stream to put the records into.
+ * @param {number} [maxRetries] - The maximum number of times failed records are retried, failed
+ *        records are retried until they succeed if not provided.
+ * @fulfil {Object} - The de-serialized data returned from the request.
+ * @returns {Promise}
+ * @private
+ */
+async function putEncodedRecords(instance, encodedRecords, streamName, maxRetries) {
+  const privateProps = internal(instance);
+  const { client, createStreamIfNeeded, hashKeyRanges, logger, useAggregation } = privateProps;
+  const targetStreamName = streamName || privateProps.streamName;
+
+  const putRecords = async () => {
+    if (!useAggregation) {
+      const awsParams = { Records: encodedRecords, StreamName: targetStreamName };
+      return parsePutRecordsResult(await client.putRecords(awsParams, { maxRetries }));
+    }
+    const shards = await getHashKeyRanges(instance, targetStreamName);
+    const { aggregatedRecords, positions } = RecordsModule.aggregateRecords(encodedRecords, shards);
+    const awsParams = { Records: aggregatedRecords, StreamName: targetStreamName };
+    const result = await client.putRecords(awsParams, { maxRetries });
+    const shardIds = new Set(shards.map(({ shardId }) => shardId));
+    if (result.Records.some(({ ShardId }) => ShardId && !shardIds.has(ShardId))) {
+      logger.debug(`The shards of "${targetStreamName}" have changed, refreshing their ranges…`);
+      hashKeyRanges.delete(targetStreamName);
+    }
+    return parsePutRecordsResult(result, positions);
+  };
+
+  try {
+    return await putRecords();
+  } catch (err) {
+    const { code } = err;
+    const streamDoesNotExist =
+      code === 'ResourceNotFoundException' || (code === 'UnknownError' && client.isEndpointLocal());
+    if (createStreamIfNeeded && streamDoesNotExist) {
+      hashKeyRanges.delete(targetStreamName);
+      await ensureStreamInitialized(instance, streamName);
+      return putRecords();
+    }
+    throw err;
+  }
+}
+
+/**
+ * Keeps track of the processing of the data pushed by a shard consumer when checkpoints are
+ * stored after processing. The data is considered processed once the next data is read out of
+ * the stream and the promises returned by the `data` listeners for it settle, or once it's
+ * acknowledged when consumed through `consume()`.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the data is pushed.
+ * @param {Object} data - The data pushed by a shard consumer.
+ * @private
+ */
+function trackProcessing(instance, data) {
+  const { processing } = internal(instance);
+  if (!processing) return;
+  const entry = { handling: Promise.resolve(true) };
+  entry.promise = new Promise((resolve) => {
+    entry.resolve = resolve;
+  });
+  processing.set(data, entry);
+}
+
+/**
+ * Marks the data pushed by a shard consumer as processed, so the shard consumer can store the
+ * checkpoint for it once the promises returned by the `data` listeners for it settle. If any of
+ * those promises is rejected, the data isn't considered processed, so no checkpoint is stored.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the data was pushed.
+ * @param {Object} data - The data pushed by a shard consumer.
+ * @returns {Promise}
+ * @private
+ */
+async function markAsProcessed(instance, data) {
+  const { processing } = internal(instance);
+  const entry = processing && processing.get(data);
+  if (!entry) return;
+  processing.delete(data);
+  entry.resolve(await entry.handling);
+}
+
+/**
+ * Takes note of the data read out of the stream, outside of `consume()`, so the data read before
+ * it is marked as processed.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the data was pushed.
+ * @param {Object} data - The data read out of the stream.
+ * @private
+ */
+function markAsRead(instance, data) {
+  const privateProps = internal(instance);
+  const { isConsuming, lastRead } = privateProps;
+  if (isConsuming || data === lastRead) return;
+  privateProps.lastRead = data;
+  if (lastRead) markAsProcessed(instance, lastRead);
+}
+
+/**
+ * Settles the processing of all the tracked data once the consumer is stopping. The last data
+ * read is considered processed, while the data that wasn't read isn't, so the shard consumers
+ * don't store checkpoints for it.
+ *
+ * @param {Object} instance - The instance of the Kinesis class.
+ * @private
+ */
+function settleProcessing(instance) {
+  const privateProps = internal(instance);
+  const { lastRead, processing } = privateProps;
+  if (!processing) return;
+  if (lastRead) markAsProcessed(instance, lastRead);
+  privateProps.lastRead = null;
+  privateProps.processing = null;
+  processing.forEach((entry) => entry.resolve(false));
+}
+
+/**
+ * Sends a record that failed to be decoded or processed to the dead-letter targets, along with
+ * the details of the failure. The record is sent to another stream, to the S3 bucket, and to the
+ * callback, whichever are configured.
+ *
+ * @param {Object} instance - The instance of the Kinesis class where the record was consumed.
+ * @param {Object} params - The parameters.
+ * @param {number} params.attempts - The number of times the record failed.
+ * @param {Error} params.error - The error of the last failure.
+ * @param {Object} params.record - The raw record, as received from Kinesis.
+ * @param {string} params.shardId - The ID of the shard the record belongs to.
+ * @fulfil {undefined} - Once the record is sent to all the dead-letter targets.
+ * @returns {Promise}
+ * @private
+ */
+async function sendToDeadLetter(instance, { attempts, error, record, shardId }) {
+  const { deadLetter, logger, s3, s3Client, streamName } = internal(instance);
+  const { callback, streamName: deadLetterStreamName, useS3 } = deadLetter;
+  const { code, message } = error;
+  const { partitionKey, sequenceNumber, subSequenceNumber } = record;
+  const deadLetterRecord = {
+    attempts,
+    error: { code, message },
+    failedAt: new Date().toISOString(),
+    record,
+    shardId,
+    streamName
+  };
+
+  const objectName =
+    subSequenceNumber !== undefined ? `${sequenceNumber}-${subSequenceNumber}` : sequenceNumber;
+
+  logger.warn(`Sending the record "${sequenceNumber}" from "${shardId}" to the dead-letter…`);
+  if (deadLetterStreamName) {
+    await instance.putRecords({
+      records: [{ data: deadLetterRecord, partitionKey }],
+      streamName: deadLetterStreamName
+    });
+  }
+  if (useS3) {
+    await s3Client.putObject({
+      Body: JSON.stringify(deadLetterRecord),
+      Bucket: s3.bucketName,
+      ContentType: 'application/json',
+      Key: `dead-letter/${streamName}/${shardId}/${objectName}.json`
+    });
+  }
+  if (callback) await callback(deadLetterRecord);
+}
+
+/**
+ * Turns the data pushed by the shard consumers into a batch for the async iterator returned by
+ * `consume()`. Acknowledging the batch stores the checkpoint of its last record if the consumer
+ * allows setting checkpoints, and continues polling if the consumer is paused. The batch can also
+ * be acknowledged up to one of its records, which only stores the checkpoint for that record.
+ *
+ * @param {Object} data - The data pushed by a shard consumer.
+ * @param {Function} onAck - A function called once the batch is acknowledged.
+ * @returns {Object} The batch, with an `ack()` function.
+ * @private
+ */
+function getBatch(data, onAck) {
+  const { continuePolling, records, setCheckpoint, ...props } = data;
+  const { sequenceNumber: lastSequenceNumber } = records[records.length - 1];
+  let isAcknowledged = false;
+  const ack = async (sequenceNumber = lastSequenceNumber) => {
+    if (isAcknowledged) return;
+    const isComplete = sequenceNumber === lastSequenceNumber;
+    isAcknowledged = isComplete;
+    if (setCheckpoint) await setCheckpoint(sequenceNumber);
+    if (!isComplete) return;
+    if (continuePolling) continuePolling();
+    onAck();
+  };
+  return { ...props, ack, records };
+}
+
+/**
+ * Reports the consumption of the data pushed by a shard consumer into the stats, and emits the
+ * `lagging` event if the shard consumer fell behind the tip of the stream over the threshold.
+ *
+ * @param {Object} instance - The instance of the Kinesis class.
+ * @param {Object} data - The data pushed by a shard consumer.
+ * @private
+ */
+function reportConsumption(instance, data) {
+  const { laggingShards, laggingThreshold, streamName } = internal(instance);
+  const { millisBehindLatest, records = [], shardId } = data;
+  const lastRecord = records[records.length - 1];
+  const arrivedOn = lastRecord && lastRecord.approximateArrivalTimestamp;
+
+  reportShardConsumption(streamName, {
+    bytes: records.reduce((sum, record) => sum + RecordsModule.getRecordSize(record), 0),
+    iteratorAge: arrivedOn ? Date.now() - new Date(arrivedOn).getTime() : undefined,
+    millisBehindLatest,
+    records: records.length,
+    shardId
+  });
+
+  if (laggingThreshold === null) return;
+  if (millisBehindLatest <= laggingThreshold) {
+    laggingShards.delete(shardId);
+  } else if (!laggingShards.has(shardId)) {
+    laggingShards.add(shardId);
+    instance.emit('lagging', { millisBehindLatest, shardId, threshold: laggingThreshold });
+  }
+}
+
+/**
+ * Removes the handlers of the shutdown signals, if any were added.
+ *
+ * @param {Object} instance - The instance of the Kinesis class.
+ * @private
+ */
+function removeSignalHandlers(instance) {
+  const privateProps = internal(instance);
+  const { signalHandler } = privateProps;
+  if (!signalHandler) return;
+  SHUTDOWN_SIGNALS.forEach((signal) => process.removeListener(signal, signalHandler));
+  privateProps.signalHandler = null;
+}
+
+/**
+ * Adds handlers for the shutdown signals that stop the consumer gracefully. Once stopped, the
+ * signal is raised again so the process gets the default behavior, unless something else in the
+ * process is also listening to it.
+ *
+ * @param {Object} instance - The instance of the Kinesis class.
+ * @private
+ */
+function addSignalHandlers(instance) {
+  const signalHandler = async (signal) => {
+    const { logger } = internal(instance);
+    logger.debug(`Received ${signal}, stopping the consumer…`);
+    await instance.stopConsumer();
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  };
+  internal(instance).signalHandler = signalHandler;
+  SHUTDOWN_SIGNALS.forEach((signal) => process.once(signal, signalHandler));
+}
+
 /**
  * A [pass-through stream]{@link external:PassThrough} class specialization implementing a consumer
  * of Kinesis Data Streams using the [AWS SDK for JavaScript]{@link external:AwsJsSdk}. Incoming
  * data can be retrieved through either the `data` event or by piping the instance to other streams.
  *
+ * While the consumer is running, the instances also emit the following events:
+ *
+ * - `leaseAcquired` - With the `shardId` of a shard leased by the consumer.
+ * - `leaseRenewed` - With the `shardId` of a shard whose lease was renewed by the consumer.
+ * - `leaseLost` - With the `shardId` of a shard no longer leased by the consumer, and the
+ *   `leaseOwner` that took it over (`null` if the lease expired or was released).
+ * - `shardEnded` - With the `shardId` of a shard that has been read to its end.
+ * - `consumerJoined` and `consumerLeft` - With the `consumerId` of a consumer that joined or
+ *   left the consumer group.
+ * - `enhancedConsumerAssigned` - With the `consumerArn` and `consumerName` of the enhanced
+ *   fan-out consumer assigned to the consumer.
+ *
+ * The errors thrown by the listeners of these events are logged as warnings, so they don't
+ * interfere with the handling of the leases.
+ *
  * @alias module:lifion-kinesis
  * @augments external:PassThrough
  */
@@ -200,6 +694,20 @@ class Kinesis extends PassThrough {
    *
    * @param {Object} options - The initialization options. In addition to the below options, it
    *        can also contain any of the [`AWS.Kinesis` options]{@link external:AwsJsSdkKinesis}.
+   * @param {number} [options.capacityWeight=1] - The share of the stream shards the consumer
+   *        takes in proportion to the other consumers in the group, i.e. a consumer with a weight
+   *        of 2 leases twice as many shards as one with a weight of 1 (only applicable when
+   *        `useAutoShardAssignment` is set to `true`)
+   * @param {boolean} [options.checkpointAfterProcessing=false] - Set to `true` to make the
+   *        automatic checkpoints be stored once the records are processed instead of as soon as
+   *        they're received, for at-least-once delivery. Records are considered processed once
+   *        the next records are read out of the stream and the promises returned by the `data`
+   *        listeners for them settle, or once they're acknowledged when using `consume()`. If any
+   *        of those promises is rejected, no more checkpoints are stored for the shard, so the
+   *        records are read again by the next consumer of the shard. The last records read are
+   *        considered processed when the consumer is stopped (only
+   *        applicable when `useAutoCheckpoints` is set to `true` and `usePausedPolling` is set to
+   *        `false`)
    * @param {string} [options.compression] - The kind of data compression to use with records.
    *        The currently available compression options are either `"LZ-UTF8"` or none.
    * @param {string} [options.consumerGroup] - The name of the group of consumers in which shards
@@ -207,6 +715,18 @@ class Kinesis extends PassThrough {
    *        the name of the application/project using this module.
    * @param {boolean} [options.createStreamIfNeeded=true] - Whether if the Kinesis stream should
    *        be automatically created if it doesn't exist upon connection
+   * @param {Object} [options.deadLetter] - The dead-letter policy for records that fail to be
+   *        decoded, or to be processed through `process()`. The failed records are sent, as
+   *        received from Kinesis and along with the details of the failure, to the configured
+   *        targets, and then their checkpoints advance.
+   * @param {Function} [options.deadLetter.callback] - An async function called with each failed
+   *        record.
+   * @param {number} [options.deadLetter.maxAttempts=3] - The number of times a record is passed
+   *        to the handler of `process()` before sending it to the dead-letter targets.
+   * @param {string} [options.deadLetter.streamName] - The name of the stream to put the failed
+   *        records into.
+   * @param {boolean} [options.deadLetter.useS3=false] - Whether to store the failed records in
+   *        the S3 bucket (as configured in the `s3` option) or not.
    * @param {Object} [options.dynamoDb={}] - The initialization options for the DynamoDB client
    *        used to store the state of the consumers. In addition to `tableNames` and `tags`, it
    *        can also contain any of the [`AWS.DynamoDB` options]{@link external:AwsJsSdkDynamoDb}.
@@ -220,10 +740,42 @@ class Kinesis extends PassThrough {
    * @param {string} [options.encryption.keyId] - The GUID for the customer-managed AWS KMS key
    *        to use for encryption. This value can be a globally unique identifier, a fully
    *        specified ARN to either an alias or a key, or an alias name prefixed by "alias/".
+   * @param {Array<string>} [options.excludedShardIds] - If provided, the consumer doesn't read
+   *        from the shards with these IDs.
+   * @param {Object} [options.hashKeyRange] - If provided, the consumer only reads from the shards
+   *        whose hash key range overlaps this range. Along with `shardIds` and `excludedShardIds`,
+   *        it pins the consumer to a subset of the shards, which are still leased so they aren't
+   *        read by the rest of the group. A pinned consumer leases all the shards it's pinned to,
+   *        and the other consumers distribute the rest of the shards in between them, handing off
+   *        the ones they held when the pinned consumer joined.
+   * @param {string} options.hashKeyRange.endingHashKey - The ending hash key of the range.
+   * @param {string} options.hashKeyRange.startingHashKey - The starting hash key of the range.
+   * @param {number} [options.healthCheckPort] - If provided, an HTTP listener is started on this
+   *        port along with the consumer, and it responds to any request with the result of
+   *        `getHealth()`, with a 200 status code if the consumer is healthy or 503 if it isn't.
+   *        If the listener can't be started, the consumer is stopped and the start fails.
+   * @param {number} [options.healthCheckTimeout=60000] - The time in milliseconds after which the
+   *        heartbeats, the lease acquisition attempts, the consumption of a shard with records to
+   *        read, or the responses from AWS are too old for the consumer to be healthy. It should be
+   *        longer than the heartbeat interval (20 seconds) and the `leaseAcquisitionInterval`.
+   * @param {string|Object} [options.initialPosition=LATEST] - Where new consumer groups start
+   *        reading a shard from when there's no stored checkpoint for it. It can be either
+   *        `"LATEST"` or `"TRIM_HORIZON"`, or an object with a `type` of `"AT_TIMESTAMP"` and a
+   *        `timestamp` (a date, an ISO string, or milliseconds since epoch), or with a `type` of
+   *        `"AT_SEQUENCE_NUMBER"` and a `sequenceNumber`.
+   * @param {string} [options.instanceName] - If provided, a name that identifies the consumer
+   *        across restarts. Consumers not using `useAutoShardAssignment` nor `useEnhancedFanOut`
+   *        resume from the checkpoints left by the previous runs with the same name. The names
+   *        should be unique among the consumers running at the same time, and the state left by a
+   *        named consumer is cleared out after a week without running.
    * @param {number} [options.leaseAcquisitionInterval=20000] - The interval in milliseconds for how often to
    *        attempt lease acquisitions.
    * @param {number} [options.leaseAcquisitionRecoveryInterval=5000] - The interval in milliseconds for how often
    *        to re-attempt lease acquisitions when an error is returned from aws.
+   * @param {number} [options.laggingThreshold] - If provided, the `lagging` event is emitted when
+   *        a shard consumer falls behind the tip of the stream by more than these milliseconds.
+   *        The event has the `shardId`, its `millisBehindLatest`, and the `threshold`, and it's
+   *        emitted again if the shard falls behind again after catching up.
    * @param {number} [options.limit=10000] - The limit of records per get records call (only
    *        applicable with `useEnhancedFanOut` is set to `false`)
    * @param {Object} [options.logger] - An object with the `warn`, `debug`, and `error` functions
@@ -231,12 +783,35 @@ class Kinesis extends PassThrough {
    * @param {number} [options.maxEnhancedConsumers=5] - An option to set the number of enhanced
    *        fan-out consumer ARNs that the module should initialize. Defaults to 5.
    *        Providing a number above the AWS limit (20) or below 1 will result in using the default.
+   * @param {number} [options.maxLeases] - If provided, the consumer doesn't lease more than this
+   *        number of shards, regardless of its `capacityWeight`. The shards over the maximum are
+   *        distributed in between the other consumers in the group, or left unread if all of them
+   *        reached their maximum (only applicable when `useAutoShardAssignment` is set to `true`)
+   * @param {Object} [options.metrics] - An object with any of the `counter`, `gauge`, and
+   *        `histogram` functions, called with the name of a metric, a value, and an object with
+   *        labels. It receives the duration, retries, and errors of the calls to AWS, the
+   *        throttled calls to Kinesis, and the changes in the shard leases. A reporter for
+   *        Prometheus can be created with `Kinesis.createPrometheusMetrics()`.
    * @param {number} [options.noRecordsPollDelay=1000] - The delay in milliseconds before
    *        attempting to get more records when there were none in the previous attempt (only
    *        applicable when `useEnhancedFanOut` is set to `false`)
    * @param {number} [options.pollDelay=250] - When the `usePausedPolling` option is `false`, this
    *        option defines the delay in milliseconds in between poll requests for more records
    *        (only applicable when `useEnhancedFanOut` is set to `false`)
+   * @param {Object} [options.retry] - The policy for retrying the failed calls to AWS. By default,
+   *        calls are retried forever with an exponential backoff from 1 second up to 5 minutes.
+   *        The errors of calls that run out of retries have the number of `attempts` made.
+   * @param {number} [options.retry.deadline] - The maximum time in milliseconds to keep retrying
+   *        a call for. The backoffs are shortened so they don't go past it.
+   * @param {boolean} [options.retry.jitter=true] - Whether to randomize the backoff or not.
+   * @param {number} [options.retry.maxAttempts] - The maximum number of attempts for each call.
+   * @param {number} [options.retry.maxBackoff=300000] - The maximum backoff in milliseconds.
+   * @param {number} [options.retry.minBackoff=1000] - The backoff in milliseconds before the
+   *        first retry.
+   * @param {Object} [options.retry.get] - Overrides for the calls that read from the stream.
+   * @param {Object} [options.retry.put] - Overrides for the calls that write into the stream.
+   * @param {Object} [options.retry.s3] - Overrides for the calls to S3.
+   * @param {Object} [options.retry.state] - Overrides for the calls to the DynamoDB state table.
    * @param {Object} [options.s3={}] - The initialization options for the S3 client used
    *        to store large items in buckets. In addition to `bucketName` and `endpoint`, it
    *        can also contain any of the [`AWS.S3` options]{@link external:AwsJsSdkS3}.
@@ -250,18 +825,37 @@ class Kinesis extends PassThrough {
    *        S3 bucket is tagged with these tags. If the bucket already has tags, they will be merged.
    * @param {number} [options.shardCount=1] - The number of shards that the newly-created stream
    *        will use (if the `createStreamIfNeeded` option is set)
+   * @param {Array<string>} [options.shardIds] - If provided, the consumer only reads from the
+   *        shards with these IDs (see the `hashKeyRange` option).
    * @param {string|boolean} [options.shouldDeaggregate=auto] - Whethe the method retrieving the records
             should expect aggregated records and deaggregate them appropriately.
    * @param {string|boolean} [options.shouldParseJson=auto] - Whether if retrieved records' data should be parsed as JSON or not.
    *        Set to "auto" to only attempt parsing if data looks like JSON. Set to true to force data parse.
+   * @param {number} [options.shutdownTimeout=30000] - The time in milliseconds that
+   *        `stopConsumer()` waits for the shard consumers to drain the records being read or
+   *        processed before releasing the shard leases anyway.
+   * @param {Function} [options.stateStore] - If provided, a function that creates the store of
+   *        the shared state of the consumers instead of storing it in DynamoDB. It's called with
+   *        an object with the `capacityWeight`, `consumerGroup`, `consumerId`, `emitEvent`,
+   *        `instanceName`, `logger`, `maxLeases`, `shardFilter`, `streamCreatedOn`, `streamName`,
+   *        `useAutoShardAssignment`, `useEnhancedFanOut`, and `useItemPerShard` of the client,
+   *        and it should return an object with the same methods as the DynamoDB state store. Use
+   *        `Kinesis.createMemoryStateStore()` or `Kinesis.createFileStateStore()` to keep the
+   *        state in memory or in a file, e.g. for tests or local development.
    * @param {number} [options.statsInterval=30000] - The interval in milliseconds for how often to
    *        emit the "stats" event. The event is only available while the consumer is running.
+   * @param {boolean} [options.stopOnSignals=false] - Set to `true` to make the client stop the
+   *        consumer gracefully when the process receives `SIGINT` or `SIGTERM`.
    * @param {string} options.streamName - The name of the stream to consume data from (required)
    * @param {boolean} [options.supressThroughputWarnings=false] - Set to `true` to make the client
    *        log ProvisionedThroughputExceededException as debug rather than warning.
    * @param {Object} [options.tags] - If provided, the client will ensure that the stream is tagged
    *        with these tags upon connection. If the stream is already tagged, the existing tags
    *        will be merged with the provided ones before updating them.
+   * @param {boolean} [options.useAggregation=false] - Set to `true` to make `putRecords()` pack
+   *        the records into aggregated records using the Kinesis Producer Library (KPL) format,
+   *        grouped by the shard they're mapped to. Aggregated records can be read by consumers
+   *        using the `shouldDeaggregate` option or the Kinesis Client Library.
    * @param {boolean} [options.useAutoCheckpoints=true] - Set to `true` to make the client
    *        automatically store shard checkpoints using the sequence number of the most-recently
    *        received record. If set to `false` consumers can use the `setCheckpoint()` function to
@@ -271,6 +865,12 @@ class Kinesis extends PassThrough {
    *      from one shard at the same time). Set to `false` to make the client read from all shards.
    * @param {boolean} [options.useEnhancedFanOut=false] - Set to `true` to make the client use
    *        enhanced fan-out consumers to read from shards.
+   * @param {boolean} [options.useItemPerShard=false] - Set to `true` to store the state of each
+   *        shard and each consumer in its own DynamoDB item, instead of storing the state of the
+   *        consumer group in a single item. Use it for streams with many shards, or long resharding
+   *        histories, as the size of an item is limited to 400 KB. A state stored in a single item
+   *        is migrated when the first consumer using this option starts, so all the consumers of
+   *        the group should be stopped before switching, and they should all use the option.
    * @param {boolean} [options.usePausedPolling=false] - Set to `true` to make the client not to
    *        poll for more records until the consumer calls `continuePolling()`. This option is
    *        useful when consumers want to make sure the records are fully processed before
@@ -282,29 +882,48 @@ class Kinesis extends PassThrough {
     super({ objectMode: true });
 
     const {
+      capacityWeight = 1,
+      checkpointAfterProcessing = false,
       compression,
       consumerGroup = projectName(process.cwd()),
       createStreamIfNeeded = true,
+      deadLetter,
       dynamoDb = {},
       encryption,
+      excludedShardIds,
+      hashKeyRange,
+      healthCheckPort,
+      healthCheckTimeout = 60000,
+      initialPosition = 'LATEST',
+      instanceName,
+      laggingThreshold,
       leaseAcquisitionInterval = 20000,
       leaseAcquisitionRecoveryInterval = 5000,
       limit = 10000,
       logger = {},
       maxEnhancedConsumers = 5,
+      maxLeases,
+      metrics,
       noRecordsPollDelay = 1000,
       pollDelay = 250,
+      retry,
       s3 = {},
       shardCount = 1,
+      shardIds,
       shouldDeaggregate = false,
       shouldParseJson = 'auto',
+      shutdownTimeout = 30000,
+      stateStore,
       statsInterval = 30000,
+      stopOnSignals = false,
       streamName,
       supressThroughputWarnings = false,
       tags,
+      useAggregation = false,
       useAutoCheckpoints = true,
       useAutoShardAssignment = true,
       useEnhancedFanOut = false,
+      useItemPerShard = false,
       usePausedPolling = false,
       useS3ForLargeItems = false,
       ...awsOptions
@@ -322,15 +941,61 @@ class Kinesis extends PassThrough {
       throw new TypeError(errorMsg);
     }
 
+    const {
+      callback,
+      maxAttempts = 3,
+      streamName: deadLetterStreamName,
+      useS3 = false
+    } = deadLetter || {};
+    if (deadLetter && typeof callback !== 'function' && !deadLetterStreamName && !useS3) {
+      const errorMsg = 'The "deadLetter" option requires a "callback", "streamName", or "useS3".';
+      normLogger.error(errorMsg);
+      throw new TypeError(errorMsg);
+    }
+
+    let shardFilter;
+    try {
+      shardFilter = getShardFilter({ excludedShardIds, hashKeyRange, shardIds });
+    } catch (err) {
+      normLogger.error(err.message);
+      throw err;
+    }
+
+    const normInitialPosition = getInitialPosition(initialPosition);
+    if (!normInitialPosition) {
+      const errorMsg = 'The "initialPosition" option is invalid.';
+      normLogger.error(errorMsg);
+      throw new TypeError(errorMsg);
+    }
+
+    if (instanceName != null && (typeof instanceName !== 'string' || !instanceName)) {
+      const errorMsg = 'The "instanceName" option is invalid.';
+      normLogger.error(errorMsg);
+      throw new TypeError(errorMsg);
+    }
+
+    if (stateStore != null && typeof stateStore !== 'function') {
+      const errorMsg = 'The "stateStore" option is invalid.';
+      normLogger.error(errorMsg);
+      throw new TypeError(errorMsg);
+    }
+
+    const capacityWeightNumber = Number(capacityWeight);
+    const healthCheckPortNumber = Number(healthCheckPort);
+    const healthCheckTimeoutNumber = Number(healthCheckTimeout);
+    const laggingThresholdNumber = Number(laggingThreshold);
     const limitNumber = Number(limit);
     const maxConsumersNumber = Number(maxEnhancedConsumers);
+    const maxLeasesNumber = Number(maxLeases);
     const noRecordsPollDelayNumber = Number(noRecordsPollDelay);
     const pollDelayNumber = Number(pollDelay);
     const shardCountNumber = Number(shardCount);
+    const shutdownTimeoutNumber = Number(shutdownTimeout);
     const statsIntervalNumber = Number(statsInterval);
     const largeItemThresholdNumber = Number(s3.largeItemThreshold || 900);
+    const maxAttemptsNumber = Number(maxAttempts);
 
-    const s3BucketName = useS3ForLargeItems && (s3.bucketName || streamName);
+    const s3BucketName = (useS3ForLargeItems || Boolean(useS3)) && (s3.bucketName || streamName);
     const recordsEncoder = useS3ForLargeItems
       ? null
       : RecordsModule.getRecordsEncoder({
@@ -341,9 +1006,13 @@ class Kinesis extends PassThrough {
 
     Object.assign(internal(this), {
       awsOptions,
+      capacityWeight: capacityWeightNumber > 0 ? capacityWeightNumber : 1,
+      checkpointAfterProcessing: Boolean(useAutoCheckpoints && checkpointAfterProcessing),
       client: new KinesisClient({
         awsOptions,
         logger: normLogger,
+        metrics,
+        retry,
         streamName,
         supressThroughputWarnings
       }),
@@ -351,18 +1020,56 @@ class Kinesis extends PassThrough {
       consumerGroup,
       consumerId: generate(),
       createStreamIfNeeded,
+      deadLetter: deadLetter
+        ? {
+            callback: typeof callback === 'function' ? callback : null,
+            maxAttempts:
+              Number.isInteger(maxAttemptsNumber) && maxAttemptsNumber > 0 ? maxAttemptsNumber : 3,
+            streamName: deadLetterStreamName || null,
+            useS3: Boolean(useS3)
+          }
+        : null,
       dynamoDb,
+      emitEvent: (eventName, payload) => {
+        try {
+          this.emit(eventName, payload);
+        } catch (err) {
+          normLogger.warn(`A listener of the "${eventName}" event failed:`, err);
+        }
+      },
       encryption,
       getStatsIntervalId: null,
+      hashKeyRanges: new Map(),
+      healthCheckPort:
+        healthCheckPort != null &&
+        Number.isInteger(healthCheckPortNumber) &&
+        healthCheckPortNumber >= 0
+          ? healthCheckPortNumber
+          : null,
+      healthCheckTimeout: healthCheckTimeoutNumber > 0 ? healthCheckTimeoutNumber : 60000,
+      healthServer: null,
+      initialPosition: normInitialPosition,
+      instanceName: instanceName || null,
+      isConsuming: false,
+      iteratorStoppers: new Set(),
+      laggingShards: new Set(),
+      laggingThreshold:
+        laggingThreshold != null && laggingThresholdNumber >= 0 ? laggingThresholdNumber : null,
+      lastRead: null,
       leaseAcquisitionInterval,
       leaseAcquisitionRecoveryInterval,
       limit: limitNumber > 0 && limitNumber <= 10000 ? limitNumber : 10000,
       logger: normLogger,
       maxEnhancedConsumers:
         maxConsumersNumber > 0 && maxConsumersNumber <= 20 ? maxConsumersNumber : 5,
+      maxLeases: Number.isInteger(maxLeasesNumber) && maxLeasesNumber > 0 ? maxLeasesNumber : null,
+      metrics,
       noRecordsPollDelay: noRecordsPollDelayNumber >= 250 ? noRecordsPollDelayNumber : 250,
       pollDelay: pollDelayNumber >= 0 ? pollDelayNumber : 250,
+      processing: null,
+      readWaiters: [],
       recordsEncoder,
+      retry,
       s3: {
         largeItemThreshold: largeItemThresholdNumber,
         nonS3Keys: [],
@@ -370,20 +1077,91 @@ class Kinesis extends PassThrough {
         bucketName: s3BucketName
       },
       s3Client: null,
+      sendToDeadLetter: deadLetter ? (params) => sendToDeadLetter(this, params) : null,
       shardCount: shardCountNumber >= 1 ? shardCountNumber : 1,
+      shardFilter,
       shouldDeaggregate: Boolean(shouldDeaggregate),
       shouldParseJson,
+      shutdownTimeout: shutdownTimeoutNumber >= 0 ? shutdownTimeoutNumber : 30000,
+      signalHandler: null,
+      stateStoreFactory: stateStore || null,
       statsInterval: statsIntervalNumber >= 1000 ? statsIntervalNumber : 30000,
+      stopOnSignals: Boolean(stopOnSignals),
       streamName,
       tags,
+      useAggregation: Boolean(useAggregation),
       useAutoCheckpoints: Boolean(useAutoCheckpoints),
       useAutoShardAssignment: Boolean(useAutoShardAssignment),
       useEnhancedFanOut: Boolean(useEnhancedFanOut),
+      useItemPerShard: Boolean(useItemPerShard),
       usePausedPolling: Boolean(usePausedPolling),
       useS3ForLargeItems
     });
   }
 
+  /**
+   * Called when the readable side of the stream wants more data. The shard consumers paused
+   * because the buffer was full are resumed.
+   *
+   * @param {number} size - The number of objects to read.
+   * @private
+   */
+  _read(size) {
+    const privateProps = internal(this);
+    const { readWaiters } = privateProps;
+    privateProps.readWaiters = [];
+    readWaiters.forEach((resolve) => resolve());
+    super._read(size);
+  }
+
+  /**
+   * Reads data out of the stream. When checkpoints are stored after processing, the data read
+   * before is marked as processed, unless it's being consumed through `consume()`.
+   *
+   * @param {number} [size] - The number of objects to read.
+   * @returns {*} The data read, or `null` if there's none.
+   * @private
+   */
+  read(size) {
+    const data = super.read(size);
+    if (data !== null) markAsRead(this, data);
+    return data;
+  }
+
+  /**
+   * Emits an event. When checkpoints are stored after processing, the `data` listeners are called
+   * directly, so the data emitted isn't considered processed until the promises they return
+   * settle, and not at all if any of them is rejected. The rejections are emitted as errors if
+   * there are `error` listeners, or logged otherwise. The data emitted before is marked as
+   * processed.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {...*} args - The arguments for the listeners.
+   * @returns {boolean} `true` if the event had listeners, `false` otherwise.
+   * @private
+   */
+  emit(eventName, ...args) {
+    const { logger, processing } = internal(this);
+    const entry = eventName === 'data' && processing && processing.get(args[0]);
+    if (!entry) return super.emit(eventName, ...args);
+    const listeners = this.rawListeners('data');
+    const results = listeners.map((listener) => listener.apply(this, args));
+    entry.handling = Promise.all(
+      results.map((result) =>
+        Promise.resolve(result).then(
+          () => true,
+          (err) => {
+            if (this.listenerCount('error') > 0) this.emit('error', err);
+            else logger.error(err);
+            return false;
+          }
+        )
+      )
+    ).then((outcomes) => outcomes.every(Boolean));
+    markAsRead(this, args[0]);
+    return listeners.length > 0;
+  }
+
   /**
    * Starts the stream consumer, by ensuring that the stream exists, that it's ready, and
    * configured as requested. The internal managers that deal with heartbeats, state, and
@@ -395,13 +1173,21 @@ class Kinesis extends PassThrough {
    */
   async startConsumer() {
     const privateProps = internal(this);
-    const { logger, statsInterval, streamName, useEnhancedFanOut } = privateProps;
+    const {
+      checkpointAfterProcessing,
+      healthCheckPort,
+      logger,
+      statsInterval,
+      stopOnSignals,
+      streamName,
+      useEnhancedFanOut
+    } = privateProps;
 
     await ensureStreamInitialized(this);
 
     logger.debug('Trying to start the consumer…');
 
-    const stateStore = new StateStore(privateProps);
+    const stateStore = createStateStore(this);
     privateProps.stateStore = stateStore;
     await stateStore.start();
 
@@ -411,14 +1197,31 @@ class Kinesis extends PassThrough {
     privateProps.heartbeatManager = heartbeatManager;
     await heartbeatManager.start();
 
+    if (checkpointAfterProcessing) privateProps.processing = new Map();
+
     privateProps.pushToStream = (err, ...args) => {
-      if (err) this.emit('error', err);
-      else {
-        this.push(...args);
-        reportRecordConsumed(streamName);
+      if (err) {
+        this.emit('error', err);
+        return true;
       }
+      if (checkpointAfterProcessing) trackProcessing(this, args[0]);
+      const hasCapacity = this.push(...args);
+      reportRecordConsumed(streamName);
+      reportConsumption(this, args[0]);
+      return hasCapacity;
     };
 
+    privateProps.waitForProcessing = (data) => {
+      const { processing } = internal(this);
+      const entry = processing && processing.get(data);
+      return entry ? entry.promise : Promise.resolve(false);
+    };
+
+    privateProps.waitForRead = () =>
+      new Promise((resolve) => {
+        internal(this).readWaiters.push(resolve);
+      });
+
     const consumersManager = new ConsumersManager(privateProps);
     privateProps.consumersManager = consumersManager;
     await consumersManager.reconcile();
@@ -433,20 +1236,252 @@ class Kinesis extends PassThrough {
     };
     privateProps.getStatsIntervalId = setTimeout(getStatsTimeout, statsInterval);
 
+    if (stopOnSignals) addSignalHandlers(this);
+
+    if (healthCheckPort !== null) {
+      try {
+        privateProps.healthServer = await startHealthServer({
+          getHealth: () => this.getHealth(),
+          logger,
+          port: healthCheckPort
+        });
+      } catch (err) {
+        await this.stopConsumer();
+        throw err;
+      }
+    }
+
     logger.debug('The consumer is now ready.');
   }
 
   /**
-   * Stops the stream consumer. The internal managers will also be stopped.
+   * Stops the stream consumer. No more leases are acquired, the records being read or processed
+   * by the shard consumers are drained and their checkpoints stored, and then the shard leases
+   * owned by the consumer are released and the consumer is removed from the group, so the other
+   * consumers in the group can take over the shards right away. If the shard consumers take
+   * longer than the `shutdownTimeout` option to stop, the leases are released anyway.
+   *
+   * @fulfil {undefined} - Once the consumer is stopped. Failures while stopping are logged
+   *         rather than rejected.
+   * @returns {Promise}
    */
-  stopConsumer() {
+  async stopConsumer() {
     const privateProps = internal(this);
-    const { consumersManager, getStatsIntervalId, heartbeatManager, leaseManager } = privateProps;
-    heartbeatManager.stop();
-    consumersManager.stop();
-    leaseManager.stop();
+    const {
+      consumersManager,
+      getStatsIntervalId,
+      healthServer,
+      heartbeatManager,
+      iteratorStoppers,
+      leaseManager,
+      logger,
+      readWaiters,
+      shutdownTimeout,
+      stateStore
+    } = privateProps;
+
+    logger.debug('Trying to stop the consumer…');
+    Array.from(iteratorStoppers).forEach((stopIterator) => stopIterator());
+    settleProcessing(this);
     clearTimeout(getStatsIntervalId);
     privateProps.getStatsIntervalId = null;
+    removeSignalHandlers(this);
+
+    const stopping = Promise.all([
+      heartbeatManager.stop(),
+      leaseManager.stop(),
+      consumersManager.stop()
+    ]);
+    internal(this).readWaiters = [];
+    readWaiters.forEach((resolve) => resolve());
+
+    let timeoutId;
+    const timeout = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve(true), shutdownTimeout);
+    });
+
+    try {
+      const hasTimedOut = await Promise.race([stopping.then(() => false), timeout]);
+      if (hasTimedOut) {
+        logger.warn('The shard consumers took too long to stop, releasing the leases anyway.');
+      }
+      await leaseManager.releaseLeases();
+      if (stateStore) await stateStore.deregisterConsumer();
+      logger.debug('The consumer is now stopped.');
+    } catch (err) {
+      logger.error('Unexpected failure while trying to stop the consumer:', err);
+    } finally {
+      clearTimeout(timeoutId);
+      internal(this).stateStore = null;
+    }
+
+    if (healthServer) {
+      internal(this).healthServer = null;
+      await stopHealthServer(healthServer);
+    }
+  }
+
+  /**
+   * Starts the stream consumer and returns an async iterator of the batches of records read from
+   * the stream shards, so they can be consumed in a `for await…of` loop instead of through the
+   * `data` event. The consumer is stopped once the loop is exited (which waits for the consumer
+   * to be stopped), or when an error is emitted,
+   * in which case the error is thrown from the loop. The loop is exited if the consumer is
+   * stopped.
+   *
+   * @returns {Object} An async iterator of batches. Each batch has `shardId`, `streamName`,
+   *          `records`, and `millisBehindLatest`, and an `ack()` function that resolves once the
+   *          checkpoint for the batch has been stored (when not using auto-checkpoints), and that
+   *          continues the polling for more records (when using paused polling). The `ack()`
+   *          function can also take the sequence number of one of the records to only store the
+   *          checkpoint up to that record (when not using auto-checkpoints). When using
+   *          the `checkpointAfterProcessing` option, the automatic checkpoint for the batch is
+   *          stored once it's acknowledged.
+   */
+  consume() {
+    const state = {
+      error: null,
+      isDone: false,
+      isStarted: false,
+      stop: null,
+      stopping: null,
+      wake: null
+    };
+
+    const wake = () => {
+      const { wake: resolve } = state;
+      state.wake = null;
+      if (resolve) resolve();
+    };
+
+    const onError = (err) => {
+      state.error = err;
+      wake();
+    };
+
+    const finish = () => {
+      const { isDone, isStarted, stop } = state;
+      if (isDone) return;
+      state.isDone = true;
+      internal(this).isConsuming = false;
+      internal(this).iteratorStoppers.delete(stop);
+      this.removeListener('error', onError);
+      this.removeListener('readable', wake);
+      wake();
+      if (isStarted) {
+        state.stopping = this.stopConsumer().catch((err) => {
+          internal(this).logger.error('Unexpected failure while trying to stop the consumer:', err);
+        });
+      }
+    };
+
+    state.stop = () => {
+      state.isStarted = false;
+      finish();
+    };
+
+    const next = async () => {
+      if (!state.isStarted && !state.isDone) {
+        internal(this).isConsuming = true;
+        internal(this).iteratorStoppers.add(state.stop);
+        this.on('error', onError);
+        this.on('readable', wake);
+        try {
+          await this.startConsumer();
+        } catch (err) {
+          finish();
+          throw err;
+        }
+        state.isStarted = true;
+      }
+      let data = null;
+      while (data === null) {
+        const { error, isDone } = state;
+        if (error) {
+          state.error = null;
+          finish();
+          throw error;
+        }
+        if (isDone) return { done: true, value: undefined };
+        data = this.read();
+        if (data === null) {
+          await new Promise((resolve) => {
+            state.wake = resolve;
+          });
+        }
+      }
+      const batch = getBatch(data, () => markAsProcessed(this, data));
+      return { done: false, value: batch };
+    };
+
+    return {
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+      next,
+      return: async () => {
+        finish();
+        await state.stopping;
+        return { done: true, value: undefined };
+      }
+    };
+  }
+
+  /**
+   * Starts the stream consumer and processes the records read from the stream shards with the
+   * given handler, one record at a time. The records of a shard (or of a partition key within a
+   * shard) are processed in order, while the records of different shards (or partition keys) can
+   * be processed at the same time. The checkpoint of a shard advances to the highest processed
+   * record after which all the previous records have been processed too (when not using
+   * auto-checkpoints, or once whole batches are processed when using auto-checkpoints, as the
+   * `checkpointAfterProcessing` option is implied while processing). If there's a `deadLetter`
+   * option, the records the handler fails with are retried, and then sent to the dead-letter
+   * targets instead of stopping.
+   *
+   * @param {Function} handler - An async function that processes a record. It's called with the
+   *        record and a context object with `shardId`, `streamName`, and `millisBehindLatest`.
+   * @param {Object} [options] - The processing options.
+   * @param {number} [options.concurrency=1] - The maximum number of records processed at the
+   *        same time.
+   * @param {string} [options.keyBy=shardId] - Set to `"partitionKey"` to keep the records in
+   *        order within each partition key of a shard instead of within each shard.
+   * @fulfil {undefined} - Once the consumer is stopped and the records being processed settle.
+   * @reject {Error} - On any error starting or running the consumer, or on the first error thrown
+   *         by the handler, in which case the consumer is stopped.
+   * @returns {Promise}
+   */
+  async process(handler, options = {}) {
+    const { concurrency = 1, keyBy = 'shardId' } = options;
+    const { checkpointAfterProcessing, deadLetter, logger, useAutoCheckpoints } = internal(this);
+
+    if (typeof handler !== 'function') {
+      throw new TypeError('The "handler" argument must be a function.');
+    }
+
+    internal(this).checkpointAfterProcessing = useAutoCheckpoints;
+
+    const concurrencyNumber = Number(concurrency);
+    const processor = new RecordProcessor({
+      batches: this.consume(),
+      concurrency:
+        Number.isInteger(concurrencyNumber) && concurrencyNumber > 0 ? concurrencyNumber : 1,
+      handler,
+      keyBy: keyBy === 'partitionKey' ? keyBy : 'shardId',
+      logger,
+      ...(deadLetter && {
+        maxAttempts: deadLetter.maxAttempts,
+        sendToDeadLetter: ({ record, ...params }) =>
+          sendToDeadLetter(this, {
+            ...params,
+            record: RecordsModule.getRawRecord(record) || record
+          })
+      })
+    });
+    try {
+      await processor.start();
+    } finally {
+      internal(this).checkpointAfterProcessing = checkpointAfterProcessing;
+    }
   }
 
   /**
@@ -542,17 +1577,23 @@ class Kinesis extends PassThrough {
    * @param {string} [params.records[].partitionKey] - Determines which shard in the stream the
    *        data record is assigned to. If omitted, it will be calculated based on a SHA-1 hash
    *        of the data.
+   * @param {number} [params.maxRetries] - The maximum number of times the records that failed to
+   *        be written are retried. If provided, the call resolves once the retries are exhausted,
+   *        and the records that still failed have `errorCode` and `errorMessage` in their results.
+   *        If not provided, the failed records are retried until they succeed.
    * @param {string} [params.streamName] - If provided, the record will be put into the specified
    *        stream instead of the stream name provided during the consumer instantiation.
-   * @fulfil {Object} - The de-serialized data returned from the request.
+   * @fulfil {Object} - The de-serialized data returned from the request. The results in `records`
+   *        are in the same order as the given records. When using the `useAggregation` option,
+   *        there's still a result for each given record, with the `subSequenceNumber` of the
+   *        record in the aggregated record.
    * @reject {Error} - On any unexpected error while writing to the stream.
    * @returns {Promise}
    */
   async putRecords(params = {}) {
     const privateProps = internal(this);
-    const { client, createStreamIfNeeded } = privateProps;
     let { recordsEncoder } = privateProps;
-    const { records, streamName } = params;
+    const { maxRetries, records, streamName } = params;
 
     if (!recordsEncoder) {
       await ensureStreamInitialized(this, streamName);
@@ -561,27 +1602,149 @@ class Kinesis extends PassThrough {
 
     if (!Array.isArray(records)) throw new TypeError('The "records" property is required.');
 
-    const awsParams = {
-      Records: await Promise.all(records.map(recordsEncoder)),
-      StreamName: streamName || privateProps.streamName
-    };
-    try {
-      return parsePutRecordsResult(await client.putRecords(awsParams));
-    } catch (err) {
-      const { code } = err;
-      const streamDoesNotExist =
-        code === 'ResourceNotFoundException' ||
-        (code === 'UnknownError' && client.isEndpointLocal());
-      if (createStreamIfNeeded && streamDoesNotExist) {
-        await ensureStreamInitialized(this, streamName);
-        return parsePutRecordsResult(await client.putRecords(awsParams));
+    if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+      throw new TypeError('The "maxRetries" property must be a non-negative integer.');
+    }
+
+    const encodedRecords = await Promise.all(records.map(recordsEncoder));
+    return putEncodedRecords(this, encodedRecords, streamName, maxRetries);
+  }
+
+  /**
+   * Creates a buffered producer that queues records and writes them into the stream in batches,
+   * so high-rate producers don't need to send a request for each record. Batches are sent when
+   * they're full, when the linger period expires, or when explicitly flushed. Batches never go
+   * over the limits of a Kinesis `PutRecords` request (500 records or 5 MB).
+   *
+   * @param {Object} [options] - The producer options.
+   * @param {number} [options.lingerMs=100] - The maximum time in milliseconds a record waits in
+   *        the queue before being sent.
+   * @param {number} [options.maxBatchBytes=5242880] - The maximum size in bytes of a batch,
+   *        counting the data and the partition keys of the encoded records.
+   * @param {number} [options.maxBatchSize=500] - The maximum number of records in a batch.
+   * @param {number} [options.maxRetries] - The maximum number of times the records that failed to
+   *        be written are retried. If provided, the records that still failed are rejected with
+   *        an error with their `code`. If not provided, they're retried until they succeed.
+   * @param {string} [options.streamName] - If provided, the records will be put into the
+   *        specified stream instead of the stream name provided during the consumer instantiation.
+   * @returns {Object} A producer with `putRecord(params)`, `flush()`, and `close()` functions.
+   *          Each call to `putRecord` resolves with the result for that record once its batch
+   *          has been sent. Call `close()` on shutdown to send any queued records.
+   */
+  createProducer(options = {}) {
+    const { lingerMs = 100, maxBatchBytes, maxBatchSize, maxRetries, streamName } = options;
+    const { logger } = internal(this);
+    const lingerMsNumber = Number(lingerMs);
+    const maxBatchBytesNumber = Number(maxBatchBytes);
+    const maxBatchSizeNumber = Number(maxBatchSize);
+
+    return new Producer({
+      encodeRecord: (record) => encodeRecord(this, record, streamName),
+      lingerMs: lingerMsNumber >= 0 ? lingerMsNumber : 100,
+      logger,
+      maxBatchBytes:
+        maxBatchBytesNumber > 0 && maxBatchBytesNumber <= MAX_PUT_RECORDS_BYTES
+          ? maxBatchBytesNumber
+          : MAX_PUT_RECORDS_BYTES,
+      maxBatchSize:
+        maxBatchSizeNumber > 0 && maxBatchSizeNumber <= MAX_PUT_RECORDS_SIZE
+          ? maxBatchSizeNumber
+          : MAX_PUT_RECORDS_SIZE,
+      putRecords: (records) =>
+        putEncodedRecords(
+          this,
+          records,
+          streamName,
+          Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : undefined
+        )
+    });
+  }
+
+  /**
+   * Resets the shard checkpoints of the consumer group, so the group members can re-process the
+   * stream records from a given position. The consumers of this group that are currently reading
+   * from the affected shards will drop their iterators and resume reading from the new positions
+   * as soon as they detect the reset (either when trying to store a checkpoint or in the next
+   * lease acquisition attempt). If the consumer isn't running, a state store is initialized only
+   * for the call, which isn't possible for standalone consumers (not using
+   * `useAutoShardAssignment`), as their checkpoints are kept in their own entry of the state,
+   * which only exists while they're running.
+   *
+   * @param {string|Object} params - Either `"TRIM_HORIZON"` to reset all the shards to the oldest
+   *        available record, or an object with one of the following parameters.
+   * @param {Date|string|number} [params.toTimestamp] - Resets all the shards to the records
+   *        written at or after the given timestamp.
+   * @param {Object} [params.toSequenceNumbers] - An object where keys are shard IDs and values are
+   *        sequence numbers. Only the given shards are reset, so they're read after the sequence
+   *        numbers.
+   * @fulfil {undefined} - Once the shard checkpoints have been reset.
+   * @reject {Error} - On invalid parameters, when called on a standalone consumer that isn't
+   *         running, or any unexpected error while resetting.
+   * @returns {Promise}
+   */
+  async resetCheckpoints(params) {
+    const privateProps = internal(this);
+    const { client, logger, streamName, useAutoShardAssignment } = privateProps;
+    const getResetPosition = getResetPositionResolver(params);
+
+    let { stateStore } = privateProps;
+    if (!stateStore) {
+      if (!useAutoShardAssignment) {
+        throw new Error(
+          'The checkpoints of a standalone consumer can only be reset while the consumer is running.'
+        );
       }
-      throw err;
+      await ensureStreamInitialized(this);
+      stateStore = createStateStore(this);
+      await stateStore.start();
     }
+
+    const shards = await getStreamShards({ client, logger, streamName });
+    const { toSequenceNumbers } = params;
+    const shardIds = toSequenceNumbers ? Object.keys(toSequenceNumbers) : Object.keys(shards);
+
+    const unknownShardId = shardIds.find((shardId) => !shards[shardId]);
+    if (unknownShardId) {
+      throw new TypeError(`The shard "${unknownShardId}" doesn't exist in the stream.`);
+    }
+
+    await Promise.all(
+      shardIds.map((shardId) => stateStore.ensureShardStateExists(shardId, shards[shardId]))
+    );
+    await Promise.all(
+      shardIds.map((shardId) => stateStore.resetShardCheckpoint(shardId, getResetPosition(shardId)))
+    );
+
+    logger.debug(`The checkpoints of ${shardIds.length} shard(s) have been reset.`);
+  }
+
+  /**
+   * Returns the health of the consumer, based on whether the last heartbeat succeeded, whether
+   * the lease acquisition loop is progressing, whether any of the shards leased by the consumer
+   * stalled, and how long ago was the last successful response from AWS. Something is considered
+   * stalled or too old after the time in the `healthCheckTimeout` option.
+   *
+   * @returns {Object} An object with an `isHealthy` flag, and the `checks` it's based on: `aws`,
+   *          `heartbeat`, `leases`, and `shards` (with the `stalledShards`), each with its own
+   *          `isHealthy` flag. The consumer isn't healthy until it's started.
+   */
+  getHealth() {
+    const { consumerId, healthCheckTimeout, heartbeatManager, leaseManager, streamName } =
+      internal(this);
+    return checkHealth({
+      consumerId,
+      heartbeat: heartbeatManager ? heartbeatManager.getStatus() : {},
+      leases: leaseManager ? leaseManager.getStatus() : {},
+      stats: getStats(streamName),
+      timeout: healthCheckTimeout
+    });
   }
 
   /**
-   * Returns statistics for the instance of the client.
+   * Returns statistics for the instance of the client. The stats of the stream include the
+   * `shards` read by the consumer, each with its `millisBehindLatest`, the `iteratorAge` of its
+   * last record (in milliseconds), the `recordsPerSecond` and `bytesPerSecond` consumed over the
+   * last minute, its `checkpoint`, and its `leaseOwner`.
    *
    * @returns {Object} An object with the statistics.
    */
@@ -590,6 +1753,75 @@ class Kinesis extends PassThrough {
     return getStats(streamName);
   }
 
+  /**
+   * Creates an admin to inspect and repair the state of a consumer group stored in DynamoDB, e.g.
+   * to find out who owns the lease of a shard and where its checkpoint is, or to evict a consumer
+   * that crashed. The changes are made with conditional updates, so they're safe while the
+   * consumers of the group are running.
+   *
+   * @param {Object} options - The options of the admin.
+   * @param {string} [options.consumerGroup] - The name of the consumer group. If not provided, it
+   *        defaults to the name of the application/project using this module.
+   * @param {Object} [options.dynamoDb={}] - The initialization options for the DynamoDB client,
+   *        as in the `dynamoDb` option of the client.
+   * @param {Object} [options.logger] - An object with the `warn`, `debug`, and `error` functions
+   *        that will be used for logging purposes.
+   * @param {Object} [options.metrics] - A metrics reporter, as in the `metrics` option of the
+   *        client.
+   * @param {Object} [options.retry] - The retry policy, as in the `retry` option of the client.
+   * @param {string} options.streamName - The name of the stream the consumer group reads from.
+   * @returns {Object} The admin, with the `deleteGroupState({ force })`, `describeGroup()`,
+   *          `evictConsumer(consumerId)`, `listConsumers()`, `listEnhancedConsumers()`,
+   *          `listLeases()`, `releaseLease(shardId, scope)`, and
+   *          `setCheckpoint(shardId, sequenceNumber, scope)` async functions.
+   */
+  static admin(options) {
+    return new Admin(options);
+  }
+
+  /**
+   * Creates a state store factory that can be given in the `stateStore` option of the client, and
+   * that keeps the state of the consumers in a JSON file. The consumers of different processes
+   * can share the state through the same file, but the file isn't locked while it's changed, and
+   * it's read and written synchronously in every state operation (blocking the event loop), so
+   * it's meant for local development without DynamoDB only.
+   *
+   * @param {string} filePath - The path of the file where the state is stored.
+   * @returns {Function} The state store factory.
+   */
+  static createFileStateStore(filePath) {
+    if (typeof filePath !== 'string' || !filePath) {
+      throw new TypeError('The file path is required.');
+    }
+    return (options) => new LocalStateStore({ ...options, filePath });
+  }
+
+  /**
+   * Creates a state store factory that can be given in the `stateStore` option of the client, and
+   * that keeps the state of the consumers in memory. The state is shared by the clients given the
+   * same factory, so a consumer group can be run in a single process, e.g. in tests.
+   *
+   * @returns {Function} The state store factory.
+   */
+  static createMemoryStateStore() {
+    const states = {};
+    return (options) => new LocalStateStore({ ...options, states });
+  }
+
+  /**
+   * Creates a metrics reporter that can be given in the `metrics` option of the client, and that
+   * renders the reported metrics in the Prometheus text exposition format.
+   *
+   * @param {Object} [options] - The options of the reporter.
+   * @param {Array<number>} [options.buckets] - The upper bounds in seconds of the buckets of the
+   *        histograms. Defaults to the ones used by the Prometheus client libraries.
+   * @param {string} [options.prefix=lifion_kinesis_] - The prefix of the names of the metrics.
+   * @returns {Object} The reporter, call its `render()` function to get the metrics.
+   */
+  static createPrometheusMetrics(options) {
+    return new PrometheusMetrics(options);
+  }
+
   /**
    * Returns the aggregated statistics of all the instances of the client.
    *
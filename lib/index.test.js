@@ -1,15 +1,23 @@
 'use strict';
 
 const Chance = require('chance');
+const path = require('path');
+const { mkdtempSync, readFileSync, rmdirSync, unlinkSync } = require('fs');
+const { tmpdir } = require('os');
 const { resetMockCounter } = require('short-uuid');
 
+const Admin = require('./admin');
 const ConsumersManager = require('./consumers-manager');
+const health = require('./health');
 const HeartbeatManager = require('./heartbeat-manager');
 const KinesisClient = require('./kinesis-client');
 const LeaseManager = require('./lease-manager');
+const Producer = require('./producer');
+const RecordProcessor = require('./record-processor');
 const RecordsModule = require('./records');
 const StateStore = require('./state-store');
 const stats = require('./stats');
+const { STATE_STORE_METHODS } = require('./constants');
 const stream = require('./stream');
 const S3Client = require('./s3-client');
 const Kinesis = require('.');
@@ -20,14 +28,21 @@ jest.mock('./stats');
 
 jest.mock('./consumers-manager', () => {
   const reconcile = jest.fn();
-  const stop = jest.fn();
+  const stop = jest.fn(() => Promise.resolve());
   return jest.fn(() => ({ reconcile, stop }));
 });
 
+jest.mock('./health', () => ({
+  checkHealth: jest.fn(() => ({ isHealthy: true })),
+  startHealthServer: jest.fn(() => Promise.resolve({ foo: 'bar' })),
+  stopHealthServer: jest.fn(() => Promise.resolve())
+}));
+
 jest.mock('./heartbeat-manager', () => {
+  const getStatus = jest.fn(() => ({ lastHeartbeat: null, lastHeartbeatFailed: true }));
   const start = jest.fn();
-  const stop = jest.fn();
-  return jest.fn(() => ({ start, stop }));
+  const stop = jest.fn(() => Promise.resolve());
+  return jest.fn(() => ({ getStatus, start, stop }));
 });
 
 jest.mock('./kinesis-client', () => {
@@ -74,10 +89,22 @@ jest.mock('./s3-client', () => {
 
 jest.mock('./bucket');
 
+jest.mock('./producer', () => {
+  const ActualProducer = jest.requireActual('./producer');
+  return jest.fn((options) => new ActualProducer(options));
+});
+
+jest.mock('./record-processor', () => {
+  const ActualRecordProcessor = jest.requireActual('./record-processor');
+  return jest.fn((options) => new ActualRecordProcessor(options));
+});
+
 jest.mock('./lease-manager', () => {
+  const getStatus = jest.fn(() => ({ lastAcquisition: null }));
+  const releaseLeases = jest.fn(() => Promise.resolve());
   const start = jest.fn();
-  const stop = jest.fn();
-  return jest.fn(() => ({ start, stop }));
+  const stop = jest.fn(() => Promise.resolve());
+  return jest.fn(() => ({ getStatus, releaseLeases, start, stop }));
 });
 
 jest.mock('./state-store', () => {
@@ -91,15 +118,21 @@ jest.mock('./state-store', () => {
     enhancedConsumers[consumerName] = { arn };
     return Promise.resolve();
   });
+  const deregisterConsumer = jest.fn(() => Promise.resolve());
   const deregisterEnhancedConsumer = jest.fn((consumerName) => {
     delete enhancedConsumers[consumerName];
     return Promise.resolve();
   });
+  const ensureShardStateExists = jest.fn(() => Promise.resolve());
+  const resetShardCheckpoint = jest.fn(() => Promise.resolve());
   return jest.fn(() => ({
     clearMockData,
+    deregisterConsumer,
     deregisterEnhancedConsumer,
+    ensureShardStateExists,
     getEnhancedConsumers,
     registerEnhancedConsumer,
+    resetShardCheckpoint,
     start
   }));
 });
@@ -119,6 +152,18 @@ jest.mock('./stream', () => {
       })
     ),
     getEnhancedConsumers: jest.fn(() => Promise.resolve(enhancedConsumers)),
+    getShardsHashKeyRanges: jest.fn(() =>
+      Promise.resolve([
+        {
+          endingHashKey: '340282366920938463463374607431768211455',
+          shardId: 'baz',
+          startingHashKey: '0'
+        }
+      ])
+    ),
+    getStreamShards: jest.fn(() =>
+      Promise.resolve({ 'shard-0000': { parent: null }, 'shard-0001': { parent: null } })
+    ),
     registerEnhancedConsumer: jest.fn(({ consumerName }) => {
       enhancedConsumers[consumerName] = {
         arn: `arn:consumer-${Object.keys(enhancedConsumers).length}`
@@ -156,6 +201,7 @@ describe('lib/index', () => {
     kinesisClient.putRecords.mockClear();
 
     const leaseManager = new LeaseManager();
+    leaseManager.releaseLeases.mockClear();
     leaseManager.start.mockClear();
     leaseManager.stop.mockClear();
 
@@ -163,22 +209,33 @@ describe('lib/index', () => {
     stateStore.start.mockClear();
     stateStore.getEnhancedConsumers.mockClear();
     stateStore.registerEnhancedConsumer.mockClear();
+    stateStore.deregisterConsumer.mockClear();
     stateStore.deregisterEnhancedConsumer.mockClear();
+    stateStore.ensureShardStateExists.mockClear();
+    stateStore.resetShardCheckpoint.mockClear();
     stateStore.clearMockData();
 
     ConsumersManager.mockClear();
     HeartbeatManager.mockClear();
+    health.checkHealth.mockClear();
+    health.startHealthServer.mockClear();
+    health.stopHealthServer.mockClear();
     KinesisClient.mockClear();
     LeaseManager.mockClear();
+    Producer.mockClear();
+    RecordProcessor.mockClear();
     StateStore.mockClear();
 
     stats.getStats.mockClear();
     stats.reportRecordConsumed.mockClear();
+    stats.reportShardConsumption.mockClear();
 
     stream.confirmStreamTags.mockClear();
     stream.ensureStreamEncription.mockClear();
     stream.ensureStreamExists.mockClear();
     stream.getEnhancedConsumers.mockClear();
+    stream.getShardsHashKeyRanges.mockClear();
+    stream.getStreamShards.mockClear();
     stream.registerEnhancedConsumer.mockClear();
     stream.clearMockData();
 
@@ -195,6 +252,168 @@ describe('lib/index', () => {
     expect(() => new Kinesis()).toThrow('The "streamName" option is required.');
   });
 
+  test('the constructor should throw if provided with a dead-letter without targets', () => {
+    expect(() => new Kinesis({ ...options, deadLetter: { maxAttempts: 2 } })).toThrow(
+      new TypeError('The "deadLetter" option requires a "callback", "streamName", or "useS3".')
+    );
+  });
+
+  test('the constructor should throw if provided with invalid options to pin shards', () => {
+    expect(() => new Kinesis({ ...options, shardIds: 'shard-0000' })).toThrow(
+      new TypeError('The "shardIds" option is invalid.')
+    );
+    expect(() => new Kinesis({ ...options, excludedShardIds: [0] })).toThrow(
+      new TypeError('The "excludedShardIds" option is invalid.')
+    );
+    expect(() => new Kinesis({ ...options, hashKeyRange: { startingHashKey: '0' } })).toThrow(
+      new TypeError('The "hashKeyRange" option is invalid.')
+    );
+  });
+
+  test('the options to pin shards are passed to the lease manager as a shard filter', async () => {
+    const kinesis = new Kinesis({
+      ...options,
+      excludedShardIds: ['shard-0001'],
+      hashKeyRange: { endingHashKey: 100, startingHashKey: '0' }
+    });
+    try {
+      await kinesis.startConsumer();
+      expect(LeaseManager).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shardFilter: {
+            excludedShardIds: ['shard-0001'],
+            hashKeyRange: { endingHashKey: '100', startingHashKey: '0' },
+            shardIds: null
+          }
+        })
+      );
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the constructor should throw if provided with an invalid initial position', () => {
+    const error = 'The "initialPosition" option is invalid.';
+    expect(() => new Kinesis({ ...options, initialPosition: 'foo' })).toThrow(error);
+    expect(() => new Kinesis({ ...options, initialPosition: null })).toThrow(error);
+    expect(() => new Kinesis({ ...options, initialPosition: { type: 'AT_TIMESTAMP' } })).toThrow(
+      error
+    );
+    expect(
+      () => new Kinesis({ ...options, initialPosition: { timestamp: 'foo', type: 'AT_TIMESTAMP' } })
+    ).toThrow(error);
+    expect(
+      () => new Kinesis({ ...options, initialPosition: { type: 'AT_SEQUENCE_NUMBER' } })
+    ).toThrow(error);
+  });
+
+  test('the constructor should throw if provided with an invalid instance name', () => {
+    const error = 'The "instanceName" option is invalid.';
+    expect(() => new Kinesis({ ...options, instanceName: '' })).toThrow(error);
+    expect(() => new Kinesis({ ...options, instanceName: 1 })).toThrow(error);
+  });
+
+  test('the constructor should throw if provided with an invalid state store', () => {
+    const error = 'The "stateStore" option is invalid.';
+    expect(() => new Kinesis({ ...options, stateStore: 'foo' })).toThrow(error);
+    expect(() => new Kinesis({ ...options, stateStore: {} })).toThrow(error);
+  });
+
+  test('the state store can be replaced with a custom one', async () => {
+    const stateStore = STATE_STORE_METHODS.reduce(
+      (obj, method) => ({ ...obj, [method]: jest.fn().mockResolvedValue() }),
+      {}
+    );
+    const factory = jest.fn(() => stateStore);
+    const kinesis = new Kinesis({ ...options, instanceName: 'foo', stateStore: factory });
+    try {
+      await kinesis.startConsumer();
+      expect(factory).toHaveBeenCalledWith({
+        capacityWeight: 1,
+        consumerGroup: expect.any(String),
+        consumerId: expect.any(String),
+        emitEvent: expect.any(Function),
+        instanceName: 'foo',
+        logger: expect.any(Object),
+        maxLeases: null,
+        shardFilter: null,
+        streamCreatedOn: expect.anything(),
+        streamName: 'test-stream',
+        useAutoShardAssignment: true,
+        useEnhancedFanOut: false,
+        useItemPerShard: false
+      });
+      expect(stateStore.start).toHaveBeenCalled();
+      expect(StateStore).not.toHaveBeenCalled();
+      expect(LeaseManager).toHaveBeenCalledWith(expect.objectContaining({ stateStore }));
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('custom state stores missing any of the required methods are rejected', async () => {
+    const error = jest.fn();
+    const { getOwnedShards, ...stateStore } = STATE_STORE_METHODS.reduce(
+      (obj, method) => ({ ...obj, [method]: jest.fn() }),
+      {}
+    );
+    const errorMsg = 'The state store is missing the "getOwnedShards" method.';
+    const kinesis = new Kinesis({ ...options, logger: { error }, stateStore: () => stateStore });
+    await expect(kinesis.startConsumer()).rejects.toThrow(new TypeError(errorMsg));
+    expect(error).toHaveBeenCalledWith(errorMsg);
+    const otherKinesis = new Kinesis({ ...options, stateStore: () => null });
+    await expect(otherKinesis.resetCheckpoints('TRIM_HORIZON')).rejects.toThrow(
+      'The state store is missing the "clearOldConsumers" method.'
+    );
+    expect(getOwnedShards).not.toHaveBeenCalled();
+  });
+
+  test('the instance name is passed to the state store', async () => {
+    const kinesis = new Kinesis({ ...options, instanceName: 'foo' });
+    try {
+      await kinesis.startConsumer();
+      expect(StateStore).toHaveBeenCalledWith(expect.objectContaining({ instanceName: 'foo' }));
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the item per shard option is passed to the state store', async () => {
+    const kinesis = new Kinesis({ ...options, useItemPerShard: 1 });
+    try {
+      await kinesis.startConsumer();
+      expect(StateStore).toHaveBeenCalledWith(expect.objectContaining({ useItemPerShard: true }));
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the initial position is normalized and passed to the consumers manager', async () => {
+    const positions = [
+      [undefined, { type: 'LATEST' }],
+      ['TRIM_HORIZON', { type: 'TRIM_HORIZON' }],
+      [
+        { timestamp: '2019-01-01T00:00:00.000Z', type: 'AT_TIMESTAMP' },
+        { timestamp: new Date('2019-01-01'), type: 'AT_TIMESTAMP' }
+      ],
+      [
+        { sequenceNumber: '123', type: 'AT_SEQUENCE_NUMBER' },
+        { sequenceNumber: '123', type: 'AT_SEQUENCE_NUMBER' }
+      ]
+    ];
+    for (const [initialPosition, expected] of positions) {
+      const kinesis = new Kinesis({ ...options, initialPosition });
+      try {
+        await kinesis.startConsumer();
+        expect(ConsumersManager).toHaveBeenLastCalledWith(
+          expect.objectContaining({ initialPosition: expected })
+        );
+      } finally {
+        kinesis.stopConsumer();
+      }
+    }
+  });
+
   test('starting a consumer will make sure the stream exists', async () => {
     const kinesis = new Kinesis({
       ...options,
@@ -325,25 +544,111 @@ describe('lib/index', () => {
     }
   });
 
+  test('the internal managers can emit lifecycle events from the instance', async () => {
+    const kinesis = new Kinesis(options);
+    try {
+      await kinesis.startConsumer();
+      const [[{ emitEvent }]] = LeaseManager.mock.calls;
+      expect(StateStore).toHaveBeenCalledWith(expect.objectContaining({ emitEvent }));
+      const onLeaseAcquired = jest.fn();
+      kinesis.on('leaseAcquired', onLeaseAcquired);
+      emitEvent('leaseAcquired', { shardId: 'shard-0000' });
+      expect(onLeaseAcquired).toHaveBeenCalledWith({ shardId: 'shard-0000' });
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the failures of the listeners of lifecycle events are logged', async () => {
+    const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+    const kinesis = new Kinesis({ ...options, logger: mockLogger });
+    try {
+      await kinesis.startConsumer();
+      const [[{ emitEvent }]] = LeaseManager.mock.calls;
+      const error = new Error('foo');
+      kinesis.on('leaseAcquired', () => {
+        throw error;
+      });
+      expect(() => emitEvent('leaseAcquired', { shardId: 'shard-0000' })).not.toThrow();
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'A listener of the "leaseAcquired" event failed:',
+        error
+      );
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the retry policy is passed to the AWS clients', async () => {
+    const retry = { maxAttempts: 3, put: { deadline: 1000 } };
+    const kinesis = new Kinesis({ ...options, retry, useS3ForLargeItems: true });
+    try {
+      await kinesis.startConsumer();
+      expect(KinesisClient).toHaveBeenCalledWith(expect.objectContaining({ retry }));
+      expect(StateStore).toHaveBeenCalledWith(expect.objectContaining({ retry }));
+      expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({ retry }));
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the metrics reporter is passed to the AWS clients and the lease manager', async () => {
+    const metrics = Kinesis.createPrometheusMetrics();
+    const kinesis = new Kinesis({ ...options, metrics, useS3ForLargeItems: true });
+    try {
+      await kinesis.startConsumer();
+      expect(KinesisClient).toHaveBeenCalledWith(expect.objectContaining({ metrics }));
+      expect(StateStore).toHaveBeenCalledWith(expect.objectContaining({ metrics }));
+      expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({ metrics }));
+      expect(LeaseManager).toHaveBeenCalledWith(expect.objectContaining({ metrics }));
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the capacity weight and the maximum of leases are passed to the state store', async () => {
+    const kinesis = new Kinesis({ ...options, capacityWeight: '2', maxLeases: 3 });
+    try {
+      await kinesis.startConsumer();
+      expect(StateStore).toHaveBeenCalledWith(
+        expect.objectContaining({ capacityWeight: 2, maxLeases: 3 })
+      );
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
   test('invalid options in the constructor should be defaulted', async () => {
     const kinesis = new Kinesis({
       ...options,
+      capacityWeight: 0,
+      healthCheckPort: -1,
+      healthCheckTimeout: 0,
+      laggingThreshold: -1,
       limit: -100,
       maxEnhancedConsumers: -1,
+      maxLeases: 1.5,
       noRecordsPollDelay: 0,
       pollDelay: -100,
       shardCount: 0,
+      shutdownTimeout: -1,
       statsInterval: 100
     });
     try {
       await expect(kinesis.startConsumer()).resolves.toBeUndefined();
       expect(StateStore).toHaveBeenCalledWith(
         expect.objectContaining({
+          capacityWeight: 1,
+          healthCheckPort: null,
+          healthCheckTimeout: 60000,
+          laggingThreshold: null,
           limit: 10000,
           maxEnhancedConsumers: 5,
+          maxLeases: null,
           noRecordsPollDelay: 250,
           pollDelay: 250,
           shardCount: 1,
+          shutdownTimeout: 30000,
           statsInterval: 30000
         })
       );
@@ -489,13 +794,184 @@ describe('lib/index', () => {
       });
       await kinesis.startConsumer();
       const [[{ pushToStream }]] = ConsumersManager.mock.calls;
-      pushToStream(new Error('foo'));
+      expect(pushToStream(new Error('foo'))).toBe(true);
       expect(stats.reportRecordConsumed).not.toHaveBeenCalled();
     } finally {
       kinesis.stopConsumer();
     }
   });
 
+  test('the consumers are told to wait once the stream buffer is full until it is read', async () => {
+    const kinesis = new Kinesis(options);
+    try {
+      await kinesis.startConsumer();
+      const [[{ pushToStream, waitForRead }]] = ConsumersManager.mock.calls;
+      const { readableHighWaterMark } = kinesis;
+      const results = Array.from({ length: readableHighWaterMark }, (_, index) =>
+        pushToStream(null, { index })
+      );
+      expect(results.pop()).toBe(false);
+      expect(results.every(Boolean)).toBe(true);
+      const onRead = jest.fn();
+      const promise = waitForRead().then(onRead);
+      await Promise.resolve();
+      expect(onRead).not.toHaveBeenCalled();
+      expect(kinesis.read()).toEqual({ index: 0 });
+      await promise;
+      expect(onRead).toHaveBeenCalled();
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the consumers are told when the records are processed if checkpointing after it', async () => {
+    const kinesis = new Kinesis({ ...options, checkpointAfterProcessing: true });
+    await kinesis.startConsumer();
+    const [[{ checkpointAfterProcessing, pushToStream, waitForProcessing }]] =
+      ConsumersManager.mock.calls;
+    expect(checkpointAfterProcessing).toBe(true);
+    const onProcessed = jest.fn();
+    const data = { records: [] };
+    const nextData = { records: [] };
+    const unreadData = { records: [] };
+    pushToStream(null, data);
+    pushToStream(null, nextData);
+    pushToStream(null, unreadData);
+    const promise = waitForProcessing(data).then(onProcessed);
+    expect(kinesis.read()).toBe(data);
+    await Promise.resolve();
+    expect(onProcessed).not.toHaveBeenCalled();
+    expect(kinesis.read(0)).toBeNull();
+    expect(kinesis.read()).toBe(nextData);
+    await promise;
+    expect(onProcessed).toHaveBeenCalledWith(true);
+    const nextProcessing = waitForProcessing(nextData);
+    const unreadProcessing = waitForProcessing(unreadData);
+    kinesis.stopConsumer();
+    await expect(nextProcessing).resolves.toBe(true);
+    await expect(unreadProcessing).resolves.toBe(false);
+    await expect(waitForProcessing(data)).resolves.toBe(false);
+    const lateData = { records: [] };
+    pushToStream(null, lateData);
+    await expect(waitForProcessing(lateData)).resolves.toBe(false);
+  });
+
+  test('the records are processed once the promises of the data listeners settle', async () => {
+    const kinesis = new Kinesis({ ...options, checkpointAfterProcessing: true });
+    try {
+      await kinesis.startConsumer();
+      const [[{ pushToStream, waitForProcessing }]] = ConsumersManager.mock.calls;
+      const handlers = [];
+      const onData = jest.fn(
+        () =>
+          new Promise((resolve, reject) => {
+            handlers.push({ reject, resolve });
+          })
+      );
+      const onError = jest.fn();
+      kinesis.on('data', onData);
+      kinesis.on('error', onError);
+      await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+      const data = { records: [] };
+      const nextData = { records: [] };
+      pushToStream(null, data);
+      const onProcessed = jest.fn();
+      const promise = waitForProcessing(data).then(onProcessed);
+      pushToStream(null, nextData);
+      expect(onData.mock.calls).toEqual([[data], [nextData]]);
+      await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+      expect(onProcessed).not.toHaveBeenCalled();
+      const error = new Error('foo');
+      handlers[0].reject(error);
+      await promise;
+      expect(onProcessed).toHaveBeenCalledWith(false);
+      expect(onError).toHaveBeenCalledWith(error);
+      const nextProcessing = waitForProcessing(nextData);
+      handlers[1].resolve();
+      kinesis.stopConsumer();
+      await expect(nextProcessing).resolves.toBe(true);
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the failures of the data listeners are logged if there are no error listeners', async () => {
+    const error = jest.fn();
+    const kinesis = new Kinesis({ ...options, checkpointAfterProcessing: true, logger: { error } });
+    try {
+      await kinesis.startConsumer();
+      const [[{ pushToStream, waitForProcessing }]] = ConsumersManager.mock.calls;
+      const err = new Error('foo');
+      kinesis.on('data', () => Promise.reject(err));
+      await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+      const data = { records: [] };
+      pushToStream(null, data);
+      const processing = waitForProcessing(data);
+      pushToStream(null, { records: [] });
+      await expect(processing).resolves.toBe(false);
+      expect(error).toHaveBeenCalledWith(err);
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test("the records are processed as they're pushed when not checkpointing after it", async () => {
+    const kinesis = new Kinesis({
+      ...options,
+      checkpointAfterProcessing: true,
+      useAutoCheckpoints: false
+    });
+    try {
+      await kinesis.startConsumer();
+      const [[{ checkpointAfterProcessing, pushToStream, waitForProcessing }]] =
+        ConsumersManager.mock.calls;
+      expect(checkpointAfterProcessing).toBe(false);
+      const data = { records: [] };
+      pushToStream(null, data);
+      await expect(waitForProcessing(data)).resolves.toBe(false);
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
+  test('the consumption of the shards is reported and lagging shards are signaled', async () => {
+    const kinesis = new Kinesis({ ...options, laggingThreshold: 1000 });
+    try {
+      await kinesis.startConsumer();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      const onLagging = jest.fn();
+      kinesis.on('lagging', onLagging);
+      const approximateArrivalTimestamp = new Date(Date.now() - 500);
+      const records = [{ approximateArrivalTimestamp, data: 'foo' }];
+      const shardId = 'shard-0000';
+      [2000, 3000, 1000, 2000].forEach((millisBehindLatest) =>
+        pushToStream(null, { millisBehindLatest, records, shardId })
+      );
+      pushToStream(null, { millisBehindLatest: 0, records: [], shardId });
+      expect(stats.reportShardConsumption).toHaveBeenNthCalledWith(1, 'test-stream', {
+        bytes: 0,
+        iteratorAge: expect.any(Number),
+        millisBehindLatest: 2000,
+        records: 1,
+        shardId
+      });
+      expect(stats.reportShardConsumption).toHaveBeenLastCalledWith('test-stream', {
+        bytes: 0,
+        iteratorAge: undefined,
+        millisBehindLatest: 0,
+        records: 0,
+        shardId
+      });
+      expect(stats.reportShardConsumption.mock.calls[0][1].iteratorAge).toBeGreaterThanOrEqual(500);
+      expect(onLagging.mock.calls).toEqual([
+        [{ millisBehindLatest: 2000, shardId, threshold: 1000 }],
+        [{ millisBehindLatest: 2000, shardId, threshold: 1000 }]
+      ]);
+    } finally {
+      kinesis.stopConsumer();
+    }
+  });
+
   test('the stream should be able emit stats', async () => {
     const kinesis = new Kinesis(options);
     try {
@@ -524,10 +1000,612 @@ describe('lib/index', () => {
     }
   });
 
+  test('the health of the consumer can be retrieved', async () => {
+    stats.getStats.mockReturnValueOnce({ lastAwsResponse: null });
+    const kinesis = new Kinesis({ ...options, healthCheckTimeout: 30000 });
+    try {
+      expect(kinesis.getHealth()).toEqual({ isHealthy: true });
+      expect(health.checkHealth).toHaveBeenCalledWith({
+        consumerId: '0000',
+        heartbeat: {},
+        leases: {},
+        stats: { lastAwsResponse: null },
+        timeout: 30000
+      });
+      await kinesis.startConsumer();
+      kinesis.getHealth();
+      expect(stats.getStats).toHaveBeenCalledWith('test-stream');
+      expect(health.checkHealth).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          heartbeat: { lastHeartbeat: null, lastHeartbeatFailed: true },
+          leases: { lastAcquisition: null }
+        })
+      );
+      expect(health.startHealthServer).not.toHaveBeenCalled();
+    } finally {
+      await kinesis.stopConsumer();
+    }
+    expect(health.stopHealthServer).not.toHaveBeenCalled();
+  });
+
+  test('the health of the consumer can be served over HTTP', async () => {
+    const kinesis = new Kinesis({ ...options, healthCheckPort: '8080' });
+    await kinesis.startConsumer();
+    const [[{ getHealth, logger, port }]] = health.startHealthServer.mock.calls;
+    expect(logger).toEqual(expect.objectContaining({ debug: expect.any(Function) }));
+    expect(port).toBe(8080);
+    expect(getHealth()).toEqual({ isHealthy: true });
+    await kinesis.stopConsumer();
+    expect(health.stopHealthServer).toHaveBeenCalledWith({ foo: 'bar' });
+    await kinesis.stopConsumer();
+    expect(health.stopHealthServer).toHaveBeenCalledTimes(1);
+  });
+
+  test('the consumer is stopped if the health server fails to start', async () => {
+    health.startHealthServer.mockRejectedValueOnce(new Error('EADDRINUSE'));
+    const kinesis = new Kinesis({ ...options, healthCheckPort: 8080 });
+    await expect(kinesis.startConsumer()).rejects.toThrow('EADDRINUSE');
+    expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+    expect(health.stopHealthServer).not.toHaveBeenCalled();
+  });
+
   test('stats can be retrieved for the module', () => {
     expect(Kinesis.getStats()).toEqual({ stats: {} });
   });
 
+  test('the module can create metrics reporters for Prometheus', () => {
+    const metrics = Kinesis.createPrometheusMetrics({ prefix: 'foo_' });
+    metrics.counter('bar_total');
+    expect(metrics.render()).toBe('# TYPE foo_bar_total counter\nfoo_bar_total 1\n');
+  });
+
+  test('the module can create admins to inspect and repair consumer groups', () => {
+    const admin = Kinesis.admin({ consumerGroup: 'test-group', streamName: 'test-stream' });
+    expect(admin).toBeInstanceOf(Admin);
+    expect(() => Kinesis.admin({})).toThrow('The "streamName" option is required.');
+  });
+
+  test('the module can create state stores that keep the state in memory', async () => {
+    const stateStore = Kinesis.createMemoryStateStore();
+    const storeOptions = {
+      consumerGroup: 'test-group',
+      consumerId: 'test-id',
+      logger: { debug: jest.fn() },
+      streamCreatedOn: '2019-01-01T00:00:00.000Z',
+      streamName: 'test-stream',
+      useAutoShardAssignment: true
+    };
+    const store1 = stateStore(storeOptions);
+    const store2 = stateStore({ ...storeOptions, consumerId: 'other-id' });
+    await store1.start();
+    await store1.registerEnhancedConsumer('foo', 'arn:foo');
+    await store2.start();
+    await expect(store2.getEnhancedConsumers()).resolves.toEqual({
+      foo: expect.objectContaining({ arn: 'arn:foo' })
+    });
+    const otherStore = Kinesis.createMemoryStateStore()(storeOptions);
+    await otherStore.start();
+    await expect(otherStore.getEnhancedConsumers()).resolves.toEqual({});
+  });
+
+  test('the module can create state stores that keep the state in a file', async () => {
+    const dirPath = mkdtempSync(path.join(tmpdir(), 'lifion-kinesis-'));
+    const filePath = path.join(dirPath, 'state.json');
+    try {
+      const store = Kinesis.createFileStateStore(filePath)({
+        consumerGroup: 'test-group',
+        logger: { debug: jest.fn() },
+        streamCreatedOn: '2019-01-01T00:00:00.000Z',
+        streamName: 'test-stream'
+      });
+      await store.start();
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).toEqual({
+        'test-group': { 'test-stream': expect.any(Object) }
+      });
+    } finally {
+      unlinkSync(filePath);
+      rmdirSync(dirPath);
+    }
+    expect(() => Kinesis.createFileStateStore()).toThrow('The file path is required.');
+    expect(() => Kinesis.createFileStateStore('')).toThrow('The file path is required.');
+  });
+
+  describe('stopConsumer', () => {
+    const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+    const nextTickWait = () => new Promise((resolve) => realSetImmediate(resolve));
+
+    test('the consumer releases its leases and leaves the group once drained', async () => {
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({ ...options, logger: mockLogger });
+      await kinesis.startConsumer();
+      const [[{ waitForRead }]] = ConsumersManager.mock.calls;
+      const onRead = jest.fn();
+      const reading = waitForRead().then(onRead);
+      let resolveStop;
+      new ConsumersManager().stop.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveStop = resolve;
+          })
+      );
+      mockLogger.debug.mockClear();
+      const promise = kinesis.stopConsumer();
+      expect(new HeartbeatManager().stop).toHaveBeenCalledTimes(1);
+      expect(new LeaseManager().stop).toHaveBeenCalledTimes(1);
+      expect(new ConsumersManager().stop).toHaveBeenCalledTimes(1);
+      await reading;
+      expect(onRead).toHaveBeenCalled();
+      await nextTickWait();
+      expect(new LeaseManager().releaseLeases).not.toHaveBeenCalled();
+      resolveStop();
+      await expect(promise).resolves.toBeUndefined();
+      expect(new LeaseManager().releaseLeases).toHaveBeenCalledTimes(1);
+      expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+      expect(mockLogger.debug.mock.calls).toEqual([
+        ['Trying to stop the consumer…'],
+        ['The consumer is now stopped.']
+      ]);
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+
+    test('the leases are released anyway if the consumers take too long to stop', async () => {
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({ ...options, logger: mockLogger, shutdownTimeout: 1000 });
+      await kinesis.startConsumer();
+      new ConsumersManager().stop.mockImplementationOnce(() => new Promise(() => {}));
+      const promise = kinesis.stopConsumer();
+      expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 1000);
+      jest.advanceTimersByTime(1000);
+      await expect(promise).resolves.toBeUndefined();
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'The shard consumers took too long to stop, releasing the leases anyway.'
+      );
+      expect(new LeaseManager().releaseLeases).toHaveBeenCalledTimes(1);
+      expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+    });
+
+    test('the consumer leaves the group only once when stopped again', async () => {
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({ ...options, logger: mockLogger });
+      await kinesis.startConsumer();
+      await kinesis.stopConsumer();
+      await expect(kinesis.stopConsumer()).resolves.toBeUndefined();
+      expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+      expect(mockLogger.error).not.toHaveBeenCalled();
+    });
+
+    test('the failures while stopping the consumer are logged', async () => {
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({ ...options, logger: mockLogger });
+      await kinesis.startConsumer();
+      new LeaseManager().releaseLeases.mockRejectedValueOnce(new Error('foo'));
+      await expect(kinesis.stopConsumer()).resolves.toBeUndefined();
+      expect(new StateStore().deregisterConsumer).not.toHaveBeenCalled();
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Unexpected failure while trying to stop the consumer:',
+        expect.objectContaining({ message: 'foo' })
+      );
+    });
+
+    test('the consumer can be stopped when the process receives a shutdown signal', async () => {
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      const listenerCount = process.listenerCount('SIGTERM');
+      const kinesis = new Kinesis({ ...options, stopOnSignals: true });
+      try {
+        await kinesis.startConsumer();
+        expect(process.listenerCount('SIGINT')).toBeGreaterThan(0);
+        expect(process.listenerCount('SIGTERM')).toBe(listenerCount + 1);
+        process.emit('SIGTERM', 'SIGTERM');
+        await nextTickWait();
+        expect(new LeaseManager().releaseLeases).toHaveBeenCalledTimes(1);
+        expect(process.listenerCount('SIGTERM')).toBe(listenerCount);
+        if (listenerCount === 0) expect(kill).toHaveBeenCalledWith(process.pid, 'SIGTERM');
+        else expect(kill).not.toHaveBeenCalled();
+      } finally {
+        kill.mockRestore();
+      }
+    });
+
+    test("the signal isn't raised again if something else in the process listens to it", async () => {
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      const onSignal = jest.fn();
+      process.on('SIGINT', onSignal);
+      const kinesis = new Kinesis({ ...options, stopOnSignals: true });
+      try {
+        await kinesis.startConsumer();
+        process.emit('SIGINT', 'SIGINT');
+        await nextTickWait();
+        expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+        expect(onSignal).toHaveBeenCalled();
+        expect(kill).not.toHaveBeenCalled();
+      } finally {
+        process.removeListener('SIGINT', onSignal);
+        kill.mockRestore();
+      }
+    });
+  });
+
+  describe('consume', () => {
+    const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+    const nextTickWait = () => new Promise((resolve) => realSetImmediate(resolve));
+
+    test('batches of records can be consumed with an async iterator', async () => {
+      const kinesis = new Kinesis(options);
+      const continuePolling = jest.fn();
+      const setCheckpoint = jest.fn().mockResolvedValue(true);
+      const batches = [];
+      const loop = (async () => {
+        for await (const batch of kinesis.consume()) {
+          batches.push(batch);
+          await batch.ack();
+          await batch.ack();
+          if (batches.length === 2) break;
+        }
+      })();
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      pushToStream(null, {
+        continuePolling,
+        millisBehindLatest: 10,
+        records: [{ sequenceNumber: '1' }, { sequenceNumber: '2' }],
+        setCheckpoint,
+        shardId: 'shard-0000',
+        streamName: 'test-stream'
+      });
+      pushToStream(null, { millisBehindLatest: 0, records: [{}], shardId: 'shard-0001' });
+      await loop;
+      expect(batches).toEqual([
+        {
+          ack: expect.any(Function),
+          millisBehindLatest: 10,
+          records: [{ sequenceNumber: '1' }, { sequenceNumber: '2' }],
+          shardId: 'shard-0000',
+          streamName: 'test-stream'
+        },
+        {
+          ack: expect.any(Function),
+          millisBehindLatest: 0,
+          records: [{}],
+          shardId: 'shard-0001'
+        }
+      ]);
+      expect(setCheckpoint).toHaveBeenCalledTimes(1);
+      expect(setCheckpoint).toHaveBeenCalledWith('2');
+      expect(continuePolling).toHaveBeenCalledTimes(1);
+      expect(new ConsumersManager().stop).toHaveBeenCalledTimes(1);
+      expect(kinesis.listenerCount('readable')).toBe(0);
+    });
+
+    test('the batches consumed are processed once acknowledged if checkpointing after it', async () => {
+      const kinesis = new Kinesis({ ...options, checkpointAfterProcessing: true });
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      const [[{ pushToStream, waitForProcessing }]] = ConsumersManager.mock.calls;
+      const data = { records: [{ sequenceNumber: '1' }], shardId: 'shard-0000' };
+      pushToStream(null, data);
+      const { value: batch } = await promise;
+      const onProcessed = jest.fn();
+      const processed = waitForProcessing(data).then(onProcessed);
+      await nextTickWait();
+      expect(onProcessed).not.toHaveBeenCalled();
+      await batch.ack();
+      await processed;
+      expect(onProcessed).toHaveBeenCalled();
+      await iterator.return();
+    });
+
+    test('batches can be acknowledged up to one of their records', async () => {
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      const continuePolling = jest.fn();
+      const setCheckpoint = jest.fn().mockResolvedValue(true);
+      pushToStream(null, {
+        continuePolling,
+        records: [{ sequenceNumber: '1' }, { sequenceNumber: '2' }],
+        setCheckpoint,
+        shardId: 'shard-0000'
+      });
+      const { value: batch } = await promise;
+      await batch.ack('1');
+      expect(setCheckpoint).toHaveBeenCalledWith('1');
+      expect(continuePolling).not.toHaveBeenCalled();
+      await batch.ack('2');
+      await batch.ack('2');
+      expect(setCheckpoint).toHaveBeenCalledTimes(2);
+      expect(setCheckpoint).toHaveBeenLastCalledWith('2');
+      expect(continuePolling).toHaveBeenCalledTimes(1);
+      await iterator.return();
+    });
+
+    test('closing the iterator waits for the consumer to be stopped', async () => {
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      pushToStream(null, { records: [{}], shardId: 'shard-0000' });
+      await promise;
+      let resolveStop;
+      new ConsumersManager().stop.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveStop = resolve;
+          })
+      );
+      const onReturn = jest.fn();
+      const returning = iterator.return().then(onReturn);
+      await nextTickWait();
+      expect(onReturn).not.toHaveBeenCalled();
+      resolveStop();
+      await returning;
+      expect(onReturn).toHaveBeenCalledWith({ done: true, value: undefined });
+      expect(new StateStore().deregisterConsumer).toHaveBeenCalledTimes(1);
+    });
+
+    test('the failures stopping the consumer when closing the iterator are logged', async () => {
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({ ...options, logger: mockLogger });
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      pushToStream(null, { records: [{}], shardId: 'shard-0000' });
+      await promise;
+      const error = new Error('foo');
+      jest.spyOn(kinesis, 'stopConsumer').mockRejectedValueOnce(error);
+      await expect(iterator.return()).resolves.toEqual({ done: true, value: undefined });
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Unexpected failure while trying to stop the consumer:',
+        error
+      );
+    });
+
+    test('the loop is exited if the consumer is stopped', async () => {
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      kinesis.stopConsumer();
+      await expect(promise).resolves.toEqual({ done: true, value: undefined });
+      expect(new ConsumersManager().stop).toHaveBeenCalledTimes(1);
+      expect(kinesis.listenerCount('readable')).toBe(0);
+    });
+
+    test('the errors emitted while consuming are thrown and stop the consumer', async () => {
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      const promise = iterator.next();
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      pushToStream(new Error('foo'));
+      kinesis.emit('readable');
+      await expect(promise).rejects.toThrow('foo');
+      expect(new ConsumersManager().stop).toHaveBeenCalledTimes(1);
+      await expect(iterator.next()).resolves.toEqual({ done: true, value: undefined });
+      await expect(iterator.return()).resolves.toEqual({ done: true, value: undefined });
+      expect(new ConsumersManager().stop).toHaveBeenCalledTimes(1);
+      expect(kinesis.listenerCount('error')).toBe(0);
+    });
+
+    test('the errors starting the consumer are thrown from the iterator', async () => {
+      stream.ensureStreamExists.mockRejectedValueOnce(new Error('foo'));
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      await expect(iterator.next()).rejects.toThrow('foo');
+      await expect(iterator.next()).resolves.toEqual({ done: true, value: undefined });
+      expect(new ConsumersManager().stop).not.toHaveBeenCalled();
+    });
+
+    test("the consumer isn't started if the iterator is closed before consuming", async () => {
+      const kinesis = new Kinesis(options);
+      const iterator = kinesis.consume();
+      await expect(iterator.return()).resolves.toEqual({ done: true, value: undefined });
+      await expect(iterator.next()).resolves.toEqual({ done: true, value: undefined });
+      expect(ConsumersManager).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('process', () => {
+    const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+    const nextTickWait = () => new Promise((resolve) => realSetImmediate(resolve));
+
+    test('the records are passed to the handler until the consumer is stopped', async () => {
+      const kinesis = new Kinesis({ ...options, useAutoCheckpoints: false });
+      const handler = jest.fn();
+      const promise = kinesis.process(handler);
+      await nextTickWait();
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      const setCheckpoint = jest.fn().mockResolvedValue(true);
+      pushToStream(null, {
+        millisBehindLatest: 0,
+        records: [{ sequenceNumber: '1' }, { sequenceNumber: '2' }],
+        setCheckpoint,
+        shardId: 'shard-0000',
+        streamName: 'test-stream'
+      });
+      await nextTickWait();
+      const context = { millisBehindLatest: 0, shardId: 'shard-0000', streamName: 'test-stream' };
+      expect(handler.mock.calls).toEqual([
+        [{ sequenceNumber: '1' }, context],
+        [{ sequenceNumber: '2' }, context]
+      ]);
+      expect(setCheckpoint).toHaveBeenLastCalledWith('2');
+      kinesis.stopConsumer();
+      await expect(promise).resolves.toBeUndefined();
+    });
+
+    test('the automatic checkpoints are stored once the records are processed', async () => {
+      const kinesis = new Kinesis(options);
+      const promise = kinesis.process(jest.fn());
+      await nextTickWait();
+      const [[privateProps]] = ConsumersManager.mock.calls;
+      expect(privateProps.checkpointAfterProcessing).toBe(true);
+      kinesis.stopConsumer();
+      await expect(promise).resolves.toBeUndefined();
+      expect(privateProps.checkpointAfterProcessing).toBe(false);
+    });
+
+    test('the processing options are normalized', async () => {
+      const kinesis = new Kinesis(options);
+      const handler = jest.fn();
+      const promises = [
+        kinesis.process(handler),
+        kinesis.process(handler, { concurrency: 4, keyBy: 'partitionKey' }),
+        kinesis.process(handler, { concurrency: 0, keyBy: 'foo' })
+      ];
+      expect(
+        RecordProcessor.mock.calls.map(([{ concurrency, keyBy }]) => [concurrency, keyBy])
+      ).toEqual([
+        [1, 'shardId'],
+        [4, 'partitionKey'],
+        [1, 'shardId']
+      ]);
+      await nextTickWait();
+      kinesis.stopConsumer();
+      await Promise.all(promises);
+    });
+
+    test('the records the handler fails with are sent to the dead-letter targets', async () => {
+      const callback = jest.fn();
+      const kinesis = new Kinesis({
+        ...options,
+        compression: null,
+        deadLetter: { callback, maxAttempts: '2', streamName: 'dead-letter-stream', useS3: true },
+        useAutoCheckpoints: false
+      });
+      const handler = jest.fn(() => Promise.reject(new Error('foo')));
+      const promise = kinesis.process(handler);
+      await nextTickWait();
+      expect(RecordProcessor).toHaveBeenCalledWith(expect.objectContaining({ maxAttempts: 2 }));
+      const [[{ pushToStream }]] = ConsumersManager.mock.calls;
+      const setCheckpoint = jest.fn().mockResolvedValue(true);
+      const record = { partitionKey: 'bar', sequenceNumber: '1' };
+      pushToStream(null, {
+        millisBehindLatest: 0,
+        records: [record],
+        setCheckpoint,
+        shardId: 'shard-0000',
+        streamName: 'test-stream'
+      });
+      await nextTickWait();
+      const deadLetterRecord = {
+        attempts: 2,
+        error: { code: undefined, message: 'foo' },
+        failedAt: expect.any(String),
+        record,
+        shardId: 'shard-0000',
+        streamName: 'test-stream'
+      };
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(new KinesisClient().putRecords).toHaveBeenCalledWith(
+        expect.objectContaining({ StreamName: 'dead-letter-stream' }),
+        { maxRetries: undefined }
+      );
+      expect(new S3Client().putObject).toHaveBeenCalledWith({
+        Body: expect.any(String),
+        Bucket: 'test-stream',
+        ContentType: 'application/json',
+        Key: 'dead-letter/test-stream/shard-0000/1.json'
+      });
+      expect(callback).toHaveBeenCalledWith(deadLetterRecord);
+      expect(setCheckpoint).toHaveBeenLastCalledWith('1');
+      kinesis.stopConsumer();
+      await expect(promise).resolves.toBeUndefined();
+    });
+
+    test('the records that cannot be decoded are sent to the dead-letter targets', async () => {
+      const callback = jest.fn();
+      const kinesis = new Kinesis({ ...options, deadLetter: { callback, maxAttempts: 0 } });
+      const promise = kinesis.process(jest.fn());
+      await nextTickWait();
+      expect(RecordProcessor).toHaveBeenCalledWith(expect.objectContaining({ maxAttempts: 3 }));
+      const [[{ sendToDeadLetter }]] = ConsumersManager.mock.calls;
+      const error = Object.assign(new Error('foo'), { code: 'bar' });
+      const record = { data: 'Zm9v', sequenceNumber: '1' };
+      await sendToDeadLetter({ attempts: 1, error, record, shardId: 'shard-0000' });
+      expect(callback).toHaveBeenCalledWith({
+        attempts: 1,
+        error: { code: 'bar', message: 'foo' },
+        failedAt: expect.any(String),
+        record,
+        shardId: 'shard-0000',
+        streamName: 'test-stream'
+      });
+      expect(new KinesisClient().putRecords).not.toHaveBeenCalled();
+      kinesis.stopConsumer();
+      await promise;
+    });
+
+    test('the dead-letter callback is ignored if it is not a function', async () => {
+      const kinesis = new Kinesis({ ...options, deadLetter: { callback: 'foo', useS3: true } });
+      const promise = kinesis.process(jest.fn());
+      await nextTickWait();
+      const [[{ sendToDeadLetter }]] = ConsumersManager.mock.calls;
+      const record = { data: 'Zm9v', sequenceNumber: '2' };
+      const params = { attempts: 1, error: new Error('foo'), record, shardId: 'shard-0000' };
+      await expect(sendToDeadLetter(params)).resolves.toBeUndefined();
+      expect(new S3Client().putObject).toHaveBeenCalledWith(
+        expect.objectContaining({ Key: 'dead-letter/test-stream/shard-0000/2.json' })
+      );
+      kinesis.stopConsumer();
+      await promise;
+    });
+
+    test('the deaggregated records are stored in the dead-letter bucket without collisions', async () => {
+      new S3Client().putObject.mockClear();
+      new KinesisClient().putRecords.mockRejectedValueOnce(
+        Object.assign(new Error('foo'), { code: 'ResourceNotFoundException' })
+      );
+      const kinesis = new Kinesis({
+        ...options,
+        compression: null,
+        deadLetter: { streamName: 'dead-letter-stream', useS3: true }
+      });
+      const promise = kinesis.process(jest.fn());
+      await nextTickWait();
+      const [[{ sendToDeadLetter }]] = ConsumersManager.mock.calls;
+      const error = new Error('foo');
+      await Promise.all(
+        [0, 1].map((subSequenceNumber) =>
+          sendToDeadLetter({
+            attempts: 1,
+            error,
+            record: { data: 'Zm9v', partitionKey: 'bar', sequenceNumber: '3', subSequenceNumber },
+            shardId: 'shard-0000'
+          })
+        )
+      );
+      expect(stream.ensureStreamExists).toHaveBeenCalledWith(
+        expect.objectContaining({ streamName: 'dead-letter-stream' })
+      );
+      await sendToDeadLetter({
+        attempts: 1,
+        error,
+        record: { data: 'Zm9v', partitionKey: 'bar', sequenceNumber: '4' },
+        shardId: 'shard-0000'
+      });
+      expect(new S3Client().putObject.mock.calls.map(([{ Key }]) => Key).sort()).toEqual([
+        'dead-letter/test-stream/shard-0000/3-0.json',
+        'dead-letter/test-stream/shard-0000/3-1.json',
+        'dead-letter/test-stream/shard-0000/4.json'
+      ]);
+      kinesis.stopConsumer();
+      await promise;
+    });
+
+    test('the handler is required to process records', async () => {
+      const kinesis = new Kinesis(options);
+      await expect(kinesis.process()).rejects.toThrow(
+        new TypeError('The "handler" argument must be a function.')
+      );
+      expect(RecordProcessor).not.toHaveBeenCalled();
+    });
+  });
+
   describe('listShards', () => {
     test('lists shards', async () => {
       const kinesis = new Kinesis(options);
@@ -691,6 +1769,118 @@ describe('lib/index', () => {
       }
     });
 
+    test('records can be aggregated before writing them to the Kinesis stream', async () => {
+      const kinesis = new Kinesis({ ...options, useAggregation: true });
+      try {
+        await kinesis.startConsumer();
+        const promise = kinesis.putRecords({ records: [{ data: 'foo' }, { data: 'bar' }] });
+        jest.runOnlyPendingTimers();
+        await expect(promise).resolves.toEqual({
+          encryptionType: 'foo',
+          records: [
+            { sequenceNumber: '0', shardId: 'baz', subSequenceNumber: 0 },
+            { sequenceNumber: '0', shardId: 'baz', subSequenceNumber: 1 }
+          ]
+        });
+        expect(stream.getShardsHashKeyRanges).toHaveBeenCalledWith(
+          expect.objectContaining({ streamName: 'test-stream' })
+        );
+        const { putRecords } = new KinesisClient();
+        expect(putRecords).toHaveBeenCalledWith(
+          {
+            Records: [{ Data: expect.any(Buffer), PartitionKey: expect.any(String) }],
+            StreamName: 'test-stream'
+          },
+          { maxRetries: undefined }
+        );
+      } finally {
+        kinesis.stopConsumer();
+      }
+    });
+
+    test('the hash key ranges of the shards are cached between aggregated writes', async () => {
+      const kinesis = new Kinesis({ streamName: 'test-stream', useAggregation: true });
+      await kinesis.putRecords({ records: [{ data: 'foo' }] });
+      await kinesis.putRecords({ records: [{ data: 'bar' }] });
+      expect(stream.getShardsHashKeyRanges).toHaveBeenCalledTimes(1);
+    });
+
+    test('the hash key ranges are refreshed once records are written into unknown shards', async () => {
+      new KinesisClient().putRecords.mockResolvedValueOnce({
+        Records: [{ SequenceNumber: '0', ShardId: 'qux' }]
+      });
+      const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
+      const kinesis = new Kinesis({
+        logger: mockLogger,
+        streamName: 'test-stream',
+        useAggregation: true
+      });
+      await expect(kinesis.putRecords({ records: [{ data: 'foo' }] })).resolves.toEqual({
+        encryptionType: undefined,
+        records: [{ sequenceNumber: '0', shardId: 'qux', subSequenceNumber: 0 }]
+      });
+      await kinesis.putRecords({ records: [{ data: 'bar' }] });
+      expect(stream.getShardsHashKeyRanges).toHaveBeenCalledTimes(2);
+      expect(mockLogger.debug).toHaveBeenCalledWith(
+        'The shards of "test-stream" have changed, refreshing their ranges…'
+      );
+    });
+
+    test('the hash key ranges are retrieved again if retrieving them fails', async () => {
+      stream.getShardsHashKeyRanges.mockRejectedValueOnce(new Error('foo'));
+      const kinesis = new Kinesis({ streamName: 'test-stream', useAggregation: true });
+      await expect(kinesis.putRecords({ records: [{ data: 'foo' }] })).rejects.toThrow('foo');
+      await kinesis.putRecords({ records: [{ data: 'bar' }] });
+      expect(stream.getShardsHashKeyRanges).toHaveBeenCalledTimes(2);
+      expect(new KinesisClient().putRecords).toHaveBeenCalledTimes(1);
+    });
+
+    test('records that failed to be written have an error code when retries are limited', async () => {
+      new KinesisClient().putRecords.mockResolvedValueOnce({
+        EncryptionType: 'foo',
+        Records: [
+          { SequenceNumber: '0', ShardId: 'baz' },
+          { ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'qux' }
+        ]
+      });
+      const kinesis = new Kinesis(options);
+      try {
+        await kinesis.startConsumer();
+        const promise = kinesis.putRecords({
+          maxRetries: 2,
+          records: [{ data: 'foo' }, { data: 'bar' }]
+        });
+        jest.runOnlyPendingTimers();
+        await expect(promise).resolves.toEqual({
+          encryptionType: 'foo',
+          records: [
+            { sequenceNumber: '0', shardId: 'baz' },
+            { errorCode: 'ProvisionedThroughputExceededException', errorMessage: 'qux' }
+          ]
+        });
+        expect(new KinesisClient().putRecords).toHaveBeenCalledWith(expect.any(Object), {
+          maxRetries: 2
+        });
+      } finally {
+        kinesis.stopConsumer();
+      }
+    });
+
+    test('a call to put records with an invalid number of retries should throw', async () => {
+      const kinesis = new Kinesis(options);
+      try {
+        await kinesis.startConsumer();
+        const promise = kinesis.putRecords({ maxRetries: -1, records: [{ data: 'foo' }] });
+        jest.runOnlyPendingTimers();
+        await expect(promise).rejects.toThrow(
+          'The "maxRetries" property must be a non-negative integer.'
+        );
+        expect(new KinesisClient().putRecords).not.toHaveBeenCalled();
+      } finally {
+        kinesis.stopConsumer();
+      }
+    });
+
     test('a call with no parameters to put records should throw', async () => {
       const kinesis = new Kinesis(options);
       try {
@@ -792,4 +1982,167 @@ describe('lib/index', () => {
       }
     });
   });
+
+  describe('createProducer', () => {
+    test('producers write the queued records into the stream in batches', async () => {
+      const kinesis = new Kinesis({ streamName: 'test-stream' });
+      const producer = kinesis.createProducer();
+      const promises = [producer.putRecord({ data: 'foo' }), producer.putRecord({ data: 'bar' })];
+      await producer.close();
+      await expect(Promise.all(promises)).resolves.toEqual([
+        { encryptionType: 'foo', sequenceNumber: '0', shardId: 'baz' },
+        { encryptionType: 'foo', sequenceNumber: '1', shardId: 'baz' }
+      ]);
+      const { putRecords } = new KinesisClient();
+      expect(putRecords).toHaveBeenCalledTimes(1);
+      expect(putRecords).toHaveBeenCalledWith(
+        {
+          Records: [expect.any(Object), expect.any(Object)],
+          StreamName: 'test-stream'
+        },
+        { maxRetries: undefined }
+      );
+    });
+
+    test('producers can limit the retries of the records that failed to be written', async () => {
+      const kinesis = new Kinesis({ streamName: 'test-stream' });
+      kinesis.createProducer({ maxRetries: 3 });
+      kinesis.createProducer({ maxRetries: 1.5 });
+      const [[{ putRecords: putRecordsWithLimit }], [{ putRecords: putRecordsWithoutLimit }]] =
+        Producer.mock.calls;
+      await putRecordsWithLimit([]);
+      await putRecordsWithoutLimit([]);
+      const { putRecords } = new KinesisClient();
+      expect(putRecords).toHaveBeenNthCalledWith(1, expect.any(Object), { maxRetries: 3 });
+      expect(putRecords).toHaveBeenNthCalledWith(2, expect.any(Object), { maxRetries: undefined });
+    });
+
+    test('producers can write into a different stream', async () => {
+      const kinesis = new Kinesis({ streamName: 'test-stream', useS3ForLargeItems: true });
+      const producer = kinesis.createProducer({ streamName: 'test-stream-2' });
+      const promise = producer.putRecord({ data: 'foo' });
+      await producer.flush();
+      await expect(promise).resolves.toEqual(expect.objectContaining({ shardId: 'baz' }));
+      expect(stream.ensureStreamExists).toHaveBeenCalledWith(
+        expect.objectContaining({ streamName: 'test-stream-2' })
+      );
+      expect(new KinesisClient().putRecords).toHaveBeenCalledWith(
+        expect.objectContaining({ StreamName: 'test-stream-2' }),
+        { maxRetries: undefined }
+      );
+    });
+
+    test('the producer options are normalized within the request limits', () => {
+      const kinesis = new Kinesis(options);
+      kinesis.createProducer({ lingerMs: 10, maxBatchBytes: 1024, maxBatchSize: 10 });
+      expect(Producer).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ lingerMs: 10, maxBatchBytes: 1024, maxBatchSize: 10 })
+      );
+      kinesis.createProducer({ lingerMs: -1, maxBatchBytes: 6 * 1024 * 1024, maxBatchSize: 501 });
+      expect(Producer).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ lingerMs: 100, maxBatchBytes: 5242880, maxBatchSize: 500 })
+      );
+    });
+  });
+
+  describe('resetCheckpoints', () => {
+    test('the checkpoints of all the shards can be reset to the oldest records', async () => {
+      const kinesis = new Kinesis({ ...options, shardIds: ['shard-0000'] });
+      await expect(kinesis.resetCheckpoints('TRIM_HORIZON')).resolves.toBeUndefined();
+      const { ensureShardStateExists, resetShardCheckpoint, start } = new StateStore();
+      expect(start).toHaveBeenCalledTimes(1);
+      expect(stream.getStreamShards).toHaveBeenCalledTimes(1);
+      expect(stream.getStreamShards).not.toHaveBeenCalledWith(
+        expect.objectContaining({ shardFilter: expect.anything() })
+      );
+      expect(ensureShardStateExists).toHaveBeenNthCalledWith(1, 'shard-0000', { parent: null });
+      expect(ensureShardStateExists).toHaveBeenNthCalledWith(2, 'shard-0001', { parent: null });
+      const position = { type: 'TRIM_HORIZON' };
+      expect(resetShardCheckpoint).toHaveBeenNthCalledWith(1, 'shard-0000', position);
+      expect(resetShardCheckpoint).toHaveBeenNthCalledWith(2, 'shard-0001', position);
+      expect(resetShardCheckpoint).toHaveBeenCalledTimes(2);
+    });
+
+    test('the checkpoints of all the shards can be reset to a timestamp', async () => {
+      const kinesis = new Kinesis(options);
+      await kinesis.resetCheckpoints({ toTimestamp: Date.UTC(2019, 0, 1) });
+      const { resetShardCheckpoint } = new StateStore();
+      const position = { timestamp: '2019-01-01T00:00:00.000Z', type: 'AT_TIMESTAMP' };
+      expect(resetShardCheckpoint).toHaveBeenNthCalledWith(1, 'shard-0000', position);
+      expect(resetShardCheckpoint).toHaveBeenCalledTimes(2);
+    });
+
+    test('the checkpoints of specific shards can be reset to sequence numbers', async () => {
+      const kinesis = new Kinesis(options);
+      await kinesis.resetCheckpoints({ toSequenceNumbers: { 'shard-0001': '123' } });
+      const { ensureShardStateExists, resetShardCheckpoint } = new StateStore();
+      expect(ensureShardStateExists).toHaveBeenCalledWith('shard-0001', { parent: null });
+      expect(ensureShardStateExists).toHaveBeenCalledTimes(1);
+      expect(resetShardCheckpoint).toHaveBeenCalledWith('shard-0001', {
+        sequenceNumber: '123',
+        type: 'AFTER_SEQUENCE_NUMBER'
+      });
+      expect(resetShardCheckpoint).toHaveBeenCalledTimes(1);
+    });
+
+    test('resetting checkpoints reuses the state store of a started consumer', async () => {
+      const kinesis = new Kinesis(options);
+      try {
+        await kinesis.startConsumer();
+        StateStore.mockClear();
+        await kinesis.resetCheckpoints('TRIM_HORIZON');
+        expect(StateStore).not.toHaveBeenCalled();
+        expect(new StateStore().resetShardCheckpoint).toHaveBeenCalledTimes(2);
+      } finally {
+        kinesis.stopConsumer();
+      }
+    });
+
+    test('resetting checkpoints uses a state store only for the call after stopping', async () => {
+      const kinesis = new Kinesis(options);
+      await kinesis.startConsumer();
+      await kinesis.stopConsumer();
+      StateStore.mockClear();
+      await kinesis.resetCheckpoints('TRIM_HORIZON');
+      await kinesis.resetCheckpoints('TRIM_HORIZON');
+      expect(StateStore).toHaveBeenCalledTimes(2);
+    });
+
+    test('resetting checkpoints should throw for standalone consumers that are not running', async () => {
+      const kinesis = new Kinesis({ ...options, useAutoShardAssignment: false });
+      await expect(kinesis.resetCheckpoints('TRIM_HORIZON')).rejects.toThrow(
+        'The checkpoints of a standalone consumer can only be reset while the consumer is running.'
+      );
+      expect(StateStore).not.toHaveBeenCalled();
+    });
+
+    test('resetting checkpoints should throw when called with invalid parameters', async () => {
+      const kinesis = new Kinesis(options);
+      const error = 'Either "TRIM_HORIZON", "toTimestamp", or "toSequenceNumbers" is required.';
+      await expect(kinesis.resetCheckpoints()).rejects.toThrow(error);
+      await expect(kinesis.resetCheckpoints('LATEST')).rejects.toThrow(error);
+      await expect(kinesis.resetCheckpoints({ toSequenceNumbers: 'foo' })).rejects.toThrow(error);
+      await expect(kinesis.resetCheckpoints({ toTimestamp: 'foo' })).rejects.toThrow(
+        'The "toTimestamp" parameter is invalid.'
+      );
+      await Promise.all(
+        ['', '12a', 123, null].map((sequenceNumber) =>
+          expect(
+            kinesis.resetCheckpoints({ toSequenceNumbers: { 'shard-0001': sequenceNumber } })
+          ).rejects.toThrow('The sequence number for the shard "shard-0001" is invalid.')
+        )
+      );
+      expect(StateStore).not.toHaveBeenCalled();
+    });
+
+    test('resetting checkpoints should throw when given unknown shards', async () => {
+      const kinesis = new Kinesis(options);
+      await expect(
+        kinesis.resetCheckpoints({ toSequenceNumbers: { 'shard-0002': '123' } })
+      ).rejects.toThrow('The shard "shard-0002" doesn\'t exist in the stream.');
+      expect(new StateStore().resetShardCheckpoint).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -10,12 +10,21 @@
 
 'use strict';
 
-const retry = require('async-retry');
 const { Kinesis } = require('aws-sdk');
 
-const { getStackObj, shouldBailRetry, transformErrorStack } = require('./utils');
+const {
+  getRetryOpts,
+  getStackObj,
+  retryCall,
+  shouldBailRetry,
+  transformErrorStack
+} = require('./utils');
+const { getMetricsReporter, measureRequest } = require('./metrics');
 const { reportError, reportRecordSent, reportResponse } = require('./stats');
 
+const INTERNAL_FAILURE = 'InternalFailure';
+const THROUGHPUT_EXCEEDED = 'ProvisionedThroughputExceededException';
+
 const RETRIABLE_PUT_ERRORS = new Set([
   'EADDRINUSE',
   'ECONNREFUSED',
@@ -23,11 +32,14 @@ const RETRIABLE_PUT_ERRORS = new Set([
   'EPIPE',
   'ESOCKETTIMEDOUT',
   'ETIMEDOUT',
+  INTERNAL_FAILURE,
   'NetworkingError',
-  'ProvisionedThroughputExceededException',
+  THROUGHPUT_EXCEEDED,
   'TimeoutError'
 ]);
 
+const THROTTLING_ERRORS = new Set([THROUGHPUT_EXCEEDED, 'ThrottlingException']);
+
 const privateData = new WeakMap();
 const statsSource = 'kinesis';
 
@@ -43,12 +55,27 @@ function internal(instance) {
   return privateData.get(instance);
 }
 
+/**
+ * Counts a throttled call in the `kinesis_throttles_total` metric if the given error is due to the
+ * provisioned throughput of the stream being exceeded, or to the call being throttled.
+ *
+ * @param {Object} metrics - The metrics reporter.
+ * @param {Object} callLabels - The labels of the call.
+ * @param {Error} err - The error of the call.
+ * @private
+ */
+function countThrottle(metrics, callLabels, err) {
+  if (!THROTTLING_ERRORS.has(err.code)) return;
+  metrics.counter('kinesis_throttles_total', 1, callLabels);
+}
+
 /**
  * Calls a method on the given instance of AWS.Kinesis. The call is promisified, the call stack
  * is preserved, and the results of the call are aggregated in the stats. Retries in this function
  * are the original ones provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.Kinesis.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
  * @param {string} streamName - The name of the Kinesis stream for which the call relates to.
  * @param {...*} args - The arguments of the method call.
@@ -57,11 +84,13 @@ function internal(instance) {
  * @returns {Promise}
  * @private
  */
-async function sdkCall(client, methodName, streamName, ...args) {
+async function sdkCall(client, meter, methodName, streamName, ...args) {
   const stackObj = getStackObj(sdkCall);
   try {
-    return client[methodName](...args)
-      .promise()
+    const { labels, metrics } = meter;
+    const callLabels = { ...labels, operation: methodName };
+    const request = client[methodName](...args).promise();
+    return measureRequest(metrics, callLabels, request)
       .then((response) => {
         reportResponse(statsSource, streamName);
         return response;
@@ -69,6 +98,7 @@ async function sdkCall(client, methodName, streamName, ...args) {
       .catch((err) => {
         const error = transformErrorStack(err, stackObj);
         reportError(statsSource, error, streamName);
+        countThrottle(metrics, callLabels, error);
         throw error;
       });
   } catch (err) {
@@ -84,21 +114,24 @@ async function sdkCall(client, methodName, streamName, ...args) {
  * are based on a custom logic replacing the one provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.Kinesis.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
  * @param {string} streamName - The name of the Kinesis stream for which the call relates to.
- * @param {Object} retryOpts - The [retry options as in async-retry]{@link external:AsyncRetry}.
+ * @param {Object} retryOpts - The retry options as returned by `getRetryOpts`.
  * @param {...*} args - The argument of the method call.
  * @fulfil {*} - The original response from the AWS.Kinesis call.
  * @reject {Error} - The error details from AWS.Kinesis with a corrected error stack.
  * @returns {Promise}
  * @private
  */
-function retriableSdkCall(client, methodName, streamName, retryOpts, ...args) {
+function retriableSdkCall(client, meter, methodName, streamName, retryOpts, ...args) {
   const stackObj = getStackObj(retriableSdkCall);
-  return retry((bail) => {
+  return retryCall((bail) => {
     try {
-      return client[methodName](...args)
-        .promise()
+      const { labels, metrics } = meter;
+      const callLabels = { ...labels, operation: methodName };
+      const request = client[methodName](...args).promise();
+      return measureRequest(metrics, callLabels, request)
         .then((response) => {
           reportResponse(statsSource, streamName);
           return response;
@@ -106,6 +139,7 @@ function retriableSdkCall(client, methodName, streamName, retryOpts, ...args) {
         .catch((err) => {
           const error = transformErrorStack(err, stackObj);
           reportError(statsSource, error, streamName);
+          countThrottle(metrics, callLabels, error);
           if (!shouldBailRetry(err)) throw error;
           else bail(error);
         });
@@ -130,36 +164,40 @@ class KinesisClient {
    * @param {Object} options - The initialization options.
    * @param {Object} options.awsOptions - The initialization options for AWS.Kinesis.
    * @param {Object} options.logger - An instace of a logger.
+   * @param {Object} [options.metrics] - A metrics reporter, see the `metrics` option of the client.
+   * @param {Object} [options.retry] - The retry policy, the `put` options apply to the calls that
+   *        write records, and the `get` options apply to the rest of the retried calls.
    * @param {string} options.streamName - The name of the Kinesis stream for which calls relate to.
    * @param {boolean} options.supressThroughputWarnings - Flag indicating whether or not
    *        to supress ProvisionedThroughputExceededException warning logs.
    */
-  constructor({ awsOptions, logger, streamName, supressThroughputWarnings }) {
+  constructor({ awsOptions, logger, metrics, retry, streamName, supressThroughputWarnings }) {
     const client = new Kinesis(awsOptions);
+    const labels = { service: 'kinesis', stream: streamName };
+    const reporter = getMetricsReporter(metrics, logger);
 
-    const retryOpts = {
-      forever: true,
-      maxTimeout: 5 * 60 * 1000,
-      minTimeout: 1000,
-      onRetry: (err) => {
-        const { code, message, requestId, statusCode } = err;
-        const loggerMethod =
-          supressThroughputWarnings && code === 'ProvisionedThroughputExceededException'
-            ? 'debug'
-            : 'warn';
-        logger[loggerMethod](
-          `Trying to recover from AWS.Kinesis error…\n${[
-            `\t- Message: ${message}`,
-            `\t- Request ID: ${requestId}`,
-            `\t- Code: ${code} (${statusCode})`,
-            `\t- Stream: ${streamName}`
-          ].join('\n')}`
-        );
-      },
-      randomize: true
+    const onRetry = (err) => {
+      const { code, message, requestId, statusCode } = err;
+      reporter.counter('aws_request_retries_total', 1, { ...labels, code });
+      const loggerMethod =
+        supressThroughputWarnings && code === THROUGHPUT_EXCEEDED ? 'debug' : 'warn';
+      logger[loggerMethod](
+        `Trying to recover from AWS.Kinesis error…\n${[
+          `\t- Message: ${message}`,
+          `\t- Request ID: ${requestId}`,
+          `\t- Code: ${code} (${statusCode})`,
+          `\t- Stream: ${streamName}`
+        ].join('\n')}`
+      );
     };
 
-    Object.assign(internal(this), { client, retryOpts, streamName });
+    Object.assign(internal(this), {
+      client,
+      meter: { labels, metrics: reporter },
+      putRetryOpts: getRetryOpts(retry, 'put', onRetry),
+      retryOpts: getRetryOpts(retry, 'get', onRetry),
+      streamName
+    });
   }
 
   /**
@@ -169,8 +207,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   addTagsToStream(...args) {
-    const { client, streamName } = internal(this);
-    return sdkCall(client, 'addTagsToStream', streamName, ...args);
+    const { client, meter, streamName } = internal(this);
+    return sdkCall(client, meter, 'addTagsToStream', streamName, ...args);
   }
 
   /**
@@ -180,8 +218,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   createStream(...args) {
-    const { client, streamName } = internal(this);
-    return sdkCall(client, 'createStream', streamName, ...args).catch((err) => {
+    const { client, meter, streamName } = internal(this);
+    return sdkCall(client, meter, 'createStream', streamName, ...args).catch((err) => {
       if (err.code !== 'ResourceInUseException') throw err;
     });
   }
@@ -193,8 +231,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   deregisterStreamConsumer(...args) {
-    const { client, streamName } = internal(this);
-    return sdkCall(client, 'deregisterStreamConsumer', streamName, ...args);
+    const { client, meter, streamName } = internal(this);
+    return sdkCall(client, meter, 'deregisterStreamConsumer', streamName, ...args);
   }
 
   /**
@@ -204,8 +242,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   describeStream(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'describeStream', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'describeStream', streamName, retryOpts, ...args);
   }
 
   /**
@@ -215,12 +253,12 @@ class KinesisClient {
    * @returns {Promise}
    */
   describeStreamSummary(...args) {
-    const { client, retryOpts, streamName } = internal(this);
+    const { client, meter, retryOpts, streamName } = internal(this);
 
-    return sdkCall(client, 'describeStreamSummary', streamName, ...args).catch((err) => {
+    return sdkCall(client, meter, 'describeStreamSummary', streamName, ...args).catch((err) => {
       if (err.code !== 'UnknownOperationException') throw err;
 
-      return retriableSdkCall(client, 'describeStream', streamName, retryOpts, ...args).then(
+      return retriableSdkCall(client, meter, 'describeStream', streamName, retryOpts, ...args).then(
         (data) => {
           const { StreamDescription } = data;
           return { StreamDescriptionSummary: StreamDescription };
@@ -236,8 +274,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   getRecords(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'getRecords', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'getRecords', streamName, retryOpts, ...args);
   }
 
   /**
@@ -247,8 +285,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   getShardIterator(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'getShardIterator', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'getShardIterator', streamName, retryOpts, ...args);
   }
 
   /**
@@ -269,8 +307,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   listShards(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'listShards', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'listShards', streamName, retryOpts, ...args);
   }
 
   /**
@@ -281,8 +319,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   listStreamConsumers(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'listStreamConsumers', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'listStreamConsumers', streamName, retryOpts, ...args);
   }
 
   /**
@@ -292,8 +330,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   listTagsForStream(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'listTagsForStream', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'listTagsForStream', streamName, retryOpts, ...args);
   }
 
   /**
@@ -303,13 +341,15 @@ class KinesisClient {
    * @returns {Promise}
    */
   putRecord(...args) {
-    const { client, retryOpts, streamName } = internal(this);
+    const { client, meter, putRetryOpts, streamName } = internal(this);
+    const { labels, metrics } = meter;
+    const [{ StreamName: targetStream = streamName }] = args;
+    const callLabels = { ...labels, operation: 'putRecord', stream: targetStream };
     const stackObj = getStackObj(retriableSdkCall);
-    return retry((bail) => {
+    return retryCall((bail) => {
       try {
-        return client
-          .putRecord(...args)
-          .promise()
+        const request = client.putRecord(...args).promise();
+        return measureRequest(metrics, callLabels, request)
           .then((result) => {
             reportResponse(statsSource, streamName);
             reportRecordSent(streamName);
@@ -318,6 +358,7 @@ class KinesisClient {
           .catch((err) => {
             const error = transformErrorStack(err, stackObj);
             reportError(statsSource, error, streamName);
+            countThrottle(metrics, callLabels, error);
             if (RETRIABLE_PUT_ERRORS.has(err.code)) throw error;
             else bail(error);
           });
@@ -327,61 +368,85 @@ class KinesisClient {
         bail(error);
         return undefined;
       }
-    }, retryOpts);
+    }, putRetryOpts);
   }
 
   /**
    * Writes multiple data records into a Kinesis data stream in a single call (also referred to as
-   * a PutRecords request).
+   * a PutRecords request). Failed records are retried until they succeed, or until the given
+   * number of retries is exhausted. The records in the result are always in the same order as the
+   * records in the request, failed records keep their `ErrorCode` and `ErrorMessage`.
    *
-   * @param {...*} args - The arguments.
+   * @param {Object} params - The parameters of the PutRecords request.
+   * @param {Object} [options] - The options of the call.
+   * @param {number} [options.maxRetries] - The maximum number of times the failed records are
+   *        retried. If not provided, the failed records are retried until they succeed.
    * @returns {Promise}
    */
-  putRecords(...args) {
-    const { client, retryOpts, streamName } = internal(this);
+  putRecords(params, options = {}) {
+    const { client, meter, putRetryOpts, streamName } = internal(this);
+    const { labels, metrics } = meter;
+    const { maxRetries } = options;
+    const { Records: requestRecords, StreamName: targetStream = streamName } = params;
+    const callLabels = { ...labels, operation: 'putRecords', stream: targetStream };
+    const hasRetriesLimit = maxRetries !== undefined;
     const stackObj = getStackObj(retriableSdkCall);
-    const [firstArg, ...restOfArgs] = args;
-    let records = firstArg.Records;
     const results = [];
-    return retry((bail) => {
-      try {
-        return client
-          .putRecords({ ...firstArg, Records: records }, ...restOfArgs)
-          .promise()
-          .then((payload) => {
-            const { EncryptionType, FailedRecordCount, Records } = payload;
-            const failedCount = FailedRecordCount;
-            const recordsCount = Records.length;
-            const nextRecords = [];
-            for (let i = 0; i < recordsCount; i += 1) {
-              if (Records[i].ErrorCode) nextRecords.push(records[i]);
-              else results.push(Records[i]);
-            }
-            reportResponse(statsSource, streamName);
-            if (failedCount < records.length) {
-              reportRecordSent(streamName);
-            }
-            if (failedCount === 0) {
-              return { EncryptionType, Records: results };
-            }
-            records = nextRecords;
-            const error = new Error(`Failed to write ${failedCount} of ${recordsCount} record(s).`);
-            error.code = 'ProvisionedThroughputExceededException';
-            throw error;
-          })
-          .catch((err) => {
-            const error = transformErrorStack(err, stackObj);
-            reportError(statsSource, error, streamName);
-            if (RETRIABLE_PUT_ERRORS.has(err.code)) throw error;
-            else bail(error);
-          });
-      } catch (err) {
-        const error = transformErrorStack(err, stackObj);
-        reportError(statsSource, error, streamName);
-        bail(error);
-        return undefined;
-      }
-    }, retryOpts);
+    let indexes = null;
+    let records = requestRecords;
+    return retryCall(
+      (bail, attempt) => {
+        try {
+          const request = client.putRecords({ ...params, Records: records }).promise();
+          return measureRequest(metrics, callLabels, request)
+            .then((payload) => {
+              const { EncryptionType, FailedRecordCount, Records } = payload;
+              const failedCount = FailedRecordCount;
+              const recordsCount = Records.length;
+              const nextIndexes = [];
+              const nextRecords = [];
+              let isThrottled = false;
+              for (let i = 0; i < recordsCount; i += 1) {
+                const index = indexes ? indexes[i] : i;
+                const { ErrorCode } = Records[i];
+                results[index] = Records[i];
+                if (ErrorCode) {
+                  nextIndexes.push(index);
+                  nextRecords.push(records[i]);
+                  if (THROTTLING_ERRORS.has(ErrorCode)) isThrottled = true;
+                }
+              }
+              reportResponse(statsSource, streamName);
+              if (failedCount < records.length) {
+                reportRecordSent(streamName);
+              }
+              if (failedCount === 0 || (hasRetriesLimit && attempt > maxRetries)) {
+                return { EncryptionType, Records: results };
+              }
+              indexes = nextIndexes;
+              records = nextRecords;
+              const error = new Error(
+                `Failed to write ${failedCount} of ${recordsCount} record(s).`
+              );
+              error.code = isThrottled ? THROUGHPUT_EXCEEDED : INTERNAL_FAILURE;
+              throw error;
+            })
+            .catch((err) => {
+              const error = transformErrorStack(err, stackObj);
+              reportError(statsSource, error, streamName);
+              countThrottle(metrics, callLabels, error);
+              if (RETRIABLE_PUT_ERRORS.has(err.code)) throw error;
+              else bail(error);
+            });
+        } catch (err) {
+          const error = transformErrorStack(err, stackObj);
+          reportError(statsSource, error, streamName);
+          bail(error);
+          return undefined;
+        }
+      },
+      hasRetriesLimit ? { ...putRetryOpts, forever: false, retries: maxRetries } : putRetryOpts
+    );
   }
 
   /**
@@ -391,8 +456,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   registerStreamConsumer(...args) {
-    const { client, streamName } = internal(this);
-    return sdkCall(client, 'registerStreamConsumer', streamName, ...args);
+    const { client, meter, streamName } = internal(this);
+    return sdkCall(client, meter, 'registerStreamConsumer', streamName, ...args);
   }
 
   /**
@@ -402,8 +467,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   startStreamEncryption(...args) {
-    const { client, streamName } = internal(this);
-    return sdkCall(client, 'startStreamEncryption', streamName, ...args).catch((err) => {
+    const { client, meter, streamName } = internal(this);
+    return sdkCall(client, meter, 'startStreamEncryption', streamName, ...args).catch((err) => {
       const { code } = err;
       if (code !== 'UnknownOperationException' && code !== 'ResourceInUseException') throw err;
     });
@@ -416,8 +481,8 @@ class KinesisClient {
    * @returns {Promise}
    */
   waitFor(...args) {
-    const { client, retryOpts, streamName } = internal(this);
-    return retriableSdkCall(client, 'waitFor', streamName, retryOpts, ...args);
+    const { client, meter, retryOpts, streamName } = internal(this);
+    return retriableSdkCall(client, meter, 'waitFor', streamName, retryOpts, ...args);
   }
 }
 
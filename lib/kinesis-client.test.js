@@ -34,6 +34,20 @@ function putTwoRecords(params) {
   };
 }
 
+function putRecordsFailingFirst(failedCount) {
+  return ({ Records }) => ({
+    promise: () =>
+      Promise.resolve({
+        FailedRecordCount: failedCount,
+        Records: Records.map(({ Data }, index) =>
+          index < failedCount
+            ? { ErrorCode: 'ProvisionedThroughputExceededException' }
+            : { SequenceNumber: Data }
+        )
+      })
+  });
+}
+
 describe('lib/kinesis-client', () => {
   const debug = jest.fn();
   const warn = jest.fn();
@@ -220,6 +234,49 @@ describe('lib/kinesis-client', () => {
           Records: [{ SequenceNumber: '0' }, { SequenceNumber: '1' }, { SequenceNumber: '2' }]
         });
       });
+
+      test('putRecords should keep the results in the same order as the records', async () => {
+        sdkClient.putRecords.mockImplementationOnce(putRecordsFailingFirst(1));
+        sdkClient.putRecords.mockImplementationOnce(putRecordsFailingFirst(1));
+        sdkClient.putRecords.mockImplementationOnce(putRecordsFailingFirst(0));
+        await expect(
+          client.putRecords({ Records: [{ Data: 'foo' }, { Data: 'bar' }, { Data: 'baz' }] })
+        ).resolves.toEqual({
+          Records: [{ SequenceNumber: 'foo' }, { SequenceNumber: 'bar' }, { SequenceNumber: 'baz' }]
+        });
+        expect(sdkClient.putRecords).toHaveBeenNthCalledWith(3, { Records: [{ Data: 'foo' }] });
+      });
+
+      test('putRecords should return the failed records once the retries are exhausted', async () => {
+        sdkClient.putRecords.mockImplementationOnce(putTwoRecords);
+        const records = [{ Data: 'foo' }, { Data: 'bar' }, { Data: 'baz' }];
+        await expect(client.putRecords({ Records: records }, { maxRetries: 0 })).resolves.toEqual({
+          EncryptionType: 'foo',
+          Records: [
+            { SequenceNumber: '0' },
+            { SequenceNumber: '1' },
+            { ErrorCode: 'ProvisionedThroughputExceededException' }
+          ]
+        });
+        expect(sdkClient.putRecords).toHaveBeenCalledTimes(1);
+        sdkClient.putRecords.mockClear();
+        sdkClient.putRecords.mockImplementationOnce(putTwoRecords);
+        sdkClient.putRecords.mockImplementationOnce(putTwoRecords);
+        await expect(
+          client.putRecords({ Records: [...records, ...records] }, { maxRetries: 1 })
+        ).resolves.toEqual({
+          EncryptionType: 'foo',
+          Records: [
+            { SequenceNumber: '2' },
+            { SequenceNumber: '3' },
+            { SequenceNumber: '4' },
+            { SequenceNumber: '5' },
+            { ErrorCode: 'ProvisionedThroughputExceededException' },
+            { ErrorCode: 'ProvisionedThroughputExceededException' }
+          ]
+        });
+        expect(sdkClient.putRecords).toHaveBeenCalledTimes(2);
+      });
     }
 
     if (methodName === 'describeStreamSummary') {
@@ -267,6 +324,122 @@ describe('lib/kinesis-client', () => {
     }
   });
 
+  describe('retry policy', () => {
+    beforeEach(() => {
+      client = new KinesisClient({
+        logger,
+        retry: { get: { maxAttempts: 3 }, maxAttempts: 5, put: { maxAttempts: 2 } },
+        streamName: 'test-stream'
+      });
+      sdkClient = new Kinesis();
+      error = Object.assign(new Error('foo'), { code: 'ProvisionedThroughputExceededException' });
+    });
+
+    test.each`
+      methodName            | attempts
+      ${'getRecords'}       | ${3}
+      ${'getShardIterator'} | ${3}
+      ${'putRecord'}        | ${2}
+      ${'putRecords'}       | ${2}
+    `('$methodName is retried up to $attempts times', async ({ attempts, methodName }) => {
+      Array.from({ length: attempts }).forEach(() => {
+        sdkClient[methodName].mockImplementationOnce(() => ({
+          promise: () => Promise.reject(error)
+        }));
+      });
+      await expect(client[methodName]({ Records: [] })).rejects.toEqual(
+        expect.objectContaining({ attempts, message: 'foo' })
+      );
+      expect(sdkClient[methodName]).toHaveBeenCalledTimes(attempts);
+    });
+  });
+
+  describe('metrics', () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    const labels = { service: 'kinesis', stream: 'test-stream' };
+
+    beforeEach(() => {
+      client = new KinesisClient({ logger, metrics, streamName: 'test-stream' });
+      sdkClient = new Kinesis();
+      error = Object.assign(new Error('foo'), { code: 'ProvisionedThroughputExceededException' });
+    });
+
+    afterEach(() => {
+      metrics.counter.mockClear();
+      metrics.histogram.mockClear();
+    });
+
+    test('the calls, their retries, and the throttled calls are reported', async () => {
+      sdkClient.getRecords.mockImplementationOnce(() => ({
+        promise: () => Promise.reject(error)
+      }));
+      await expect(client.getRecords({})).resolves.toEqual({});
+      const callLabels = { ...labels, operation: 'getRecords' };
+      expect(metrics.histogram.mock.calls).toEqual([
+        ['aws_request_duration_seconds', expect.any(Number), callLabels],
+        ['aws_request_duration_seconds', expect.any(Number), callLabels]
+      ]);
+      expect(metrics.counter.mock.calls).toEqual([
+        ['aws_request_errors_total', 1, { ...callLabels, code: error.code }],
+        ['kinesis_throttles_total', 1, callLabels],
+        ['aws_request_retries_total', 1, { ...labels, code: error.code }]
+      ]);
+    });
+
+    test('the writes with throttled records are reported', async () => {
+      sdkClient.putRecord.mockImplementationOnce(() => ({
+        promise: () => Promise.reject(error)
+      }));
+      await client.putRecord({});
+      sdkClient.putRecords.mockImplementationOnce(putRecordsFailingFirst(1));
+      await client.putRecords({ Records: [{ Data: 'foo' }, { Data: 'bar' }] });
+      const throttles = metrics.counter.mock.calls.filter(
+        ([name]) => name === 'kinesis_throttles_total'
+      );
+      expect(throttles).toEqual([
+        ['kinesis_throttles_total', 1, { ...labels, operation: 'putRecord' }],
+        ['kinesis_throttles_total', 1, { ...labels, operation: 'putRecords' }]
+      ]);
+      expect(metrics.histogram).toHaveBeenCalledWith(
+        'aws_request_duration_seconds',
+        expect.any(Number),
+        { ...labels, operation: 'putRecords' }
+      );
+    });
+
+    test('the writes into other streams are reported with the name of the target stream', async () => {
+      const otherLabels = { ...labels, stream: 'other-stream' };
+      sdkClient.putRecord.mockImplementationOnce(() => ({
+        promise: () => Promise.reject(error)
+      }));
+      await client.putRecord({ StreamName: 'other-stream' });
+      sdkClient.putRecords.mockImplementationOnce(putRecordsFailingFirst(1));
+      await client.putRecords({ Records: [{ Data: 'foo' }], StreamName: 'other-stream' });
+      const throttles = metrics.counter.mock.calls.filter(
+        ([name]) => name === 'kinesis_throttles_total'
+      );
+      expect(throttles).toEqual([
+        ['kinesis_throttles_total', 1, { ...otherLabels, operation: 'putRecord' }],
+        ['kinesis_throttles_total', 1, { ...otherLabels, operation: 'putRecords' }]
+      ]);
+    });
+
+    test('the writes with records failed for other reasons are retried but not throttles', async () => {
+      sdkClient.putRecords.mockImplementationOnce(({ Records }) => ({
+        promise: () =>
+          Promise.resolve({
+            FailedRecordCount: 1,
+            Records: Records.map(() => ({ ErrorCode: 'InternalFailure' }))
+          })
+      }));
+      await client.putRecords({ Records: [{ Data: 'foo' }] });
+      expect(sdkClient.putRecords).toHaveBeenCalledTimes(2);
+      expect(metrics.counter.mock.calls).toEqual([
+        ['aws_request_retries_total', 1, { ...labels, code: 'InternalFailure' }]
+      ]);
+    });
+  });
+
   describe('isEndpointLocal', () => {
     test.each`
       endpoint               | expected | scenario
@@ -1,12 +1,23 @@
 /**
  * Module in charge of acquiring and renewing shard leases. The module exports a class whose
- * instances will periodically try to acquire a lease for all the stream shards. The lease manager
- * won't try to renew or acquire more leases than the maximum allowed. The maximum allowed number
- * of active leases is calculated by dividing the number of stream shards by the number of known
- * stream consumers. Another restriction, that the manager handles, is that for splitted shards,
- * children shards won't be leased until the parent shard is reported as depleted. If the manager
- * detects changes in the leases, an instance of the consumers manager is signaled so it can
- * start or stop shard consumers for the active leases as needed.
+ * instances will periodically try to acquire a lease for all the stream shards. Each attempt reads
+ * the state of the stream once, checks all the leases against it, and applies the changes with
+ * conditional updates, reading the state again only if it changed in the meantime. The leases held
+ * by the consumer are renewed all at once. The lease manager won't try to acquire more leases than
+ * the maximum allowed. The maximum allowed number of active leases is calculated by distributing
+ * the stream shards in between the known stream consumers, in proportion to their capacity weights
+ * and up to their maximum of leases. Another restriction, that the manager handles, is that for
+ * splitted shards, children shards won't be leased until the parent shard is reported as depleted.
+ * If the manager detects changes in the leases, an instance of the consumers manager is signaled so
+ * it can start or stop shard consumers for the active leases as needed. When other consumers join
+ * the group, the leases held beyond the maximum are handed off: their consumers are stopped once
+ * the shards are checkpointed and the leases are released right away, so the consumers that joined
+ * can acquire them in their next attempt. Consumers pinned to a subset of the shards only try to
+ * lease those shards, all of them, and they're left out of the maximum calculated for the others.
+ * The other consumers don't lease the shards claimed by the active pinned consumers, and hand off
+ * the ones they hold, so the pinned consumers can take them over.
+ * The leases that are acquired, renewed, or lost are also reported through the `leaseAcquired`,
+ * `leaseRenewed`, and `leaseLost` events.
  *
  * @module lease-manager
  * @private
@@ -14,13 +25,23 @@
 
 'use strict';
 
-const { checkIfStreamExists, getStreamShards } = require('./stream');
+const { checkIfStreamExists, getStreamShards, isShardSelected } = require('./stream');
+const { getMetricsReporter } = require('./metrics');
+const { reportShardState } = require('./stats');
 
 const ACQUIRE_LEASES_INTERVAL = 20 * 1000;
 const ACQUIRE_LEASES_RECOVERY_INTERVAL = 5 * 1000;
 const LEASE_TERM_TIMEOUT = 5 * 60 * 1000;
 const LEASE_RENEWAL_OFFSET = Math.round(LEASE_TERM_TIMEOUT * 0.25);
 
+const CHANGE_OUTCOMES = new Set(['acquired', 'changed', 'error', 'renewed']);
+
+const LEASE_CHANGES = {
+  leaseAcquired: 'acquired',
+  leaseLost: 'lost',
+  leaseRenewed: 'renewed'
+};
+
 const privateData = new WeakMap();
 
 /**
@@ -35,114 +56,432 @@ function internal(instance) {
 }
 
 /**
- * Tries to acquire the lease for a specific shard. The lease won't be acquired or renewed if:
+ * Reports the number of leases currently held by this consumer in the `leases_owned` metric.
  *
- * - The shard is a parent of a splitted shard and it has been marked as depleted.
- * - The shard is currently leased by this consumer and the lease is active.
- * - The shard is currently leased by another consumer and the lease is active.
- * - The shard is a children of a splitted shard and the parent shard hasn't been depleted.
- * - Acquiring or reneweing the lease would go beyond the maximum count of allowed active leases.
+ * @param {Object} instance - The instance of Lease Manager.
+ */
+function reportOwnedLeases(instance) {
+  const { leasedShards, metrics, streamName } = internal(instance);
+  metrics.gauge('leases_owned', leasedShards.size, { stream: streamName });
+}
+
+/**
+ * Reports a change in the leases held by this consumer, both as an event emitted by the client
+ * and in the `lease_changes_total` and `leases_owned` metrics.
  *
- * The lease will be renewed if the owner is the current consumer and if the lease period is
- * about to expire. The lease will be released the lease owner is gone of if the lease expired.
- * Which would make the shard available for leasing for the next leasing attempt.
+ * @param {Object} instance - The instance of Lease Manager.
+ * @param {string} eventName - Either `leaseAcquired`, `leaseRenewed`, or `leaseLost`.
+ * @param {Object} payload - The payload of the event.
+ */
+function reportLeaseChange(instance, eventName, payload) {
+  const { emitEvent, metrics, streamName } = internal(instance);
+  emitEvent(eventName, payload);
+  metrics.counter('lease_changes_total', 1, {
+    change: LEASE_CHANGES[eventName],
+    stream: streamName
+  });
+  reportOwnedLeases(instance);
+}
+
+/**
+ * Distributes a number of shards in between the given consumers in proportion to their capacity
+ * weights. The consumers whose share would go over their maximum of leases get that maximum, and
+ * the rest of the shards are distributed in between the other consumers.
  *
- * @param {Object} instance - The instance of Lease Manager from which the attempt originated.
- * @param {string} shardId - The ID of the shard to acquire or renew a lease for.
+ * @param {Object} consumers - The state of the consumers in the group.
+ * @param {Array<string>} consumerIds - The IDs of the consumers to distribute the shards in between.
+ * @param {number} shardsCount - The number of shards to distribute.
+ * @returns {Object} The number of shards each consumer is allowed to lease, by consumer ID.
+ */
+function distributeShards(consumers, consumerIds, shardsCount) {
+  const getWeight = (id) => consumers[id].capacityWeight || 1;
+  const getMaxLeases = (id) => consumers[id].maxLeases || Number.POSITIVE_INFINITY;
+  const totalWeight = consumerIds.reduce((sum, id) => sum + getWeight(id), 0);
+  const getShare = (id) => (shardsCount * getWeight(id)) / totalWeight;
+
+  const cappedIds = consumerIds.filter((id) => getMaxLeases(id) < getShare(id));
+  if (cappedIds.length === 0) {
+    return consumerIds.reduce((obj, id) => ({ ...obj, [id]: Math.ceil(getShare(id)) }), {});
+  }
+
+  const cappedShares = cappedIds.reduce((obj, id) => ({ ...obj, [id]: getMaxLeases(id) }), {});
+  const cappedShardsCount = cappedIds.reduce((sum, id) => sum + getMaxLeases(id), 0);
+  return {
+    ...cappedShares,
+    ...distributeShards(
+      consumers,
+      consumerIds.filter((id) => !cappedShares[id]),
+      shardsCount - cappedShardsCount
+    )
+  };
+}
+
+/**
+ * Returns the IDs of the shards claimed by the active consumers pinned to them, which are the
+ * shards selected by the shard filters those consumers registered with.
+ *
+ * @param {Object} streamState - The known stream state.
  * @param {Object} shardsDescription - The AWS-provided data describing the shards.
- * @fulfil {boolean} - `true` if a change in the leases was detected, `false` otherwise.
- * @returns {Promise}
+ * @param {string} consumerId - The ID of the consumer asking, whose own filter is ignored.
+ * @returns {Set<string>} The IDs of the claimed shards.
  */
-async function acquireLease(instance, shardId, shardsDescription) {
-  const privateProps = internal(instance);
-  const { consumerId, isStandalone, logger, stateStore } = privateProps;
-
-  // Retrieve the state of the shard and the stream.
-  const shardDescription = shardsDescription[shardId];
-  const state = await stateStore.getShardAndStreamState(shardId, shardDescription);
-  const { shardState, streamState } = state;
+function getClaimedShardIds(streamState, shardsDescription, consumerId) {
+  const { consumers } = streamState;
+  const shardFilters = Object.keys(consumers)
+    .filter((id) => id !== consumerId && consumers[id].isActive && consumers[id].shardFilter)
+    .map((id) => consumers[id].shardFilter);
+  return new Set(
+    Object.keys(shardsDescription).filter((shardId) =>
+      shardFilters.some((shardFilter) =>
+        isShardSelected(shardFilter, shardId, shardsDescription[shardId].hashKeyRange)
+      )
+    )
+  );
+}
+
+/**
+ * Calculates the maximum of active leases a consumer is allowed to hold. The shards that haven't
+ * been depleted are distributed in between the active consumers in the group in proportion to
+ * the `capacityWeight` they registered with, without going over the `maxLeases` they registered
+ * with. Consumers without those are given a weight of 1 and no maximum. The consumers pinned to a
+ * subset of the shards, and the shards leased or claimed by them, are left out of the distribution.
+ *
+ * @param {Object} streamState - The known stream state.
+ * @param {string} consumerId - The ID of the consumer to calculate the maximum for.
+ * @param {Set<string>} claimedShardIds - The IDs of the shards claimed by the pinned consumers.
+ * @returns {number} The maximum of allowed active leases.
+ */
+function getMaxActiveLeases(streamState, consumerId, claimedShardIds) {
   const { consumers, shards } = streamState;
-  let { leaseExpiration, leaseOwner, version } = shardState;
-  const { depleted, parent } = shardState;
-  let ownLeasesCount = Object.values(shards).filter(
-    (shard) => shard.leaseOwner === consumerId && !shard.depleted
+  const isPinned = (id) => Boolean(consumers[id] && consumers[id].isPinned);
+  const shardsCount = Object.keys(shards).filter(
+    (shardId) =>
+      !shards[shardId].depleted &&
+      !isPinned(shards[shardId].leaseOwner) &&
+      !claimedShardIds.has(shardId)
   ).length;
+  const consumerIds = Object.keys(consumers).filter(
+    (id) => !consumers[id].isStandalone && consumers[id].isActive && !isPinned(id)
+  );
+  if (!consumerIds.includes(consumerId)) return Math.ceil(shardsCount / consumerIds.length);
+  return distributeShards(consumers, consumerIds, shardsCount)[consumerId];
+}
+
+/**
+ * Checks the lease of a specific shard in the known state of the stream, without changing it. A
+ * lease held by this consumer that is now depleted or owned by someone else is reported as lost.
+ *
+ * @param {Object} instance - The instance of Lease Manager from which the attempt originated.
+ * @param {string} shardId - The ID of the shard to check the lease for.
+ * @param {Object} shards - The known state of the shards, by shard ID.
+ * @returns {string} `renew` if the lease is held by this consumer and it's time to renew it,
+ *          `acquire` if the shard isn't leased by this consumer, `changed` if the shard
+ *          checkpoint has been reset since the last attempt, `none` otherwise.
+ */
+function checkLease(instance, shardId, shards) {
+  const { consumerId, leasedShards, logger, resetIds, streamName } = internal(instance);
+  const { checkpoint, depleted, leaseExpiration, leaseOwner, resetId } = shards[shardId];
+  reportShardState(streamName, shardId, { checkpoint, leaseOwner: leaseOwner || null });
+
+  // If this consumer held the lease but it's owned by someone else now, report it as lost. The
+  // leases of depleted shards aren't lost, the shards ended.
+  if (leasedShards.has(shardId) && (depleted || leaseOwner !== consumerId)) {
+    leasedShards.delete(shardId);
+    if (!depleted) reportLeaseChange(instance, 'leaseLost', { leaseOwner, shardId });
+    else reportOwnedLeases(instance);
+  }
 
   // If the shard has been marked as depleted, don't lease it.
   if (depleted) {
     logger.debug(`Shard "${shardId}" has been marked as depleted. Can't be leased.`);
-    return false;
+    return 'none';
   }
 
-  // If this consumer is the lease owner, check if the lease needs to be renewed. For the
-  // renewal process, the lease isn't released as other consumer would steal it. Instead,
-  // the local status is changed so the acquire attempt is triggered.
+  // If this consumer is the lease owner, check if the lease needs to be renewed. The renewals
+  // are applied all at once after checking all the shards.
   if (leaseOwner === consumerId) {
     if (Date.now() > new Date(leaseExpiration).getTime() - LEASE_RENEWAL_OFFSET) {
       logger.debug(`It's time to renew the lease of "${shardId}" for this consumer.`);
-      leaseExpiration = null;
-      leaseOwner = null;
-      ownLeasesCount -= 1;
-    } else {
-      logger.debug(`Shard "${shardId}" is currently owned by this consumer.`);
-      return false;
+      return 'renew';
+    }
+    if (resetId !== resetIds[shardId]) {
+      logger.debug(`The checkpoint of "${shardId}" has been reset.`);
+      resetIds[shardId] = resetId;
+      return 'changed';
     }
+    logger.debug(`Shard "${shardId}" is currently owned by this consumer.`);
+    return 'none';
   }
 
+  return 'acquire';
+}
+
+/**
+ * Renews the leases held by this consumer that are about to expire with a single update. The
+ * leases held beyond the maximum of allowed active leases are renewed as well, as they're handed
+ * off right after. The known state of the renewed shards is updated.
+ *
+ * @param {Object} instance - The instance of Lease Manager.
+ * @param {Array<string>} shardIds - The IDs of the shards to renew the leases for.
+ * @param {Object} streamState - The known stream state.
+ * @param {Object} shards - The known state of the shards, by shard ID.
+ * @fulfil {Array<string>} - The outcome for each lease, either `renewed`, or `conflict` if the
+ *         lease changed since the state was read.
+ * @returns {Promise}
+ */
+async function renewLeases(instance, shardIds, streamState, shards) {
+  const { consumerId, leasedShards, logger, resetIds, stateStore, streamName } = internal(instance);
+  if (shardIds.length === 0) return [];
+
+  const versions = await stateStore.renewShardLeases(shardIds, LEASE_TERM_TIMEOUT, streamState);
+  return shardIds.map((shardId) => {
+    const version = versions[shardId];
+    if (!version) {
+      logger.debug(`Can't renew the lease for "${shardId}", it changed.`);
+      return 'conflict';
+    }
+    logger.debug(`Lease for "${shardId}" renewed.`);
+    Object.assign(shards[shardId], { version });
+    resetIds[shardId] = shards[shardId].resetId;
+    leasedShards.add(shardId);
+    reportShardState(streamName, shardId, { leaseOwner: consumerId });
+    reportLeaseChange(instance, 'leaseRenewed', { shardId });
+    return 'renewed';
+  });
+}
+
+/**
+ * Tries to acquire the lease for a specific shard not leased by this consumer. The lease won't be
+ * acquired if:
+ *
+ * - The shard is currently leased by another consumer and the lease is active.
+ * - The shard is a children of a splitted shard and the parent shard hasn't been depleted.
+ * - Acquiring the lease would go beyond the maximum count of allowed active leases.
+ *
+ * The lease will be released if the lease owner is gone or if the lease expired, which makes the
+ * shard available for leasing. The known state of the shard is updated with the changes.
+ *
+ * @param {Object} instance - The instance of Lease Manager from which the attempt originated.
+ * @param {string} shardId - The ID of the shard to acquire a lease for.
+ * @param {Object} streamState - The known stream state.
+ * @param {Object} shards - The known state of the shards, by shard ID.
+ * @param {number} maxActiveLeases - The maximum count of allowed active leases.
+ * @fulfil {string} - `acquired` if the lease was acquired, `conflict` if the shard state changed
+ *         since it was read, `changed` if the lease can't be acquired because of the maximum,
+ *         `none` otherwise.
+ * @returns {Promise}
+ */
+async function acquireLease(instance, shardId, streamState, shards, maxActiveLeases) {
+  const { consumerId, leasedShards, logger, resetIds, stateStore, streamName } = internal(instance);
+  const { consumers } = streamState;
+  let { leaseExpiration, leaseOwner, version } = shards[shardId];
+  const { parent, resetId } = shards[shardId];
+
   // If the lease expired or if the owner is gone, try to release it.
   const theLeaseExpired = leaseExpiration && Date.now() > new Date(leaseExpiration).getTime();
   const theOwnerIsGone = leaseOwner && !consumers[leaseOwner];
   if (theLeaseExpired || theOwnerIsGone) {
     const newVersion = await stateStore.releaseShardLease(shardId, version, streamState);
-    if (newVersion) {
-      logger.debug(
-        `Lease for shard "${shardId}" released. ${
-          theLeaseExpired ? 'The lease expired.' : 'The owner is gone.'
-        }`
-      );
-      leaseExpiration = null;
-      leaseOwner = null;
-      version = newVersion;
-    } else {
+    if (!newVersion) {
       logger.debug(`The lease for shard "${shardId}" couldn't be released.`);
-      return true;
+      return 'conflict';
     }
+    logger.debug(
+      `Lease for shard "${shardId}" released. ${
+        theLeaseExpired ? 'The lease expired.' : 'The owner is gone.'
+      }`
+    );
+    leaseExpiration = null;
+    leaseOwner = null;
+    version = newVersion;
+    Object.assign(shards[shardId], { leaseExpiration, leaseOwner, version });
+    reportShardState(streamName, shardId, { leaseOwner });
   }
 
   // If the shard has an owner that is still there, don't lease it.
   if (leaseOwner) {
     logger.debug(`The shard "${shardId}" is owned by "${leaseOwner}".`);
-    return false;
+    return 'none';
   }
 
   // If the shard has a parent that hasn't been depleted, don't lease it.
   const parentShard = parent && shards[parent];
   if (parentShard && !parentShard.depleted) {
     logger.debug(`Cannot lease "${shardId}", the parent "${parent}" hasn't been depleted.`);
-    return false;
+    return 'none';
   }
 
   // Check if leasing one more shard won't go over the maximum of allowed active leases.
-  if (!isStandalone) {
-    const shardsCount = Object.values(shards).filter((shard) => !shard.depleted).length;
-    const consumersCount = Object.values(consumers).filter(
-      (consumer) => !consumer.isStandalone && consumer.isActive
-    ).length;
-    const maxActiveLeases = Math.ceil(shardsCount / consumersCount);
-    if (ownLeasesCount + 1 > maxActiveLeases) {
-      logger.debug(`Max. of ${maxActiveLeases} active leases reached, can't lease "${shardId}".`);
-      return true;
-    }
+  const ownLeasesCount = Object.values(shards).filter(
+    (shard) => shard.leaseOwner === consumerId && !shard.depleted
+  ).length;
+  if (ownLeasesCount + 1 > maxActiveLeases) {
+    logger.debug(`Max. of ${maxActiveLeases} active leases reached, can't lease "${shardId}".`);
+    return 'changed';
   }
 
   // Try to lock the shard lease.
-  if (await stateStore.lockShardLease(shardId, LEASE_TERM_TIMEOUT, version, streamState)) {
+  const lockedVersion = await stateStore.lockShardLease(
+    shardId,
+    LEASE_TERM_TIMEOUT,
+    version,
+    streamState
+  );
+  if (lockedVersion) {
     logger.debug(`Lease for "${shardId}" acquired.`);
-    return true;
+    Object.assign(shards[shardId], { leaseOwner: consumerId, version: lockedVersion });
+    resetIds[shardId] = resetId;
+    leasedShards.add(shardId);
+    reportShardState(streamName, shardId, { leaseOwner: consumerId });
+    reportLeaseChange(instance, 'leaseAcquired', { shardId });
+    return 'acquired';
   }
 
   logger.debug(`Can't acquire lease for "${shardId}", someone else did it.`);
-  return false;
+  return 'conflict';
+}
+
+/**
+ * Updates the leases for all the shards in the stream. The state of the stream is read once, the
+ * leases are checked against it, and then the changes are applied with conditional updates: the
+ * leases held by this consumer that are about to expire are renewed all at once, and the rest of
+ * the shards are acquired one after the other. If any of the updates fails because the state
+ * changed since it was read, the state is read again and the leases are updated once more.
+ *
+ * @param {Object} instance - The instance of Lease Manager.
+ * @param {Object} shardsDescription - The AWS-provided data describing the shards.
+ * @param {boolean} [isRetry=false] - Whether if the state is being read again after a conflict.
+ * @fulfil {Object} - An object with the `outcomes` of the leases updates (either `acquired`,
+ *         `changed`, `conflict`, `error`, `none`, or `renewed`) and the last read `streamState`.
+ * @returns {Promise}
+ */
+async function updateLeases(instance, shardsDescription, isRetry = false) {
+  const { consumerId, isPinned, isStandalone, logger, stateStore } = internal(instance);
+  const { shards, streamState } = await stateStore.getShardsAndStreamState(shardsDescription);
+  const shardIds = Object.keys(shardsDescription);
+
+  // Pinned consumers lease all the shards they're pinned to, and the others leave those alone.
+  const isDistributed = !isStandalone && !isPinned;
+  const claimedShardIds = isDistributed
+    ? getClaimedShardIds(streamState, shardsDescription, consumerId)
+    : new Set();
+  const maxActiveLeases = isDistributed
+    ? getMaxActiveLeases(streamState, consumerId, claimedShardIds)
+    : Number.POSITIVE_INFINITY;
+
+  const checks = shardIds.map((shardId) => checkLease(instance, shardId, shards));
+  const renewals = await renewLeases(
+    instance,
+    shardIds.filter((shardId, index) => checks[index] === 'renew'),
+    streamState,
+    shards
+  );
+  const acquisitions = await shardIds
+    .filter((shardId, index) => {
+      if (checks[index] !== 'acquire') return false;
+      if (!claimedShardIds.has(shardId)) return true;
+      logger.debug(`The shard "${shardId}" is claimed by a pinned consumer.`);
+      return false;
+    })
+    .reduce(async (result, shardId) => {
+      const acc = await result;
+      try {
+        return acc.concat(
+          await acquireLease(instance, shardId, streamState, shards, maxActiveLeases)
+        );
+      } catch (err) {
+        logger.error('Unexpected recoverable failure when trying to acquire a lease:', err);
+        return acc.concat('error');
+      }
+    }, []);
+
+  const outcomes = [...checks.filter((check) => check === 'changed'), ...renewals, ...acquisitions];
+  if (isRetry || !outcomes.includes('conflict')) return { outcomes, streamState };
+
+  logger.debug('The state changed while updating the leases, trying again with a fresh state…');
+  const retry = await updateLeases(instance, shardsDescription, true);
+  return { outcomes: [...outcomes, ...retry.outcomes], streamState: retry.streamState };
+}
+
+/**
+ * Hands off a shard leased by this consumer to the other consumers in the group. The shard is
+ * marked for handoff, then its consumer is stopped once the records being read or processed are
+ * checkpointed, and then the lease is released right away instead of letting it expire.
+ *
+ * @param {Object} instance - The instance of Lease Manager.
+ * @param {string} shardId - The ID of the shard to hand off.
+ * @param {Object} shardsDescription - The AWS-provided data describing the shards.
+ * @param {Object} streamState - The known stream state.
+ * @fulfil {boolean} - `true` if the lease was handed off, `false` otherwise.
+ * @returns {Promise}
+ */
+async function handOffLease(instance, shardId, shardsDescription, streamState) {
+  const { consumersManager, leasedShards, logger, stateStore, streamName } = internal(instance);
+  const { version } = streamState.shards[shardId];
+
+  if (!(await stateStore.markShardForHandoff(shardId, version, streamState))) {
+    logger.debug(`The lease for shard "${shardId}" changed, it can't be handed off.`);
+    return false;
+  }
+
+  logger.debug(`Handing off the lease for shard "${shardId}"…`);
+  await consumersManager.stopConsumer(shardId);
+  leasedShards.delete(shardId);
+
+  // The checkpoints stored while the consumer stopped change the version of the shard state.
+  const { shardState } = await stateStore.getShardAndStreamState(
+    shardId,
+    shardsDescription[shardId]
+  );
+  if (await stateStore.releaseShardLease(shardId, shardState.version, streamState)) {
+    logger.debug(`Lease for shard "${shardId}" handed off.`);
+    reportShardState(streamName, shardId, { leaseOwner: null });
+  } else {
+    logger.debug(`The lease for shard "${shardId}" couldn't be released, it will expire.`);
+  }
+  reportLeaseChange(instance, 'leaseLost', { leaseOwner: null, shardId });
+  return true;
+}
+
+/**
+ * Hands off the leases held by this consumer beyond the maximum of allowed active leases, which
+ * happens when other consumers join the group. When this consumer is over the maximum, there's at
+ * least one consumer under it, which will acquire the handed off shards in its next attempt. The
+ * leases of the shards claimed by the active pinned consumers are handed off as well.
+ *
+ * @param {Object} instance - The instance of Lease Manager.
+ * @param {Object} shardsDescription - The AWS-provided data describing the shards.
+ * @param {Object} streamState - The stream state known after updating the leases.
+ * @fulfil {boolean} - `true` if any lease was handed off, `false` otherwise.
+ * @returns {Promise}
+ */
+async function rebalanceLeases(instance, shardsDescription, streamState) {
+  const { consumerId, logger } = internal(instance);
+  const { shards } = streamState;
+  const claimedShardIds = getClaimedShardIds(streamState, shardsDescription, consumerId);
+  const ownShardIds = Object.keys(shards)
+    .filter((shardId) => shards[shardId].leaseOwner === consumerId && !shards[shardId].depleted)
+    .sort();
+  const claimedOwnShardIds = ownShardIds.filter((shardId) => claimedShardIds.has(shardId));
+  const keptShardIds = ownShardIds.filter((shardId) => !claimedShardIds.has(shardId));
+
+  if (claimedOwnShardIds.length > 0) {
+    logger.debug(`Handing off ${claimedOwnShardIds.length} lease(s) claimed by pinned consumers…`);
+  }
+
+  // There's always room for at least one lease per consumer.
+  const maxActiveLeases = Math.max(getMaxActiveLeases(streamState, consumerId, claimedShardIds), 1);
+  const surplusShardIds = keptShardIds.slice(maxActiveLeases);
+  if (surplusShardIds.length > 0) {
+    logger.debug(`Max. of ${maxActiveLeases} active leases exceeded, rebalancing the leases…`);
+  }
+
+  const results = await Promise.all(
+    [...claimedOwnShardIds, ...surplusShardIds].map((shardId) =>
+      handOffLease(instance, shardId, shardsDescription, streamState)
+    )
+  );
+  return results.some(Boolean);
 }
 
 /**
@@ -158,11 +497,15 @@ class LeaseManager {
    * @param {Object} options.client - An instance of AWS.Kinesis.
    * @param {string} options.consumerId - The unique ID of the current Kinesis consumer.
    * @param {Object} options.consumersManager - An instance of the ConsumersManager module.
+   * @param {Function} options.emitEvent - A function that emits an event from the client.
    * @param {number} options.leaseAcquisitionInterval - The interval in milliseconds for how often
    *        to attempt lease acquisitions.
    * @param {number} options.leaseAcquisitionRecoveryInterval - The interval in milliseconds for how often
    *        to re-attempt lease acquisitions when an error is returned.
    * @param {Object} options.logger - An instance of a logger.
+   * @param {Object} [options.metrics] - A metrics reporter, see the `metrics` option of the client.
+   * @param {Object} [options.shardFilter] - If provided, the consumer is pinned to the shards
+   *        selected by this filter, see the `getStreamShards` function of the stream module.
    * @param {Object} options.stateStore - An instance of the StateStore module.
    * @param {string} options.streamName - The name of the Kinesis stream.
    * @param {boolean} options.useAutoShardAssignment - Whether if the consumer is automatically
@@ -175,9 +518,12 @@ class LeaseManager {
       client,
       consumerId,
       consumersManager,
+      emitEvent,
       leaseAcquisitionInterval,
       leaseAcquisitionRecoveryInterval,
       logger,
+      metrics,
+      shardFilter,
       stateStore,
       streamName,
       useAutoShardAssignment,
@@ -188,16 +534,33 @@ class LeaseManager {
       client,
       consumerId,
       consumersManager,
+      emitEvent,
+      isPinned: Boolean(useAutoShardAssignment && shardFilter),
       isStandalone: !useAutoShardAssignment,
+      lastAcquisition: null,
       leaseAcquisitionInterval,
       leaseAcquisitionRecoveryInterval,
+      leasedShards: new Set(),
       logger,
+      metrics: getMetricsReporter(metrics, logger),
+      resetIds: {},
+      shardFilter,
       stateStore,
       streamName,
       useEnhancedFanOut
     });
   }
 
+  /**
+   * Returns the status of the lease acquisition loop, for the health checks of the client.
+   *
+   * @returns {Object} An object with the time of the `lastAcquisition` attempt that succeeded.
+   */
+  getStatus() {
+    const { lastAcquisition } = internal(this);
+    return { lastAcquisition };
+  }
+
   /**
    * Tries to acquire leases for all the shards in the stream and continues to do so periodically
    * until the lease manager instance is stopped.
@@ -208,6 +571,8 @@ class LeaseManager {
     const privateProps = internal(this);
     const {
       consumersManager,
+      isPinned,
+      isStandalone,
       leaseAcquisitionInterval = ACQUIRE_LEASES_INTERVAL,
       leaseAcquisitionRecoveryInterval = ACQUIRE_LEASES_RECOVERY_INTERVAL,
       logger,
@@ -217,9 +582,10 @@ class LeaseManager {
     } = privateProps;
 
     if (timeoutId) return;
+    privateProps.isStopped = false;
 
     let shouldReconcile = false;
-    const acquireLeases = async () => {
+    const attemptAcquisition = async () => {
       let nextDelay = leaseAcquisitionInterval;
 
       try {
@@ -230,57 +596,90 @@ class LeaseManager {
           logger.debug("Can't acquire leases as the stream is gone.");
           consumersManager.stop();
           this.stop();
-          return;
+          return null;
         }
 
         if (useEnhancedFanOut) {
           const consumerArn = await stateStore.getAssignedEnhancedConsumer();
-          if (!consumerArn) {
-            privateProps.timeoutId = setTimeout(acquireLeases, leaseAcquisitionRecoveryInterval);
-            return;
-          }
+          if (!consumerArn) return leaseAcquisitionRecoveryInterval;
         }
 
         const shards = await getStreamShards(privateProps);
+        const { outcomes, streamState } = await updateLeases(this, shards);
+        if (outcomes.includes('error')) nextDelay = leaseAcquisitionRecoveryInterval;
+        const changesDetected = outcomes.some((outcome) => CHANGE_OUTCOMES.has(outcome));
 
-        const changesDetected = (
-          await Object.keys(shards).reduce(async (result, id) => {
-            const acc = await result;
-            try {
-              return acc.concat(await acquireLease(this, id, shards));
-            } catch (err) {
-              logger.error('Unexpected recoverable failure when trying to acquire a lease:', err);
-              nextDelay = leaseAcquisitionRecoveryInterval;
-              return acc.concat(true);
-            }
-          }, [])
-        ).some(Boolean);
-
-        if (changesDetected || shouldReconcile) {
+        const leasesHandedOff =
+          !isStandalone && !isPinned && (await rebalanceLeases(this, shards, streamState));
+
+        if (changesDetected || leasesHandedOff || shouldReconcile) {
           await consumersManager.reconcile();
           shouldReconcile = false;
         }
+        privateProps.lastAcquisition = new Date();
       } catch (err) {
         logger.error('Unexpected recoverable failure when trying to acquire leases:', err);
         nextDelay = leaseAcquisitionRecoveryInterval;
         shouldReconcile = true;
       }
 
-      privateProps.timeoutId = setTimeout(acquireLeases, nextDelay);
+      return nextDelay;
+    };
+
+    const acquireLeases = async () => {
+      const nextDelay = await attemptAcquisition();
+      const { isStopped } = internal(this);
+      if (isStopped) return;
+      privateProps.timeoutId = setTimeout(() => {
+        privateProps.acquisition = acquireLeases();
+      }, nextDelay);
     };
 
-    await acquireLeases();
+    const acquisition = acquireLeases();
+    privateProps.acquisition = acquisition;
+    await acquisition;
   }
 
   /**
    * Stops the lease manager attempts to acquire leases for the shards.
+   *
+   * @fulfil {undefined} - Once the lease acquisition attempt in progress, if any, is done.
+   * @returns {Promise}
    */
   stop() {
     const privateProps = internal(this);
-    const { logger, timeoutId } = privateProps;
+    const { acquisition, logger, timeoutId } = privateProps;
     clearTimeout(timeoutId);
+    privateProps.isStopped = true;
     privateProps.timeoutId = null;
     logger.debug('The lease manager has stopped.');
+    return Promise.resolve(acquisition);
+  }
+
+  /**
+   * Releases the active leases owned by this consumer, so the other consumers in the group can
+   * take over the shards without waiting for the leases to expire. Leases that changed since
+   * they were last known (e.g. taken by another consumer) are left alone. The released leases are
+   * reported as lost.
+   *
+   * @fulfil {undefined} - Once the leases are released.
+   * @returns {Promise}
+   */
+  async releaseLeases() {
+    const { leasedShards, logger, stateStore } = internal(this);
+    const ownedShards = await stateStore.getOwnedShards();
+    await Promise.all(
+      Object.keys(ownedShards).map(async (shardId) => {
+        const { version } = ownedShards[shardId];
+        if (await stateStore.releaseShardLease(shardId, version)) {
+          logger.debug(`Lease for shard "${shardId}" released.`);
+          leasedShards.delete(shardId);
+          reportLeaseChange(this, 'leaseLost', { leaseOwner: null, shardId });
+        } else {
+          logger.debug(`The lease for shard "${shardId}" couldn't be released.`);
+        }
+      })
+    );
   }
 }
 
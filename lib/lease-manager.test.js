@@ -1,11 +1,17 @@
 'use strict';
 
+const ConsumersManager = require('./consumers-manager');
 const LeaseManager = require('./lease-manager');
+const PollingConsumer = require('./polling-consumer');
+const { getStats } = require('./stats');
 const { checkIfStreamExists, getStreamShards } = require('./stream');
 
+jest.mock('./polling-consumer');
+
 jest.mock('./stream', () => ({
   checkIfStreamExists: jest.fn(() => Promise.resolve({ streamArn: 'stream-arn' })),
-  getStreamShards: jest.fn(() => Promise.resolve({}))
+  getStreamShards: jest.fn(() => Promise.resolve({})),
+  isShardSelected: jest.requireActual('./stream').isShardSelected
 }));
 
 jest.useFakeTimers();
@@ -13,28 +19,47 @@ jest.useFakeTimers();
 describe('lib/lease-manager', () => {
   const reconcile = jest.fn();
   const stop = jest.fn();
-  const consumersManager = { reconcile, stop };
+  const stopConsumer = jest.fn();
+  const consumersManager = { reconcile, stop, stopConsumer };
 
   const debug = jest.fn();
+  const emitEvent = jest.fn();
   const error = jest.fn();
   const logger = { debug, error };
 
   const getAssignedEnhancedConsumer = jest.fn();
+  const getOwnedShards = jest.fn();
   const getShardAndStreamState = jest.fn();
+  const getShardsAndStreamState = jest.fn(() =>
+    Promise.resolve({ shards: {}, streamState: { consumers: {}, shards: {} } })
+  );
   const releaseShardLease = jest.fn();
-  const lockShardLease = jest.fn(() => Promise.resolve(true));
+  const lockShardLease = jest.fn(() => Promise.resolve('0001'));
+  const markShardForHandoff = jest.fn();
+  const renewShardLeases = jest.fn(() => Promise.resolve({}));
   const stateStore = {
     getAssignedEnhancedConsumer,
+    getOwnedShards,
     getShardAndStreamState,
+    getShardsAndStreamState,
     lockShardLease,
-    releaseShardLease
+    markShardForHandoff,
+    releaseShardLease,
+    renewShardLeases
+  };
+
+  const mockState = (streamState) => {
+    getShardsAndStreamState.mockResolvedValueOnce({ shards: streamState.shards, streamState });
+    return streamState;
   };
 
   const options = {
     consumerId: 'foo',
     consumersManager,
+    emitEvent,
     logger,
     stateStore,
+    streamName: 'test-stream',
     useAutoShardAssignment: true
   };
 
@@ -42,15 +67,21 @@ describe('lib/lease-manager', () => {
     checkIfStreamExists.mockClear();
     clearTimeout.mockClear();
     debug.mockClear();
+    emitEvent.mockClear();
     error.mockClear();
     getAssignedEnhancedConsumer.mockClear();
+    getOwnedShards.mockClear();
     getShardAndStreamState.mockClear();
+    getShardsAndStreamState.mockClear();
     getStreamShards.mockClear();
     lockShardLease.mockClear();
+    markShardForHandoff.mockClear();
     reconcile.mockClear();
     releaseShardLease.mockClear();
+    renewShardLeases.mockClear();
     setTimeout.mockClear();
     stop.mockClear();
+    stopConsumer.mockClear();
   });
 
   test('the module exports the expected', () => {
@@ -68,6 +99,14 @@ describe('lib/lease-manager', () => {
     manager.stop();
   });
 
+  test('the manager reports when the last lease acquisition attempt succeeded', async () => {
+    const manager = new LeaseManager(options);
+    expect(manager.getStatus()).toEqual({ lastAcquisition: null });
+    await manager.start();
+    expect(manager.getStatus()).toEqual({ lastAcquisition: expect.any(Date) });
+    manager.stop();
+  });
+
   test("calling start multiple times won't schedule multiple timeouts", async () => {
     const manager = new LeaseManager(options);
     await manager.start();
@@ -106,6 +145,60 @@ describe('lib/lease-manager', () => {
     manager.stop();
   });
 
+  test('the manager keeps attempting to acquire leases until stopped', async () => {
+    const manager = new LeaseManager(options);
+    await manager.start();
+    jest.runOnlyPendingTimers();
+    await manager.stop();
+    expect(checkIfStreamExists).toHaveBeenCalledTimes(2);
+    expect(setTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  test('stopping the manager waits for the lease acquisition in progress', async () => {
+    let resolveStream;
+    checkIfStreamExists.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveStream = resolve;
+        })
+    );
+    const manager = new LeaseManager(options);
+    const start = manager.start();
+    const stopPromise = manager.stop();
+    resolveStream({ streamArn: 'stream-arn' });
+    await expect(stopPromise).resolves.toBeUndefined();
+    await start;
+    expect(getStreamShards).toHaveBeenCalledTimes(1);
+    expect(setTimeout).not.toHaveBeenCalled();
+  });
+
+  test('no shard consumers are started when stopping during a lease acquisition attempt', async () => {
+    let resolveShards;
+    getStreamShards.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveShards = resolve;
+        })
+    );
+    mockState({ consumers: {}, shards: { 'shardId-0000': { leaseOwner: null, version: '0000' } } });
+    getOwnedShards.mockResolvedValue({ 'shardId-0000': { leaseExpiration: null } });
+    const shardsManager = new ConsumersManager({ logger, stateStore });
+    const manager = new LeaseManager({ ...options, consumersManager: shardsManager });
+    try {
+      const start = manager.start();
+      while (!resolveShards) await Promise.resolve();
+      const stopping = Promise.all([manager.stop(), shardsManager.stop()]);
+      resolveShards({ 'shardId-0000': {} });
+      await stopping;
+      await start;
+    } finally {
+      getOwnedShards.mockReset();
+    }
+    expect(lockShardLease).toHaveBeenCalledWith('shardId-0000', 300000, '0000', expect.any(Object));
+    expect(PollingConsumer).not.toHaveBeenCalled();
+    expect(setTimeout).not.toHaveBeenCalled();
+  });
+
   test('the manager should stop if the stream is gone', async () => {
     checkIfStreamExists.mockResolvedValueOnce({ streamArn: null });
     const manager = new LeaseManager(options);
@@ -139,10 +232,7 @@ describe('lib/lease-manager', () => {
 
   test('shards marked as depleted cannot be leased', async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { depleted: true },
-      streamState: { shards: {} }
-    });
+    mockState({ consumers: {}, shards: { 'shardId-0000': { depleted: true } } });
     const manager = new LeaseManager(options);
     await manager.start();
     expect(reconcile).not.toHaveBeenCalled();
@@ -158,9 +248,11 @@ describe('lib/lease-manager', () => {
   test('leased shards with an active lease period should not cause changes', async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsFromNow.toISOString(), leaseOwner: 'foo' },
-      streamState: { shards: {} }
+    mockState({
+      consumers: {},
+      shards: {
+        'shardId-0000': { leaseExpiration: fiveMinsFromNow.toISOString(), leaseOwner: 'foo' }
+      }
     });
     const manager = new LeaseManager(options);
     await manager.start();
@@ -171,34 +263,65 @@ describe('lib/lease-manager', () => {
       'Shard "shardId-0000" is currently owned by this consumer.'
     );
     expect(debug).toHaveBeenCalledTimes(2);
+    expect(renewShardLeases).not.toHaveBeenCalled();
     manager.stop();
   });
 
-  test('a shard lease failure to release should trigger reconciliation', async () => {
-    getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
+  test('a reset of the checkpoint of an owned shard should trigger reconciliation', async () => {
+    const shards = { 'shardId-0000': {} };
+    getStreamShards.mockResolvedValueOnce(shards).mockResolvedValueOnce(shards);
     const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsFromNow.toISOString(), leaseOwner: 'bar' },
-      streamState: { consumers: {}, shards: {} }
-    });
+    const shardState = {
+      leaseExpiration: fiveMinsFromNow.toISOString(),
+      leaseOwner: 'foo',
+      resetId: '0001'
+    };
+    mockState({ consumers: {}, shards: { 'shardId-0000': shardState } });
+    mockState({ consumers: {}, shards: { 'shardId-0000': shardState } });
     const manager = new LeaseManager(options);
     await manager.start();
-    expect(reconcile).toHaveBeenCalled();
+    manager.stop();
+    await manager.start();
+    expect(reconcile).toHaveBeenCalledTimes(1);
     expect(debug).toHaveBeenNthCalledWith(1, 'Attempting lease acquisition…');
+    expect(debug).toHaveBeenNthCalledWith(2, 'The checkpoint of "shardId-0000" has been reset.');
+    expect(debug).toHaveBeenNthCalledWith(3, 'The lease manager has stopped.');
+    expect(debug).toHaveBeenNthCalledWith(4, 'Attempting lease acquisition…');
     expect(debug).toHaveBeenNthCalledWith(
-      2,
-      'The lease for shard "shardId-0000" couldn\'t be released.'
+      5,
+      'Shard "shardId-0000" is currently owned by this consumer.'
     );
-    expect(debug).toHaveBeenCalledTimes(2);
+    expect(debug).toHaveBeenCalledTimes(5);
+    manager.stop();
+  });
+
+  test('a shard lease failure to release makes the manager read the state again', async () => {
+    getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
+    const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5).toISOString();
+    const shardState = { leaseExpiration: fiveMinsFromNow, leaseOwner: 'bar' };
+    mockState({ consumers: {}, shards: { 'shardId-0000': { ...shardState } } });
+    mockState({ consumers: {}, shards: { 'shardId-0000': { ...shardState } } });
+    const manager = new LeaseManager(options);
+    await manager.start();
+    expect(getShardsAndStreamState).toHaveBeenCalledTimes(2);
+    expect(reconcile).not.toHaveBeenCalled();
+    expect(debug.mock.calls).toEqual([
+      ['Attempting lease acquisition…'],
+      ['The lease for shard "shardId-0000" couldn\'t be released.'],
+      ['The state changed while updating the leases, trying again with a fresh state…'],
+      ['The lease for shard "shardId-0000" couldn\'t be released.']
+    ]);
     manager.stop();
   });
 
   test("an active shard lease by another active consumer shouldn't be leased", async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsFromNow.toISOString(), leaseOwner: 'bar' },
-      streamState: { consumers: { bar: {} }, shards: {} }
+    mockState({
+      consumers: { bar: {} },
+      shards: {
+        'shardId-0000': { leaseExpiration: fiveMinsFromNow.toISOString(), leaseOwner: 'bar' }
+      }
     });
     const manager = new LeaseManager(options);
     await manager.start();
@@ -211,9 +334,12 @@ describe('lib/lease-manager', () => {
 
   test("shards with non-depleted parents shouldn't be leased", async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0001': {} });
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { parent: 'shardId-0000' },
-      streamState: { shards: { 'shardId-0000': { depleted: false } } }
+    mockState({
+      consumers: {},
+      shards: {
+        'shardId-0000': { depleted: false },
+        'shardId-0001': { parent: 'shardId-0000' }
+      }
     });
     const manager = new LeaseManager(options);
     await manager.start();
@@ -229,17 +355,14 @@ describe('lib/lease-manager', () => {
 
   test("the manager can't acquire leases over the maximum allowed active leases", async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0001': {} });
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: {},
-      streamState: {
-        consumers: {
-          bar: { isActive: true, isStandalone: false },
-          foo: { isActive: true, isStandalone: false }
-        },
-        shards: {
-          'shardId-0000': { depleted: false, leaseOwner: 'foo' },
-          'shardId-0001': { depleted: false }
-        }
+    mockState({
+      consumers: {
+        bar: { isActive: true, isStandalone: false },
+        foo: { isActive: true, isStandalone: false }
+      },
+      shards: {
+        'shardId-0000': { depleted: false, leaseOwner: 'foo' },
+        'shardId-0001': { depleted: false }
       }
     });
     const manager = new LeaseManager(options);
@@ -254,57 +377,170 @@ describe('lib/lease-manager', () => {
     manager.stop();
   });
 
+  test.each([
+    ['equal weights', {}, {}, {}, 3],
+    ['a higher weight', { capacityWeight: 2 }, {}, {}, 5],
+    ['a maximum of leases', { maxLeases: 1 }, {}, {}, 1],
+    ['other consumers with a maximum of leases', {}, { maxLeases: 1 }, { maxLeases: 1 }, 7],
+    ['weights and maximums', {}, { maxLeases: 2 }, { capacityWeight: 4, maxLeases: 4 }, 3],
+    ['pinned consumers', {}, { isPinned: true }, {}, 4]
+  ])(
+    'the maximum of allowed active leases is distributed according to %s',
+    async (description, foo, bar, baz, maxActiveLeases) => {
+      const shardIds = ['0000', '0001', '0002', '0003', '0004', '0005', '0006', '0007', '0008'];
+      getStreamShards.mockResolvedValueOnce({ 'shardId-0008': {} });
+      mockState({
+        consumers: {
+          bar: { ...bar, isActive: true, isStandalone: false },
+          baz: { ...baz, isActive: true, isStandalone: false },
+          foo: { ...foo, isActive: true, isStandalone: false },
+          qux: { isActive: true, isStandalone: true }
+        },
+        shards: shardIds.reduce(
+          (obj, id, index) => ({
+            ...obj,
+            [`shardId-${id}`]: {
+              leaseOwner: (index < maxActiveLeases && 'foo') || (id === '0007' && 'bar') || null
+            }
+          }),
+          {}
+        )
+      });
+      const manager = new LeaseManager(options);
+      await manager.start();
+      manager.stop();
+      expect(debug).toHaveBeenCalledWith(
+        `Max. of ${maxActiveLeases} active leases reached, can't lease "shardId-0008".`
+      );
+    }
+  );
+
+  test('pinned consumers only lease the selected shards, without a maximum', async () => {
+    const shardFilter = { excludedShardIds: [], hashKeyRange: null, shardIds: ['shardId-0001'] };
+    getStreamShards.mockResolvedValueOnce({ 'shardId-0001': {} });
+    const streamState = mockState({
+      consumers: {
+        bar: { isActive: true, isStandalone: false },
+        foo: { isActive: true, isPinned: true, isStandalone: false }
+      },
+      shards: {
+        'shardId-0000': { leaseOwner: 'foo' },
+        'shardId-0001': {}
+      }
+    });
+    const manager = new LeaseManager({ ...options, shardFilter });
+    await manager.start();
+    manager.stop();
+    expect(getStreamShards).toHaveBeenCalledWith(expect.objectContaining({ shardFilter }));
+    expect(getShardsAndStreamState).toHaveBeenCalledWith({ 'shardId-0001': {} });
+    expect(lockShardLease).toHaveBeenCalledWith('shardId-0001', 300000, undefined, streamState);
+    expect(getShardsAndStreamState).toHaveBeenCalledTimes(1);
+  });
+
+  test("unpinned consumers don't lease the shards claimed by active pinned consumers", async () => {
+    const shardFilter = {
+      excludedShardIds: [],
+      hashKeyRange: { endingHashKey: '99', startingHashKey: '0' },
+      shardIds: null
+    };
+    getStreamShards.mockResolvedValueOnce({
+      'shardId-0000': { hashKeyRange: { endingHashKey: '99', startingHashKey: '0' } },
+      'shardId-0001': { hashKeyRange: { endingHashKey: '199', startingHashKey: '100' } },
+      'shardId-0002': { hashKeyRange: { endingHashKey: '299', startingHashKey: '200' } }
+    });
+    mockState({
+      consumers: {
+        bar: { isActive: true, isPinned: true, isStandalone: false, shardFilter },
+        baz: { isActive: true, isStandalone: false },
+        foo: { isActive: true, isStandalone: false },
+        qux: {
+          isActive: false,
+          isPinned: true,
+          isStandalone: false,
+          shardFilter: { ...shardFilter }
+        }
+      },
+      shards: { 'shardId-0000': {}, 'shardId-0001': {}, 'shardId-0002': {} }
+    });
+    const manager = new LeaseManager(options);
+    await manager.start();
+    manager.stop();
+    expect(debug).toHaveBeenCalledWith('The shard "shardId-0000" is claimed by a pinned consumer.');
+    expect(lockShardLease.mock.calls.map(([shardId]) => shardId)).toEqual(['shardId-0001']);
+    expect(debug).toHaveBeenCalledWith(
+      'Max. of 1 active leases reached, can\'t lease "shardId-0002".'
+    );
+  });
+
   test('the shard is leased if all the required conditions are present', async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    const streamState = { consumers: {}, shards: {} };
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsFromNow.toISOString(), version: 1 },
-      streamState
+    const streamState = mockState({
+      consumers: {},
+      shards: { 'shardId-0000': { leaseExpiration: fiveMinsFromNow.toISOString(), version: 1 } }
     });
     const manager = new LeaseManager(options);
     await manager.start();
     expect(lockShardLease).toHaveBeenCalledWith('shardId-0000', 300000, 1, streamState);
+    expect(streamState.shards['shardId-0000']).toEqual(
+      expect.objectContaining({ leaseOwner: 'foo', version: '0001' })
+    );
     expect(reconcile).toHaveBeenCalled();
     expect(debug).toHaveBeenNthCalledWith(1, 'Attempting lease acquisition…');
     expect(debug).toHaveBeenNthCalledWith(2, 'Lease for "shardId-0000" acquired.');
     expect(debug).toHaveBeenCalledTimes(2);
+    expect(emitEvent.mock.calls).toEqual([['leaseAcquired', { shardId: 'shardId-0000' }]]);
     manager.stop();
   });
 
-  test('the shard lease lock might fail even with the right required conditions', async () => {
-    lockShardLease.mockResolvedValueOnce(false);
+  test('the shards are leased one after the other from a single read of the state', async () => {
+    const shardIds = ['shardId-0000', 'shardId-0001', 'shardId-0002'];
+    getStreamShards.mockResolvedValueOnce(
+      shardIds.reduce((obj, shardId) => ({ ...obj, [shardId]: {} }), {})
+    );
+    mockState({
+      consumers: { foo: { isActive: true, isStandalone: false } },
+      shards: shardIds.reduce((obj, shardId) => ({ ...obj, [shardId]: {} }), {})
+    });
+    const manager = new LeaseManager(options);
+    await manager.start();
+    manager.stop();
+    expect(getShardsAndStreamState).toHaveBeenCalledTimes(1);
+    expect(lockShardLease.mock.calls.map(([shardId]) => shardId)).toEqual(shardIds);
+    expect(reconcile).toHaveBeenCalledTimes(1);
+  });
+
+  test('the state is read again if the shard lease lock fails', async () => {
+    lockShardLease.mockResolvedValueOnce(null);
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
-    const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsFromNow.toISOString() },
-      streamState: { consumers: {}, shards: {} }
+    const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5).toISOString();
+    mockState({ consumers: {}, shards: { 'shardId-0000': { leaseExpiration: fiveMinsFromNow } } });
+    mockState({
+      consumers: { bar: {} },
+      shards: { 'shardId-0000': { leaseExpiration: fiveMinsFromNow, leaseOwner: 'bar' } }
     });
     const manager = new LeaseManager(options);
     await manager.start();
     expect(reconcile).not.toHaveBeenCalled();
-    expect(debug).toHaveBeenNthCalledWith(1, 'Attempting lease acquisition…');
-    expect(debug).toHaveBeenNthCalledWith(
-      2,
-      'Can\'t acquire lease for "shardId-0000", someone else did it.'
-    );
-    expect(debug).toHaveBeenCalledTimes(2);
+    expect(debug.mock.calls).toEqual([
+      ['Attempting lease acquisition…'],
+      ['Can\'t acquire lease for "shardId-0000", someone else did it.'],
+      ['The state changed while updating the leases, trying again with a fresh state…'],
+      ['The shard "shardId-0000" is owned by "bar".']
+    ]);
     manager.stop();
   });
 
   test('the manager can acquire leases over the maximum if in standalone mode', async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0001': {} });
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: {},
-      streamState: {
-        consumers: {
-          bar: { isActive: true, isStandalone: true },
-          foo: { isActive: true, isStandalone: true }
-        },
-        shards: {
-          'shardId-0000': { depleted: false },
-          'shardId-0001': { depleted: false }
-        }
+    mockState({
+      consumers: {
+        bar: { isActive: true, isStandalone: true },
+        foo: { isActive: true, isStandalone: true }
+      },
+      shards: {
+        'shardId-0000': { depleted: false, leaseOwner: 'foo' },
+        'shardId-0001': { depleted: false }
       }
     });
     const manager = new LeaseManager({ ...options, useAutoShardAssignment: false });
@@ -319,33 +555,138 @@ describe('lib/lease-manager', () => {
   test('the manager is able to renew leases about to expire', async () => {
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const oneMinFromNow = new Date(Date.now() + 1000 * 60);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: oneMinFromNow.toISOString(), leaseOwner: 'foo' },
-      streamState: { consumers: {}, shards: {} }
+    const streamState = mockState({
+      consumers: {},
+      shards: {
+        'shardId-0000': { leaseExpiration: oneMinFromNow.toISOString(), leaseOwner: 'foo' }
+      }
     });
+    renewShardLeases.mockResolvedValueOnce({ 'shardId-0000': '0001' });
     const manager = new LeaseManager(options);
     await manager.start();
+    expect(renewShardLeases).toHaveBeenCalledWith(['shardId-0000'], 300000, streamState);
+    expect(lockShardLease).not.toHaveBeenCalled();
     expect(reconcile).toHaveBeenCalled();
     expect(debug).toHaveBeenNthCalledWith(1, 'Attempting lease acquisition…');
     expect(debug).toHaveBeenNthCalledWith(
       2,
       'It\'s time to renew the lease of "shardId-0000" for this consumer.'
     );
-    expect(debug).toHaveBeenNthCalledWith(3, 'Lease for "shardId-0000" acquired.');
+    expect(debug).toHaveBeenNthCalledWith(3, 'Lease for "shardId-0000" renewed.');
     expect(debug).toHaveBeenCalledTimes(3);
+    expect(emitEvent.mock.calls).toEqual([['leaseRenewed', { shardId: 'shardId-0000' }]]);
     manager.stop();
   });
 
+  test('the leases about to expire are renewed all at once', async () => {
+    const oneMinFromNow = new Date(Date.now() + 1000 * 60).toISOString();
+    const shardIds = ['shardId-0000', 'shardId-0001', 'shardId-0002'];
+    getStreamShards.mockResolvedValueOnce(
+      shardIds.reduce((obj, shardId) => ({ ...obj, [shardId]: {} }), {})
+    );
+    const streamState = mockState({
+      consumers: { foo: { isActive: true, isStandalone: false } },
+      shards: shardIds.reduce(
+        (obj, shardId) => ({
+          ...obj,
+          [shardId]: { leaseExpiration: oneMinFromNow, leaseOwner: 'foo' }
+        }),
+        {}
+      )
+    });
+    renewShardLeases.mockResolvedValueOnce({ 'shardId-0000': '0001', 'shardId-0002': '0002' });
+    mockState({ consumers: {}, shards: {} });
+    const manager = new LeaseManager(options);
+    await manager.start();
+    manager.stop();
+    expect(renewShardLeases.mock.calls).toEqual([[shardIds, 300000, streamState]]);
+    expect(debug).toHaveBeenCalledWith('Can\'t renew the lease for "shardId-0001", it changed.');
+    expect(debug).toHaveBeenCalledWith(
+      'The state changed while updating the leases, trying again with a fresh state…'
+    );
+    expect(emitEvent.mock.calls).toEqual([
+      ['leaseRenewed', { shardId: 'shardId-0000' }],
+      ['leaseRenewed', { shardId: 'shardId-0002' }]
+    ]);
+    expect(streamState.shards['shardId-0002']).toEqual(
+      expect.objectContaining({ version: '0002' })
+    );
+  });
+
+  test('the leases taken by other consumers are reported as lost', async () => {
+    const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5).toISOString();
+    getStreamShards.mockResolvedValue({ 'shardId-0000': {}, 'shardId-0001': {} });
+    mockState({ consumers: { bar: {} }, shards: { 'shardId-0000': {}, 'shardId-0001': {} } });
+    mockState({
+      consumers: { bar: {} },
+      shards: {
+        'shardId-0000': { leaseExpiration: fiveMinsFromNow, leaseOwner: 'bar' },
+        'shardId-0001': { depleted: true, leaseExpiration: fiveMinsFromNow, leaseOwner: 'foo' }
+      }
+    });
+    const metrics = { counter: jest.fn(), gauge: jest.fn() };
+    const manager = new LeaseManager({ ...options, metrics, useAutoShardAssignment: false });
+    try {
+      await manager.start();
+      jest.runOnlyPendingTimers();
+      await manager.stop();
+      expect(emitEvent.mock.calls).toEqual([
+        ['leaseAcquired', { shardId: 'shardId-0000' }],
+        ['leaseAcquired', { shardId: 'shardId-0001' }],
+        ['leaseLost', { leaseOwner: 'bar', shardId: 'shardId-0000' }]
+      ]);
+      expect(metrics.counter.mock.calls).toEqual([
+        ['lease_changes_total', 1, { change: 'acquired', stream: 'test-stream' }],
+        ['lease_changes_total', 1, { change: 'acquired', stream: 'test-stream' }],
+        ['lease_changes_total', 1, { change: 'lost', stream: 'test-stream' }]
+      ]);
+      expect(metrics.gauge.mock.calls.map(([, value]) => value)).toEqual([1, 2, 1, 0]);
+      expect(metrics.gauge).toHaveBeenCalledWith('leases_owned', 0, { stream: 'test-stream' });
+    } finally {
+      getStreamShards.mockResolvedValue({});
+    }
+  });
+
+  test('the leases that fail to be renewed are reported as lost once the state is read again', async () => {
+    const oneMinFromNow = new Date(Date.now() + 1000 * 60).toISOString();
+    getStreamShards.mockResolvedValue({ 'shardId-0000': {} });
+    mockState({ consumers: {}, shards: { 'shardId-0000': {} } });
+    mockState({
+      consumers: {},
+      shards: { 'shardId-0000': { leaseExpiration: oneMinFromNow, leaseOwner: 'foo' } }
+    });
+    mockState({
+      consumers: { bar: {} },
+      shards: { 'shardId-0000': { leaseExpiration: oneMinFromNow, leaseOwner: 'bar' } }
+    });
+    const manager = new LeaseManager({ ...options, useAutoShardAssignment: false });
+    try {
+      await manager.start();
+      jest.runOnlyPendingTimers();
+      await manager.stop();
+      expect(renewShardLeases).toHaveBeenCalledTimes(1);
+      expect(emitEvent.mock.calls).toEqual([
+        ['leaseAcquired', { shardId: 'shardId-0000' }],
+        ['leaseLost', { leaseOwner: 'bar', shardId: 'shardId-0000' }]
+      ]);
+    } finally {
+      getStreamShards.mockResolvedValue({});
+    }
+  });
+
   test('expired leases owned by another consumer should be released and acquired', async () => {
-    releaseShardLease.mockResolvedValueOnce(1);
+    releaseShardLease.mockResolvedValueOnce('0001');
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const fiveMinsAgo = new Date(Date.now() - 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinsAgo.toISOString(), leaseOwner: 'shardId-0001' },
-      streamState: { consumers: { 'shardId-0001': {} }, shards: {} }
+    const streamState = mockState({
+      consumers: { 'shardId-0001': {} },
+      shards: {
+        'shardId-0000': { leaseExpiration: fiveMinsAgo.toISOString(), leaseOwner: 'shardId-0001' }
+      }
     });
     const manager = new LeaseManager(options);
     await manager.start();
+    expect(lockShardLease).toHaveBeenCalledWith('shardId-0000', 300000, '0001', streamState);
     expect(reconcile).toHaveBeenCalled();
     expect(debug).toHaveBeenNthCalledWith(1, 'Attempting lease acquisition…');
     expect(debug).toHaveBeenNthCalledWith(
@@ -354,16 +695,24 @@ describe('lib/lease-manager', () => {
     );
     expect(debug).toHaveBeenNthCalledWith(3, 'Lease for "shardId-0000" acquired.');
     expect(debug).toHaveBeenCalledTimes(3);
+    expect(getStats('test-stream').kinesis.shards['shardId-0000']).toEqual(
+      expect.objectContaining({ leaseOwner: 'foo' })
+    );
     manager.stop();
   });
 
   test('leases owned by unknown consumers should be released and acquired', async () => {
-    releaseShardLease.mockResolvedValueOnce(1);
+    releaseShardLease.mockResolvedValueOnce('0001');
     getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
     const fiveMinFromNow = new Date(Date.now() + 1000 * 60 * 5);
-    getShardAndStreamState.mockResolvedValueOnce({
-      shardState: { leaseExpiration: fiveMinFromNow.toISOString(), leaseOwner: 'shardId-0000' },
-      streamState: { consumers: {}, shards: {} }
+    mockState({
+      consumers: {},
+      shards: {
+        'shardId-0000': {
+          leaseExpiration: fiveMinFromNow.toISOString(),
+          leaseOwner: 'shardId-0000'
+        }
+      }
     });
     const manager = new LeaseManager(options);
     await manager.start();
@@ -379,16 +728,21 @@ describe('lib/lease-manager', () => {
   });
 
   test('the manager can recover from thrown errors when trying to acquire a lease', async () => {
-    getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
-    getShardAndStreamState.mockRejectedValueOnce(new Error('foo'));
+    getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {}, 'shardId-0001': {} });
+    mockState({ consumers: {}, shards: { 'shardId-0000': {}, 'shardId-0001': {} } });
+    lockShardLease.mockRejectedValueOnce(new Error('foo'));
     const manager = new LeaseManager(options);
     await manager.start();
+    manager.stop();
     expect(error).toHaveBeenNthCalledWith(
       1,
       'Unexpected recoverable failure when trying to acquire a lease:',
       expect.objectContaining({ message: 'foo' })
     );
     expect(error).toHaveBeenCalledTimes(1);
+    expect(debug).toHaveBeenCalledWith('Lease for "shardId-0001" acquired.');
+    expect(reconcile).toHaveBeenCalled();
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 5000);
   });
 
   test('the manager can recover from thrown errors when trying to acquire leases', async () => {
@@ -401,5 +755,174 @@ describe('lib/lease-manager', () => {
       expect.objectContaining({ message: 'foo' })
     );
     expect(error).toHaveBeenCalledTimes(1);
+    expect(manager.getStatus()).toEqual({ lastAcquisition: null });
+  });
+
+  test('the leases owned by the consumer can be released', async () => {
+    getOwnedShards.mockResolvedValueOnce({
+      'shardId-0000': { version: '1' },
+      'shardId-0001': { version: '2' }
+    });
+    releaseShardLease.mockResolvedValueOnce('3').mockResolvedValueOnce(null);
+    const manager = new LeaseManager(options);
+    await expect(manager.releaseLeases()).resolves.toBeUndefined();
+    expect(releaseShardLease.mock.calls).toEqual([
+      ['shardId-0000', '1'],
+      ['shardId-0001', '2']
+    ]);
+    expect(debug.mock.calls).toEqual([
+      ['Lease for shard "shardId-0000" released.'],
+      ['The lease for shard "shardId-0001" couldn\'t be released.']
+    ]);
+    expect(emitEvent.mock.calls).toEqual([
+      ['leaseLost', { leaseOwner: null, shardId: 'shardId-0000' }]
+    ]);
+  });
+
+  describe('when other consumers join the group', () => {
+    const fiveMinsFromNow = new Date(Date.now() + 1000 * 60 * 5).toISOString();
+    const shardIds = ['shardId-0000', 'shardId-0001', 'shardId-0002', 'shardId-0003'];
+
+    const mockAcquisitions = (ownShardsCount) => {
+      getStreamShards.mockResolvedValueOnce(
+        shardIds.reduce((obj, shardId) => ({ ...obj, [shardId]: {} }), {})
+      );
+      const oneMinFromNow = new Date(Date.now() + 1000 * 60).toISOString();
+      const streamState = mockState({
+        consumers: {
+          bar: { isActive: true, isStandalone: false },
+          foo: { isActive: true, isStandalone: false }
+        },
+        shards: shardIds.reduce(
+          (obj, shardId, index) => ({
+            ...obj,
+            [shardId]:
+              index < ownShardsCount
+                ? { leaseExpiration: oneMinFromNow, leaseOwner: 'foo', version: '0' }
+                : { leaseExpiration: fiveMinsFromNow, leaseOwner: 'bar', version: `${index}` }
+          }),
+          {}
+        )
+      });
+      renewShardLeases.mockResolvedValueOnce(
+        shardIds
+          .slice(0, ownShardsCount)
+          .reduce((obj, shardId, index) => ({ ...obj, [shardId]: `${index}` }), {})
+      );
+      return streamState;
+    };
+
+    test('the leases over the maximum are handed off', async () => {
+      const streamState = mockAcquisitions(3);
+      markShardForHandoff.mockResolvedValueOnce('4');
+      getShardAndStreamState.mockResolvedValueOnce({ shardState: { version: '5' }, streamState });
+      releaseShardLease.mockResolvedValueOnce('6');
+      const manager = new LeaseManager(options);
+      await manager.start();
+      manager.stop();
+      expect(markShardForHandoff.mock.calls).toEqual([['shardId-0002', '2', streamState]]);
+      expect(stopConsumer.mock.calls).toEqual([['shardId-0002']]);
+      expect(releaseShardLease.mock.calls).toEqual([['shardId-0002', '5', streamState]]);
+      expect(stopConsumer.mock.invocationCallOrder[0]).toBeLessThan(
+        releaseShardLease.mock.invocationCallOrder[0]
+      );
+      expect(reconcile).toHaveBeenCalled();
+      expect(debug).toHaveBeenCalledWith(
+        'Max. of 2 active leases exceeded, rebalancing the leases…'
+      );
+      expect(debug).toHaveBeenCalledWith('Handing off the lease for shard "shardId-0002"…');
+      expect(debug).toHaveBeenCalledWith('Lease for shard "shardId-0002" handed off.');
+      expect(emitEvent).toHaveBeenLastCalledWith('leaseLost', {
+        leaseOwner: null,
+        shardId: 'shardId-0002'
+      });
+      expect(getStats('test-stream').kinesis.shards['shardId-0002']).toEqual(
+        expect.objectContaining({ leaseOwner: null })
+      );
+    });
+
+    test('the handoff is skipped for the leases that changed', async () => {
+      const streamState = mockAcquisitions(4);
+      markShardForHandoff.mockResolvedValueOnce(null).mockResolvedValueOnce('4');
+      getShardAndStreamState.mockResolvedValueOnce({ shardState: { version: '5' }, streamState });
+      releaseShardLease.mockResolvedValueOnce(null);
+      const manager = new LeaseManager(options);
+      await manager.start();
+      manager.stop();
+      expect(markShardForHandoff.mock.calls).toEqual([
+        ['shardId-0002', '2', streamState],
+        ['shardId-0003', '3', streamState]
+      ]);
+      expect(stopConsumer.mock.calls).toEqual([['shardId-0003']]);
+      expect(debug).toHaveBeenCalledWith(
+        'The lease for shard "shardId-0002" changed, it can\'t be handed off.'
+      );
+      expect(debug).toHaveBeenCalledWith(
+        'The lease for shard "shardId-0003" couldn\'t be released, it will expire.'
+      );
+      expect(emitEvent).toHaveBeenLastCalledWith('leaseLost', {
+        leaseOwner: null,
+        shardId: 'shardId-0003'
+      });
+    });
+
+    test('the leases held before a pinned consumer claims them are handed off', async () => {
+      const streamState = mockAcquisitions(2);
+      const shardFilter = { excludedShardIds: [], hashKeyRange: null, shardIds: ['shardId-0000'] };
+      Object.assign(streamState.consumers, {
+        baz: { isActive: true, isPinned: true, isStandalone: false, shardFilter }
+      });
+      markShardForHandoff.mockResolvedValueOnce('4');
+      getShardAndStreamState.mockResolvedValueOnce({ shardState: { version: '5' }, streamState });
+      releaseShardLease.mockResolvedValueOnce('6');
+      const manager = new LeaseManager(options);
+      await manager.start();
+      manager.stop();
+      expect(markShardForHandoff.mock.calls).toEqual([['shardId-0000', '0', streamState]]);
+      expect(stopConsumer.mock.calls).toEqual([['shardId-0000']]);
+      expect(releaseShardLease.mock.calls).toEqual([['shardId-0000', '5', streamState]]);
+      expect(debug).toHaveBeenCalledWith('Handing off 1 lease(s) claimed by pinned consumers…');
+      expect(debug).not.toHaveBeenCalledWith(expect.stringMatching(/^Max\. of/));
+      expect(emitEvent).toHaveBeenLastCalledWith('leaseLost', {
+        leaseOwner: null,
+        shardId: 'shardId-0000'
+      });
+    });
+
+    test('the pinned consumer leases its shards once they are handed off', async () => {
+      const shardFilter = { excludedShardIds: [], hashKeyRange: null, shardIds: ['shardId-0000'] };
+      getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
+      const streamState = mockState({
+        consumers: {
+          baz: { isActive: true, isPinned: true, isStandalone: false, shardFilter },
+          foo: { isActive: true, isStandalone: false }
+        },
+        shards: { 'shardId-0000': { leaseExpiration: fiveMinsFromNow, leaseOwner: 'foo' } }
+      });
+      const pinnedOptions = { ...options, consumerId: 'baz', shardFilter };
+      const manager = new LeaseManager(pinnedOptions);
+      await manager.start();
+      manager.stop();
+      expect(debug).toHaveBeenCalledWith('The shard "shardId-0000" is owned by "foo".');
+      expect(lockShardLease).not.toHaveBeenCalled();
+
+      getStreamShards.mockResolvedValueOnce({ 'shardId-0000': {} });
+      mockState({ ...streamState, shards: { 'shardId-0000': { version: '6' } } });
+      const nextManager = new LeaseManager(pinnedOptions);
+      await nextManager.start();
+      nextManager.stop();
+      expect(lockShardLease).toHaveBeenCalledWith('shardId-0000', 300000, '6', expect.any(Object));
+    });
+
+    test("the leases aren't handed off if the maximum isn't exceeded", async () => {
+      mockAcquisitions(2);
+      const manager = new LeaseManager(options);
+      await manager.start();
+      manager.stop();
+      expect(getShardsAndStreamState).toHaveBeenCalledTimes(1);
+      expect(getShardAndStreamState).not.toHaveBeenCalled();
+      expect(markShardForHandoff).not.toHaveBeenCalled();
+      expect(stopConsumer).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,753 @@
+/**
+ * Module that maintains the state of the consumer in the memory of the process, or in a JSON file.
+ * It's an alternative to the DynamoDB state store for consumers running in a single process (e.g.
+ * in unit tests), or for local development, where the consumers in different processes can share
+ * the state through the file. The state of a consumer group for a stream has the same shape as the
+ * one stored in DynamoDB, and each change is read, checked, and written at once, so the conditions
+ * of the DynamoDB state store (e.g. the versions of the shard state entries) hold within a process.
+ * The file is read and written synchronously in every operation (e.g. each lease renewal or
+ * checkpoint), which blocks the event loop for as long as the file access takes, and it isn't
+ * locked across processes, so it's not meant for production use.
+ *
+ * @module local-state-store
+ * @private
+ */
+
+'use strict';
+
+const projectName = require('project-name');
+const { generate } = require('short-uuid');
+const { hostname } = require('os');
+const { readFileSync, renameSync, writeFileSync } = require('fs');
+
+const { reportShardState } = require('./stats');
+const { reportConsumersChanges } = require('./utils');
+
+const appName = projectName(process.cwd());
+const host = hostname();
+const privateData = new WeakMap();
+const { pid, uptime } = process;
+
+/**
+ * Provides access to the private data of the specified instance.
+ *
+ * @param {Object} instance - The private data's owner.
+ * @returns {Object} The private data.
+ * @private
+ */
+function internal(instance) {
+  if (!privateData.has(instance)) privateData.set(instance, {});
+  return privateData.get(instance);
+}
+
+/**
+ * Returns a deep copy of a state, so the state held by the store can't be changed through the
+ * objects returned by the store or given to it.
+ *
+ * @param {Object} state - The state to copy.
+ * @returns {Object} The copy of the state.
+ * @private
+ */
+function clone(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Loads the states of all the consumer groups and streams, either from the memory or from the
+ * file. The file is read synchronously, so the changes made before saving the states are applied
+ * at once in the current process.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @returns {Object} An object with the `states` of all the consumer groups and streams, and the
+ *          `streamState` of the current consumer group and stream, if any.
+ * @private
+ */
+function loadStates(instance) {
+  const { consumerGroup, filePath, streamName } = internal(instance);
+  let { states } = internal(instance);
+  if (filePath) {
+    try {
+      states = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      states = {};
+    }
+  }
+  const groupStates = states[consumerGroup] || {};
+  return { states, streamState: groupStates[streamName] };
+}
+
+/**
+ * Saves the states of all the consumer groups and streams in the file, if the store is backed by
+ * one. The file is replaced at once, so it's never read half-written.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} states - The states to save.
+ * @private
+ */
+function saveStates(instance, states) {
+  const { filePath } = internal(instance);
+  if (!filePath) return;
+  const tempFilePath = `${filePath}.${pid}.tmp`;
+  writeFileSync(tempFilePath, JSON.stringify(states, null, 2));
+  renameSync(tempFilePath, filePath);
+}
+
+/**
+ * Retrieves a copy of the stream state.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @returns {Object} The stream state.
+ * @private
+ */
+function getStreamState(instance) {
+  return clone(loadStates(instance).streamState);
+}
+
+/**
+ * Returns the state of the stream shards within the given stream state, which is stored in
+ * different locations depending on the consumer usage scenario, as in the DynamoDB state store.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} streamState - The stream state.
+ * @returns {Object} The state of the shards, by shard ID.
+ * @private
+ */
+function getShards(instance, streamState) {
+  const { consumerId, useAutoShardAssignment, useEnhancedFanOut } = internal(instance);
+  const { consumers, enhancedConsumers, shards } = streamState;
+  if (useAutoShardAssignment) return shards;
+  if (!useEnhancedFanOut) return consumers[consumerId].shards;
+  const consumerName = Object.keys(enhancedConsumers).find(
+    (name) => enhancedConsumers[name].isUsedBy === consumerId
+  );
+  if (!consumerName) throw new Error('The enhanced consumer state is not where expected.');
+  return enhancedConsumers[consumerName].shards;
+}
+
+/**
+ * Returns the initial state of a shard.
+ *
+ * @param {string} [parent] - The ID of the parent shard.
+ * @returns {Object} The state of the shard.
+ * @private
+ */
+function getInitialShardState(parent) {
+  return {
+    checkpoint: null,
+    depleted: false,
+    leaseExpiration: null,
+    leaseOwner: null,
+    parent: parent || null,
+    version: generate()
+  };
+}
+
+/**
+ * Changes the state of a shard unless its version changed since it was last known.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {string} shardId - The ID of the shard to change.
+ * @param {string} version - The known version number of the shard state entry.
+ * @param {Object} changes - The changes to the shard state.
+ * @returns {string} The new version number if the shard state changed, `null` otherwise.
+ * @private
+ */
+function updateShardState(instance, shardId, version, changes) {
+  const { states, streamState } = loadStates(instance);
+  const shardState = getShards(instance, streamState)[shardId];
+  if (!shardState || shardState.version !== version) return null;
+  const newVersion = generate();
+  Object.assign(shardState, changes, { version: newVersion });
+  saveStates(instance, states);
+  return newVersion;
+}
+
+/**
+ * Class that keeps the shared state for the stream in the memory of the process or in a file,
+ * with the same methods as the DynamoDB state store.
+ *
+ * @alias module:local-state-store
+ */
+class LocalStateStore {
+  /**
+   * Initializes an instance of the local state store.
+   *
+   * @param {Object} options - The initialization options.
+   * @param {number} [options.capacityWeight=1] - The share of shards the consumer can take in
+   *        proportion to the other consumers in the group.
+   * @param {string} options.consumerGroup - The name of the group of consumers in which shards
+   *        will be distributed and checkpoints will be shared.
+   * @param {string} options.consumerId - An unique ID representing the instance of this consumer.
+   * @param {Function} options.emitEvent - A function that emits an event from the client.
+   * @param {string} [options.filePath] - If provided, the path of the JSON file where the state is
+   *        stored, which is read and written synchronously in every operation. Otherwise, the
+   *        state is kept in memory.
+   * @param {string} [options.instanceName] - A name that identifies the consumer across runs.
+   * @param {Object} options.logger - An instance of a logger.
+   * @param {number} [options.maxLeases] - The maximum number of shards the consumer can lease.
+   * @param {Object} [options.shardFilter] - If provided, the consumer is pinned to the shards
+   *        selected by this filter. The filter is registered along with the consumer, so the
+   *        consumers that aren't pinned leave those shards to it.
+   * @param {Object} [options.states={}] - The object in which the state is kept in memory, shared
+   *        by the stores of the consumers in the same process.
+   * @param {string} options.streamCreatedOn - The creation timestamp for the stream. It's used
+   *        to confirm the stored state corresponds to the same stream with the given name.
+   * @param {string} options.streamName - The name of the stream to keep state for.
+   * @param {boolean} options.useAutoShardAssignment - Wheter if the stream shards should be
+   *        automatically assigned to the active consumers in the same group or not.
+   * @param {boolean} options.useEnhancedFanOut - Whether if the consumer is using enhanced
+   *        fan-out consumers or not.
+   */
+  constructor(options) {
+    const {
+      capacityWeight = 1,
+      consumerGroup,
+      consumerId,
+      emitEvent,
+      filePath = null,
+      instanceName = null,
+      logger,
+      maxLeases = null,
+      shardFilter = null,
+      states = {},
+      streamCreatedOn,
+      streamName,
+      useAutoShardAssignment,
+      useEnhancedFanOut
+    } = options;
+
+    Object.assign(internal(this), {
+      capacityWeight,
+      consumerGroup,
+      consumerId,
+      emitEvent,
+      filePath,
+      instanceName,
+      isPinned: Boolean(shardFilter),
+      knownConsumerIds: [],
+      logger,
+      maxLeases,
+      shardFilter,
+      states,
+      streamCreatedOn,
+      streamName,
+      useAutoShardAssignment,
+      useEnhancedFanOut
+    });
+  }
+
+  /**
+   * Clears out consumers that are considered to be gone as they have failed to record a
+   * hearbeat in a given timeout period, and releases the enhanced fan-out consumers in use by
+   * them. The gone standalone consumers with an instance name are kept for a longer period. The
+   * consumers that joined or left the group are reported through the `consumerJoined` and
+   * `consumerLeft` events.
+   *
+   * @param {number} heartbeatFailureTimeout - The number of milliseconds after a heartbeat when
+   *        a consumer should be considered as gone.
+   * @param {number} [staleInstanceTimeout=heartbeatFailureTimeout] - The number of milliseconds
+   *        after a heartbeat when a gone standalone consumer with an instance name is cleared out.
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async clearOldConsumers(heartbeatFailureTimeout, staleInstanceTimeout = heartbeatFailureTimeout) {
+    const privateProps = internal(this);
+    const { emitEvent, knownConsumerIds, logger } = privateProps;
+    const { states, streamState } = loadStates(this);
+    const { consumers, enhancedConsumers } = streamState;
+    const consumerIds = Object.keys(consumers);
+
+    const isOlderThan = (id, timeout) => {
+      const { heartbeat } = consumers[id];
+      return Date.now() - new Date(heartbeat).getTime() > timeout;
+    };
+
+    const goneConsumers = consumerIds.filter((id) => isOlderThan(id, heartbeatFailureTimeout));
+    const oldConsumers = goneConsumers.filter((id) => {
+      const { instanceName, shards } = consumers[id];
+      return !instanceName || !shards || isOlderThan(id, staleInstanceTimeout);
+    });
+    oldConsumers.forEach((id) => delete consumers[id]);
+    if (oldConsumers.length > 0) logger.debug(`Cleared ${oldConsumers.length} old consumer(s).`);
+
+    Object.keys(enhancedConsumers)
+      .filter((consumerName) => {
+        const { isUsedBy } = enhancedConsumers[consumerName];
+        if (isUsedBy == null) {
+          return false;
+        }
+        if (oldConsumers.includes(isUsedBy)) {
+          logger.debug(`Enhanced consumer "${consumerName}" can be released, missed heartbeat.`);
+          return true;
+        }
+        if (!consumerIds.includes(isUsedBy)) {
+          logger.debug(`Enhanced consumer "${consumerName}" can be released, unknown owner.`);
+          return true;
+        }
+        return false;
+      })
+      .forEach((consumerName) => {
+        Object.assign(enhancedConsumers[consumerName], { isUsedBy: null, version: generate() });
+        logger.debug(`Enhanced consumer "${consumerName}" has been released.`);
+      });
+
+    saveStates(this, states);
+    const remainingConsumerIds = consumerIds.filter((id) => !goneConsumers.includes(id));
+    reportConsumersChanges(emitEvent, knownConsumerIds, remainingConsumerIds);
+    privateProps.knownConsumerIds = remainingConsumerIds;
+  }
+
+  /**
+   * Removes the current consumer from the stream state. Standalone consumers with an instance
+   * name are kept, so the next run of the same instance can resume from their checkpoints.
+   *
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async deregisterConsumer() {
+    const { consumerId, instanceName, logger, useAutoShardAssignment, useEnhancedFanOut } =
+      internal(this);
+
+    if (instanceName && !useAutoShardAssignment && !useEnhancedFanOut) {
+      logger.debug(`The consumer "${consumerId}" is kept so its checkpoints can be resumed.`);
+      return;
+    }
+
+    const { states, streamState } = loadStates(this);
+    const { consumers } = streamState;
+    if (!consumers[consumerId]) return;
+    delete consumers[consumerId];
+    saveStates(this, states);
+    logger.debug(`The consumer "${consumerId}" is now de-registered.`);
+  }
+
+  /**
+   * Removes an enhanced fan-out consumer from the stream state.
+   *
+   * @param {string} name - The name of the enhanced consumer to remove.
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async deregisterEnhancedConsumer(name) {
+    const { logger } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const { enhancedConsumers } = streamState;
+    if (!enhancedConsumers[name]) return;
+    delete enhancedConsumers[name];
+    saveStates(this, states);
+    logger.debug(`The enhanced consumer "${name}" is now de-registered.`);
+  }
+
+  /**
+   * Ensures there's an entry for the given shard ID and data in the stream state.
+   *
+   * @param {string} shardId - The ID of the stream shard.
+   * @param {Object} shardData - The data describing the shard as returned by the AWS Kinesis API.
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async ensureShardStateExists(shardId, shardData) {
+    const { states, streamState } = loadStates(this);
+    const shards = getShards(this, streamState);
+    if (shards[shardId]) return;
+    shards[shardId] = getInitialShardState(shardData.parent);
+    saveStates(this, states);
+  }
+
+  /**
+   * Returns the ARN of the enhanced fan-out consumer assigned to this consumer. It will assign
+   * one if the consumer hasn't been assigned one before, in which case the
+   * `enhancedConsumerAssigned` event is emitted.
+   *
+   * @fulfil {string} - The ARN of the assigned enhanced fan-out consumer, `null` otherwise.
+   * @returns {Promise}
+   */
+  async getAssignedEnhancedConsumer() {
+    const { consumerId, emitEvent, logger, useAutoShardAssignment } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const { consumers, enhancedConsumers } = streamState;
+    const consumerNames = Object.keys(enhancedConsumers);
+
+    let consumerName = consumerNames.find(
+      (name) => enhancedConsumers[name].isUsedBy === consumerId
+    );
+    const isAssignment = !consumerName;
+    if (isAssignment) {
+      consumerName = consumerNames.find((name) => !enhancedConsumers[name].isUsedBy);
+    }
+
+    const enhancedConsumer = consumerName && enhancedConsumers[consumerName];
+    if (isAssignment && enhancedConsumer) {
+      Object.assign(enhancedConsumer, { isUsedBy: consumerId, version: generate() });
+      if (!useAutoShardAssignment && !enhancedConsumer.shards) enhancedConsumer.shards = {};
+    }
+    if (consumers[consumerId]) consumers[consumerId].isActive = Boolean(enhancedConsumer);
+    saveStates(this, states);
+
+    if (!enhancedConsumer) {
+      logger.warn(`All enhanced fan-out consumers are assigned. Waiting until one is available…`);
+      return null;
+    }
+
+    const { arn: consumerArn } = enhancedConsumer;
+    if (isAssignment) emitEvent('enhancedConsumerAssigned', { consumerArn, consumerName });
+    logger.debug(`Using the "${consumerName}" enhanced fan-out consumer.`);
+    return consumerArn;
+  }
+
+  /**
+   * Returns the data for the enhanced fan-out consumers stored in the state.
+   *
+   * @fulfil {Object} - The enhanced consumers.
+   * @returns {Promise}
+   */
+  async getEnhancedConsumers() {
+    const { enhancedConsumers } = getStreamState(this);
+    return enhancedConsumers;
+  }
+
+  /**
+   * Returns an object with the state of the shards for which this consumer has an active lease.
+   * The shards marked for handoff aren't included, so their consumers are stopped.
+   *
+   * @fulfil {Object} - An object with the state of the owned shards.
+   * @returns {Promise}
+   */
+  async getOwnedShards() {
+    const { consumerId } = internal(this);
+    const shards = getShards(this, getStreamState(this));
+
+    return Object.keys(shards)
+      .filter((shardId) => shards[shardId].leaseOwner === consumerId && !shards[shardId].handoff)
+      .reduce((obj, shardId) => {
+        const { checkpoint, depleted, leaseExpiration, resetId, startingPosition, version } =
+          shards[shardId];
+        if (new Date(leaseExpiration).getTime() - Date.now() > 0 && !depleted)
+          return {
+            ...obj,
+            [shardId]: { checkpoint, leaseExpiration, resetId, startingPosition, version }
+          };
+        return obj;
+      }, {});
+  }
+
+  /**
+   * Returns an object with the current states for a given shard and the entire stream.
+   *
+   * @param {string} shardId - The ID of the stream shard to get the state for.
+   * @param {Object} shardData - The data describing the shard as provided by the AWS Kinesis API.
+   * @fulfil {Object} - An object containing `shardState` (the state of the shard) and
+   *        `streamState` (the stream state).
+   * @returns {Promise}
+   */
+  async getShardAndStreamState(shardId, shardData) {
+    await this.ensureShardStateExists(shardId, shardData);
+    const streamState = getStreamState(this);
+    return { shardState: getShards(this, streamState)[shardId], streamState };
+  }
+
+  /**
+   * Returns an object with the current states for all the shards and the entire stream.
+   *
+   * @param {Object} shardsData - The data describing the shards as provided by the AWS Kinesis
+   *        API, by shard ID.
+   * @fulfil {Object} - An object containing `shards` (the state of the shards of the consumer)
+   *         and `streamState` (the stream state).
+   * @returns {Promise}
+   */
+  async getShardsAndStreamState(shardsData) {
+    const { states, streamState } = loadStates(this);
+    const shards = getShards(this, streamState);
+    const missingShardIds = Object.keys(shardsData).filter((shardId) => !shards[shardId]);
+    missingShardIds.forEach((shardId) => {
+      shards[shardId] = getInitialShardState(shardsData[shardId].parent);
+    });
+    if (missingShardIds.length > 0) saveStates(this, states);
+    const streamStateCopy = clone(streamState);
+    return { shards: getShards(this, streamStateCopy), streamState: streamStateCopy };
+  }
+
+  /**
+   * Tries to lock the lease of a given shard. A pending handoff of the shard is cancelled.
+   *
+   * @param {string} shardId - The ID of the shard to lock a lease for.
+   * @param {number} leaseTermTimeout - The duration of the lease in milliseconds.
+   * @param {string} version - The known version number of the shard state entry.
+   * @fulfil {string} - The new version number if the lease is locked, `null` otherwise.
+   * @returns {Promise}
+   */
+  async lockShardLease(shardId, leaseTermTimeout, version) {
+    const { consumerId } = internal(this);
+    return updateShardState(this, shardId, version, {
+      handoff: false,
+      leaseExpiration: new Date(Date.now() + leaseTermTimeout).toISOString(),
+      leaseOwner: consumerId
+    });
+  }
+
+  /**
+   * Marks a shard as depleted in the stream state so children shards can be leased, and emits
+   * the `shardEnded` event. The checkpoints of the children shards are set to their starting
+   * sequence numbers if the parent shard was checkpointed.
+   *
+   * @param {Object} shardsData - The current shards state.
+   * @param {string} parentShardId - The ID of the shard to mark as depleted.
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async markShardAsDepleted(shardsData, parentShardId) {
+    const { emitEvent } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const shards = getShards(this, streamState);
+    const parentShard = shards[parentShardId];
+
+    if (parentShard.checkpoint) {
+      Object.keys(shardsData)
+        .filter((shardId) => shardsData[shardId].parent === parentShardId)
+        .forEach((shardId) => {
+          const { startingSequenceNumber } = shardsData[shardId];
+          shards[shardId] = {
+            ...(shards[shardId] || getInitialShardState(parentShardId)),
+            checkpoint: startingSequenceNumber,
+            version: generate()
+          };
+        });
+    }
+    Object.assign(parentShard, { depleted: true, version: generate() });
+    saveStates(this, states);
+
+    emitEvent('shardEnded', { shardId: parentShardId });
+  }
+
+  /**
+   * Marks a shard leased by this consumer for handoff, so its consumer can be stopped before the
+   * lease is released for other consumer to take over.
+   *
+   * @param {string} shardId - The ID of the shard to mark for handoff.
+   * @param {string} version - The known version number of the shard state entry.
+   * @fulfil {string} - The new version number if the shard is marked, `null` otherwise.
+   * @returns {Promise}
+   */
+  async markShardForHandoff(shardId, version) {
+    return updateShardState(this, shardId, version, { handoff: true });
+  }
+
+  /**
+   * Registers the current consumer in the state if not present there yet. If present, it updates
+   * the consumer hearbeat. Standalone consumers with an instance name take over the shards state
+   * left by previous runs of the same instance, and the entries of the previous runs are removed.
+   *
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async registerConsumer() {
+    const {
+      capacityWeight,
+      consumerId,
+      instanceName,
+      isPinned,
+      logger,
+      maxLeases,
+      shardFilter,
+      useAutoShardAssignment,
+      useEnhancedFanOut
+    } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const { consumers } = streamState;
+
+    if (consumers[consumerId]) {
+      consumers[consumerId].heartbeat = new Date().toISOString();
+      saveStates(this, states);
+      return;
+    }
+
+    const usesOwnShards = !useAutoShardAssignment && !useEnhancedFanOut;
+    const startedOn = Date.now() - uptime() * 1000;
+    const getHeartbeat = (id) => new Date(consumers[id].heartbeat).getTime();
+    const previousIds =
+      instanceName && usesOwnShards
+        ? Object.keys(consumers)
+            .filter((id) => {
+              const { instanceName: name, shards } = consumers[id];
+              return name === instanceName && shards && getHeartbeat(id) < startedOn;
+            })
+            .sort((a, b) => getHeartbeat(b) - getHeartbeat(a))
+        : [];
+    const [previousId] = previousIds;
+
+    consumers[consumerId] = {
+      appName,
+      heartbeat: new Date().toISOString(),
+      host,
+      isActive: true,
+      isStandalone: !useAutoShardAssignment,
+      pid,
+      startedOn: new Date(startedOn).toISOString(),
+      ...(instanceName && { instanceName }),
+      ...(useAutoShardAssignment && { capacityWeight, isPinned, maxLeases, shardFilter }),
+      ...(usesOwnShards && { shards: previousId ? consumers[previousId].shards : {} })
+    };
+    previousIds.forEach((id) => delete consumers[id]);
+    saveStates(this, states);
+
+    if (previousId) {
+      logger.debug(`The shards state of "${previousId}" has been migrated to "${consumerId}".`);
+    }
+    logger.debug(`The consumer "${consumerId}" is now registered.`);
+  }
+
+  /**
+   * Makes sure that an enhanced fan-out consumer is present in the stream state.
+   *
+   * @param {string} name - The name of the enhanced fan-out consumer.
+   * @param {string} arn - The ARN of the enhanced fan-out consumer as given by AWS.
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async registerEnhancedConsumer(name, arn) {
+    const { logger, useAutoShardAssignment } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const { enhancedConsumers } = streamState;
+    if (enhancedConsumers[name]) return;
+    enhancedConsumers[name] = {
+      arn,
+      isStandalone: !useAutoShardAssignment,
+      isUsedBy: null,
+      version: generate(),
+      ...(!useAutoShardAssignment && { shards: {} })
+    };
+    saveStates(this, states);
+    logger.debug(`The enhanced consumer "${name}" is now registered.`);
+  }
+
+  /**
+   * Tries to release the lease of a shard, which also completes a pending handoff of the shard.
+   *
+   * @param {string} shardId - The ID of the shard to release a lease for.
+   * @param {string} version - The known version number of the shard state entry.
+   * @fulfil {string} - The new version number if the lease is released, `null` otherwise.
+   * @returns {Promise}
+   */
+  async releaseShardLease(shardId, version) {
+    return updateShardState(this, shardId, version, {
+      handoff: false,
+      leaseExpiration: null,
+      leaseOwner: null
+    });
+  }
+
+  /**
+   * Renews the leases owned by this consumer for the given shards. The leases that changed since
+   * they were last known (i.e. released or locked again) aren't renewed. A pending handoff of the
+   * shards is cancelled.
+   *
+   * @param {Array<string>} shardIds - The IDs of the shards to renew the leases for.
+   * @param {number} leaseTermTimeout - The duration of the leases in milliseconds.
+   * @param {Object} streamState - The known stream state.
+   * @fulfil {Object} - The new version numbers of the shard state entries, by shard ID, for the
+   *         leases that were renewed.
+   * @returns {Promise}
+   */
+  async renewShardLeases(shardIds, leaseTermTimeout, streamState) {
+    const { consumerId } = internal(this);
+    const knownShards = getShards(this, streamState);
+    const { states, streamState: currentStreamState } = loadStates(this);
+    const shards = getShards(this, currentStreamState);
+    const leaseExpiration = new Date(Date.now() + leaseTermTimeout).toISOString();
+
+    const versions = shardIds
+      .filter((shardId) => {
+        const shardState = shards[shardId];
+        return (
+          shardState &&
+          shardState.leaseOwner === consumerId &&
+          shardState.leaseExpiration === knownShards[shardId].leaseExpiration
+        );
+      })
+      .reduce((obj, shardId) => {
+        const version = generate();
+        Object.assign(shards[shardId], { handoff: false, leaseExpiration, version });
+        return { ...obj, [shardId]: version };
+      }, {});
+    saveStates(this, states);
+    return versions;
+  }
+
+  /**
+   * Resets the checkpoint of a shard to the given position. If the position is after a sequence
+   * number, the sequence number becomes the shard checkpoint. For any other position, the shard
+   * checkpoint is cleared and the position is stored as the starting position for the shard. The
+   * shard is also flagged as not depleted, and a new reset ID is recorded.
+   *
+   * @param {string} shardId - The ID of the shard to reset the checkpoint for.
+   * @param {Object} position - The position to reset the shard to, an object with `type`, and
+   *        either `sequenceNumber` or `timestamp` (as an ISO string).
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async resetShardCheckpoint(shardId, position) {
+    const { states, streamState } = loadStates(this);
+    const isAfterSequenceNumber = position.type === 'AFTER_SEQUENCE_NUMBER';
+    Object.assign(getShards(this, streamState)[shardId], {
+      checkpoint: isAfterSequenceNumber ? position.sequenceNumber : null,
+      depleted: false,
+      resetId: generate(),
+      startingPosition: isAfterSequenceNumber ? null : clone(position),
+      version: generate()
+    });
+    saveStates(this, states);
+  }
+
+  /**
+   * Starts the state store by ensuring there's an entry for the stream state. The stream state
+   * is reset if it corresponds to a previous stream with the same name.
+   *
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async start() {
+    const { consumerGroup, logger, streamCreatedOn, streamName } = internal(this);
+    const { states, streamState } = loadStates(this);
+    if (streamState && streamState.streamCreatedOn === streamCreatedOn) return;
+    if (streamState) {
+      logger.warn('Stream state has been reset. Non-matching stream creation timestamp.');
+    }
+    states[consumerGroup] = {
+      ...states[consumerGroup],
+      [streamName]: {
+        consumers: {},
+        enhancedConsumers: {},
+        shards: {},
+        streamCreatedOn,
+        version: generate()
+      }
+    };
+    saveStates(this, states);
+    logger.debug('Initial state has been recorded for the stream.');
+  }
+
+  /**
+   * Store a shard checkpoint. The checkpoint won't be stored if the shard checkpoint has been
+   * reset since the consumer started reading from the shard.
+   *
+   * @param {string} shardId - The ID of the shard to store a checkpoint for.
+   * @param {string} checkpoint - The sequence number to store as the recovery point.
+   * @param {string} [resetId] - The ID of the last known reset of the shard checkpoint.
+   * @fulfil {boolean} - `true` if the checkpoint was stored, `false` if it was reset.
+   * @returns {Promise}
+   */
+  async storeShardCheckpoint(shardId, checkpoint, resetId) {
+    if (typeof checkpoint !== 'string') throw new TypeError('The sequence number is required.');
+    const { streamName } = internal(this);
+    const { states, streamState } = loadStates(this);
+    const shardState = getShards(this, streamState)[shardId];
+    if (shardState.resetId !== undefined && shardState.resetId !== (resetId || null)) return false;
+    Object.assign(shardState, { checkpoint, version: generate() });
+    saveStates(this, states);
+    reportShardState(streamName, shardId, { checkpoint });
+    return true;
+  }
+}
+
+module.exports = LocalStateStore;
@@ -0,0 +1,736 @@
+'use strict';
+
+const path = require('path');
+const { mkdirSync, mkdtempSync, readFileSync, rmdirSync, unlinkSync } = require('fs');
+const { resetMockCounter } = require('short-uuid');
+const { tmpdir } = require('os');
+
+const LocalStateStore = require('./local-state-store');
+const { STATE_STORE_METHODS } = require('./constants');
+const { getStats } = require('./stats');
+
+function future() {
+  return new Date(Date.now() + 60000).toISOString();
+}
+
+describe('lib/local-state-store', () => {
+  const debug = jest.fn();
+  const emitEvent = jest.fn();
+  const error = jest.fn();
+  const warn = jest.fn();
+  const logger = { debug, error, warn };
+
+  const options = {
+    consumerGroup: 'test-group',
+    consumerId: 'test-id',
+    emitEvent,
+    logger,
+    streamCreatedOn: '2019-01-01T00:00:00.000Z',
+    streamName: 'test-stream',
+    useAutoShardAssignment: true,
+    useEnhancedFanOut: false
+  };
+
+  const standaloneOptions = { ...options, useAutoShardAssignment: false };
+  const enhancedOptions = { ...standaloneOptions, useEnhancedFanOut: true };
+
+  const past = '2019-01-01T00:00:00.000Z';
+
+  let states;
+
+  const getStreamState = () => states['test-group']['test-stream'];
+
+  const createStore = async (overrides) => {
+    const store = new LocalStateStore({ ...options, states, ...overrides });
+    await store.start();
+    debug.mockClear();
+    resetMockCounter();
+    return store;
+  };
+
+  beforeEach(() => {
+    states = {};
+  });
+
+  afterEach(() => {
+    debug.mockClear();
+    emitEvent.mockClear();
+    error.mockClear();
+    warn.mockClear();
+    resetMockCounter();
+  });
+
+  test('the module exports the expected', () => {
+    expect(LocalStateStore).toEqual(expect.any(Function));
+    expect(LocalStateStore).toThrow('Class constructor');
+    expect(Object.getOwnPropertyNames(LocalStateStore.prototype)).toEqual([
+      'constructor',
+      'clearOldConsumers',
+      'deregisterConsumer',
+      'deregisterEnhancedConsumer',
+      'ensureShardStateExists',
+      'getAssignedEnhancedConsumer',
+      'getEnhancedConsumers',
+      'getOwnedShards',
+      'getShardAndStreamState',
+      'getShardsAndStreamState',
+      'lockShardLease',
+      'markShardAsDepleted',
+      'markShardForHandoff',
+      'registerConsumer',
+      'registerEnhancedConsumer',
+      'releaseShardLease',
+      'renewShardLeases',
+      'resetShardCheckpoint',
+      'start',
+      'storeShardCheckpoint'
+    ]);
+  });
+
+  test('the module implements the methods the client uses from a state store', () => {
+    const methods = Object.getOwnPropertyNames(LocalStateStore.prototype);
+    expect(methods).toEqual(expect.arrayContaining(STATE_STORE_METHODS));
+  });
+
+  describe('start', () => {
+    test('starting a store initializes the stream state', async () => {
+      const store = new LocalStateStore({ ...options, states });
+      await expect(store.start()).resolves.toBeUndefined();
+      expect(states).toEqual({
+        'test-group': {
+          'test-stream': {
+            consumers: {},
+            enhancedConsumers: {},
+            shards: {},
+            streamCreatedOn: '2019-01-01T00:00:00.000Z',
+            version: '0000'
+          }
+        }
+      });
+      expect(debug).toHaveBeenCalledWith('Initial state has been recorded for the stream.');
+    });
+
+    test('starting a store keeps the state of a stream with the same creation time', async () => {
+      await createStore();
+      getStreamState().shards.foo = {};
+      const store = new LocalStateStore({ ...options, states });
+      await store.start();
+      expect(getStreamState().shards).toEqual({ foo: {} });
+      expect(debug).not.toHaveBeenCalled();
+    });
+
+    test('starting a store resets the state of a previous stream with the same name', async () => {
+      await createStore();
+      getStreamState().shards.foo = {};
+      states['test-group']['other-stream'] = {};
+      const store = new LocalStateStore({
+        ...options,
+        states,
+        streamCreatedOn: '2020-01-01T00:00:00.000Z'
+      });
+      await store.start();
+      expect(getStreamState()).toEqual(
+        expect.objectContaining({ shards: {}, streamCreatedOn: '2020-01-01T00:00:00.000Z' })
+      );
+      expect(states['test-group']['other-stream']).toEqual({});
+      expect(warn).toHaveBeenCalledWith(
+        'Stream state has been reset. Non-matching stream creation timestamp.'
+      );
+    });
+
+    test('stores without a shared state object keep their own state', async () => {
+      const store = new LocalStateStore(options);
+      await store.start();
+      expect(states).toEqual({});
+      await expect(store.getEnhancedConsumers()).resolves.toEqual({});
+    });
+  });
+
+  describe('file storage', () => {
+    let dirPath;
+    let filePath;
+
+    beforeEach(() => {
+      dirPath = mkdtempSync(path.join(tmpdir(), 'lifion-kinesis-'));
+      filePath = path.join(dirPath, 'state.json');
+    });
+
+    afterEach(() => {
+      try {
+        unlinkSync(filePath);
+      } catch {
+        rmdirSync(filePath);
+      }
+      rmdirSync(dirPath);
+    });
+
+    test('the state is stored in the file', async () => {
+      const store = new LocalStateStore({ ...options, filePath });
+      await store.start();
+      await store.ensureShardStateExists('shard-0000', {});
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).toEqual({
+        'test-group': {
+          'test-stream': expect.objectContaining({
+            shards: { 'shard-0000': expect.objectContaining({ parent: null }) }
+          })
+        }
+      });
+    });
+
+    test('the stores using the same file share the state', async () => {
+      const store1 = new LocalStateStore({ ...options, filePath });
+      const store2 = new LocalStateStore({ ...options, consumerId: 'other-id', filePath });
+      await store1.start();
+      await store2.start();
+      await store1.registerConsumer();
+      await store2.registerConsumer();
+      const { consumers } = (await store1.getShardsAndStreamState({})).streamState;
+      expect(Object.keys(consumers)).toEqual(['test-id', 'other-id']);
+    });
+
+    test('errors reading the file are thrown', async () => {
+      mkdirSync(filePath);
+      const store = new LocalStateStore({ ...options, filePath });
+      await expect(store.start()).rejects.toThrow('EISDIR');
+    });
+  });
+
+  describe('clearOldConsumers', () => {
+    test('consumers that missed their heartbeats are cleared out', async () => {
+      const store = await createStore();
+      Object.assign(getStreamState().consumers, {
+        'id-1': { heartbeat: past },
+        'id-2': { heartbeat: future() },
+        'id-3': { heartbeat: past, instanceName: 'foo' }
+      });
+      await expect(store.clearOldConsumers(20000)).resolves.toBeUndefined();
+      expect(getStreamState().consumers).toEqual({ 'id-2': { heartbeat: expect.any(String) } });
+      expect(debug).toHaveBeenCalledWith('Cleared 2 old consumer(s).');
+      expect(emitEvent).toHaveBeenCalledWith('consumerJoined', { consumerId: 'id-2' });
+      expect(emitEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test('gone standalone consumers with an instance name are kept for longer', async () => {
+      const store = await createStore(standaloneOptions);
+      const recent = new Date(Date.now() - 60000).toISOString();
+      Object.assign(getStreamState().consumers, {
+        'id-1': { heartbeat: recent, instanceName: 'foo', shards: {} },
+        'id-2': { heartbeat: past, instanceName: 'bar', shards: {} }
+      });
+      await store.clearOldConsumers(20000, 3600000);
+      expect(Object.keys(getStreamState().consumers)).toEqual(['id-1']);
+      expect(emitEvent).not.toHaveBeenCalled();
+    });
+
+    test('the consumers that join or leave the group are reported', async () => {
+      const store = await createStore();
+      getStreamState().consumers['id-1'] = { heartbeat: future() };
+      await store.clearOldConsumers(20000);
+      expect(emitEvent).toHaveBeenCalledWith('consumerJoined', { consumerId: 'id-1' });
+      emitEvent.mockClear();
+      getStreamState().consumers['id-1'].heartbeat = past;
+      await store.clearOldConsumers(20000);
+      expect(emitEvent).toHaveBeenCalledWith('consumerLeft', { consumerId: 'id-1' });
+      expect(debug).toHaveBeenCalledWith('Cleared 1 old consumer(s).');
+    });
+
+    test('enhanced consumers used by gone or unknown consumers are released', async () => {
+      const store = await createStore();
+      Object.assign(getStreamState().consumers, {
+        'id-1': { heartbeat: past },
+        'id-2': { heartbeat: future() }
+      });
+      Object.assign(getStreamState().enhancedConsumers, {
+        'consumer-1': { isUsedBy: 'id-1', version: '1' },
+        'consumer-2': { isUsedBy: 'id-2', version: '2' },
+        'consumer-3': { isUsedBy: 'id-3', version: '3' },
+        'consumer-4': { isUsedBy: null, version: '4' }
+      });
+      await store.clearOldConsumers(20000);
+      expect(getStreamState().enhancedConsumers).toEqual({
+        'consumer-1': { isUsedBy: null, version: '0000' },
+        'consumer-2': { isUsedBy: 'id-2', version: '2' },
+        'consumer-3': { isUsedBy: null, version: '0001' },
+        'consumer-4': { isUsedBy: null, version: '4' }
+      });
+      expect(debug.mock.calls).toEqual([
+        ['Cleared 1 old consumer(s).'],
+        ['Enhanced consumer "consumer-1" can be released, missed heartbeat.'],
+        ['Enhanced consumer "consumer-3" can be released, unknown owner.'],
+        ['Enhanced consumer "consumer-1" has been released.'],
+        ['Enhanced consumer "consumer-3" has been released.']
+      ]);
+    });
+  });
+
+  describe('deregisterConsumer', () => {
+    test('the consumer is removed from the stream state', async () => {
+      const store = await createStore();
+      await store.registerConsumer();
+      await expect(store.deregisterConsumer()).resolves.toBeUndefined();
+      expect(getStreamState().consumers).toEqual({});
+      expect(debug).toHaveBeenCalledWith('The consumer "test-id" is now de-registered.');
+    });
+
+    test('de-registering an unknown consumer is ignored', async () => {
+      const store = await createStore();
+      await store.deregisterConsumer();
+      expect(debug).not.toHaveBeenCalled();
+    });
+
+    test('standalone consumers with an instance name are kept', async () => {
+      const store = await createStore({ ...standaloneOptions, instanceName: 'foo' });
+      await store.registerConsumer();
+      await store.deregisterConsumer();
+      expect(getStreamState().consumers).toEqual({ 'test-id': expect.any(Object) });
+      expect(debug).toHaveBeenCalledWith(
+        'The consumer "test-id" is kept so its checkpoints can be resumed.'
+      );
+    });
+
+    test('other consumers with an instance name are removed', async () => {
+      const autoStore = await createStore({ instanceName: 'foo' });
+      await autoStore.registerConsumer();
+      await autoStore.deregisterConsumer();
+      const enhancedStore = await createStore({ ...enhancedOptions, instanceName: 'foo' });
+      await enhancedStore.registerConsumer();
+      await enhancedStore.deregisterConsumer();
+      expect(getStreamState().consumers).toEqual({});
+    });
+  });
+
+  describe('registerEnhancedConsumer and deregisterEnhancedConsumer', () => {
+    test('enhanced consumers can be registered', async () => {
+      const store = await createStore();
+      await expect(store.registerEnhancedConsumer('foo', 'arn:foo')).resolves.toBeUndefined();
+      await store.registerEnhancedConsumer('foo', 'arn:bar');
+      expect(getStreamState().enhancedConsumers).toEqual({
+        foo: { arn: 'arn:foo', isStandalone: false, isUsedBy: null, version: '0000' }
+      });
+      expect(debug).toHaveBeenCalledWith('The enhanced consumer "foo" is now registered.');
+      expect(debug).toHaveBeenCalledTimes(1);
+    });
+
+    test('standalone enhanced consumers are registered with their own shards', async () => {
+      const store = await createStore(enhancedOptions);
+      await store.registerEnhancedConsumer('foo', 'arn:foo');
+      expect(getStreamState().enhancedConsumers).toEqual({
+        foo: { arn: 'arn:foo', isStandalone: true, isUsedBy: null, shards: {}, version: '0000' }
+      });
+    });
+
+    test('enhanced consumers can be de-registered', async () => {
+      const store = await createStore();
+      await store.registerEnhancedConsumer('foo', 'arn:foo');
+      await expect(store.deregisterEnhancedConsumer('foo')).resolves.toBeUndefined();
+      await store.deregisterEnhancedConsumer('foo');
+      expect(getStreamState().enhancedConsumers).toEqual({});
+      expect(debug).toHaveBeenCalledWith('The enhanced consumer "foo" is now de-registered.');
+      expect(debug).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('ensureShardStateExists', () => {
+    test('the initial state of a shard is stored if missing', async () => {
+      const store = await createStore();
+      await expect(
+        store.ensureShardStateExists('shard-0001', { parent: 'shard-0000' })
+      ).resolves.toBeUndefined();
+      await store.ensureShardStateExists('shard-0001', {});
+      expect(getStreamState().shards).toEqual({
+        'shard-0001': {
+          checkpoint: null,
+          depleted: false,
+          leaseExpiration: null,
+          leaseOwner: null,
+          parent: 'shard-0000',
+          version: '0000'
+        }
+      });
+    });
+
+    test('the shards of standalone consumers are stored in their own state', async () => {
+      const store = await createStore(standaloneOptions);
+      await store.registerConsumer();
+      await store.ensureShardStateExists('shard-0000', {});
+      expect(getStreamState().shards).toEqual({});
+      expect(getStreamState().consumers['test-id'].shards).toEqual({
+        'shard-0000': expect.objectContaining({ parent: null })
+      });
+    });
+
+    test('the shards of standalone enhanced consumers are stored in the enhanced consumer', async () => {
+      const store = await createStore(enhancedOptions);
+      await store.registerConsumer();
+      await store.registerEnhancedConsumer('foo', 'arn:foo');
+      await expect(store.ensureShardStateExists('shard-0000', {})).rejects.toThrow(
+        'The enhanced consumer state is not where expected.'
+      );
+      await store.getAssignedEnhancedConsumer();
+      await store.ensureShardStateExists('shard-0000', {});
+      expect(getStreamState().enhancedConsumers.foo.shards).toEqual({
+        'shard-0000': expect.objectContaining({ parent: null })
+      });
+    });
+  });
+
+  describe('getAssignedEnhancedConsumer', () => {
+    test('an available enhanced consumer is assigned', async () => {
+      const store = await createStore();
+      await store.registerConsumer();
+      await store.registerEnhancedConsumer('foo', 'arn:foo');
+      getStreamState().enhancedConsumers.bar = { arn: 'arn:bar', isUsedBy: 'other-id' };
+      await expect(store.getAssignedEnhancedConsumer()).resolves.toBe('arn:foo');
+      expect(getStreamState().enhancedConsumers.foo).toEqual(
+        expect.objectContaining({ isUsedBy: 'test-id', version: '0001' })
+      );
+      expect(getStreamState().enhancedConsumers.foo.shards).toBeUndefined();
+      expect(getStreamState().consumers['test-id'].isActive).toBe(true);
+      expect(emitEvent).toHaveBeenCalledWith('enhancedConsumerAssigned', {
+        consumerArn: 'arn:foo',
+        consumerName: 'foo'
+      });
+      expect(debug).toHaveBeenCalledWith('Using the "foo" enhanced fan-out consumer.');
+    });
+
+    test('the already assigned enhanced consumer is returned', async () => {
+      const store = await createStore(enhancedOptions);
+      await store.registerConsumer();
+      getStreamState().enhancedConsumers.foo = {
+        arn: 'arn:foo',
+        isUsedBy: 'test-id',
+        shards: { 'shard-0000': {} }
+      };
+      await expect(store.getAssignedEnhancedConsumer()).resolves.toBe('arn:foo');
+      expect(getStreamState().enhancedConsumers.foo.shards).toEqual({ 'shard-0000': {} });
+      expect(emitEvent).not.toHaveBeenCalled();
+    });
+
+    test('the shards state of standalone enhanced consumers is kept on assignment', async () => {
+      const store = await createStore(enhancedOptions);
+      getStreamState().enhancedConsumers.foo = {
+        arn: 'arn:foo',
+        isUsedBy: null,
+        shards: { 'shard-0000': {} }
+      };
+      await expect(store.getAssignedEnhancedConsumer()).resolves.toBe('arn:foo');
+      expect(getStreamState().enhancedConsumers.foo.shards).toEqual({ 'shard-0000': {} });
+      expect(getStreamState().consumers).toEqual({});
+      getStreamState().enhancedConsumers.bar = { arn: 'arn:bar', isUsedBy: null };
+      const otherStore = await createStore({ ...enhancedOptions, consumerId: 'other-id' });
+      await expect(otherStore.getAssignedEnhancedConsumer()).resolves.toBe('arn:bar');
+      expect(getStreamState().enhancedConsumers.bar.shards).toEqual({});
+    });
+
+    test('consumers without an available enhanced consumer become inactive', async () => {
+      const store = await createStore();
+      await store.registerConsumer();
+      getStreamState().enhancedConsumers.foo = { arn: 'arn:foo', isUsedBy: 'other-id' };
+      await expect(store.getAssignedEnhancedConsumer()).resolves.toBeNull();
+      expect(getStreamState().consumers['test-id'].isActive).toBe(false);
+      expect(warn).toHaveBeenCalledWith(
+        'All enhanced fan-out consumers are assigned. Waiting until one is available…'
+      );
+    });
+  });
+
+  describe('getEnhancedConsumers', () => {
+    test('the enhanced consumers are returned as a copy', async () => {
+      const store = await createStore();
+      await store.registerEnhancedConsumer('foo', 'arn:foo');
+      const enhancedConsumers = await store.getEnhancedConsumers();
+      expect(enhancedConsumers).toEqual({ foo: expect.objectContaining({ arn: 'arn:foo' }) });
+      enhancedConsumers.foo.arn = 'arn:bar';
+      expect(getStreamState().enhancedConsumers.foo.arn).toBe('arn:foo');
+    });
+  });
+
+  describe('getOwnedShards', () => {
+    test('the shards with an active lease of the consumer are returned', async () => {
+      const store = await createStore();
+      const leaseExpiration = future();
+      Object.assign(getStreamState().shards, {
+        'shard-0000': { checkpoint: '1', leaseExpiration, leaseOwner: 'test-id', version: '1' },
+        'shard-0001': { leaseExpiration, leaseOwner: 'other-id' },
+        'shard-0002': { leaseExpiration: past, leaseOwner: 'test-id' },
+        'shard-0003': { depleted: true, leaseExpiration, leaseOwner: 'test-id' },
+        'shard-0004': { handoff: true, leaseExpiration, leaseOwner: 'test-id' }
+      });
+      await expect(store.getOwnedShards()).resolves.toEqual({
+        'shard-0000': {
+          checkpoint: '1',
+          leaseExpiration,
+          resetId: undefined,
+          startingPosition: undefined,
+          version: '1'
+        }
+      });
+    });
+  });
+
+  describe('getShardAndStreamState', () => {
+    test('the states of the shard and the stream are returned', async () => {
+      const store = await createStore();
+      const { shardState, streamState } = await store.getShardAndStreamState('shard-0000', {});
+      expect(shardState).toEqual(expect.objectContaining({ parent: null, version: '0000' }));
+      expect(streamState).toEqual(getStreamState());
+      expect(streamState).not.toBe(getStreamState());
+    });
+  });
+
+  describe('getShardsAndStreamState', () => {
+    test('the missing shards are stored before returning the states', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { version: '1' };
+      const { shards, streamState } = await store.getShardsAndStreamState({
+        'shard-0000': {},
+        'shard-0001': { parent: 'shard-0000' }
+      });
+      expect(shards).toEqual({
+        'shard-0000': { version: '1' },
+        'shard-0001': expect.objectContaining({ parent: 'shard-0000', version: '0000' })
+      });
+      expect(shards).toBe(streamState.shards);
+      expect(getStreamState().shards).toEqual(shards);
+    });
+
+    test('the states are returned without changes if all the shards are known', async () => {
+      const store = await createStore(standaloneOptions);
+      await store.registerConsumer();
+      getStreamState().consumers['test-id'].shards['shard-0000'] = { version: '1' };
+      const { shards } = await store.getShardsAndStreamState({ 'shard-0000': {} });
+      expect(shards).toEqual({ 'shard-0000': { version: '1' } });
+    });
+  });
+
+  describe('lockShardLease, markShardForHandoff, and releaseShardLease', () => {
+    test('the lease of a shard can be locked if its version is the known one', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { handoff: true, version: '1' };
+      await expect(store.lockShardLease('shard-0000', 10000, '2')).resolves.toBeNull();
+      await expect(store.lockShardLease('shard-0001', 10000, '1')).resolves.toBeNull();
+      await expect(store.lockShardLease('shard-0000', 10000, '1')).resolves.toBe('0000');
+      expect(getStreamState().shards['shard-0000']).toEqual({
+        handoff: false,
+        leaseExpiration: expect.any(String),
+        leaseOwner: 'test-id',
+        version: '0000'
+      });
+    });
+
+    test('a shard can be marked for handoff if its version is the known one', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { leaseOwner: 'test-id', version: '1' };
+      await expect(store.markShardForHandoff('shard-0000', '2')).resolves.toBeNull();
+      await expect(store.markShardForHandoff('shard-0000', '1')).resolves.toBe('0000');
+      expect(getStreamState().shards['shard-0000']).toEqual({
+        handoff: true,
+        leaseOwner: 'test-id',
+        version: '0000'
+      });
+    });
+
+    test('the lease of a shard can be released if its version is the known one', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = {
+        handoff: true,
+        leaseExpiration: future(),
+        leaseOwner: 'test-id',
+        version: '1'
+      };
+      await expect(store.releaseShardLease('shard-0000', '2')).resolves.toBeNull();
+      await expect(store.releaseShardLease('shard-0000', '1')).resolves.toBe('0000');
+      expect(getStreamState().shards['shard-0000']).toEqual({
+        handoff: false,
+        leaseExpiration: null,
+        leaseOwner: null,
+        version: '0000'
+      });
+    });
+  });
+
+  describe('markShardAsDepleted', () => {
+    test('the checkpoints of the children shards are set when depleting a shard', async () => {
+      const store = await createStore();
+      Object.assign(getStreamState().shards, {
+        'shard-0000': { checkpoint: '1', depleted: false, version: '1' },
+        'shard-0001': { checkpoint: null, parent: 'shard-0000', version: '2' }
+      });
+      await expect(
+        store.markShardAsDepleted(
+          {
+            'shard-0001': { parent: 'shard-0000', startingSequenceNumber: '2' },
+            'shard-0002': { parent: 'shard-0000', startingSequenceNumber: '3' },
+            'shard-0003': { parent: null, startingSequenceNumber: '4' }
+          },
+          'shard-0000'
+        )
+      ).resolves.toBeUndefined();
+      expect(getStreamState().shards).toEqual({
+        'shard-0000': { checkpoint: '1', depleted: true, version: '0003' },
+        'shard-0001': { checkpoint: '2', parent: 'shard-0000', version: '0000' },
+        'shard-0002': expect.objectContaining({
+          checkpoint: '3',
+          parent: 'shard-0000',
+          version: '0002'
+        })
+      });
+      expect(emitEvent).toHaveBeenCalledWith('shardEnded', { shardId: 'shard-0000' });
+    });
+
+    test('the children shards are left as they are if the shard had no checkpoint', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { checkpoint: null, version: '1' };
+      await store.markShardAsDepleted({ 'shard-0001': { parent: 'shard-0000' } }, 'shard-0000');
+      expect(getStreamState().shards).toEqual({
+        'shard-0000': { checkpoint: null, depleted: true, version: '0000' }
+      });
+    });
+  });
+
+  describe('registerConsumer', () => {
+    test('consumers are registered with their details', async () => {
+      const store = await createStore({ capacityWeight: 2, maxLeases: 3, shardFilter: {} });
+      await expect(store.registerConsumer()).resolves.toBeUndefined();
+      expect(getStreamState().consumers).toEqual({
+        'test-id': {
+          appName: 'lifion-kinesis',
+          capacityWeight: 2,
+          heartbeat: expect.any(String),
+          host: expect.any(String),
+          isActive: true,
+          isPinned: true,
+          isStandalone: false,
+          maxLeases: 3,
+          pid: expect.any(Number),
+          shardFilter: {},
+          startedOn: expect.any(String)
+        }
+      });
+      expect(debug).toHaveBeenCalledWith('The consumer "test-id" is now registered.');
+    });
+
+    test('the heartbeat of registered consumers is updated', async () => {
+      const store = await createStore();
+      await store.registerConsumer();
+      getStreamState().consumers['test-id'].heartbeat = past;
+      await store.registerConsumer();
+      expect(getStreamState().consumers['test-id'].heartbeat).not.toBe(past);
+    });
+
+    test('standalone consumers take over the shards left by the same instance', async () => {
+      const store = await createStore({ ...standaloneOptions, instanceName: 'foo' });
+      Object.assign(getStreamState().consumers, {
+        'id-1': { heartbeat: '2019-01-01T00:00:00.000Z', instanceName: 'foo', shards: { a: {} } },
+        'id-2': { heartbeat: '2019-01-02T00:00:00.000Z', instanceName: 'foo', shards: { b: {} } },
+        'id-3': { heartbeat: '2019-01-03T00:00:00.000Z', instanceName: 'bar', shards: {} },
+        'id-4': { heartbeat: '2019-01-03T00:00:00.000Z', instanceName: 'foo' },
+        'id-5': { heartbeat: future(), instanceName: 'foo', shards: {} }
+      });
+      await store.registerConsumer();
+      const { consumers } = getStreamState();
+      expect(Object.keys(consumers)).toEqual(['id-3', 'id-4', 'id-5', 'test-id']);
+      expect(consumers['test-id']).toEqual(
+        expect.objectContaining({ instanceName: 'foo', isStandalone: true, shards: { b: {} } })
+      );
+      expect(debug).toHaveBeenCalledWith(
+        'The shards state of "id-2" has been migrated to "test-id".'
+      );
+    });
+
+    test('standalone consumers start with no shards without a previous instance', async () => {
+      const store = await createStore({ ...standaloneOptions, instanceName: 'foo' });
+      await store.registerConsumer();
+      expect(getStreamState().consumers['test-id'].shards).toEqual({});
+    });
+
+    test('enhanced fan-out consumers are registered without shards', async () => {
+      const store = await createStore({ ...enhancedOptions, instanceName: 'foo' });
+      await store.registerConsumer();
+      expect(getStreamState().consumers['test-id'].shards).toBeUndefined();
+    });
+  });
+
+  describe('renewShardLeases', () => {
+    test('the leases still owned by the consumer are renewed', async () => {
+      const store = await createStore();
+      const leaseExpiration = future();
+      Object.assign(getStreamState().shards, {
+        'shard-0000': { leaseExpiration, leaseOwner: 'test-id', version: '1' },
+        'shard-0001': { leaseExpiration, leaseOwner: 'other-id', version: '2' },
+        'shard-0002': { leaseExpiration: past, leaseOwner: 'test-id', version: '3' },
+        'shard-0003': { handoff: true, leaseExpiration, leaseOwner: 'test-id', version: '4' }
+      });
+      const { streamState } = await store.getShardsAndStreamState({});
+      getStreamState().shards['shard-0002'].leaseExpiration = leaseExpiration;
+      const shardIds = ['shard-0000', 'shard-0001', 'shard-0002', 'shard-0003', 'shard-0004'];
+      streamState.shards['shard-0004'] = {};
+      await expect(store.renewShardLeases(shardIds, 10000, streamState)).resolves.toEqual({
+        'shard-0000': '0000',
+        'shard-0003': '0001'
+      });
+      expect(getStreamState().shards['shard-0003']).toEqual({
+        handoff: false,
+        leaseExpiration: expect.not.stringMatching(leaseExpiration),
+        leaseOwner: 'test-id',
+        version: '0001'
+      });
+      expect(getStreamState().shards['shard-0002'].version).toBe('3');
+    });
+  });
+
+  describe('resetShardCheckpoint', () => {
+    test('the checkpoint of a shard can be reset to a sequence number', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { checkpoint: '1', depleted: true, version: '1' };
+      const position = { sequenceNumber: '2', type: 'AFTER_SEQUENCE_NUMBER' };
+      await expect(store.resetShardCheckpoint('shard-0000', position)).resolves.toBeUndefined();
+      expect(getStreamState().shards['shard-0000']).toEqual({
+        checkpoint: '2',
+        depleted: false,
+        resetId: '0000',
+        startingPosition: null,
+        version: '0001'
+      });
+    });
+
+    test('the checkpoint of a shard can be reset to a starting position', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { checkpoint: '1', version: '1' };
+      const position = { type: 'TRIM_HORIZON' };
+      await store.resetShardCheckpoint('shard-0000', position);
+      const { startingPosition } = getStreamState().shards['shard-0000'];
+      expect(startingPosition).toEqual(position);
+      expect(startingPosition).not.toBe(position);
+    });
+  });
+
+  describe('storeShardCheckpoint', () => {
+    test('the checkpoint of a shard is stored', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { checkpoint: null, version: '1' };
+      await expect(store.storeShardCheckpoint('shard-0000', '1')).resolves.toBe(true);
+      expect(getStreamState().shards['shard-0000']).toEqual({ checkpoint: '1', version: '0000' });
+      expect(getStats('test-stream').kinesis.shards['shard-0000']).toEqual(
+        expect.objectContaining({ checkpoint: '1' })
+      );
+    });
+
+    test('the checkpoint is only stored if the shard was not reset since read', async () => {
+      const store = await createStore();
+      getStreamState().shards['shard-0000'] = { checkpoint: null, resetId: 'foo', version: '1' };
+      await expect(store.storeShardCheckpoint('shard-0000', '1', 'bar')).resolves.toBe(false);
+      await expect(store.storeShardCheckpoint('shard-0000', '1')).resolves.toBe(false);
+      await expect(store.storeShardCheckpoint('shard-0000', '1', 'foo')).resolves.toBe(true);
+      getStreamState().shards['shard-0000'].resetId = null;
+      await expect(store.storeShardCheckpoint('shard-0000', '2')).resolves.toBe(true);
+    });
+
+    test('storing a checkpoint throws without a sequence number', async () => {
+      const store = await createStore();
+      await expect(store.storeShardCheckpoint('shard-0000', 1)).rejects.toThrow(
+        new TypeError('The sequence number is required.')
+      );
+    });
+  });
+});
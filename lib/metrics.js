@@ -0,0 +1,67 @@
+/**
+ * Module with the functions used to send metrics to the reporter given in the `metrics` option
+ * of the client. Reporters are objects with any of the `counter`, `gauge`, and `histogram`
+ * functions, each called with the name of the metric, a value, and an object with labels.
+ *
+ * @module metrics
+ * @private
+ */
+
+'use strict';
+
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+
+/**
+ * Returns a metrics reporter where all the functions are present, the ones missing from the given
+ * reporter (or all of them if a reporter isn't given) don't do anything. The errors thrown by the
+ * functions of the given reporter are logged, so they can't break the calls being measured.
+ *
+ * @param {Object} [metrics] - A metrics reporter.
+ * @param {Object} [logger] - An instance of a logger, required if a reporter is given.
+ * @returns {Object} A reporter with `counter`, `gauge`, and `histogram` functions.
+ * @memberof module:metrics
+ */
+function getMetricsReporter(metrics, logger) {
+  return METRIC_TYPES.reduce((reporter, type) => {
+    const report = metrics && metrics[type];
+    const reportSafely = (name, ...args) => {
+      try {
+        return report.call(metrics, name, ...args);
+      } catch (err) {
+        logger.error(`Unable to report the "${name}" metric:`, err);
+        return undefined;
+      }
+    };
+    return Object.assign(reporter, {
+      [type]: typeof report === 'function' ? reportSafely : Function.prototype
+    });
+  }, {});
+}
+
+/**
+ * Reports the duration of a request to AWS in the `aws_request_duration_seconds` histogram, and
+ * counts the failed requests in the `aws_request_errors_total` counter (labeled by error code).
+ * The reporter is expected to come from `getMetricsReporter`, so its failures are logged instead of
+ * changing the outcome of the request.
+ *
+ * @param {Object} metrics - A metrics reporter as returned by `getMetricsReporter`.
+ * @param {Object} labels - The labels of the request, `service` and `operation` at least.
+ * @param {Promise} request - The promise of the request, started right before this call.
+ * @fulfil {*} - The response to the request.
+ * @reject {Error} - The error of the request.
+ * @returns {Promise}
+ * @memberof module:metrics
+ */
+async function measureRequest(metrics, labels, request) {
+  const startTime = Date.now();
+  try {
+    return await request;
+  } catch (err) {
+    metrics.counter('aws_request_errors_total', 1, { ...labels, code: err.code || 'Unknown' });
+    throw err;
+  } finally {
+    metrics.histogram('aws_request_duration_seconds', (Date.now() - startTime) / 1000, labels);
+  }
+}
+
+module.exports = { getMetricsReporter, measureRequest };
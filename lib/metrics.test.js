@@ -0,0 +1,88 @@
+'use strict';
+
+const { getMetricsReporter, measureRequest } = require('./metrics');
+
+describe('lib/metrics', () => {
+  test('the module exports the expected', () => {
+    expect(getMetricsReporter).toEqual(expect.any(Function));
+    expect(measureRequest).toEqual(expect.any(Function));
+  });
+
+  test('getMetricsReporter returns a reporter that does nothing if not given one', () => {
+    const reporter = getMetricsReporter();
+    expect(reporter).toEqual({
+      counter: expect.any(Function),
+      gauge: expect.any(Function),
+      histogram: expect.any(Function)
+    });
+    expect(reporter.counter('foo', 1, {})).toBeUndefined();
+    expect(getMetricsReporter(null)).toEqual(reporter);
+  });
+
+  test('getMetricsReporter returns a reporter that calls the given functions', () => {
+    const metrics = {
+      counter: jest.fn(function counter() {
+        return this;
+      })
+    };
+    const reporter = getMetricsReporter(metrics);
+    expect(reporter.counter('foo', 1, { bar: 'baz' })).toBe(metrics);
+    expect(metrics.counter).toHaveBeenCalledWith('foo', 1, { bar: 'baz' });
+    expect(reporter.gauge('foo', 1, {})).toBeUndefined();
+  });
+
+  test('getMetricsReporter returns a reporter that logs the errors of the given functions', () => {
+    const error = new Error('foo');
+    const logger = { error: jest.fn() };
+    const metrics = {
+      histogram: jest.fn(() => {
+        throw error;
+      })
+    };
+    const reporter = getMetricsReporter(metrics, logger);
+    expect(reporter.histogram('bar', 1, {})).toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Unable to report the "bar" metric:', error);
+  });
+
+  test('measureRequest resolves with the response if the reporter fails', async () => {
+    const logger = { error: jest.fn() };
+    const metrics = getMetricsReporter(
+      {
+        histogram: () => {
+          throw new Error('foo');
+        }
+      },
+      logger
+    );
+    await expect(measureRequest(metrics, {}, Promise.resolve('baz'))).resolves.toBe('baz');
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+
+  test('measureRequest reports the duration of the successful requests', async () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(1250);
+    try {
+      const labels = { operation: 'foo', service: 'bar' };
+      await expect(measureRequest(metrics, labels, Promise.resolve('baz'))).resolves.toBe('baz');
+      expect(metrics.histogram).toHaveBeenCalledWith('aws_request_duration_seconds', 0.25, labels);
+      expect(metrics.counter).not.toHaveBeenCalled();
+    } finally {
+      dateNow.mockRestore();
+    }
+  });
+
+  test('measureRequest counts the failed requests by error code', async () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    const labels = { operation: 'foo', service: 'bar' };
+    const error = Object.assign(new Error('foo'), { code: 'ValidationException' });
+    await expect(measureRequest(metrics, labels, Promise.reject(error))).rejects.toThrow(error);
+    await expect(measureRequest(metrics, labels, Promise.reject(new Error('bar')))).rejects.toThrow(
+      'bar'
+    );
+    expect(metrics.counter.mock.calls).toEqual([
+      ['aws_request_errors_total', 1, { ...labels, code: 'ValidationException' }],
+      ['aws_request_errors_total', 1, { ...labels, code: 'Unknown' }]
+    ]);
+    expect(metrics.histogram).toHaveBeenCalledTimes(2);
+  });
+});
@@ -11,6 +11,8 @@ const deaggregate = require('./deaggregate');
 const { getRecordsDecoder } = require('./records');
 const { getStreamShards } = require('./stream');
 
+const LATEST_POSITION = Object.freeze({ type: 'LATEST' });
+
 const privateData = new WeakMap();
 
 /**
@@ -28,25 +30,40 @@ function internal(instance) {
 /**
  * Requests an new shard iterator form the given stream and shard. If a sequence number is
  * provided the iterator points to the next record after the sequence number, if not provided,
- * the iterator points to the latest record.
+ * the iterator points to the given initial position (the latest record by default).
  *
  * @param {Object} client - The AWS.Kinesis instance to use for the request.
  * @param {Object} logger - An instance of a logger.
  * @param {string} streamName - The name of the stream where the shard belongs.
  * @param {string} shardId - The ID of the shard to get an iterator for.
  * @param {string} [sequenceNumber] - Where the iterator should point, latest otherwise.
+ * @param {Object} [initialPosition] - Where the iterator should point if there's no sequence
+ *        number, an object with `type`, and either `sequenceNumber` or `timestamp`.
  * @fulfil {string} The new shard iterator.
  * @returns {Promise} A promise for a new shard iterator.
  * @private
  */
-async function getShardIterator(client, logger, streamName, shardId, sequenceNumber) {
+async function getShardIterator(
+  client,
+  logger,
+  streamName,
+  shardId,
+  sequenceNumber,
+  initialPosition = LATEST_POSITION
+) {
+  const position = sequenceNumber
+    ? { sequenceNumber, type: 'AFTER_SEQUENCE_NUMBER' }
+    : initialPosition;
   const params = {
     ShardId: shardId,
-    ShardIteratorType: sequenceNumber ? 'AFTER_SEQUENCE_NUMBER' : 'LATEST',
+    ShardIteratorType: position.type,
     StreamName: streamName
   };
-  if (sequenceNumber) {
-    params.StartingSequenceNumber = sequenceNumber;
+  if (position.sequenceNumber) {
+    params.StartingSequenceNumber = position.sequenceNumber;
+  }
+  if (position.timestamp) {
+    params.Timestamp = position.timestamp;
   }
   try {
     const { ShardIterator } = await client.getShardIterator(params);
@@ -54,15 +71,49 @@ async function getShardIterator(client, logger, streamName, shardId, sequenceNum
   } catch (err) {
     if (err.code === 'InvalidArgumentException' && sequenceNumber) {
       logger.warn(`The stored checkpoint for "${streamName}/${shardId}" is invalid. Ignoring it.`);
+      return getShardIterator(client, logger, streamName, shardId, null, initialPosition);
+    }
+    if (err.code === 'InvalidArgumentException' && position.type === 'AT_SEQUENCE_NUMBER') {
+      logger.warn(`The initial position for "${streamName}/${shardId}" is invalid. Ignoring it.`);
       return getShardIterator(client, logger, streamName, shardId);
     }
     throw err;
   }
 }
 
+/**
+ * Stores a checkpoint once the checkpoints before it are stored, and once the given records are
+ * processed (if any). Neither the checkpoint nor the ones after it are stored if the records
+ * aren't processed (e.g. their processing failed, or the consumer stopped before), nor once a
+ * checkpoint is reset.
+ *
+ * @param {Object} instance - The instance for which the private data will be retrieved for.
+ * @param {Object} [data] - The data pushed to the parent stream with the records.
+ * @param {string} sequenceNumber - The sequence number to store as the checkpoint.
+ * @private
+ */
+function checkpointInOrder(instance, data, sequenceNumber) {
+  const privateProps = internal(instance);
+  const { checkpointing, logger, pushToStream, setCheckpoint, waitForProcessing } = privateProps;
+  privateProps.checkpointing = (async () => {
+    if (!(await checkpointing)) return false;
+    try {
+      if (data && !(await waitForProcessing(data))) return false;
+      return await setCheckpoint(sequenceNumber);
+    } catch (err) {
+      logger.error(err);
+      pushToStream(err);
+      return true;
+    }
+  })();
+}
+
 /**
  * Polls for records and pushes them to the parent stream. If auto-checkpoints are enabled, they
- * will be stored before the request for records.
+ * will be stored before the request for records, or once the records are processed if checkpoints
+ * are stored after processing. If the parent stream is full, the polling is paused until the
+ * parent stream is read. No more polls are scheduled once the consumer is stopped, but the poll
+ * in progress is completed.
  *
  * @param {Object} instance - The instance for which the private data will be retrieved for.
  * @returns {Promise}
@@ -73,8 +124,10 @@ async function pollForRecords(instance) {
 
   const {
     checkpoint,
+    checkpointAfterProcessing,
     client,
     continuePolling,
+    initialPosition,
     leaseExpiration,
     limit,
     logger,
@@ -90,9 +143,20 @@ async function pollForRecords(instance) {
     stopConsumer,
     streamName,
     useAutoCheckpoints,
-    usePausedPolling
+    usePausedPolling,
+    waitForRead
   } = privateProps;
 
+  let settle;
+  privateProps.polling = new Promise((resolve) => {
+    settle = resolve;
+  });
+
+  const scheduleNextPoll = (delay) => {
+    if (internal(instance).isStopped) return;
+    privateProps.timeoutId = setTimeout(pollForRecords, delay, instance);
+  };
+
   try {
     if (Date.now() > leaseExpiration) {
       logger.debug(`Unable to read from shard "${shardId}" anymore, the lease expired.`);
@@ -101,7 +165,7 @@ async function pollForRecords(instance) {
     }
 
     if (seqNumToCheckpoint) {
-      await setCheckpoint(seqNumToCheckpoint);
+      if (!(await setCheckpoint(seqNumToCheckpoint))) return;
       privateProps.seqNumToCheckpoint = null;
     }
 
@@ -109,12 +173,24 @@ async function pollForRecords(instance) {
 
     if (!iterator && checkpoint) {
       logger.debug(`Starting to read shard "${shardId}" from a known checkpoint.`);
-      iterator = await getShardIterator(client, logger, streamName, shardId, checkpoint);
+      iterator = await getShardIterator(
+        client,
+        logger,
+        streamName,
+        shardId,
+        checkpoint,
+        initialPosition
+      );
     }
 
     if (!iterator) {
-      logger.debug(`Starting to read shard "${shardId}" from the latest record.`);
-      iterator = await getShardIterator(client, logger, streamName, shardId);
+      const { type } = initialPosition;
+      logger.debug(
+        type === 'LATEST'
+          ? `Starting to read shard "${shardId}" from the latest record.`
+          : `Starting to read shard "${shardId}" from the initial position (${type}).`
+      );
+      iterator = await getShardIterator(client, logger, streamName, shardId, null, initialPosition);
     }
 
     const data = await client.getRecords({ Limit: limit, ShardIterator: iterator });
@@ -134,19 +210,28 @@ async function pollForRecords(instance) {
 
       const delay = msBehind <= 0 ? noRecordsPollDelay : 0;
       if (delay === 0) logger.debug(`Fast-forwarding "${shardId}"… (${msBehind}ms behind)`);
-      privateProps.timeoutId = setTimeout(pollForRecords, delay, instance);
+      scheduleNextPoll(delay);
       return;
     }
 
     const deaggCollection = shouldDeaggregate ? await deaggregate(Records) : Records;
-    const records = await Promise.all(deaggCollection.map(recordsDecoder));
+    const decodedRecords = await Promise.all(deaggCollection.map(recordsDecoder));
+    const records = decodedRecords.filter((record) => record !== null);
 
     logger.debug(`Got ${recordsCount} record(s) from "${shardId}" (${msBehind}ms behind)`);
 
+    const { SequenceNumber: sequenceNumber } = deaggCollection[deaggCollection.length - 1];
+
+    if (records.length === 0) {
+      if (checkpointAfterProcessing && !usePausedPolling) {
+        checkpointInOrder(instance, null, sequenceNumber);
+      } else if (useAutoCheckpoints && !(await setCheckpoint(sequenceNumber))) return;
+      scheduleNextPoll(pollDelay);
+      return;
+    }
     if (useAutoCheckpoints) {
-      const { sequenceNumber } = records[recordsCount - 1];
       if (!usePausedPolling) {
-        await setCheckpoint(sequenceNumber);
+        if (!checkpointAfterProcessing && !(await setCheckpoint(sequenceNumber))) return;
       } else {
         privateProps.seqNumToCheckpoint = sequenceNumber;
       }
@@ -161,10 +246,17 @@ async function pollForRecords(instance) {
       ...(usePausedPolling && { continuePolling })
     };
 
-    pushToStream(null, propsToPush);
+    const hasCapacity = pushToStream(null, propsToPush);
 
     if (!usePausedPolling) {
-      privateProps.timeoutId = setTimeout(pollForRecords, pollDelay, instance);
+      if (checkpointAfterProcessing) checkpointInOrder(instance, propsToPush, sequenceNumber);
+      if (hasCapacity === false) {
+        logger.debug(`Pausing the polling of "${shardId}" until the records are read…`);
+        await waitForRead();
+        if (internal(instance).isStopped) return;
+        logger.debug(`Resuming the polling of "${shardId}".`);
+      }
+      scheduleNextPoll(pollDelay);
     }
   } catch (err) {
     if (err.code === 'ExpiredIteratorException') {
@@ -175,6 +267,8 @@ async function pollForRecords(instance) {
     }
     logger.error(err);
     pushToStream(err);
+  } finally {
+    settle();
   }
 }
 
@@ -189,8 +283,12 @@ class PollingConsumer {
    *
    * @param {Object} options - The initialization options.
    * @param {string} options.checkpoint - The last-known checkpoint for the stream shard.
+   * @param {boolean} [options.checkpointAfterProcessing] - Whether to store the automatic
+   *        checkpoints once the records are processed instead of as soon as they're received.
    * @param {Object} options.client - An instance of the Kinesis client.
    * @param {string} options.compression - The kind of data compression to use with records.
+   * @param {Object} [options.initialPosition] - Where to start reading the shard from when there's
+   *        no checkpoint, an object with `type`, and either `sequenceNumber` or `timestamp`.
    * @param {string} options.leaseExpiration - The timestamp of the shard lease expiration.
    * @param {number} options.limit - The limit of records per get records call.
    * @param {Object} options.logger - An instance of a logger.
@@ -199,7 +297,12 @@ class PollingConsumer {
    * @param {number} options.pollDelay - When the `usePausedPolling` option is `false`, this
    *        option defines the delay in milliseconds in between poll requests for more records.
    * @param {Function} options.pushToStream - A function to push incoming records to the consumer.
+   * @param {string} [options.resetId] - The ID of the last reset of the shard checkpoint.
+   * @param {Function} [options.sendToDeadLetter] - If provided, the records that can't be decoded
+   *        are sent to the dead-letter target through this function instead of being pushed.
    * @param {string} options.shardId - The ID of the stream shard to retrieve records for.
+   * @param {Object} [options.startingPosition] - The position the shard checkpoint was reset to,
+   *        if any. When present, it takes precedence over the initial position.
    * @param {Object} options.stateStore - An instance of the state store.
    * @param {Function} options.stopConsumer - A function that stops this consumer from the manager.
    * @param {string} options.streamName - The name of the Kinesis stream.
@@ -209,51 +312,71 @@ class PollingConsumer {
    *        user-intervention before polling for more records, or not.
    * @param {boolean} options.useS3ForLargeItems - Whether to automatically use an S3
    *        bucket to store large items or not.
+   * @param {Function} [options.waitForProcessing] - A function that returns a promise resolved
+   *        once the given records pushed to the consumer are processed.
+   * @param {Function} options.waitForRead - A function that returns a promise resolved once more
+   *        records can be pushed to the consumer.
    */
   constructor(options) {
     const {
       checkpoint,
+      checkpointAfterProcessing,
       client,
       compression,
+      initialPosition = LATEST_POSITION,
       leaseExpiration,
       limit,
       logger,
       noRecordsPollDelay,
       pollDelay,
       pushToStream,
+      resetId,
       s3,
       s3Client,
+      sendToDeadLetter,
       shardId,
       shouldDeaggregate,
       shouldParseJson,
+      startingPosition,
       stateStore,
       stopConsumer,
       streamName,
       useAutoCheckpoints,
       usePausedPolling,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     } = options;
 
     Object.assign(internal(this), {
       checkpoint,
+      checkpointAfterProcessing,
+      checkpointing: Promise.resolve(true),
       client,
       compression,
       continuePolling: null,
+      initialPosition: startingPosition || initialPosition,
+      isStopped: false,
       iterator: null,
       leaseExpiration: new Date(leaseExpiration).getTime(),
       limit,
       logger,
       noRecordsPollDelay,
       pollDelay,
+      polling: Promise.resolve(),
       pushToStream,
       recordsDecoder: getRecordsDecoder({
         compression,
         inputEncoding: 'Buffer',
         logger,
+        onDecodeError:
+          sendToDeadLetter &&
+          ((record, error) => sendToDeadLetter({ attempts: 1, error, record, shardId })),
         s3Client,
         shouldParseJson,
         useS3ForLargeItems
       }),
+      resetId,
       s3,
       seqNumToCheckpoint: null,
       setCheckpoint: null,
@@ -265,7 +388,9 @@ class PollingConsumer {
       timeoutId: null,
       useAutoCheckpoints,
       usePausedPolling,
-      useS3ForLargeItems
+      useS3ForLargeItems,
+      waitForProcessing,
+      waitForRead
     });
   }
 
@@ -277,22 +402,17 @@ class PollingConsumer {
    */
   async start() {
     const privateProps = internal(this);
-    const { logger, shardId, stateStore, stopConsumer } = privateProps;
-
-    let shardsPath;
-    let shardsPathNames;
-
-    try {
-      ({ shardsPath, shardsPathNames } = await stateStore.getShardsData());
-    } catch (err) {
-      logger.warn("Can't start the consumer as the state can't be resolved:", err);
-      stopConsumer(shardId);
-      return;
-    }
+    const { logger, resetId, shardId, stateStore, stopConsumer } = privateProps;
 
     privateProps.setCheckpoint = async (sequenceNumber) => {
-      await stateStore.storeShardCheckpoint(shardId, sequenceNumber, shardsPath, shardsPathNames);
+      const isStored = await stateStore.storeShardCheckpoint(shardId, sequenceNumber, resetId);
+      if (!isStored) {
+        logger.debug(`The checkpoint for "${shardId}" has been reset, stopping the consumer…`);
+        stopConsumer(shardId);
+        return false;
+      }
       privateProps.checkpoint = sequenceNumber;
+      return true;
     };
 
     privateProps.continuePolling = () => pollForRecords(this);
@@ -302,11 +422,19 @@ class PollingConsumer {
 
   /**
    * Stops the timers that poll for records.
+   *
+   * @fulfil {undefined} - Once the poll in progress, if any, is done, and the checkpoints of the
+   *         records being processed are stored.
+   * @returns {Promise}
    */
-  stop() {
+  async stop() {
     const privateProps = internal(this);
-    clearTimeout(privateProps.timeoutId);
+    const { polling, timeoutId } = privateProps;
+    clearTimeout(timeoutId);
+    privateProps.isStopped = true;
     privateProps.timeoutId = null;
+    await polling;
+    await internal(this).checkpointing;
   }
 
   /**
@@ -28,13 +28,13 @@ describe('lib/polling-consumer', () => {
   const warn = jest.fn();
   const logger = { debug, error: errorMock, warn };
 
-  const getShardsData = jest.fn(() => Promise.resolve({ shardsPath: '', shardsPathNames: {} }));
   const markShardAsDepleted = jest.fn();
-  const storeShardCheckpoint = jest.fn();
-  const stateStore = { getShardsData, markShardAsDepleted, storeShardCheckpoint };
+  const storeShardCheckpoint = jest.fn(() => Promise.resolve(true));
+  const stateStore = { markShardAsDepleted, storeShardCheckpoint };
 
   const pushToStream = jest.fn();
   const stopConsumer = jest.fn();
+  const waitForRead = jest.fn(() => Promise.resolve());
 
   const options = {
     client,
@@ -49,7 +49,8 @@ describe('lib/polling-consumer', () => {
     stopConsumer,
     streamName: 'stream',
     useAutoCheckpoints: true,
-    usePausedPolling: false
+    usePausedPolling: false,
+    waitForRead
   };
   beforeEach(() => {
     deaggregate.mockImplementation(async (x) => x);
@@ -60,12 +61,12 @@ describe('lib/polling-consumer', () => {
     errorMock.mockClear();
     getRecords.mockClear();
     getShardIterator.mockClear();
-    getShardsData.mockClear();
     markShardAsDepleted.mockClear();
     pushToStream.mockClear();
     setTimeout.mockClear();
     stopConsumer.mockClear();
     storeShardCheckpoint.mockClear();
+    waitForRead.mockClear();
     warn.mockClear();
   });
 
@@ -85,7 +86,7 @@ describe('lib/polling-consumer', () => {
             StreamName: 'stream'
           });
           expect(getRecords).toHaveBeenCalledWith({ Limit: 1000, ShardIterator: 'iterator' });
-          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, '', {});
+          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
           expect(pushToStream).toHaveBeenCalledWith(null, {
             millisBehindLatest: 10,
             records: [{ data: 'foo', sequenceNumber: 1 }],
@@ -107,6 +108,310 @@ describe('lib/polling-consumer', () => {
     });
   });
 
+  test('the consumer pauses the polling until the records are read if the stream is full', () => {
+    return new Promise((resolve, reject) => {
+      const consumer = new PollingConsumer(options);
+      pushToStream.mockImplementationOnce(() => false);
+      setTimeout.mockImplementationOnce(() => {
+        try {
+          expect(pushToStream).toHaveBeenCalledTimes(1);
+          expect(waitForRead).toHaveBeenCalledTimes(1);
+          expect(debug.mock.calls).toEqual([
+            ['Starting to read shard "shardId-0000" from the latest record.'],
+            ['Got 1 record(s) from "shardId-0000" (10ms behind)'],
+            ['Pausing the polling of "shardId-0000" until the records are read…'],
+            ['Resuming the polling of "shardId-0000".']
+          ]);
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
+  test("the consumer doesn't resume the polling if it's stopped while paused", async () => {
+    let resumePolling;
+    waitForRead.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resumePolling = resolve;
+        })
+    );
+    const consumer = new PollingConsumer(options);
+    const pushed = new Promise((resolve) => {
+      pushToStream.mockImplementationOnce(() => {
+        resolve();
+        return false;
+      });
+    });
+    await consumer.start();
+    await pushed;
+    await Promise.resolve();
+    consumer.stop();
+    resumePolling();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(waitForRead).toHaveBeenCalledTimes(1);
+    expect(setTimeout).not.toHaveBeenCalled();
+    expect(debug).not.toHaveBeenCalledWith('Resuming the polling of "shardId-0000".');
+  });
+
+  test('the checkpoint is stored once the records are processed if requested', async () => {
+    let markAsProcessed;
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markAsProcessed = resolve;
+        })
+    );
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    const [[, data]] = pushToStream.mock.calls;
+    expect(waitForProcessing).toHaveBeenCalledWith(data);
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 250, consumer);
+    markAsProcessed(true);
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
+    consumer.stop();
+  });
+
+  test("the checkpoint isn't stored if the records won't be processed", async () => {
+    const waitForProcessing = jest.fn(() => Promise.resolve(false));
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    await consumer.stop();
+    expect(waitForProcessing).toHaveBeenCalledTimes(1);
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+  });
+
+  test('the checkpoints are stored in order after processing', async () => {
+    const markers = [];
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markers.push(resolve);
+        })
+    );
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    getRecords.mockResolvedValueOnce({
+      MillisBehindLatest: 10,
+      NextShardIterator: 'next-iterator',
+      Records: [{ Data: 'foo', SequenceNumber: 1 }]
+    });
+    getRecords.mockResolvedValueOnce({
+      MillisBehindLatest: 10,
+      NextShardIterator: 'next-iterator',
+      Records: [{ Data: 'bar', SequenceNumber: 2 }]
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    jest.runOnlyPendingTimers();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(pushToStream).toHaveBeenCalledTimes(2);
+    const [, markSecondAsProcessed] = markers;
+    expect(markSecondAsProcessed).toBeUndefined();
+    const [markFirstAsProcessed] = markers;
+    markFirstAsProcessed(true);
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(storeShardCheckpoint.mock.calls).toEqual([['shardId-0000', 1, undefined]]);
+    markers[1](true);
+    await consumer.stop();
+    expect(storeShardCheckpoint.mock.calls).toEqual([
+      ['shardId-0000', 1, undefined],
+      ['shardId-0000', 2, undefined]
+    ]);
+  });
+
+  test('no checkpoints are stored after the records whose processing failed', async () => {
+    const waitForProcessing = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    getRecords.mockResolvedValueOnce({
+      MillisBehindLatest: 10,
+      NextShardIterator: 'next-iterator',
+      Records: [{ Data: 'foo', SequenceNumber: 1 }]
+    });
+    getRecords.mockResolvedValueOnce({
+      MillisBehindLatest: 10,
+      NextShardIterator: 'next-iterator',
+      Records: [{ Data: 'bar', SequenceNumber: 2 }]
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    jest.runOnlyPendingTimers();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    await consumer.stop();
+    expect(pushToStream).toHaveBeenCalledTimes(2);
+    expect(waitForProcessing).toHaveBeenCalledTimes(1);
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+  });
+
+  test('stopping the consumer waits for the checkpoints of the records being processed', async () => {
+    let markAsProcessed;
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markAsProcessed = resolve;
+        })
+    );
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    let isStopped = false;
+    const stop = consumer.stop().then(() => {
+      isStopped = true;
+      return undefined;
+    });
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(isStopped).toBe(false);
+    markAsProcessed(true);
+    await stop;
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
+  });
+
+  test('a consumer that is not polling can be stopped right away', async () => {
+    const consumer = new PollingConsumer(options);
+    await expect(consumer.stop()).resolves.toBeUndefined();
+  });
+
+  test('the consumer stops if the checkpoint was reset while processing', async () => {
+    storeShardCheckpoint.mockResolvedValueOnce(false);
+    const waitForProcessing = jest.fn(() => Promise.resolve(true));
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(pushToStream).toHaveBeenCalledTimes(1);
+    expect(stopConsumer).toHaveBeenCalledWith('shardId-0000');
+    consumer.stop();
+  });
+
+  test('no more checkpoints are stored after one is reset', async () => {
+    storeShardCheckpoint.mockResolvedValueOnce(false);
+    const markers = [];
+    const waitForProcessing = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          markers.push(resolve);
+        })
+    );
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    jest.runOnlyPendingTimers();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    markers[0](true);
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(markers).toHaveLength(1);
+    await consumer.stop();
+    expect(storeShardCheckpoint).toHaveBeenCalledTimes(1);
+    expect(stopConsumer).toHaveBeenCalledTimes(1);
+  });
+
+  test('the errors while storing checkpoints after processing are pushed', async () => {
+    const error = new Error('foo');
+    storeShardCheckpoint.mockRejectedValueOnce(error);
+    const waitForProcessing = jest.fn(() => Promise.resolve(true));
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      waitForProcessing
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    await consumer.stop();
+    expect(errorMock).toHaveBeenCalledWith(error);
+    expect(pushToStream).toHaveBeenCalledWith(error);
+  });
+
+  test('the checkpoints of dead-lettered records are stored in order after processing', async () => {
+    const consumer = new PollingConsumer({
+      ...options,
+      checkpointAfterProcessing: true,
+      sendToDeadLetter: jest.fn(() => Promise.resolve()),
+      shouldParseJson: true,
+      waitForProcessing: jest.fn()
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    await consumer.stop();
+    expect(pushToStream).not.toHaveBeenCalled();
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
+  });
+
+  test('the records that cannot be decoded are sent to the dead-letter', async () => {
+    const sendToDeadLetter = jest.fn(() => Promise.resolve());
+    const consumer = new PollingConsumer({ ...options, sendToDeadLetter, shouldParseJson: true });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(sendToDeadLetter).toHaveBeenCalledWith({
+      attempts: 1,
+      error: expect.any(Error),
+      record: expect.objectContaining({ data: 'foo', sequenceNumber: 1 }),
+      shardId: 'shardId-0000'
+    });
+    expect(pushToStream).not.toHaveBeenCalled();
+    expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 250, consumer);
+    consumer.stop();
+  });
+
+  test('the consumer stops if the checkpoint was reset while sending to the dead-letter', async () => {
+    storeShardCheckpoint.mockResolvedValueOnce(false);
+    const sendToDeadLetter = jest.fn(() => Promise.resolve());
+    const consumer = new PollingConsumer({ ...options, sendToDeadLetter, shouldParseJson: true });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(stopConsumer).toHaveBeenCalledWith('shardId-0000');
+    expect(setTimeout).not.toHaveBeenCalled();
+  });
+
+  test("the checkpoints of dead-lettered records aren't stored without auto-checkpoints", async () => {
+    const consumer = new PollingConsumer({
+      ...options,
+      sendToDeadLetter: jest.fn(() => Promise.resolve()),
+      shouldParseJson: true,
+      useAutoCheckpoints: false
+    });
+    await consumer.start();
+    await new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+    expect(storeShardCheckpoint).not.toHaveBeenCalled();
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 250, consumer);
+    consumer.stop();
+  });
+
   test('the consumer calls the deaggregate function if included in options', () => {
     return new Promise((resolve, reject) => {
       const consumer = new PollingConsumer({ ...options, shouldDeaggregate: true });
@@ -119,7 +424,7 @@ describe('lib/polling-consumer', () => {
             StreamName: 'stream'
           });
           expect(getRecords).toHaveBeenCalledWith({ Limit: 1000, ShardIterator: 'iterator' });
-          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, '', {});
+          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
           expect(pushToStream).toHaveBeenCalledWith(null, {
             millisBehindLatest: 10,
             records: [{ data: 'foo', sequenceNumber: 1 }],
@@ -189,7 +494,7 @@ describe('lib/polling-consumer', () => {
       });
       pushToStream.mockImplementationOnce(() => {
         try {
-          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, '', {});
+          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, undefined);
           expect(setTimeout).not.toHaveBeenCalled();
           expect(debug.mock.calls).toEqual([
             ['Starting to read shard "shardId-0000" from the latest record.'],
@@ -253,19 +558,6 @@ describe('lib/polling-consumer', () => {
     });
   });
 
-  test('the consumer stops when failing to resolve the shard state on start', async () => {
-    getShardsData.mockImplementationOnce(() => {
-      throw new Error('foo');
-    });
-    const consumer = new PollingConsumer(options);
-    await consumer.start();
-    expect(warn).toHaveBeenCalledWith(
-      "Can't start the consumer as the state can't be resolved:",
-      expect.objectContaining({ message: 'foo' })
-    );
-    expect(stopConsumer).toHaveBeenCalledWith('shardId-0000');
-  });
-
   test('an iterator for the latest records replaces an invalid checkpoint', () => {
     return new Promise((resolve, reject) => {
       const error = Object.assign(new Error('foo'), { code: 'InvalidArgumentException' });
@@ -303,6 +595,164 @@ describe('lib/polling-consumer', () => {
     });
   });
 
+  test('the consumer uses the initial position when there is no checkpoint', () => {
+    return new Promise((resolve, reject) => {
+      const timestamp = new Date('2019-01-01');
+      const initialPosition = { timestamp, type: 'AT_TIMESTAMP' };
+      const consumer = new PollingConsumer({ ...options, initialPosition });
+      setTimeout.mockImplementationOnce(() => {
+        try {
+          expect(getShardIterator).toHaveBeenCalledWith({
+            ShardId: 'shardId-0000',
+            ShardIteratorType: 'AT_TIMESTAMP',
+            StreamName: 'stream',
+            Timestamp: timestamp
+          });
+          expect(debug.mock.calls).toEqual([
+            ['Starting to read shard "shardId-0000" from the initial position (AT_TIMESTAMP).'],
+            ['Got 1 record(s) from "shardId-0000" (10ms behind)']
+          ]);
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
+  test('the initial position is used when replacing an invalid checkpoint', () => {
+    return new Promise((resolve, reject) => {
+      const error = Object.assign(new Error('foo'), { code: 'InvalidArgumentException' });
+      getShardIterator.mockRejectedValueOnce(error);
+      const initialPosition = { type: 'TRIM_HORIZON' };
+      const consumer = new PollingConsumer({ ...options, checkpoint: '123', initialPosition });
+      pushToStream.mockImplementationOnce(() => {
+        try {
+          expect(getShardIterator).toHaveBeenNthCalledWith(2, {
+            ShardId: 'shardId-0000',
+            ShardIteratorType: 'TRIM_HORIZON',
+            StreamName: 'stream'
+          });
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
+  test('an iterator for the latest records replaces an invalid initial sequence number', () => {
+    return new Promise((resolve, reject) => {
+      const error = Object.assign(new Error('foo'), { code: 'InvalidArgumentException' });
+      getShardIterator.mockRejectedValueOnce(error);
+      const initialPosition = { sequenceNumber: '456', type: 'AT_SEQUENCE_NUMBER' };
+      const consumer = new PollingConsumer({ ...options, initialPosition });
+      pushToStream.mockImplementationOnce(() => {
+        try {
+          expect(getShardIterator).toHaveBeenNthCalledWith(1, {
+            ShardId: 'shardId-0000',
+            ShardIteratorType: 'AT_SEQUENCE_NUMBER',
+            StartingSequenceNumber: '456',
+            StreamName: 'stream'
+          });
+          expect(getShardIterator).toHaveBeenNthCalledWith(2, {
+            ShardId: 'shardId-0000',
+            ShardIteratorType: 'LATEST',
+            StreamName: 'stream'
+          });
+          expect(warn.mock.calls).toEqual([
+            ['The initial position for "stream/shardId-0000" is invalid. Ignoring it.']
+          ]);
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
+  test('the position a checkpoint was reset to takes precedence over the initial one', () => {
+    return new Promise((resolve, reject) => {
+      const consumer = new PollingConsumer({
+        ...options,
+        initialPosition: { type: 'LATEST' },
+        resetId: '0001',
+        startingPosition: { type: 'TRIM_HORIZON' }
+      });
+      setTimeout.mockImplementationOnce(() => {
+        try {
+          expect(getShardIterator).toHaveBeenCalledWith({
+            ShardId: 'shardId-0000',
+            ShardIteratorType: 'TRIM_HORIZON',
+            StreamName: 'stream'
+          });
+          expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', 1, '0001');
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
+  test('the consumer stops without pushing records if the checkpoint has been reset', () => {
+    return new Promise((resolve, reject) => {
+      storeShardCheckpoint.mockResolvedValueOnce(false);
+      const consumer = new PollingConsumer(options);
+      stopConsumer.mockImplementationOnce((shardId) => {
+        setImmediate(() => {
+          try {
+            expect(shardId).toBe('shardId-0000');
+            expect(pushToStream).not.toHaveBeenCalled();
+            expect(setTimeout).not.toHaveBeenCalled();
+            expect(debug).toHaveBeenLastCalledWith(
+              'The checkpoint for "shardId-0000" has been reset, stopping the consumer…'
+            );
+            resolve();
+          } catch (err) {
+            reject(err);
+          } finally {
+            consumer.stop();
+          }
+        });
+      });
+      consumer.start();
+    });
+  });
+
+  test('a paused consumer stops when resumed if the checkpoint has been reset', () => {
+    return new Promise((resolve, reject) => {
+      const consumer = new PollingConsumer({ ...options, usePausedPolling: true });
+      pushToStream.mockImplementationOnce(async (error, { continuePolling }) => {
+        try {
+          storeShardCheckpoint.mockResolvedValueOnce(false);
+          await continuePolling();
+          expect(stopConsumer).toHaveBeenCalledWith('shardId-0000');
+          expect(getRecords).toHaveBeenCalledTimes(1);
+          expect(pushToStream).toHaveBeenCalledTimes(1);
+          resolve();
+        } catch (err) {
+          reject(err);
+        } finally {
+          consumer.stop();
+        }
+      });
+      consumer.start();
+    });
+  });
+
   test('starting a consumer with an expired lease will make it stop immediately', () => {
     return new Promise((resolve, reject) => {
       const leaseExpiration = new Date(Date.now() - 1000);
@@ -439,7 +889,7 @@ describe('lib/polling-consumer', () => {
             expect(setCheckpoint).toBeInstanceOf(Function);
             expect(storeShardCheckpoint).not.toHaveBeenCalled();
             await setCheckpoint('123');
-            expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', '123', '', {});
+            expect(storeShardCheckpoint).toHaveBeenCalledWith('shardId-0000', '123', undefined);
             expect(debug.mock.calls).toEqual([
               ['Starting to read shard "shardId-0000" from the latest record.'],
               ['Got 1 record(s) from "shardId-0000" (10ms behind)']
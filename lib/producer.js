@@ -0,0 +1,199 @@
+/**
+ * Module that implements a buffered producer. Records are queued as they're put, and they're
+ * written into the stream in batches, either when a batch is full (by count or by size), when the
+ * linger period of the oldest queued record expires, or when explicitly flushed. Batches are sent
+ * one after the other, so records are written in the same order they were put.
+ *
+ * @module producer
+ * @private
+ */
+
+'use strict';
+
+const privateData = new WeakMap();
+
+/**
+ * Provides access to the private data of the specified instance.
+ *
+ * @param {Object} instance - The private data's owner.
+ * @returns {Object} The private data.
+ * @private
+ */
+function internal(instance) {
+  if (!privateData.has(instance)) privateData.set(instance, {});
+  return privateData.get(instance);
+}
+
+/**
+ * Returns the size of an encoded record as accounted by Kinesis for the request limits, that is,
+ * the size of the data blob plus the size of the partition key.
+ *
+ * @param {Object} record - A record in the format expected by AWS.Kinesis.
+ * @returns {number} The size in bytes.
+ * @private
+ */
+function getRecordSize(record) {
+  const { Data, PartitionKey } = record;
+  return Buffer.byteLength(Data) + Buffer.byteLength(PartitionKey);
+}
+
+/**
+ * Takes the queued records out of the queue and schedules a request to write them into the
+ * stream. The request is sent after any previous request completes. Each record promise is
+ * settled with the result of the request for it, records that failed to be written are rejected
+ * with an error with the code of the failure.
+ *
+ * @param {Object} instance - The instance of the producer.
+ * @returns {Promise} A promise for the completion of all the scheduled requests.
+ * @private
+ */
+function sendBatch(instance) {
+  const privateProps = internal(instance);
+  const { batch, logger, putRecords, sending, timeoutId } = privateProps;
+
+  clearTimeout(timeoutId);
+  Object.assign(privateProps, { batch: [], batchBytes: 0, timeoutId: null });
+
+  if (batch.length === 0) return sending;
+
+  const send = async () => {
+    logger.debug(`Sending a batch of ${batch.length} record(s)…`);
+    try {
+      const { encryptionType, records } = await putRecords(
+        batch.map(({ encodedRecord }) => encodedRecord)
+      );
+      batch.forEach(({ reject, resolve }, index) => {
+        const { errorCode, errorMessage } = records[index];
+        if (errorCode) reject(Object.assign(new Error(errorMessage), { code: errorCode }));
+        else resolve({ encryptionType, ...records[index] });
+      });
+    } catch (err) {
+      logger.error('Unable to send a batch of records:', err);
+      batch.forEach(({ reject }) => reject(err));
+    }
+  };
+
+  const nextSending = sending.then(send);
+  privateProps.sending = nextSending;
+  return nextSending;
+}
+
+/**
+ * Adds an encoded record to the queue. The queued records are sent before the new record if it
+ * doesn't fit in the batch, and right after it if the batch is full. Otherwise, the records are
+ * sent once the linger period expires.
+ *
+ * @param {Object} instance - The instance of the producer.
+ * @param {Object} entry - An object with the encoded record and the callbacks for its promise.
+ * @private
+ */
+function enqueue(instance, entry) {
+  const size = getRecordSize(entry.encodedRecord);
+  const { batch: queued, batchBytes: queuedBytes, maxBatchBytes } = internal(instance);
+  if (queued.length > 0 && queuedBytes + size > maxBatchBytes) sendBatch(instance);
+
+  const privateProps = internal(instance);
+  const { batch, batchBytes, lingerMs, maxBatchSize, timeoutId } = privateProps;
+  batch.push(entry);
+  privateProps.batchBytes = batchBytes + size;
+
+  if (batch.length >= maxBatchSize || batchBytes + size >= maxBatchBytes) {
+    sendBatch(instance);
+  } else if (!timeoutId) {
+    privateProps.timeoutId = setTimeout(sendBatch, lingerMs, instance);
+  }
+}
+
+/**
+ * Class that implements a buffered producer.
+ *
+ * @alias module:producer
+ */
+class Producer {
+  /**
+   * Initializes an instance of the producer.
+   *
+   * @param {Object} options - The initialization options.
+   * @param {Function} options.encodeRecord - A function that encodes a record into the format
+   *        expected by AWS.Kinesis.
+   * @param {number} options.lingerMs - The maximum time in milliseconds a record waits in the
+   *        queue before being sent.
+   * @param {Object} options.logger - An instance of a logger.
+   * @param {number} options.maxBatchBytes - The maximum size in bytes of a batch of records.
+   * @param {number} options.maxBatchSize - The maximum number of records in a batch.
+   * @param {Function} options.putRecords - A function that writes encoded records into the stream.
+   */
+  constructor({ encodeRecord, lingerMs, logger, maxBatchBytes, maxBatchSize, putRecords }) {
+    Object.assign(internal(this), {
+      batch: [],
+      batchBytes: 0,
+      encodeRecord,
+      encoding: Promise.resolve(),
+      isClosed: false,
+      lingerMs,
+      logger,
+      maxBatchBytes,
+      maxBatchSize,
+      putRecords,
+      sending: Promise.resolve(),
+      timeoutId: null
+    });
+  }
+
+  /**
+   * Closes the producer. Records can't be put after this call, and the records already in the
+   * queue are sent.
+   *
+   * @fulfil {undefined} - Once all the queued records have been sent.
+   * @returns {Promise}
+   */
+  async close() {
+    internal(this).isClosed = true;
+    await this.flush();
+  }
+
+  /**
+   * Sends the queued records without waiting for the linger period to expire.
+   *
+   * @fulfil {undefined} - Once all the queued records have been sent.
+   * @returns {Promise}
+   */
+  async flush() {
+    await internal(this).encoding;
+    await sendBatch(this);
+  }
+
+  /**
+   * Queues a record to be written into the stream.
+   *
+   * @param {Object} params - The parameters.
+   * @param {*} params.data - The data to put into the record.
+   * @param {string} [params.explicitHashKey] - The hash value used to explicitly determine the
+   *        shard the data record is assigned to by overriding the partition key hash.
+   * @param {string} [params.partitionKey] - Determines which shard in the stream the data record
+   *        is assigned to. If omitted, it will be calculated based on a SHA-1 hash of the data.
+   * @fulfil {Object} - The result for the record, with `shardId` and `sequenceNumber`.
+   * @reject {Error} - If the producer is closed, or on any error while writing the record.
+   * @returns {Promise}
+   */
+  putRecord(params) {
+    const privateProps = internal(this);
+    const { encodeRecord, encoding, isClosed } = privateProps;
+
+    if (isClosed) return Promise.reject(new Error('The producer is closed.'));
+
+    return new Promise((resolve, reject) => {
+      const encodeAndEnqueue = async () => {
+        try {
+          const encodedRecord = await encodeRecord(params);
+          enqueue(this, { encodedRecord, reject, resolve });
+        } catch (err) {
+          reject(err);
+        }
+      };
+      privateProps.encoding = encoding.then(encodeAndEnqueue);
+    });
+  }
+}
+
+module.exports = Producer;
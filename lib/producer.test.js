@@ -0,0 +1,178 @@
+'use strict';
+
+const Producer = require('./producer');
+
+const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+
+function nextTickWait() {
+  return new Promise((resolve) => realSetImmediate(resolve));
+}
+
+jest.useFakeTimers();
+
+describe('lib/producer', () => {
+  const debug = jest.fn();
+  const error = jest.fn();
+  const logger = { debug, error };
+
+  const encodeRecord = jest.fn(async ({ data, partitionKey = 'k' }) => ({
+    Data: data,
+    PartitionKey: partitionKey
+  }));
+  const putRecords = jest.fn(async (records) => ({
+    encryptionType: 'NONE',
+    records: records.map(({ Data }) => ({ sequenceNumber: Data, shardId: 'shard-0000' }))
+  }));
+
+  const options = {
+    encodeRecord,
+    lingerMs: 100,
+    logger,
+    maxBatchBytes: 1024,
+    maxBatchSize: 500,
+    putRecords
+  };
+
+  afterEach(() => {
+    debug.mockClear();
+    error.mockClear();
+    encodeRecord.mockClear();
+    putRecords.mockClear();
+    setTimeout.mockClear();
+  });
+
+  test('the module exports the expected', () => {
+    expect(Producer).toEqual(expect.any(Function));
+    expect(Producer).toThrow('Class constructor');
+  });
+
+  test('queued records are sent in a batch once the linger period expires', async () => {
+    const producer = new Producer(options);
+    const promises = [producer.putRecord({ data: '1' }), producer.putRecord({ data: '2' })];
+    await nextTickWait();
+    expect(putRecords).not.toHaveBeenCalled();
+    expect(setTimeout).toHaveBeenCalledTimes(1);
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 100, producer);
+    jest.runOnlyPendingTimers();
+    await expect(Promise.all(promises)).resolves.toEqual([
+      { encryptionType: 'NONE', sequenceNumber: '1', shardId: 'shard-0000' },
+      { encryptionType: 'NONE', sequenceNumber: '2', shardId: 'shard-0000' }
+    ]);
+    expect(putRecords).toHaveBeenCalledTimes(1);
+    expect(putRecords).toHaveBeenCalledWith([
+      { Data: '1', PartitionKey: 'k' },
+      { Data: '2', PartitionKey: 'k' }
+    ]);
+    expect(debug).toHaveBeenCalledWith('Sending a batch of 2 record(s)…');
+  });
+
+  test('a batch is sent as soon as it reaches the maximum number of records', async () => {
+    const producer = new Producer({ ...options, maxBatchSize: 2 });
+    const promises = ['1', '2', '3'].map((data) => producer.putRecord({ data }));
+    await nextTickWait();
+    expect(putRecords).toHaveBeenCalledTimes(1);
+    expect(putRecords).toHaveBeenNthCalledWith(1, [
+      { Data: '1', PartitionKey: 'k' },
+      { Data: '2', PartitionKey: 'k' }
+    ]);
+    await producer.flush();
+    expect(putRecords).toHaveBeenCalledTimes(2);
+    expect(putRecords).toHaveBeenNthCalledWith(2, [{ Data: '3', PartitionKey: 'k' }]);
+    await expect(Promise.all(promises)).resolves.toHaveLength(3);
+  });
+
+  test('a batch is sent before going over the maximum number of bytes', async () => {
+    const producer = new Producer({ ...options, maxBatchBytes: 10 });
+    producer.putRecord({ data: 'abc' });
+    producer.putRecord({ data: 'def' });
+    producer.putRecord({ data: 'ghi' });
+    producer.putRecord({ data: 'jklmnopqr' });
+    await nextTickWait();
+    expect(putRecords).toHaveBeenCalledTimes(3);
+    expect(putRecords).toHaveBeenNthCalledWith(1, [
+      { Data: 'abc', PartitionKey: 'k' },
+      { Data: 'def', PartitionKey: 'k' }
+    ]);
+    expect(putRecords).toHaveBeenNthCalledWith(2, [{ Data: 'ghi', PartitionKey: 'k' }]);
+    expect(putRecords).toHaveBeenNthCalledWith(3, [{ Data: 'jklmnopqr', PartitionKey: 'k' }]);
+    await producer.flush();
+    expect(putRecords).toHaveBeenCalledTimes(3);
+  });
+
+  test('batches are sent one after the other', async () => {
+    let resolveFirstBatch;
+    putRecords.mockImplementationOnce(
+      (records) =>
+        new Promise((resolve) => {
+          resolveFirstBatch = () => resolve({ records });
+        })
+    );
+    const producer = new Producer({ ...options, maxBatchSize: 1 });
+    producer.putRecord({ data: '1' });
+    producer.putRecord({ data: '2' });
+    await nextTickWait();
+    expect(putRecords).toHaveBeenCalledTimes(1);
+    resolveFirstBatch();
+    await producer.flush();
+    expect(putRecords).toHaveBeenCalledTimes(2);
+  });
+
+  test('the records of a batch are rejected if the batch cannot be sent', async () => {
+    putRecords.mockRejectedValueOnce(new Error('foo'));
+    const producer = new Producer(options);
+    const promises = [producer.putRecord({ data: '1' }), producer.putRecord({ data: '2' })];
+    await producer.flush();
+    await expect(promises[0]).rejects.toThrow('foo');
+    await expect(promises[1]).rejects.toThrow('foo');
+    expect(error).toHaveBeenCalledWith(
+      'Unable to send a batch of records:',
+      expect.objectContaining({ message: 'foo' })
+    );
+    const promise = producer.putRecord({ data: '3' });
+    await producer.flush();
+    await expect(promise).resolves.toEqual(expect.objectContaining({ sequenceNumber: '3' }));
+  });
+
+  test('the records that failed to be written are rejected with the error code', async () => {
+    putRecords.mockResolvedValueOnce({
+      encryptionType: 'NONE',
+      records: [
+        { sequenceNumber: '1', shardId: 'shard-0000' },
+        { errorCode: 'ProvisionedThroughputExceededException', errorMessage: 'foo' }
+      ]
+    });
+    const producer = new Producer(options);
+    const promises = [producer.putRecord({ data: '1' }), producer.putRecord({ data: '2' })];
+    await producer.flush();
+    await expect(promises[0]).resolves.toEqual(expect.objectContaining({ sequenceNumber: '1' }));
+    await expect(promises[1]).rejects.toThrow('foo');
+    await expect(promises[1]).rejects.toHaveProperty(
+      'code',
+      'ProvisionedThroughputExceededException'
+    );
+  });
+
+  test('a record is rejected if it cannot be encoded', async () => {
+    encodeRecord.mockRejectedValueOnce(new Error('foo'));
+    const producer = new Producer(options);
+    const promises = [producer.putRecord({}), producer.putRecord({ data: '2' })];
+    await producer.flush();
+    await expect(promises[0]).rejects.toThrow('foo');
+    await expect(promises[1]).resolves.toEqual(expect.objectContaining({ sequenceNumber: '2' }));
+  });
+
+  test('flushing a producer with an empty queue does nothing', async () => {
+    const producer = new Producer(options);
+    await expect(producer.flush()).resolves.toBeUndefined();
+    expect(putRecords).not.toHaveBeenCalled();
+  });
+
+  test('closing a producer sends the queued records and rejects new ones', async () => {
+    const producer = new Producer(options);
+    const promise = producer.putRecord({ data: '1' });
+    await producer.close();
+    expect(putRecords).toHaveBeenCalledTimes(1);
+    await expect(promise).resolves.toEqual(expect.objectContaining({ sequenceNumber: '1' }));
+    await expect(producer.putRecord({ data: '2' })).rejects.toThrow('The producer is closed.');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Module that implements a metrics reporter that keeps the counters, gauges, and histograms
+ * reported by the client, and renders them in the Prometheus text exposition format, so they can
+ * be served to a Prometheus scraper.
+ *
+ * @module prometheus-metrics
+ * @private
+ */
+
+'use strict';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const privateData = new WeakMap();
+
+/**
+ * Provides access to the private data of the specified instance.
+ *
+ * @param {Object} instance - The private data's owner.
+ * @returns {Object} The private data.
+ * @private
+ */
+function internal(instance) {
+  if (!privateData.has(instance)) privateData.set(instance, {});
+  return privateData.get(instance);
+}
+
+/**
+ * Escapes a label value so it can be used in the Prometheus text format.
+ *
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels as in the Prometheus text format. The labels are sorted by name so the
+ * same set of labels is always formatted in the same way.
+ *
+ * @param {Object} labels - The labels.
+ * @returns {string} The formatted labels, or an empty string if there are none.
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Returns the series of a metric for the given labels, creating the metric and the series if
+ * they haven't been reported yet. Values reported for a name already used by a metric of a
+ * different type are ignored.
+ *
+ * @param {Object} instance - The instance of the reporter.
+ * @param {string} type - The type of the metric.
+ * @param {string} name - The name of the metric, without the prefix.
+ * @param {Object} labels - The labels of the series.
+ * @returns {Object} The series, or `null` if the name is used by a metric of a different type.
+ * @private
+ */
+function getSeries(instance, type, name, labels) {
+  const { buckets, metrics, prefix } = internal(instance);
+  const fullName = `${prefix}${name}`;
+  if (!metrics.has(fullName)) metrics.set(fullName, { series: new Map(), type });
+  const metric = metrics.get(fullName);
+  if (metric.type !== type) return null;
+  const formattedLabels = formatLabels(labels);
+  if (!metric.series.has(formattedLabels)) {
+    metric.series.set(formattedLabels, {
+      labels,
+      value: 0,
+      ...(type === 'histogram' && { bucketCounts: buckets.map(() => 0), count: 0 })
+    });
+  }
+  return metric.series.get(formattedLabels);
+}
+
+/**
+ * Renders the series of a histogram as in the Prometheus text format.
+ *
+ * @param {Object} instance - The instance of the reporter.
+ * @param {string} name - The full name of the histogram.
+ * @param {Object} series - The series of the histogram.
+ * @returns {Array<string>} The lines of the series.
+ * @private
+ */
+function renderHistogram(instance, name, series) {
+  const { buckets } = internal(instance);
+  const { bucketCounts, count, labels, value } = series;
+  return [
+    ...buckets.map(
+      (bucket, index) =>
+        `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${bucketCounts[index]}`
+    ),
+    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+    `${name}_sum${formatLabels(labels)} ${value}`,
+    `${name}_count${formatLabels(labels)} ${count}`
+  ];
+}
+
+/**
+ * Class that implements a metrics reporter for Prometheus.
+ *
+ * @alias module:prometheus-metrics
+ */
+class PrometheusMetrics {
+  /**
+   * Initializes an instance of the reporter.
+   *
+   * @param {Object} [options] - The initialization options.
+   * @param {Array<number>} [options.buckets] - The upper bounds of the buckets of the histograms.
+   * @param {string} [options.prefix=lifion_kinesis_] - The prefix of the names of the metrics.
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, prefix = 'lifion_kinesis_' } = {}) {
+    Object.assign(internal(this), {
+      buckets: Array.from(buckets).sort((a, b) => a - b),
+      metrics: new Map(),
+      prefix
+    });
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @param {string} name - The name of the counter.
+   * @param {number} [value=1] - The amount to increment the counter by.
+   * @param {Object} [labels={}] - The labels of the counter.
+   */
+  counter(name, value = 1, labels = {}) {
+    const series = getSeries(this, 'counter', name, labels);
+    if (series) series.value += value;
+  }
+
+  /**
+   * Sets the value of a gauge.
+   *
+   * @param {string} name - The name of the gauge.
+   * @param {number} value - The value of the gauge.
+   * @param {Object} [labels={}] - The labels of the gauge.
+   */
+  gauge(name, value, labels = {}) {
+    const series = getSeries(this, 'gauge', name, labels);
+    if (series) series.value = value;
+  }
+
+  /**
+   * Observes a value in a histogram.
+   *
+   * @param {string} name - The name of the histogram.
+   * @param {number} value - The observed value.
+   * @param {Object} [labels={}] - The labels of the histogram.
+   */
+  histogram(name, value, labels = {}) {
+    const { buckets } = internal(this);
+    const series = getSeries(this, 'histogram', name, labels);
+    if (!series) return;
+    buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.bucketCounts[index] += 1;
+    });
+    series.count += 1;
+    series.value += value;
+  }
+
+  /**
+   * Renders the reported metrics in the Prometheus text exposition format.
+   *
+   * @returns {string} The metrics, ready to be served to a Prometheus scraper.
+   */
+  render() {
+    const { metrics } = internal(this);
+    const lines = [];
+    metrics.forEach(({ series, type }, name) => {
+      lines.push(`# TYPE ${name} ${type}`);
+      series.forEach((entry) => {
+        if (type === 'histogram') lines.push(...renderHistogram(this, name, entry));
+        else lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+      });
+    });
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+}
+
+module.exports = PrometheusMetrics;
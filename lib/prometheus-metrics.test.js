@@ -0,0 +1,91 @@
+'use strict';
+
+const PrometheusMetrics = require('./prometheus-metrics');
+
+describe('lib/prometheus-metrics', () => {
+  test('the module exports the expected', () => {
+    expect(PrometheusMetrics).toEqual(expect.any(Function));
+    expect(PrometheusMetrics).toThrow('Class constructor');
+    expect(Object.getOwnPropertyNames(PrometheusMetrics.prototype)).toEqual([
+      'constructor',
+      'counter',
+      'gauge',
+      'histogram',
+      'render'
+    ]);
+  });
+
+  test('nothing is rendered if no metrics have been reported', () => {
+    expect(new PrometheusMetrics().render()).toBe('');
+  });
+
+  test('counters and gauges are rendered with their labels', () => {
+    const metrics = new PrometheusMetrics();
+    const unsortedLabels = JSON.parse('{"stream":"baz","code":"bar"}');
+    metrics.counter('foo_total');
+    metrics.counter('foo_total', 2);
+    metrics.counter('foo_total', 1, { code: 'bar', stream: 'baz' });
+    metrics.counter('foo_total', 1, unsortedLabels);
+    metrics.gauge('bar', 3, { stream: 'baz' });
+    metrics.gauge('bar', 1, { stream: 'baz' });
+    expect(metrics.render()).toBe(
+      [
+        '# TYPE lifion_kinesis_foo_total counter',
+        'lifion_kinesis_foo_total 3',
+        'lifion_kinesis_foo_total{code="bar",stream="baz"} 2',
+        '# TYPE lifion_kinesis_bar gauge',
+        'lifion_kinesis_bar{stream="baz"} 1',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('histograms are rendered with their buckets, sum, and count', () => {
+    const metrics = new PrometheusMetrics({ buckets: [1, 0.5], prefix: 'test_' });
+    metrics.histogram('foo_seconds', 0.25, { operation: 'bar' });
+    metrics.histogram('foo_seconds', 0.75, { operation: 'bar' });
+    metrics.histogram('foo_seconds', 2, { operation: 'bar' });
+    metrics.histogram('baz_seconds', 0.5);
+    expect(metrics.render()).toBe(
+      [
+        '# TYPE test_foo_seconds histogram',
+        'test_foo_seconds_bucket{le="0.5",operation="bar"} 1',
+        'test_foo_seconds_bucket{le="1",operation="bar"} 2',
+        'test_foo_seconds_bucket{le="+Inf",operation="bar"} 3',
+        'test_foo_seconds_sum{operation="bar"} 3',
+        'test_foo_seconds_count{operation="bar"} 3',
+        '# TYPE test_baz_seconds histogram',
+        'test_baz_seconds_bucket{le="0.5"} 1',
+        'test_baz_seconds_bucket{le="1"} 1',
+        'test_baz_seconds_bucket{le="+Inf"} 1',
+        'test_baz_seconds_sum 0.5',
+        'test_baz_seconds_count 1',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('the label values are escaped', () => {
+    const metrics = new PrometheusMetrics();
+    metrics.gauge('foo', 1, { bar: 'a\\b"c\nd' });
+    expect(metrics.render()).toContain('lifion_kinesis_foo{bar="a\\\\b\\"c\\nd"} 1');
+  });
+
+  test('values reported for a name used by a metric of another type are ignored', () => {
+    const metrics = new PrometheusMetrics();
+    metrics.counter('foo');
+    metrics.gauge('foo', 5);
+    metrics.histogram('foo', 5);
+    metrics.gauge('bar', 2);
+    metrics.counter('bar');
+    expect(metrics.render()).toBe(
+      [
+        '# TYPE lifion_kinesis_foo counter',
+        'lifion_kinesis_foo 1',
+        '# TYPE lifion_kinesis_bar gauge',
+        'lifion_kinesis_bar 2',
+        ''
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Module that implements a record processor. The records of the consumed batches are passed to
+ * a handler one at a time, in order within each shard (or within each partition key of a shard),
+ * while records in different shards (or with different partition keys) can be processed at the
+ * same time, up to a concurrency limit. The checkpoint of each shard advances to the highest
+ * record processed after which all the previous records have been processed too. If there's a
+ * dead-letter target, records are retried until they run out of attempts, and then they're sent
+ * to the target and considered processed.
+ *
+ * @module record-processor
+ * @private
+ */
+
+'use strict';
+
+const privateData = new WeakMap();
+
+/**
+ * Provides access to the private data of the specified instance.
+ *
+ * @param {Object} instance - The private data's owner.
+ * @returns {Object} The private data.
+ * @private
+ */
+function internal(instance) {
+  if (!privateData.has(instance)) privateData.set(instance, {});
+  return privateData.get(instance);
+}
+
+/**
+ * Wakes up the processing loop if it's waiting for the in-flight batches to be processed.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @private
+ */
+function wakeLoop(instance) {
+  const privateProps = internal(instance);
+  const { loopWaiter } = privateProps;
+  privateProps.loopWaiter = null;
+  if (loopWaiter) loopWaiter();
+}
+
+/**
+ * Stops the processing after a failure. The first error is kept so it can be thrown once the
+ * records being processed are settled, and no more records are passed to the handler.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Error} err - The error that caused the failure.
+ * @private
+ */
+function fail(instance, err) {
+  const privateProps = internal(instance);
+  const { batches, error, logger } = privateProps;
+  if (error) return;
+  logger.error('Unable to process the records:', err);
+  privateProps.error = err;
+  batches.return();
+  wakeLoop(instance);
+}
+
+/**
+ * Waits for a free slot to pass a record to the handler, so the number of records being
+ * processed at the same time doesn't exceed the concurrency limit.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @returns {Promise} A promise resolved once the slot is taken.
+ * @private
+ */
+function acquireSlot(instance) {
+  const privateProps = internal(instance);
+  const { activeCount, concurrency, slotWaiters } = privateProps;
+  if (activeCount < concurrency) {
+    privateProps.activeCount = activeCount + 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => slotWaiters.push(resolve));
+}
+
+/**
+ * Frees a slot taken to pass a record to the handler, handing it over to the next waiting record.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @private
+ */
+function releaseSlot(instance) {
+  const privateProps = internal(instance);
+  const { activeCount, slotWaiters } = privateProps;
+  const next = slotWaiters.shift();
+  if (next) next();
+  else privateProps.activeCount = activeCount - 1;
+}
+
+/**
+ * Schedules the acknowledgement of a batch up to the given record. Acknowledgements are sent one
+ * after the other for each shard, and partial acknowledgements replaced by a later one before
+ * being sent are skipped, so the checkpoints aren't stored more often than needed.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Object} shard - The processing state of the shard the batch belongs to.
+ * @param {Object} entry - The entry for the record up to which the batch is acknowledged.
+ * @private
+ */
+function acknowledge(instance, shard, entry) {
+  const { batch, isLast, record } = entry;
+  const ackId = shard.ackCount + 1;
+  const send = async () => {
+    if (!isLast && ackId !== shard.ackCount) return;
+    await batch.ack(record.sequenceNumber);
+  };
+  Object.assign(shard, {
+    ackCount: ackId,
+    acking: shard.acking.then(send).catch((err) => fail(instance, err))
+  });
+}
+
+/**
+ * Advances the checkpoint of a shard to the highest processed record after which all the
+ * previous records have been processed too. Fully processed batches are acknowledged, which
+ * also makes room for more batches. The records deaggregated from the same record share its
+ * sequence number, so batches are only partially acknowledged after the last of them.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Object} shard - The processing state of the shard.
+ * @private
+ */
+function advance(instance, shard) {
+  const privateProps = internal(instance);
+  const { entries } = shard;
+  let last = null;
+  while (entries.length > 0 && entries[0].isDone) {
+    last = entries.shift();
+    if (last.isLast) {
+      acknowledge(instance, shard, last);
+      privateProps.pendingBatches -= 1;
+      wakeLoop(instance);
+    }
+  }
+  if (last && !last.isLast && entries[0].record.sequenceNumber !== last.record.sequenceNumber) {
+    acknowledge(instance, shard, last);
+  }
+}
+
+/**
+ * Calls the handler with a record. If the handler fails and there's a dead-letter target, the
+ * call is retried until it runs out of attempts, and then the record is sent to the target.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Object} record - The record to process.
+ * @param {Object} context - The context passed to the handler along with the record.
+ * @param {number} attempt - The number of the attempt.
+ * @returns {Promise} A promise resolved once the record is processed or sent to the target.
+ * @private
+ */
+async function handleRecord(instance, record, context, attempt) {
+  const { handler, logger, maxAttempts, sendToDeadLetter } = internal(instance);
+  try {
+    await handler(record, context);
+  } catch (err) {
+    if (!sendToDeadLetter) throw err;
+    const { sequenceNumber } = record;
+    const { shardId } = context;
+    if (attempt < maxAttempts) {
+      logger.debug(
+        `Retrying the record "${sequenceNumber}" from "${shardId}" (${attempt} failed)…`
+      );
+      await handleRecord(instance, record, context, attempt + 1);
+      return;
+    }
+    await sendToDeadLetter({ attempts: attempt, error: err, record, shardId });
+  }
+}
+
+/**
+ * Passes a record to the handler once there's a free slot, unless the processing has failed, in
+ * which case the record is left unprocessed.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Object} shard - The processing state of the shard the record belongs to.
+ * @param {Object} entry - The entry for the record.
+ * @param {Object} context - The context passed to the handler along with the record.
+ * @returns {Promise} A promise resolved once the record is settled.
+ * @private
+ */
+async function processRecord(instance, shard, entry, context) {
+  await acquireSlot(instance);
+  const { error } = internal(instance);
+  try {
+    if (error) return;
+    await handleRecord(instance, entry.record, context, 1);
+    Object.assign(entry, { isDone: true });
+    advance(instance, shard);
+  } catch (err) {
+    fail(instance, err);
+  } finally {
+    releaseSlot(instance);
+  }
+}
+
+/**
+ * Queues the records of a batch in the lanes they belong to. The records of a lane are passed to
+ * the handler one after the other, lanes are either shards or partition keys within a shard.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @param {Object} batch - A batch of records with an `ack()` function.
+ * @private
+ */
+function dispatchBatch(instance, batch) {
+  const privateProps = internal(instance);
+  const { keyBy, lanes, shards } = privateProps;
+  const { millisBehindLatest, records, shardId, streamName } = batch;
+  const context = { millisBehindLatest, shardId, streamName };
+
+  if (!shards.has(shardId)) {
+    shards.set(shardId, { ackCount: 0, acking: Promise.resolve(), entries: [] });
+  }
+  const shard = shards.get(shardId);
+  privateProps.pendingBatches += 1;
+
+  records.forEach((record, index) => {
+    const entry = { batch, isDone: false, isLast: index === records.length - 1, record };
+    shard.entries.push(entry);
+    const key = keyBy === 'partitionKey' ? `${shardId}/${record.partitionKey}` : shardId;
+    const { promise: previous } = lanes.get(key) || {};
+    const run = async () => {
+      await previous;
+      await processRecord(instance, shard, entry, context);
+      if (lanes.get(key).entry === entry) lanes.delete(key);
+    };
+    lanes.set(key, { entry, promise: run() });
+  });
+}
+
+/**
+ * Reads batches and dispatches their records until there are no more batches or the processing
+ * fails. No more batches are read while the number of batches being processed is at the limit.
+ *
+ * @param {Object} instance - The instance of the record processor.
+ * @returns {Promise} A promise resolved once there are no more batches to read.
+ * @private
+ */
+async function processBatches(instance) {
+  const { batches, concurrency } = internal(instance);
+  while (!internal(instance).error) {
+    if (internal(instance).pendingBatches >= concurrency) {
+      await new Promise((resolve) => {
+        internal(instance).loopWaiter = resolve;
+      });
+    } else {
+      const { done, value } = await batches.next();
+      if (done) return;
+      dispatchBatch(instance, value);
+    }
+  }
+}
+
+/**
+ * Class that implements a record processor.
+ *
+ * @alias module:record-processor
+ */
+class RecordProcessor {
+  /**
+   * Initializes an instance of the record processor.
+   *
+   * @param {Object} options - The initialization options.
+   * @param {Object} options.batches - An async iterator of batches of records, each with an
+   *        `ack()` function that can take the sequence number of the last processed record.
+   * @param {number} options.concurrency - The maximum number of records being processed at the
+   *        same time, which is also the maximum number of batches being processed.
+   * @param {Function} options.handler - The function that processes a record.
+   * @param {string} options.keyBy - Either `"shardId"` or `"partitionKey"`, what the order of the
+   *        records is kept within.
+   * @param {Object} options.logger - An instance of a logger.
+   * @param {number} [options.maxAttempts] - The number of times a record is passed to the handler
+   *        before sending it to the dead-letter target.
+   * @param {Function} [options.sendToDeadLetter] - A function that sends a record that failed to
+   *        be processed to the dead-letter target. If not provided, the first failure stops the
+   *        processing.
+   */
+  constructor({ batches, concurrency, handler, keyBy, logger, maxAttempts, sendToDeadLetter }) {
+    Object.assign(internal(this), {
+      activeCount: 0,
+      batches,
+      concurrency,
+      error: null,
+      handler,
+      keyBy,
+      lanes: new Map(),
+      logger,
+      loopWaiter: null,
+      maxAttempts,
+      pendingBatches: 0,
+      sendToDeadLetter,
+      shards: new Map(),
+      slotWaiters: []
+    });
+  }
+
+  /**
+   * Processes the records until there are no more batches, or until a record fails to be
+   * processed. The records of the batches already read are processed before finishing, unless
+   * the processing failed, in which case the queued records are left unprocessed (and their
+   * checkpoints unstored).
+   *
+   * @fulfil {undefined} - Once there are no more batches and their records are settled.
+   * @reject {Error} - The first error thrown by the handler or while reading the batches.
+   * @returns {Promise}
+   */
+  async start() {
+    try {
+      await processBatches(this);
+    } catch (err) {
+      fail(this, err);
+    }
+    const { lanes, shards } = internal(this);
+    await Promise.all(Array.from(lanes.values(), ({ promise }) => promise));
+    await Promise.all(Array.from(shards.values(), ({ acking }) => acking));
+    const { error } = internal(this);
+    if (error) throw error;
+  }
+}
+
+module.exports = RecordProcessor;
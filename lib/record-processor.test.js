@@ -0,0 +1,334 @@
+'use strict';
+
+const RecordProcessor = require('./record-processor');
+
+function getDeferred() {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    Object.assign(deferred, { reject, resolve });
+  });
+  return deferred;
+}
+
+function getBatch(shardId, records) {
+  return {
+    ack: jest.fn(() => Promise.resolve()),
+    millisBehindLatest: 0,
+    records: records.map(([sequenceNumber, partitionKey = 'a']) => ({
+      partitionKey,
+      sequenceNumber
+    })),
+    shardId,
+    streamName: 'test-stream'
+  };
+}
+
+function getBatches(batches) {
+  const queue = Array.from(batches);
+  return {
+    next: jest.fn(() =>
+      Promise.resolve(
+        queue.length > 0 ? { done: false, value: queue.shift() } : { done: true, value: undefined }
+      )
+    ),
+    return: jest.fn(() => Promise.resolve({ done: true, value: undefined }))
+  };
+}
+
+describe('lib/record-processor', () => {
+  const debug = jest.fn();
+  const error = jest.fn();
+  const logger = { debug, error };
+
+  afterEach(() => {
+    debug.mockClear();
+    error.mockClear();
+  });
+
+  test('the module exports the expected', () => {
+    expect(RecordProcessor).toEqual(expect.any(Function));
+    expect(RecordProcessor).toThrow('Class constructor');
+  });
+
+  test('the records of a shard are processed in order and the batches acknowledged', async () => {
+    const deferred = getDeferred();
+    const handler = jest.fn(({ sequenceNumber }) => sequenceNumber === '1' && deferred.promise);
+    const batchA = getBatch('shard-0000', [['1'], ['2']]);
+    const batchB = getBatch('shard-0001', [['3']]);
+    const batches = getBatches([batchA, batchB]);
+    const processor = new RecordProcessor({
+      batches,
+      concurrency: 2,
+      handler,
+      keyBy: 'shardId',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(handler.mock.calls).toEqual([
+      [
+        { partitionKey: 'a', sequenceNumber: '1' },
+        { millisBehindLatest: 0, shardId: 'shard-0000', streamName: 'test-stream' }
+      ],
+      [
+        { partitionKey: 'a', sequenceNumber: '3' },
+        { millisBehindLatest: 0, shardId: 'shard-0001', streamName: 'test-stream' }
+      ]
+    ]);
+    expect(batchB.ack.mock.calls).toEqual([['3']]);
+    deferred.resolve();
+    await expect(promise).resolves.toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(handler).toHaveBeenLastCalledWith(
+      { partitionKey: 'a', sequenceNumber: '2' },
+      expect.any(Object)
+    );
+    expect(batchA.ack.mock.calls).toEqual([['1'], ['2']]);
+    expect(batches.next).toHaveBeenCalledTimes(3);
+  });
+
+  test('the number of records processed at the same time is limited', async () => {
+    let activeCount = 0;
+    let maxActiveCount = 0;
+    const handler = jest.fn(async () => {
+      activeCount += 1;
+      maxActiveCount = Math.max(maxActiveCount, activeCount);
+      await Promise.resolve();
+      activeCount -= 1;
+    });
+    const batches = getBatches([
+      getBatch('shard-0000', [
+        ['1', 'a'],
+        ['2', 'b'],
+        ['3', 'c']
+      ]),
+      getBatch('shard-0001', [
+        ['4', 'a'],
+        ['5', 'b']
+      ])
+    ]);
+    const processor = new RecordProcessor({
+      batches,
+      concurrency: 2,
+      handler,
+      keyBy: 'partitionKey',
+      logger
+    });
+    await processor.start();
+    expect(handler).toHaveBeenCalledTimes(5);
+    expect(maxActiveCount).toBe(2);
+  });
+
+  test('no more batches are read while the processed batches are at the limit', async () => {
+    const deferred = getDeferred();
+    const handler = jest.fn(() => deferred.promise);
+    const batches = getBatches([getBatch('shard-0000', [['1']]), getBatch('shard-0001', [['2']])]);
+    const processor = new RecordProcessor({
+      batches,
+      concurrency: 1,
+      handler,
+      keyBy: 'shardId',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(batches.next).toHaveBeenCalledTimes(1);
+    deferred.resolve();
+    await promise;
+    expect(batches.next).toHaveBeenCalledTimes(3);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('the checkpoints advance up to the records after which all are processed', async () => {
+    const deferred = getDeferred();
+    const handler = jest.fn(({ partitionKey }) => partitionKey === 'a' && deferred.promise);
+    const batch = getBatch('shard-0000', [
+      ['1', 'b'],
+      ['2', 'a'],
+      ['3', 'b'],
+      ['4', 'a']
+    ]);
+    const processor = new RecordProcessor({
+      batches: getBatches([batch]),
+      concurrency: 2,
+      handler,
+      keyBy: 'partitionKey',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(batch.ack.mock.calls).toEqual([['1']]);
+    deferred.resolve();
+    await promise;
+    expect(batch.ack.mock.calls).toEqual([['1'], ['3'], ['4']]);
+  });
+
+  test('the batches are only partially acknowledged after whole aggregated records', async () => {
+    const deferred = getDeferred();
+    const handler = jest.fn(({ partitionKey }) => partitionKey === 'b' && deferred.promise);
+    const batch = getBatch('shard-0000', [
+      ['1', 'a'],
+      ['1', 'a'],
+      ['2', 'a'],
+      ['2', 'b'],
+      ['3', 'a']
+    ]);
+    const processor = new RecordProcessor({
+      batches: getBatches([batch]),
+      concurrency: 2,
+      handler,
+      keyBy: 'partitionKey',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(handler).toHaveBeenCalledTimes(5);
+    expect(batch.ack.mock.calls).toEqual([['1']]);
+    deferred.resolve();
+    await promise;
+    expect(batch.ack.mock.calls).toEqual([['1'], ['3']]);
+  });
+
+  test('the partial acknowledgements replaced by later ones are skipped', async () => {
+    const deferred = getDeferred();
+    const batch = getBatch('shard-0000', [['1'], ['2'], ['3']]);
+    batch.ack.mockImplementationOnce(() => deferred.promise);
+    const processor = new RecordProcessor({
+      batches: getBatches([batch]),
+      concurrency: 1,
+      handler: jest.fn(),
+      keyBy: 'shardId',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(batch.ack.mock.calls).toEqual([['1']]);
+    deferred.resolve();
+    await promise;
+    expect(batch.ack.mock.calls).toEqual([['1'], ['3']]);
+  });
+
+  test('the processing stops on the first error thrown by the handler', async () => {
+    const handler = jest.fn(({ sequenceNumber }) => {
+      if (sequenceNumber === '2') throw new Error('foo');
+    });
+    const batch = getBatch('shard-0000', [['1'], ['2'], ['3']]);
+    const batches = getBatches([batch]);
+    const processor = new RecordProcessor({
+      batches,
+      concurrency: 1,
+      handler,
+      keyBy: 'shardId',
+      logger
+    });
+    await expect(processor.start()).rejects.toThrow('foo');
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(batch.ack.mock.calls).toEqual([['1']]);
+    expect(batches.return).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith(
+      'Unable to process the records:',
+      expect.objectContaining({ message: 'foo' })
+    );
+  });
+
+  test('only the first error thrown by the handler is kept', async () => {
+    const handler = jest.fn(async ({ sequenceNumber }) => {
+      await Promise.resolve();
+      throw new Error(sequenceNumber);
+    });
+    const processor = new RecordProcessor({
+      batches: getBatches([
+        getBatch('shard-0000', [
+          ['1', 'a'],
+          ['2', 'b']
+        ])
+      ]),
+      concurrency: 2,
+      handler,
+      keyBy: 'partitionKey',
+      logger
+    });
+    await expect(processor.start()).rejects.toThrow('1');
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+
+  test('the processing stops if the batches fail to be read or acknowledged', async () => {
+    const batches = getBatches([]);
+    batches.next.mockRejectedValueOnce(new Error('foo'));
+    const handler = jest.fn();
+    const options = { batches, concurrency: 1, handler, keyBy: 'shardId', logger };
+    await expect(new RecordProcessor(options).start()).rejects.toThrow('foo');
+
+    const batch = getBatch('shard-0000', [['1']]);
+    batch.ack.mockRejectedValueOnce(new Error('bar'));
+    const otherOptions = { ...options, batches: getBatches([batch]) };
+    await expect(new RecordProcessor(otherOptions).start()).rejects.toThrow('bar');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('the records already read are processed once there are no more batches', async () => {
+    const deferred = getDeferred();
+    const handler = jest.fn(() => deferred.promise);
+    const batches = getBatches([getBatch('shard-0000', [['1']]), getBatch('shard-0000', [['2']])]);
+    const processor = new RecordProcessor({
+      batches,
+      concurrency: 3,
+      handler,
+      keyBy: 'shardId',
+      logger
+    });
+    const promise = processor.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(batches.next).toHaveBeenCalledTimes(3);
+    deferred.resolve();
+    await promise;
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('the failed records are retried and then sent to the dead-letter target', async () => {
+    const handler = jest.fn(({ sequenceNumber }) => {
+      if (sequenceNumber === '1') throw new Error('foo');
+    });
+    const sendToDeadLetter = jest.fn(() => Promise.resolve());
+    const batch = getBatch('shard-0000', [['1'], ['2']]);
+    const processor = new RecordProcessor({
+      batches: getBatches([batch]),
+      concurrency: 1,
+      handler,
+      keyBy: 'shardId',
+      logger,
+      maxAttempts: 3,
+      sendToDeadLetter
+    });
+    await expect(processor.start()).resolves.toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(4);
+    expect(debug).toHaveBeenCalledTimes(2);
+    expect(debug).toHaveBeenLastCalledWith('Retrying the record "1" from "shard-0000" (2 failed)…');
+    expect(sendToDeadLetter).toHaveBeenCalledWith({
+      attempts: 3,
+      error: expect.objectContaining({ message: 'foo' }),
+      record: { partitionKey: 'a', sequenceNumber: '1' },
+      shardId: 'shard-0000'
+    });
+    expect(batch.ack.mock.calls).toEqual([['1'], ['2']]);
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('the processing stops if a record fails to be sent to the dead-letter target', async () => {
+    const batch = getBatch('shard-0000', [['1'], ['2']]);
+    const processor = new RecordProcessor({
+      batches: getBatches([batch]),
+      concurrency: 1,
+      handler: jest.fn(() => Promise.reject(new Error('foo'))),
+      keyBy: 'shardId',
+      logger,
+      maxAttempts: 1,
+      sendToDeadLetter: jest.fn(() => Promise.reject(new Error('bar')))
+    });
+    await expect(processor.start()).rejects.toThrow('bar');
+    expect(batch.ack).not.toHaveBeenCalled();
+  });
+});
@@ -7,15 +7,22 @@
 
 'use strict';
 
+const ProtoBuf = require('protobufjs');
 const shortUuid = require('short-uuid');
 const { Transform } = require('stream');
 const { createHash } = require('crypto');
 
+const aggJson = require('./aggregate-protobuf.json');
 const compressionLibs = require('./compression');
 
 const IS_JSON_REGEX = /^[[{].*[\]}]$/;
+const KPL_MAGIC_NUMBER = Buffer.from('f3899ac2', 'hex');
+const MAX_AGGREGATED_SIZE = 1024 * 1024 - 256 - KPL_MAGIC_NUMBER.length - 16;
+
+const aggregatedRecordType = ProtoBuf.Root.fromJSON(aggJson).lookupType('AggregatedRecord');
 
 const privateData = new WeakMap();
+const rawRecords = new WeakMap();
 
 /**
  * Provides access to the private data of the specified instance.
@@ -40,6 +47,265 @@ function hash(buffer) {
   return createHash('sha1').update(buffer).digest('base64');
 }
 
+/**
+ * Returns the number of bytes required to encode the given integer as a protobuf varint.
+ *
+ * @param {number} value - A non-negative integer.
+ * @returns {number} The size in bytes.
+ * @private
+ */
+function getVarintSize(value) {
+  let size = 1;
+  for (let rest = value; rest >= 128; rest = Math.floor(rest / 128)) size += 1;
+  return size;
+}
+
+/**
+ * Returns the number of bytes required to encode a length-delimited protobuf field.
+ *
+ * @param {number} length - The length of the field value in bytes.
+ * @returns {number} The size in bytes.
+ * @private
+ */
+function getFieldSize(length) {
+  return 1 + getVarintSize(length) + length;
+}
+
+/**
+ * Converts a non-negative integer, given as a decimal string of any length, into a zero-padded
+ * hexadecimal string of 128 bits, so hash keys can be compared as strings.
+ *
+ * @param {string} decimal - The decimal representation of the integer.
+ * @returns {string} The hexadecimal representation of the integer.
+ * @private
+ */
+function toHashKeyHex(decimal) {
+  let digits = Array.from(decimal, Number);
+  let hex = '';
+  while (digits.length > 0) {
+    const quotient = [];
+    let remainder = 0;
+    digits.forEach((digit) => {
+      const value = remainder * 10 + digit;
+      remainder = value % 16;
+      if (quotient.length > 0 || value >= 16) quotient.push(Math.floor(value / 16));
+    });
+    hex = `${remainder.toString(16)}${hex}`;
+    digits = quotient;
+  }
+  return hex.padStart(32, '0');
+}
+
+/**
+ * Returns the 128-bit hash key Kinesis uses to map a record to a shard. The hash key is either
+ * the explicit hash key of the record, or the MD5 hash of its partition key.
+ *
+ * @param {Object} record - A record in the format expected by AWS.Kinesis.
+ * @returns {string} The hash key as a zero-padded hexadecimal string.
+ * @private
+ */
+function getHashKey(record) {
+  const { ExplicitHashKey, PartitionKey } = record;
+  if (ExplicitHashKey !== undefined) return toHashKeyHex(ExplicitHashKey);
+  return createHash('md5').update(PartitionKey, 'utf8').digest('hex');
+}
+
+/**
+ * Prepares the entry of a record in an aggregate, along with the indexes of its keys in the key
+ * tables of the aggregate, and the number of bytes the entry would add to the protobuf message.
+ *
+ * @param {Object} aggregate - The aggregate the record would be added to.
+ * @param {Object} record - A record in the format expected by AWS.Kinesis.
+ * @returns {Object} The entry, the key indexes, and the size of the entry.
+ * @private
+ */
+function getAggregateEntry(aggregate, record) {
+  const { explicitHashKeys, partitionKeys } = aggregate;
+  const { Data, ExplicitHashKey, PartitionKey } = record;
+  const data = Buffer.from(Data);
+
+  let size = 0;
+  let partitionKeyIndex = partitionKeys.get(PartitionKey);
+  if (partitionKeyIndex === undefined) {
+    partitionKeyIndex = partitionKeys.size;
+    size += getFieldSize(Buffer.byteLength(PartitionKey));
+  }
+  let explicitHashKeyIndex = explicitHashKeys.get(ExplicitHashKey);
+  if (ExplicitHashKey !== undefined && explicitHashKeyIndex === undefined) {
+    explicitHashKeyIndex = explicitHashKeys.size;
+    size += getFieldSize(Buffer.byteLength(ExplicitHashKey));
+  }
+  const hasExplicitHashKey = explicitHashKeyIndex !== undefined;
+  const entrySize =
+    1 +
+    getVarintSize(partitionKeyIndex) +
+    (hasExplicitHashKey ? 1 + getVarintSize(explicitHashKeyIndex) : 0) +
+    getFieldSize(data.length);
+  size += getFieldSize(entrySize);
+
+  return {
+    entry: {
+      data,
+      ...(hasExplicitHashKey && { explicit_hash_key_index: explicitHashKeyIndex }),
+      partition_key_index: partitionKeyIndex
+    },
+    explicitHashKeyIndex,
+    partitionKeyIndex,
+    size
+  };
+}
+
+/**
+ * Serializes an aggregate into a Kinesis record using the Kinesis Producer Library (KPL) format,
+ * that is, the KPL magic number, followed by the protobuf message, and the MD5 checksum of it.
+ * The resulting record uses the keys of the first aggregated record, so it's mapped to its shard.
+ *
+ * @param {Object} aggregate - The aggregate to serialize.
+ * @returns {Object} A record in the format expected by AWS.Kinesis.
+ * @private
+ */
+function serializeAggregate(aggregate) {
+  const { explicitHashKeys, partitionKeys, records, userRecords } = aggregate;
+  const [{ ExplicitHashKey, PartitionKey }] = userRecords;
+  const message = aggregatedRecordType
+    .encode({
+      explicit_hash_key_table: Array.from(explicitHashKeys.keys()),
+      partition_key_table: Array.from(partitionKeys.keys()),
+      records
+    })
+    .finish();
+  const checksum = createHash('md5').update(message).digest();
+  return {
+    Data: Buffer.concat([KPL_MAGIC_NUMBER, message, checksum]),
+    PartitionKey,
+    ...(ExplicitHashKey !== undefined && { ExplicitHashKey })
+  };
+}
+
+/**
+ * Aggregates records, as returned by the records encoder, into Kinesis records in the format used
+ * by the Kinesis Producer Library (KPL), so many records can be sent as a single Kinesis record.
+ * The records are grouped by the shard they're mapped to, and each aggregated record is mapped to
+ * the shard of its first record. The resulting records can be read by consumers that deaggregate
+ * records (like with the `shouldDeaggregate` option, or the Kinesis Client Library).
+ *
+ * @param {Array<Object>} records - The records to aggregate, in the format expected by AWS.Kinesis.
+ * @param {Array<Object>} shards - The open shards of the stream, objects with `shardId`, and the
+ *        `startingHashKey` and `endingHashKey` of their hash key ranges.
+ * @returns {Object} An object with the aggregated records (`aggregatedRecords`), and the position
+ *          of every given record in them (`positions`, objects with `index` and
+ *          `subSequenceNumber`).
+ * @memberof module:records
+ */
+function aggregateRecords(records, shards) {
+  const ranges = shards.map(({ endingHashKey, shardId, startingHashKey }) => ({
+    end: toHashKeyHex(endingHashKey),
+    shardId,
+    start: toHashKeyHex(startingHashKey)
+  }));
+  const aggregates = [];
+  const openAggregates = new Map();
+
+  const createAggregate = (shardId) => {
+    const aggregate = {
+      explicitHashKeys: new Map(),
+      index: aggregates.length,
+      partitionKeys: new Map(),
+      records: [],
+      size: 0,
+      userRecords: []
+    };
+    aggregates.push(aggregate);
+    openAggregates.set(shardId, aggregate);
+    return aggregate;
+  };
+
+  const positions = records.map((record) => {
+    const hashKey = getHashKey(record);
+    const range = ranges.find(({ end, start }) => hashKey >= start && hashKey <= end);
+    const shardId = range ? range.shardId : null;
+
+    let aggregate = openAggregates.get(shardId) || createAggregate(shardId);
+    let aggregateEntry = getAggregateEntry(aggregate, record);
+    if (
+      aggregate.records.length > 0 &&
+      aggregate.size + aggregateEntry.size > MAX_AGGREGATED_SIZE
+    ) {
+      aggregate = createAggregate(shardId);
+      aggregateEntry = getAggregateEntry(aggregate, record);
+    }
+
+    const { entry, explicitHashKeyIndex, partitionKeyIndex, size } = aggregateEntry;
+    aggregate.partitionKeys.set(record.PartitionKey, partitionKeyIndex);
+    if (explicitHashKeyIndex !== undefined) {
+      aggregate.explicitHashKeys.set(record.ExplicitHashKey, explicitHashKeyIndex);
+    }
+    aggregate.records.push(entry);
+    aggregate.userRecords.push(record);
+    aggregate.size += size;
+    return { index: aggregate.index, subSequenceNumber: aggregate.records.length - 1 };
+  });
+
+  return { aggregatedRecords: aggregates.map(serializeAggregate), positions };
+}
+
+/**
+ * Turns a record in the format returned by AWS.Kinesis into a native object with its original
+ * data as a Base64 string.
+ *
+ * @param {Object} record - A record in the format returned by AWS.Kinesis.
+ * @returns {Object} The record, with `data`, `partitionKey`, and `sequenceNumber`, plus the
+ *          `subSequenceNumber` of the records deaggregated out of a KPL aggregated record.
+ * @private
+ */
+function toRawRecord(record) {
+  const {
+    ApproximateArrivalTimestamp: approximateArrivalTimestamp,
+    Data,
+    EncryptionType: encryptionType,
+    PartitionKey: partitionKey,
+    SequenceNumber: sequenceNumber,
+    SubSequenceNumber: subSequenceNumber
+  } = record;
+  return {
+    approximateArrivalTimestamp,
+    data: Buffer.isBuffer(Data) ? Data.toString('base64') : Data,
+    encryptionType,
+    partitionKey,
+    sequenceNumber,
+    subSequenceNumber
+  };
+}
+
+/**
+ * Returns the original data of a record decoded by the functions returned by `getRecordsDecoder`.
+ *
+ * @param {Object} record - A decoded record.
+ * @returns {Object} The record as it was received, with its data as a Base64 string, or
+ *          `undefined` if the record wasn't decoded by this module.
+ * @memberof module:records
+ */
+function getRawRecord(record) {
+  const rawRecord = rawRecords.get(record);
+  return rawRecord && toRawRecord(rawRecord);
+}
+
+/**
+ * Returns the size in bytes of the original data of a record decoded by the functions returned
+ * by `getRecordsDecoder`.
+ *
+ * @param {Object} record - A decoded record.
+ * @returns {number} The size of the data as it was received, or `0` if the record wasn't decoded
+ *          by this module.
+ * @memberof module:records
+ */
+function getRecordSize(record) {
+  const rawRecord = rawRecords.get(record);
+  if (!rawRecord) return 0;
+  const { Data } = rawRecord;
+  return Buffer.isBuffer(Data) ? Data.length : Buffer.byteLength(Data, 'base64');
+}
+
 /**
  * Returns a function that decodes Kinesis records as they are retrieved from AWS.Kinesis into
  * native objects. The decoder will also decompress the record data as instructed.
@@ -49,6 +315,9 @@ function hash(buffer) {
  * @param {string} [options.inputEncoding] - The encoding of the `Data` property in the AWS.Kinesis record.
  * @param {boolean|string} [options.shouldParseJson] - Whether if retrieved records' data should be parsed as JSON or not.
  * @param {Object} [options.logger] - An instance of a logger.
+ * @param {Function} [options.onDecodeError] - If provided, the records that can't be decoded
+ *        are passed to this function (with their data as a Base64 string) along with the error,
+ *        and they're decoded as `null` instead of keeping their original data.
  * @param {Object} [options.s3Client] - The s3Client in the current kinesis client.
  * @param {boolean} [options.useS3ForLargeItems] - Whether to automatically use an S3 bucket to store large items or not.
  * @returns {Function} A function that decodes `record` objects from AWS.Kinesis.
@@ -58,6 +327,7 @@ function getRecordsDecoder({
   compression,
   inputEncoding,
   logger,
+  onDecodeError,
   s3Client,
   shouldParseJson,
   useS3ForLargeItems
@@ -100,20 +370,28 @@ function getRecordsDecoder({
       if (useS3ForLargeItems && s3Client && s3Item) {
         const { bucket, key } = s3Item;
         const { Body, ContentType } = await s3Client.getObject({ Bucket: bucket, Key: key });
-        return {
+        const decodedRecord = {
           ...recordHeaders,
           ...nonS3KeysData,
           data: ContentType === 'application/json' ? JSON.parse(Body) : Body.toString('utf8')
         };
+        rawRecords.set(decodedRecord, record);
+        return decodedRecord;
       }
     } catch (err) {
       if (logger) logger.warn('Could not decode record:', err);
+      if (onDecodeError) {
+        await onDecodeError(toRawRecord(record), err);
+        return null;
+      }
     }
 
-    return {
+    const decodedRecord = {
       ...recordHeaders,
       data
     };
+    rawRecords.set(decodedRecord, record);
+    return decodedRecord;
   };
 }
 
@@ -201,10 +479,19 @@ class RecordsDecoder extends Transform {
    * @param {string} options.compression - The kind of compression to use in records data.
    * @param {string} options.shouldParseJson - If data is in JSON format and should be parsed.
    * @param {string} options.logger - An instance of a logger.
+   * @param {Function} [options.onDecodeError] - If provided, the records that can't be decoded
+   *        are passed to this function along with the error, and they're left out.
    * @param {Object} options.s3Client - The s3Client in the current kinesis client.
    * @param {boolean} options.useS3ForLargeItems - Whether to automatically use an S3 bucket to store large items or not.
    */
-  constructor({ compression, logger, s3Client, shouldParseJson, useS3ForLargeItems }) {
+  constructor({
+    compression,
+    logger,
+    onDecodeError,
+    s3Client,
+    shouldParseJson,
+    useS3ForLargeItems
+  }) {
     super({ objectMode: true });
 
     Object.assign(internal(this), {
@@ -213,6 +500,7 @@ class RecordsDecoder extends Transform {
         compression,
         inputEncoding: 'Base64',
         logger,
+        onDecodeError,
         s3Client,
         shouldParseJson,
         useS3ForLargeItems
@@ -250,11 +538,15 @@ class RecordsDecoder extends Transform {
     if (eventType === 'SubscribeToShardEvent') {
       const continuationSequenceNumber = payload.ContinuationSequenceNumber;
       const millisBehindLatest = payload.MillisBehindLatest;
-      Promise.all(payload.Records.map(recordsDecoder)).then((records) => {
-        this.push({ continuationSequenceNumber, millisBehindLatest, records });
-        callback();
-        return undefined;
-      });
+      Promise.all(payload.Records.map(recordsDecoder)).then(
+        (records) => {
+          const decodedRecords = records.filter((record) => record !== null);
+          this.push({ continuationSequenceNumber, millisBehindLatest, records: decodedRecords });
+          callback();
+          return undefined;
+        },
+        (err) => callback(err)
+      );
       return;
     }
 
@@ -265,6 +557,9 @@ class RecordsDecoder extends Transform {
 
 module.exports = {
   RecordsDecoder,
+  aggregateRecords,
+  getRawRecord,
+  getRecordSize,
   getRecordsDecoder,
   getRecordsEncoder
 };
@@ -2,7 +2,9 @@
 
 const Chance = require('chance');
 const shortUuid = require('short-uuid');
+const { createHash } = require('crypto');
 
+const deaggregate = require('./deaggregate');
 const records = require('./records');
 
 const chance = new Chance();
@@ -10,7 +12,14 @@ const chance = new Chance();
 describe('lib/records', () => {
   const largeDoc = chance.paragraph({ sentences: 6000 });
   const mockLogger = { debug: jest.fn(), error: jest.fn(), warn: jest.fn() };
-  const { RecordsDecoder, getRecordsDecoder, getRecordsEncoder } = records;
+  const {
+    RecordsDecoder,
+    aggregateRecords,
+    getRawRecord,
+    getRecordSize,
+    getRecordsDecoder,
+    getRecordsEncoder
+  } = records;
 
   const mockS3Client = {
     createBucket: jest.fn(),
@@ -38,6 +47,9 @@ describe('lib/records', () => {
   test('the module exports the expected', () => {
     expect(records).toEqual({
       RecordsDecoder: expect.any(Function),
+      aggregateRecords: expect.any(Function),
+      getRawRecord: expect.any(Function),
+      getRecordSize: expect.any(Function),
       getRecordsDecoder: expect.any(Function),
       getRecordsEncoder: expect.any(Function)
     });
@@ -184,6 +196,131 @@ describe('lib/records', () => {
         decoder.destroy();
       });
     });
+
+    test('leaves out the records that cannot be decoded when there is a handler', () => {
+      const onDecodeError = jest.fn(() => Promise.resolve());
+      const decoder = new RecordsDecoder({
+        compression,
+        logger: mockLogger,
+        onDecodeError,
+        shouldParseJson: true
+      });
+      return new Promise((resolve, reject) => {
+        decoder.on('error', reject);
+        decoder.on('data', (data) => {
+          expect(data).toEqual({
+            continuationSequenceNumber: undefined,
+            millisBehindLatest: undefined,
+            records: []
+          });
+          expect(onDecodeError).toHaveBeenCalledWith(
+            expect.objectContaining({ data: 'eyJmbiJiYXIifQ==' }),
+            expect.any(Error)
+          );
+          resolve();
+        });
+        decoder.write({
+          headers: {
+            ':event-type': 'SubscribeToShardEvent',
+            ':message-type': 'event'
+          },
+          payload: {
+            Records: [{ Data: 'eyJmbiJiYXIifQ==' }]
+          }
+        });
+      }).finally(() => {
+        decoder.destroy();
+      });
+    });
+
+    test('emits errors when the handler of records that cannot be decoded fails', () => {
+      const decoder = new RecordsDecoder({
+        compression,
+        logger: mockLogger,
+        onDecodeError: () => Promise.reject(new Error('foo')),
+        shouldParseJson: true
+      });
+      return new Promise((resolve, reject) => {
+        decoder.on('error', (err) => {
+          expect(err).toEqual(expect.objectContaining({ message: 'foo' }));
+          resolve();
+        });
+        decoder.on('data', reject);
+        decoder.write({
+          headers: {
+            ':event-type': 'SubscribeToShardEvent',
+            ':message-type': 'event'
+          },
+          payload: {
+            Records: [{ Data: 'eyJmbiJiYXIifQ==' }]
+          }
+        });
+      }).finally(() => {
+        decoder.destroy();
+      });
+    });
+  });
+
+  describe('getRawRecord', () => {
+    test('returns the raw version of the records decoded by the module', async () => {
+      const decoder = getRecordsDecoder({ inputEncoding: 'Base64', shouldParseJson: true });
+      const record = await decoder({
+        ApproximateArrivalTimestamp: 'baz',
+        Data: 'eyJmb28iOiJiYXIifQ==',
+        EncryptionType: 'qux',
+        PartitionKey: 'quux',
+        SequenceNumber: 'quuz'
+      });
+      expect(getRawRecord(record)).toEqual({
+        approximateArrivalTimestamp: 'baz',
+        data: 'eyJmb28iOiJiYXIifQ==',
+        encryptionType: 'qux',
+        partitionKey: 'quux',
+        sequenceNumber: 'quuz'
+      });
+    });
+
+    test('returns the sub-sequence number of the deaggregated records', async () => {
+      const decoder = getRecordsDecoder({ inputEncoding: 'Base64', shouldParseJson: true });
+      const record = await decoder({
+        Data: 'eyJmb28iOiJiYXIifQ==',
+        SequenceNumber: 'quuz',
+        SubSequenceNumber: 1
+      });
+      expect(getRawRecord(record)).toEqual(
+        expect.objectContaining({ sequenceNumber: 'quuz', subSequenceNumber: 1 })
+      );
+    });
+
+    test('returns the data of the raw records as a Base64 string', async () => {
+      const decoder = getRecordsDecoder({ shouldParseJson: true });
+      const record = await decoder({ Data: Buffer.from('{"foo":"bar"}') });
+      expect(getRawRecord(record)).toEqual(
+        expect.objectContaining({ data: 'eyJmb28iOiJiYXIifQ==' })
+      );
+    });
+
+    test('returns undefined for records not decoded by the module', () => {
+      expect(getRawRecord({ data: 'foo' })).toBeUndefined();
+    });
+  });
+
+  describe('getRecordSize', () => {
+    test('returns the size of the data of the records decoded by the module', async () => {
+      const decoder = getRecordsDecoder({ shouldParseJson: true });
+      const record = await decoder({ Data: Buffer.from('{"foo":"bar"}') });
+      expect(getRecordSize(record)).toBe(13);
+    });
+
+    test('returns the size of the Base64 data of the records decoded by the module', async () => {
+      const decoder = getRecordsDecoder({ inputEncoding: 'Base64', shouldParseJson: true });
+      const record = await decoder({ Data: 'eyJmb28iOiJiYXIifQ==' });
+      expect(getRecordSize(record)).toBe(13);
+    });
+
+    test('returns zero for records not decoded by the module', () => {
+      expect(getRecordSize({ data: 'foo' })).toBe(0);
+    });
   });
 
   describe('getRecordsDecoder', () => {
@@ -239,6 +376,16 @@ describe('lib/records', () => {
       await expect(decoder({ Data: 'foo' })).resolves.toEqual({ data: 'foo' });
     });
 
+    test('returns a function that passes the records it cannot decode to a handler', async () => {
+      const onDecodeError = jest.fn(() => Promise.resolve());
+      const decoder = getRecordsDecoder({ onDecodeError, shouldParseJson: true });
+      await expect(decoder({ Data: 'foo', SequenceNumber: '1' })).resolves.toBeNull();
+      expect(onDecodeError).toHaveBeenCalledWith(
+        expect.objectContaining({ data: 'foo', sequenceNumber: '1' }),
+        expect.any(Error)
+      );
+    });
+
     test('returns a function that decodes a message passed through s3', async () => {
       mockS3Client.getObject.mockResolvedValue({
         Body: Buffer.from(`{"data":"${largeDoc}"}`),
@@ -411,4 +558,121 @@ describe('lib/records', () => {
       });
     });
   });
+
+  describe('aggregateRecords', () => {
+    const shards = [
+      {
+        endingHashKey: '170141183460469231731687303715884105727',
+        shardId: 'shard-0000',
+        startingHashKey: '0'
+      },
+      {
+        endingHashKey: '340282366920938463463374607431768211455',
+        shardId: 'shard-0001',
+        startingHashKey: '170141183460469231731687303715884105728'
+      }
+    ];
+
+    test('returns records in the KPL aggregation format grouped by shard', async () => {
+      const { aggregatedRecords, positions } = aggregateRecords(
+        [
+          { Data: 'foo', PartitionKey: 'bar' },
+          { Data: Buffer.from('baz'), PartitionKey: 'foo' },
+          {
+            Data: 'qux',
+            ExplicitHashKey: '340282366920938463463374607431768211455',
+            PartitionKey: 'a'
+          },
+          { Data: 'quux', PartitionKey: 'bar' }
+        ],
+        shards
+      );
+      expect(positions).toEqual([
+        { index: 0, subSequenceNumber: 0 },
+        { index: 1, subSequenceNumber: 0 },
+        { index: 1, subSequenceNumber: 1 },
+        { index: 0, subSequenceNumber: 1 }
+      ]);
+      expect(aggregatedRecords).toEqual([
+        { Data: expect.any(Buffer), PartitionKey: 'bar' },
+        { Data: expect.any(Buffer), PartitionKey: 'foo' }
+      ]);
+
+      const [{ Data }] = aggregatedRecords;
+      expect(Data.slice(0, 4).toString('hex')).toBe('f3899ac2');
+      const checksum = createHash('md5').update(Data.slice(4, -16)).digest();
+      expect(Data.slice(-16)).toEqual(checksum);
+
+      const userRecords = await deaggregate(aggregatedRecords);
+      expect(
+        userRecords.map(
+          ({ Data: data, ExplicitPartitionKey, PartitionKey, SubSequenceNumber }) => ({
+            data: data.toString(),
+            explicitHashKey: ExplicitPartitionKey,
+            partitionKey: PartitionKey,
+            subSequenceNumber: SubSequenceNumber
+          })
+        )
+      ).toEqual([
+        { data: 'foo', partitionKey: 'bar', subSequenceNumber: 0 },
+        { data: 'quux', partitionKey: 'bar', subSequenceNumber: 1 },
+        { data: 'baz', partitionKey: 'foo', subSequenceNumber: 0 },
+        {
+          data: 'qux',
+          explicitHashKey: '340282366920938463463374607431768211455',
+          partitionKey: 'a',
+          subSequenceNumber: 1
+        }
+      ]);
+    });
+
+    test('maps aggregated records to the shard of their first record', () => {
+      const { aggregatedRecords } = aggregateRecords(
+        [
+          { Data: 'foo', ExplicitHashKey: '1', PartitionKey: 'qux' },
+          { Data: 'baz', PartitionKey: 'bar' }
+        ],
+        shards
+      );
+      expect(aggregatedRecords).toEqual([
+        { Data: expect.any(Buffer), ExplicitHashKey: '1', PartitionKey: 'qux' }
+      ]);
+    });
+
+    test('splits the aggregated records before going over the size limit', async () => {
+      const data = 'x'.repeat(400 * 1024);
+      const { aggregatedRecords, positions } = aggregateRecords(
+        [
+          { Data: data, PartitionKey: 'foo' },
+          { Data: data, PartitionKey: 'foo' },
+          { Data: data, PartitionKey: 'foo' }
+        ],
+        shards
+      );
+      expect(positions).toEqual([
+        { index: 0, subSequenceNumber: 0 },
+        { index: 0, subSequenceNumber: 1 },
+        { index: 1, subSequenceNumber: 0 }
+      ]);
+      aggregatedRecords.forEach(({ Data }) => {
+        expect(Data.length).toBeLessThanOrEqual(1024 * 1024 - 256);
+      });
+      await expect(deaggregate(aggregatedRecords)).resolves.toHaveLength(3);
+    });
+
+    test('groups together the records that cannot be mapped to a shard', () => {
+      const { aggregatedRecords, positions } = aggregateRecords(
+        [
+          { Data: 'foo', PartitionKey: 'bar' },
+          { Data: 'baz', PartitionKey: 'qux' }
+        ],
+        []
+      );
+      expect(aggregatedRecords).toHaveLength(1);
+      expect(positions).toEqual([
+        { index: 0, subSequenceNumber: 0 },
+        { index: 0, subSequenceNumber: 1 }
+      ]);
+    });
+  });
 });
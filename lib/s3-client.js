@@ -10,11 +10,17 @@
 
 'use strict';
 
-const retry = require('async-retry');
 const { S3 } = require('aws-sdk');
 
+const { getMetricsReporter, measureRequest } = require('./metrics');
 const { reportError, reportResponse } = require('./stats');
-const { getStackObj, shouldBailRetry, transformErrorStack } = require('./utils');
+const {
+  getRetryOpts,
+  getStackObj,
+  retryCall,
+  shouldBailRetry,
+  transformErrorStack
+} = require('./utils');
 
 const privateData = new WeakMap();
 const statsSource = 's3';
@@ -37,6 +43,7 @@ function internal(instance) {
  * are the original ones provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.S3.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
  * @param {...*} args - The arguments of the method call.
  * @fulfil {*} - The original response from the AWS.S3 call.
@@ -45,11 +52,12 @@ function internal(instance) {
  * @private
  *
  */
-async function sdkCall(client, methodName, ...args) {
+async function sdkCall(client, meter, methodName, ...args) {
   const stackObj = getStackObj(sdkCall);
   try {
-    return client[methodName](...args)
-      .promise()
+    const { labels, metrics } = meter;
+    const request = client[methodName](...args).promise();
+    return measureRequest(metrics, { ...labels, operation: methodName }, request)
       .then((response) => {
         reportResponse(statsSource);
         return response;
@@ -72,20 +80,22 @@ async function sdkCall(client, methodName, ...args) {
  * are based on a custom logic replacing the one provided by the AWS-SDK.
  *
  * @param {Object} client - An instance of AWS.S3.
+ * @param {Object} meter - The metrics reporter and the labels for the calls of the client.
  * @param {string} methodName - The name of the method to call.
- * @param {Object} retryOpts - The [retry options as in async-retry]{@link external:AsyncRetry}.
+ * @param {Object} retryOpts - The retry options as returned by `getRetryOpts`.
  * @param {...*} args - The argument of the method call.
  * @fulfil {*} - The original response from the AWS.S3 call.
  * @reject {Error} - The error details from AWS.S3 with a corrected error stack.
  * @returns {Promise}
  * @private
  */
-function retriableSdkCall(client, methodName, retryOpts, ...args) {
+function retriableSdkCall(client, meter, methodName, retryOpts, ...args) {
   const stackObj = getStackObj(retriableSdkCall);
-  return retry((bail) => {
+  return retryCall((bail) => {
     try {
-      return client[methodName](...args)
-        .promise()
+      const { labels, metrics } = meter;
+      const request = client[methodName](...args).promise();
+      return measureRequest(metrics, { ...labels, operation: methodName }, request)
         .then((response) => {
           reportResponse(statsSource);
           return response;
@@ -120,35 +130,44 @@ class S3Client {
    * @param {number} [options.largeItemThreshold=900] - The size in KB above which an item
    *        should automatically be stored in s3.
    * @param {Object} options.logger - An instace of a logger.
+   * @param {Object} [options.metrics] - A metrics reporter, see the `metrics` option of the client.
    * @param {Array<string>} [options.nonS3Keys=[]] - If the `useS3ForLargeItems` option is set to
    *        `true`, the `nonS3Keys` option lists the keys that will be sent normally on the kinesis record.
+   * @param {Object} [options.retry] - The retry policy, the `s3` options apply to the calls.
    * @param {string} [options.tags] - The tags that should be present in the s3 bucket.
    */
-  constructor({ bucketName, largeItemThreshold, logger, nonS3Keys, tags, ...awsOptions }) {
+  constructor({
+    bucketName,
+    largeItemThreshold,
+    logger,
+    metrics,
+    nonS3Keys,
+    retry,
+    tags,
+    ...awsOptions
+  }) {
     const client = new S3(awsOptions);
+    const labels = { bucket: bucketName, service: 's3' };
+    const reporter = getMetricsReporter(metrics, logger);
 
-    const retryOpts = {
-      forever: true,
-      maxTimeout: 5 * 60 * 1000,
-      minTimeout: 1000,
-      onRetry: (err) => {
-        const { code, message, requestId, statusCode } = err;
-        logger.warn(
-          `Trying to recover from AWS.S3 error…\n${[
-            `\t- Message: ${message}`,
-            `\t- Request ID: ${requestId}`,
-            `\t- Code: ${code} (${statusCode})`,
-            `\t- bucket: ${bucketName}`
-          ].join('\n')}`
-        );
-      },
-      randomize: true
-    };
+    const retryOpts = getRetryOpts(retry, 's3', (err) => {
+      const { code, message, requestId, statusCode } = err;
+      reporter.counter('aws_request_retries_total', 1, { ...labels, code });
+      logger.warn(
+        `Trying to recover from AWS.S3 error…\n${[
+          `\t- Message: ${message}`,
+          `\t- Request ID: ${requestId}`,
+          `\t- Code: ${code} (${statusCode})`,
+          `\t- bucket: ${bucketName}`
+        ].join('\n')}`
+      );
+    });
 
     Object.assign(internal(this), {
       bucketName,
       client,
       largeItemThreshold,
+      meter: { labels, metrics: reporter },
       nonS3Keys,
       retryOpts,
       tags
@@ -162,8 +181,8 @@ class S3Client {
    * @returns {Promise}
    */
   createBucket(...args) {
-    const { client } = internal(this);
-    return sdkCall(client, 'createBucket', ...args);
+    const { client, meter } = internal(this);
+    return sdkCall(client, meter, 'createBucket', ...args);
   }
 
   /**
@@ -173,13 +192,17 @@ class S3Client {
    * @returns {Promise}
    */
   getBucketLifecycleConfiguration(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'getBucketLifecycleConfiguration', retryOpts, ...args).catch(
-      (err) => {
-        if (err.code === 'NoSuchLifecycleConfiguration') return { Rules: [] };
-        throw err;
-      }
-    );
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(
+      client,
+      meter,
+      'getBucketLifecycleConfiguration',
+      retryOpts,
+      ...args
+    ).catch((err) => {
+      if (err.code === 'NoSuchLifecycleConfiguration') return { Rules: [] };
+      throw err;
+    });
   }
 
   /**
@@ -189,8 +212,8 @@ class S3Client {
    * @returns {Promise}
    */
   getBucketTagging(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'getBucketTagging', retryOpts, ...args).catch((err) => {
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'getBucketTagging', retryOpts, ...args).catch((err) => {
       if (err.code === 'NoSuchTagSet') return { TagSet: [] };
       throw err;
     });
@@ -203,8 +226,8 @@ class S3Client {
    * @returns {Promise}
    */
   getObject(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'getObject', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'getObject', retryOpts, ...args);
   }
 
   /**
@@ -214,8 +237,8 @@ class S3Client {
    * @returns {Promise}
    */
   headBucket(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'headBucket', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'headBucket', retryOpts, ...args);
   }
 
   /**
@@ -225,8 +248,8 @@ class S3Client {
    * @returns {Promise}
    */
   putBucketLifecycleConfiguration(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'putBucketLifecycleConfiguration', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'putBucketLifecycleConfiguration', retryOpts, ...args);
   }
 
   /**
@@ -236,8 +259,8 @@ class S3Client {
    * @returns {Promise}
    */
   putBucketTagging(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'putBucketTagging', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'putBucketTagging', retryOpts, ...args);
   }
 
   /**
@@ -247,8 +270,8 @@ class S3Client {
    * @returns {Promise}
    */
   putObject(...args) {
-    const { client, retryOpts } = internal(this);
-    return retriableSdkCall(client, 'putObject', retryOpts, ...args);
+    const { client, meter, retryOpts } = internal(this);
+    return retriableSdkCall(client, meter, 'putObject', retryOpts, ...args);
   }
 }
 
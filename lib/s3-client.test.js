@@ -44,6 +44,42 @@ describe('lib/consumers-manager', () => {
     expect(S3).toHaveBeenCalledWith({ foo: 'bar' });
   });
 
+  test('the calls are retried according to the retry policy for S3', async () => {
+    const retry = { get: { maxAttempts: 5 }, maxAttempts: 5, s3: { maxAttempts: 2 } };
+    const client = new S3Client({ bucketName: 'test bucket name', logger, retry });
+    const error = Object.assign(new Error('foo'), { code: 'ETIMEDOUT' });
+    const sdkClient = new S3();
+    sdkClient.getObject.mockClear();
+    Array.from({ length: 2 }).forEach(() => {
+      sdkClient.getObject.mockImplementationOnce(() => ({ promise: () => Promise.reject(error) }));
+    });
+    await expect(client.getObject({})).rejects.toEqual(
+      expect.objectContaining({ attempts: 2, message: 'foo' })
+    );
+    expect(sdkClient.getObject).toHaveBeenCalledTimes(2);
+  });
+
+  test('the calls and their retries are reported in the metrics', async () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    const client = new S3Client({ bucketName: 'test-bucket', logger, metrics });
+    const error = Object.assign(new Error('foo'), { code: 'ETIMEDOUT' });
+    const sdkClient = new S3();
+    sdkClient.putObject.mockImplementationOnce(() => ({ promise: () => Promise.reject(error) }));
+    await client.putObject({});
+    const labels = { bucket: 'test-bucket', service: 's3' };
+    expect(metrics.histogram).toHaveBeenCalledTimes(2);
+    expect(metrics.histogram).toHaveBeenCalledWith(
+      'aws_request_duration_seconds',
+      expect.any(Number),
+      { ...labels, operation: 'putObject' }
+    );
+    expect(metrics.counter.mock.calls).toEqual([
+      ['aws_request_errors_total', 1, { ...labels, code: 'ETIMEDOUT', operation: 'putObject' }],
+      ['aws_request_retries_total', 1, { ...labels, code: 'ETIMEDOUT' }]
+    ]);
+    sdkClient.putObject.mockClear();
+  });
+
   describe.each`
     methodName                           | isRetriable | expectedRetries | defaultValue      | notFoundErrorCode
     ${'createBucket'}                    | ${false}    | ${0}            | ${null}           | ${null}
@@ -0,0 +1,105 @@
+/**
+ * Module with the functions that read and locate the entries of the stream state stored in
+ * DynamoDB, shared by the state store and the admin. The state is either stored in the item of
+ * the stream, or in an item per shard, where the entries of the shards and the consumers are
+ * stored in their own items and the item of the stream keeps the rest of the state.
+ *
+ * @module state-layout
+ * @private
+ */
+
+'use strict';
+
+/**
+ * Returns the key of the item where an entry of the stream state is stored. When using an item
+ * per shard, the entries of the shards and the consumers are stored in their own items, with the
+ * type and the ID of the entry appended to the stream name in the sort key. Otherwise, all the
+ * entries are stored in the item of the stream.
+ *
+ * @param {Object} props - The properties of the stream state.
+ * @param {string} props.consumerGroup - The name of the consumer group.
+ * @param {string} props.streamName - The name of the stream.
+ * @param {boolean} [props.useItemPerShard] - Whether the state is stored in an item per shard.
+ * @param {string} [type] - The type of the entry (`consumers` or `shards`). If not provided, the
+ *        key of the item of the stream is returned.
+ * @param {string} [id] - The ID of the entry.
+ * @returns {Object} The key of the item.
+ * @memberof module:state-layout
+ */
+function getItemKey(props, type, id) {
+  const { consumerGroup, streamName, useItemPerShard } = props;
+  if (!useItemPerShard || !type) return { consumerGroup, streamName };
+  return { consumerGroup, streamName: `${streamName}/${type}/${id}` };
+}
+
+/**
+ * Returns the path to the state of the shards within an item, to be used in `update` expressions.
+ * The state of the shards is stored in the `shards` of the stream state, unless it belongs to a
+ * standalone consumer or a standalone enhanced fan-out consumer, which keep their own.
+ *
+ * @param {string} [type] - The type of the entry with its own state of the shards (`consumers` or
+ *        `enhancedConsumers`).
+ * @param {string} [id] - The ID of the entry with its own state of the shards.
+ * @returns {Object} An object with the `shardsPath` (a string pointing to where the state of the
+ *          shards is stored) and the `shardsPathNames` (the values of the attribute names in it).
+ * @memberof module:state-layout
+ */
+function getShardsPath(type, id) {
+  if (!type) return { shardsPath: '#a', shardsPathNames: { '#a': 'shards' } };
+  return {
+    shardsPath: '#a0.#a1.#a2',
+    shardsPathNames: { '#a0': type, '#a1': id, '#a2': 'shards' }
+  };
+}
+
+/**
+ * Retrieves all the items with the entries of the shards and the consumers of the stream stored
+ * in their own items. The query is paginated, so all the pages are retrieved.
+ *
+ * @param {Object} props - The properties of the stream state.
+ * @param {Object} props.client - The DynamoDB client.
+ * @param {string} props.consumerGroup - The name of the consumer group.
+ * @param {string} props.streamName - The name of the stream.
+ * @fulfil {Array<Object>} - The items.
+ * @returns {Promise}
+ * @memberof module:state-layout
+ */
+async function queryEntryItems(props) {
+  const { client, consumerGroup, streamName } = props;
+  const items = [];
+  let startKey;
+  do {
+    const { Items, LastEvaluatedKey } = await client.query({
+      ConsistentRead: true,
+      ExclusiveStartKey: startKey,
+      ExpressionAttributeNames: { '#a': 'consumerGroup', '#b': 'streamName' },
+      ExpressionAttributeValues: { ':a': consumerGroup, ':b': `${streamName}/` },
+      KeyConditionExpression: '#a = :a AND begins_with(#b, :b)'
+    });
+    items.push(...Items);
+    startKey = LastEvaluatedKey;
+  } while (startKey);
+  return items;
+}
+
+/**
+ * Merges the entries stored in their own items into the `consumers` and `shards` of the item of
+ * the stream, so the stream state has the same shape in both layouts.
+ *
+ * @param {Object} streamItem - The item of the stream.
+ * @param {Array<Object>} entryItems - The items of the entries, as returned by `queryEntryItems`.
+ * @returns {Object} The stream state.
+ * @memberof module:state-layout
+ */
+function mergeEntryItems(streamItem, entryItems) {
+  return entryItems.reduce(
+    (streamState, { consumers, shards }) => {
+      Object.assign(streamState.consumers, consumers);
+      Object.assign(streamState.shards, shards);
+      return streamState;
+    },
+    { ...streamItem, consumers: {}, shards: {} }
+  );
+}
+
+module.exports = { getItemKey, getShardsPath, mergeEntryItems, queryEntryItems };
@@ -0,0 +1,86 @@
+'use strict';
+
+const stateLayout = require('./state-layout');
+
+describe('lib/state-layout', () => {
+  const { getItemKey, getShardsPath, mergeEntryItems, queryEntryItems } = stateLayout;
+
+  const props = { consumerGroup: 'test-group', streamName: 'test-stream' };
+
+  test('the module exports the expected', () => {
+    expect(stateLayout).toEqual({
+      getItemKey: expect.any(Function),
+      getShardsPath: expect.any(Function),
+      mergeEntryItems: expect.any(Function),
+      queryEntryItems: expect.any(Function)
+    });
+  });
+
+  test('getItemKey returns the key of the stream item when not using an item per shard', () => {
+    expect(getItemKey(props, 'shards', 'shard-0001')).toEqual(props);
+    expect(getItemKey({ ...props, useItemPerShard: false }, 'consumers', 'foo')).toEqual(props);
+  });
+
+  test('getItemKey returns the key of the entry item when using an item per shard', () => {
+    const itemProps = { ...props, useItemPerShard: true };
+    expect(getItemKey(itemProps)).toEqual(props);
+    expect(getItemKey(itemProps, 'shards', 'shard-0001')).toEqual({
+      consumerGroup: 'test-group',
+      streamName: 'test-stream/shards/shard-0001'
+    });
+    expect(getItemKey(itemProps, 'consumers', 'foo')).toEqual({
+      consumerGroup: 'test-group',
+      streamName: 'test-stream/consumers/foo'
+    });
+  });
+
+  test('getShardsPath returns the path to the shards of the stream state', () => {
+    expect(getShardsPath()).toEqual({ shardsPath: '#a', shardsPathNames: { '#a': 'shards' } });
+  });
+
+  test('getShardsPath returns the path to the shards of an entry', () => {
+    expect(getShardsPath('enhancedConsumers', 'foo')).toEqual({
+      shardsPath: '#a0.#a1.#a2',
+      shardsPathNames: { '#a0': 'enhancedConsumers', '#a1': 'foo', '#a2': 'shards' }
+    });
+  });
+
+  test('queryEntryItems retrieves all the pages of the entry items', async () => {
+    const query = jest
+      .fn()
+      .mockResolvedValueOnce({ Items: [{ shards: { a: {} } }], LastEvaluatedKey: 'foo' })
+      .mockResolvedValueOnce({ Items: [{ consumers: { b: {} } }] });
+    await expect(queryEntryItems({ ...props, client: { query } })).resolves.toEqual([
+      { shards: { a: {} } },
+      { consumers: { b: {} } }
+    ]);
+    expect(query.mock.calls).toEqual([
+      [
+        {
+          ConsistentRead: true,
+          ExclusiveStartKey: undefined,
+          ExpressionAttributeNames: { '#a': 'consumerGroup', '#b': 'streamName' },
+          ExpressionAttributeValues: { ':a': 'test-group', ':b': 'test-stream/' },
+          KeyConditionExpression: '#a = :a AND begins_with(#b, :b)'
+        }
+      ],
+      [expect.objectContaining({ ExclusiveStartKey: 'foo' })]
+    ]);
+  });
+
+  test('mergeEntryItems merges the entries into the stream state', () => {
+    const streamItem = { enhancedConsumers: {}, version: '1' };
+    const entryItems = [
+      { consumers: { foo: { heartbeat: 'bar' } } },
+      { shards: { 'shard-0001': { version: '2' } } },
+      { shards: { 'shard-0002': { version: '3' } } }
+    ];
+    expect(mergeEntryItems(streamItem, entryItems)).toEqual({
+      consumers: { foo: { heartbeat: 'bar' } },
+      enhancedConsumers: {},
+      shards: { 'shard-0001': { version: '2' }, 'shard-0002': { version: '3' } },
+      version: '1'
+    });
+    expect(streamItem).toEqual({ enhancedConsumers: {}, version: '1' });
+  });
+});
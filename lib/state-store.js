@@ -1,5 +1,9 @@
 /**
- * Module that maintains the state of the consumer in a DynamoDB table.
+ * Module that maintains the state of the consumer in a DynamoDB table. By default, the state of
+ * a consumer group for a stream is stored in a single item. When using an item per shard, the
+ * state of each shard and the state of each consumer are stored in their own items instead (in a
+ * similar way to the lease tables of the KCL), so the state isn't limited by the maximum size of
+ * an item and the updates of different shards don't contend on the same item.
  *
  * @module state-store
  * @private
@@ -12,9 +16,14 @@ const { generate } = require('short-uuid');
 const { hostname } = require('os');
 
 const DynamoDbClient = require('./dynamodb-client');
+const { reportShardState } = require('./stats');
 const { confirmTableTags, ensureTableExists } = require('./table');
+const { getItemKey, getShardsPath, mergeEntryItems, queryEntryItems } = require('./state-layout');
+const { reportConsumersChanges } = require('./utils');
 const { name: moduleName } = require('../package.json');
 
+const RENEWALS_PER_UPDATE = 25;
+
 const appName = projectName(process.cwd());
 const host = hostname();
 const privateData = new WeakMap();
@@ -33,20 +42,185 @@ function internal(instance) {
 }
 
 /**
- * Retrieves the stream state.
+ * Returns the key of the item where the state of a shard is stored. The item depends on the
+ * consumer usage scenario, as described in `getShardsData`.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {string} shardId - The ID of the shard.
+ * @returns {Object} The key of the item.
+ * @private
+ */
+function getShardKey(instance, shardId) {
+  const privateProps = internal(instance);
+  const { consumerId, useAutoShardAssignment, useEnhancedFanOut } = privateProps;
+  if (useAutoShardAssignment) return getItemKey(privateProps, 'shards', shardId);
+  if (!useEnhancedFanOut) return getItemKey(privateProps, 'consumers', consumerId);
+  return getItemKey(privateProps);
+}
+
+/**
+ * Returns the type and the ID of the entry that keeps its own state of the shards, as described
+ * in `getShardsData`, or an empty list when the state of the shards is the one of the stream.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} [enhancedConsumers] - The state of the enhanced consumers, needed only when
+ *        reading from all the shards with enhanced fan-out consumers.
+ * @returns {Array<string>} The type and the ID of the entry, if any.
+ * @throws {Error} If the enhanced consumer in use can't be found in the state.
+ * @private
+ */
+function getShardsEntry(instance, enhancedConsumers) {
+  const { consumerId, useAutoShardAssignment, useEnhancedFanOut } = internal(instance);
+  if (useAutoShardAssignment) return [];
+  if (!useEnhancedFanOut) return ['consumers', consumerId];
+  const consumerName = Object.keys(enhancedConsumers).find(
+    (name) => enhancedConsumers[name].isUsedBy === consumerId
+  );
+  if (!consumerName) throw new Error('The enhanced consumer state is not where expected.');
+  return ['enhancedConsumers', consumerName];
+}
+
+/**
+ * Resolves the path to the state of the shards for the changes to the state of a single shard.
+ * The item of the stream is only read when the path depends on it, that is, when the state of
+ * the shards is kept by the enhanced fan-out consumer in use.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @fulfil {Object} - An object with the `shardsPath` and the `shardsPathNames`.
+ * @returns {Promise}
+ * @private
+ */
+async function resolveShardsPath(instance) {
+  const { client, useAutoShardAssignment, useEnhancedFanOut } = internal(instance);
+  let enhancedConsumers;
+  if (!useAutoShardAssignment && useEnhancedFanOut) {
+    const { Item } = await client.get({
+      ConsistentRead: true,
+      Key: getItemKey(internal(instance))
+    });
+    ({ enhancedConsumers } = Item);
+  }
+  return getShardsPath(...getShardsEntry(instance, enhancedConsumers));
+}
+
+/**
+ * Puts an item in the state table unless an item with the same key exists already.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} item - The item to put, including its key.
+ * @reject {Error} - A `ConditionalCheckFailedException` error if the item exists.
+ * @returns {Promise}
+ * @private
+ */
+function putNewItem(instance, item) {
+  const { client } = internal(instance);
+  return client.put({ ConditionExpression: 'attribute_not_exists(streamName)', Item: item });
+}
+
+/**
+ * Retrieves the stream state. When using an item per shard, the entries stored in their own items
+ * are merged into the `consumers` and `shards` of the stream state, so the stream state has the
+ * same shape in both layouts.
  *
  * @param {Object} instance - The instance of the state store to get the private data from.
  * @returns {Promise}
  * @private
  */
 async function getStreamState(instance) {
-  const privateProps = internal(instance);
-  const { client, consumerGroup, streamName } = privateProps;
-  const { Item } = await client.get({
-    ConsistentRead: true,
-    Key: { consumerGroup, streamName }
-  });
-  return Item;
+  const { client, useItemPerShard } = internal(instance);
+  const { Item } = await client.get({ ConsistentRead: true, Key: getItemKey(internal(instance)) });
+  if (!useItemPerShard) return Item;
+
+  return mergeEntryItems(Item, await queryEntryItems(internal(instance)));
+}
+
+/**
+ * Moves the entries of the shards and the consumers from the item of the stream to their own
+ * items, for when a consumer using an item per shard finds a state stored in a single item. The
+ * entries that already have their own item are left as they are. The entries are removed from the
+ * item of the stream only if its version didn't change while copying them, otherwise the item is
+ * read again and the migration is retried.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} streamState - The state stored in the item of the stream.
+ * @fulfil {undefined}
+ * @returns {Promise}
+ * @private
+ */
+async function migrateStreamState(instance, streamState) {
+  const { client, logger } = internal(instance);
+  const { consumers = {}, shards = {}, version } = streamState;
+  const entries = [
+    ...Object.keys(consumers).map((id) => ['consumers', id, consumers[id]]),
+    ...Object.keys(shards).map((id) => ['shards', id, shards[id]])
+  ];
+
+  await Promise.all(
+    entries.map(async ([type, id, entry]) => {
+      try {
+        await putNewItem(instance, {
+          ...getItemKey(internal(instance), type, id),
+          [type]: { [id]: entry }
+        });
+      } catch (err) {
+        if (err.code !== 'ConditionalCheckFailedException') {
+          logger.error(err);
+          throw err;
+        }
+      }
+    })
+  );
+
+  try {
+    await client.update({
+      ConditionExpression: '#c = :y',
+      ExpressionAttributeNames: { '#a': 'consumers', '#b': 'shards', '#c': 'version' },
+      ExpressionAttributeValues: { ':x': generate(), ':y': version },
+      Key: getItemKey(internal(instance)),
+      UpdateExpression: 'REMOVE #a, #b SET #c = :x'
+    });
+  } catch (err) {
+    if (err.code !== 'ConditionalCheckFailedException') {
+      logger.error(err);
+      throw err;
+    }
+    logger.debug('The state changed while being migrated, trying again…');
+    const { Item } = await client.get({
+      ConsistentRead: true,
+      Key: getItemKey(internal(instance))
+    });
+    if (Item && (Item.consumers || Item.shards)) await migrateStreamState(instance, Item);
+    return;
+  }
+  logger.debug(`The state has been migrated to an item per shard (${entries.length} entries).`);
+}
+
+/**
+ * Finds the entries left in the stream state by previous runs of the current consumer instance,
+ * that is, the entries of standalone consumers with the same instance name that stopped sending
+ * heartbeats before the current process started. Nothing is found if the current consumer is
+ * already registered.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @fulfil {Object} - An object with the `consumers` in the stream state and the `previousIds`,
+ *         sorted from the most to the least recent heartbeat.
+ * @returns {Promise}
+ * @private
+ */
+async function getPreviousEntries(instance) {
+  const { consumerId, instanceName } = internal(instance);
+  const { consumers } = await getStreamState(instance);
+  const startedOn = Date.now() - uptime() * 1000;
+  const getHeartbeat = (id) => new Date(consumers[id].heartbeat).getTime();
+  const previousIds = consumers[consumerId]
+    ? []
+    : Object.keys(consumers)
+        .filter((id) => {
+          const { instanceName: name, shards } = consumers[id];
+          return name === instanceName && shards && getHeartbeat(id) < startedOn;
+        })
+        .sort((a, b) => getHeartbeat(b) - getHeartbeat(a));
+  return { consumers, previousIds };
 }
 
 /**
@@ -58,13 +232,22 @@ async function getStreamState(instance) {
  */
 async function initStreamState(instance) {
   const privateProps = internal(instance);
-  const { client, consumerGroup, logger, streamCreatedOn, streamName } = privateProps;
+  const { client, consumerGroup, logger, streamCreatedOn, streamName, useItemPerShard } =
+    privateProps;
 
-  const Key = { consumerGroup, streamName };
+  const Key = getItemKey(privateProps);
   const { Item } = await client.get({ Key });
   if (Item && Item.streamCreatedOn !== streamCreatedOn) {
     await client.delete({ Key });
+    if (useItemPerShard) {
+      const items = await queryEntryItems(privateProps);
+      await Promise.all(
+        items.map((item) => client.delete({ Key: { consumerGroup, streamName: item.streamName } }))
+      );
+    }
     logger.warn('Stream state has been reset. Non-matching stream creation timestamp.');
+  } else if (Item && useItemPerShard && (Item.consumers || Item.shards)) {
+    await migrateStreamState(instance, Item);
   }
 
   try {
@@ -72,9 +255,9 @@ async function initStreamState(instance) {
       ConditionExpression: 'attribute_not_exists(streamName)',
       Item: {
         consumerGroup,
-        consumers: {},
+        ...(!useItemPerShard && { consumers: {} }),
         enhancedConsumers: {},
-        shards: {},
+        ...(!useItemPerShard && { shards: {} }),
         streamCreatedOn,
         streamName,
         version: generate()
@@ -100,7 +283,7 @@ async function initStreamState(instance) {
  * @returns {Promise}
  */
 async function updateConsumerIsActive(instance, isActive) {
-  const { client, consumerGroup, consumerId, logger, streamName } = internal(instance);
+  const { client, consumerId, logger } = internal(instance);
   try {
     await client.update({
       ExpressionAttributeNames: {
@@ -111,7 +294,7 @@ async function updateConsumerIsActive(instance, isActive) {
       ExpressionAttributeValues: {
         ':z': isActive
       },
-      Key: { consumerGroup, streamName },
+      Key: getItemKey(internal(instance), 'consumers', consumerId),
       UpdateExpression: 'SET #a.#b.#c = :z'
     });
   } catch {
@@ -164,6 +347,55 @@ async function lockEnhancedConsumer(instance, consumerName, version) {
   }
 }
 
+/**
+ * Removes the entries of the given consumers from the stream state. When using an item per shard,
+ * the items of the consumers are deleted unless their heartbeats changed since the stream state
+ * was retrieved. Otherwise, the entries are removed unless the version of the stream state changed.
+ *
+ * @param {Object} instance - The instance of the state store to get the private data from.
+ * @param {Object} streamState - The known stream state.
+ * @param {Array<string>} consumerIds - The IDs of the consumers to remove.
+ * @fulfil {undefined}
+ * @reject {Error} - A `ConditionalCheckFailedException` error if the state changed.
+ * @returns {Promise}
+ * @private
+ */
+async function removeConsumers(instance, streamState, consumerIds) {
+  const { client, consumerGroup, streamName, useItemPerShard } = internal(instance);
+  const { consumers, version } = streamState;
+
+  if (useItemPerShard) {
+    await Promise.all(
+      consumerIds.map((id) =>
+        client.delete({
+          ConditionExpression: '#a.#b.#c = :x',
+          ExpressionAttributeNames: { '#a': 'consumers', '#b': id, '#c': 'heartbeat' },
+          ExpressionAttributeValues: { ':x': consumers[id].heartbeat },
+          Key: getItemKey(internal(instance), 'consumers', id)
+        })
+      )
+    );
+    return;
+  }
+
+  await client.update({
+    ConditionExpression: `#b = :y`,
+    ExpressionAttributeNames: {
+      '#a': 'consumers',
+      '#b': 'version',
+      ...consumerIds.reduce((obj, id, index) => ({ ...obj, [`#${index}`]: id }), {})
+    },
+    ExpressionAttributeValues: {
+      ':x': generate(),
+      ':y': version
+    },
+    Key: { consumerGroup, streamName },
+    UpdateExpression: `REMOVE ${consumerIds
+      .map((id, index) => `#a.#${index}`)
+      .join(', ')} SET #b = :x`
+  });
+}
+
 /**
  * Class that encapsulates the DynamoDB table where the shared state for the stream is stored.
  *
@@ -174,6 +406,8 @@ class StateStore {
    * Initializes an instance of the state store.
    *
    * @param {Object} options - The initialization options.
+   * @param {number} [options.capacityWeight=1] - The share of shards the consumer can take in
+   *        proportion to the other consumers in the group.
    * @param {string} options.consumerGroup - The name of the group of consumers in which shards
    *        will be distributed and checkpoints will be shared.
    * @param {string} options.consumerId - An unique ID representing the instance of this consumer.
@@ -186,7 +420,15 @@ class StateStore {
    *        table where the shared state is stored.
    * @param {Object} [options.dynamoDb.tags={}] - If specified, the module will ensure
    *        the table has these tags during start.
+   * @param {Function} options.emitEvent - A function that emits an event from the client.
+   * @param {string} [options.instanceName] - A name that identifies the consumer across runs.
    * @param {Object} options.logger - An instance of a logger.
+   * @param {number} [options.maxLeases] - The maximum number of shards the consumer can lease.
+   * @param {Object} [options.metrics] - A metrics reporter for the calls to DynamoDB.
+   * @param {Object} [options.shardFilter] - If provided, the consumer is pinned to the shards
+   *        selected by this filter. The filter is registered along with the consumer, so the
+   *        consumers that aren't pinned leave those shards to it.
+   * @param {Object} [options.retry] - The retry policy for the calls to DynamoDB.
    * @param {string} options.streamCreatedOn - The creation timestamp for the stream. It's used
    *        to confirm the stored state corresponds to the same stream with the given name.
    * @param {string} options.streamName - The name of the stream to keep state for.
@@ -194,31 +436,51 @@ class StateStore {
    *        automatically assigned to the active consumers in the same group or not.
    * @param {boolean} options.useEnhancedFanOut - Whether if the consumer is using enhanced
    *        fan-out consumers or not.
+   * @param {boolean} [options.useItemPerShard=false] - Whether the state of each shard and each
+   *        consumer is stored in its own item or not.
    */
   constructor(options) {
     const {
+      capacityWeight = 1,
       consumerGroup,
       consumerId,
       dynamoDb: { provisionedThroughput, tableName, tags, ...awsOptions },
+      emitEvent,
+      instanceName = null,
       logger,
+      maxLeases = null,
+      metrics,
+      retry,
+      shardFilter = null,
       streamCreatedOn,
       streamName,
       useAutoShardAssignment,
-      useEnhancedFanOut
+      useEnhancedFanOut,
+      useItemPerShard = false
     } = options;
 
     Object.assign(internal(this), {
       awsOptions,
+      capacityWeight,
       consumerGroup,
       consumerId,
+      emitEvent,
+      instanceName,
+      isPinned: Boolean(shardFilter),
+      knownConsumerIds: [],
       logger,
+      maxLeases,
+      metrics,
       provisionedThroughput,
+      retry,
+      shardFilter,
       streamCreatedOn,
       streamName,
       tableName: tableName || `${moduleName}-state`,
       tags,
       useAutoShardAssignment,
-      useEnhancedFanOut
+      useEnhancedFanOut,
+      useItemPerShard
     });
   }
 
@@ -226,44 +488,44 @@ class StateStore {
    * Clears out consumers that are considered to be gone as they have failed to record a
    * hearbeat in a given timeout period. In addition to clearing out the consumers, any shard
    * with an active lease for consumers that are gone will be released. Any enhanced fan-out
-   * consumers in use by gone consumers will also be released.
+   * consumers in use by gone consumers will also be released. The consumers that joined or left
+   * the group since the last time are reported through the `consumerJoined` and `consumerLeft`
+   * events. The gone standalone consumers with an instance name are kept for a longer period, so
+   * their shards state can be taken over when the same instance is started again.
    *
    * @param {number} heartbeatFailureTimeout - The number of milliseconds after a heartbeat when
    *        a consumer should be considered as gone.
+   * @param {number} [staleInstanceTimeout=heartbeatFailureTimeout] - The number of milliseconds
+   *        after a heartbeat when a gone standalone consumer with an instance name is cleared out.
    * @fulfil {undefined}
    * @returns {Promise}
    */
-  async clearOldConsumers(heartbeatFailureTimeout) {
+  async clearOldConsumers(heartbeatFailureTimeout, staleInstanceTimeout = heartbeatFailureTimeout) {
     const privateProps = internal(this);
-    const { client, consumerGroup, logger, streamName } = privateProps;
+    const { client, consumerGroup, emitEvent, knownConsumerIds, logger, streamName } = privateProps;
 
     const { consumers, enhancedConsumers, version } = await getStreamState(this);
     const consumerIds = Object.keys(consumers);
 
-    const oldConsumers = consumerIds.filter((id) => {
+    const isOlderThan = (id, timeout) => {
       const { heartbeat } = consumers[id];
-      return Date.now() - new Date(heartbeat).getTime() > heartbeatFailureTimeout;
+      return Date.now() - new Date(heartbeat).getTime() > timeout;
+    };
+
+    const goneConsumers = consumerIds.filter((id) => isOlderThan(id, heartbeatFailureTimeout));
+    const oldConsumers = goneConsumers.filter((id) => {
+      const { instanceName, shards } = consumers[id];
+      return !instanceName || !shards || isOlderThan(id, staleInstanceTimeout);
     });
+    let remainingConsumerIds = consumerIds.filter(
+      (id) => !goneConsumers.includes(id) || oldConsumers.includes(id)
+    );
 
     if (oldConsumers.length > 0) {
       try {
-        await client.update({
-          ConditionExpression: `#b = :y`,
-          ExpressionAttributeNames: {
-            '#a': 'consumers',
-            '#b': 'version',
-            ...oldConsumers.reduce((obj, id, index) => ({ ...obj, [`#${index}`]: id }), {})
-          },
-          ExpressionAttributeValues: {
-            ':x': generate(),
-            ':y': version
-          },
-          Key: { consumerGroup, streamName },
-          UpdateExpression: `REMOVE ${oldConsumers
-            .map((id, index) => `#a.#${index}`)
-            .join(', ')} SET #b = :x`
-        });
+        await removeConsumers(this, { consumers, version }, oldConsumers);
         logger.debug(`Cleared ${oldConsumers.length} old consumer(s).`);
+        remainingConsumerIds = consumerIds.filter((id) => !goneConsumers.includes(id));
       } catch (err) {
         if (err.code !== 'ConditionalCheckFailedException') {
           logger.error(err);
@@ -272,6 +534,9 @@ class StateStore {
       }
     }
 
+    reportConsumersChanges(emitEvent, knownConsumerIds, remainingConsumerIds);
+    privateProps.knownConsumerIds = remainingConsumerIds;
+
     const usagesToClear = Object.keys(enhancedConsumers).filter((consumerName) => {
       const { isUsedBy } = enhancedConsumers[consumerName];
       if (isUsedBy == null) {
@@ -321,6 +586,53 @@ class StateStore {
     );
   }
 
+  /**
+   * Removes the current consumer from the stream state, so the other consumers in the group don't
+   * have to wait for its heartbeat to expire before taking over its shards. Standalone consumers
+   * with an instance name are kept, so the next run of the same instance can resume from their
+   * checkpoints.
+   *
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async deregisterConsumer() {
+    const {
+      client,
+      consumerId,
+      instanceName,
+      logger,
+      useAutoShardAssignment,
+      useEnhancedFanOut,
+      useItemPerShard
+    } = internal(this);
+
+    if (instanceName && !useAutoShardAssignment && !useEnhancedFanOut) {
+      logger.debug(`The consumer "${consumerId}" is kept so its checkpoints can be resumed.`);
+      return;
+    }
+
+    const Key = getItemKey(internal(this), 'consumers', consumerId);
+    try {
+      await (useItemPerShard
+        ? client.delete({ Key })
+        : client.update({
+            ConditionExpression: 'attribute_exists(#a.#b)',
+            ExpressionAttributeNames: {
+              '#a': 'consumers',
+              '#b': consumerId
+            },
+            Key,
+            UpdateExpression: 'REMOVE #a.#b'
+          }));
+      logger.debug(`The consumer "${consumerId}" is now de-registered.`);
+    } catch (err) {
+      if (err.code !== 'ConditionalCheckFailedException') {
+        logger.error(err);
+        throw err;
+      }
+    }
+  }
+
   /**
    * Removes an enhanced fan-out consumer from the stream state.
    *
@@ -362,26 +674,28 @@ class StateStore {
   async ensureShardStateExists(shardId, shardData, streamState) {
     const privateProps = internal(this);
     const { shardsPath, shardsPathNames } = await this.getShardsData(streamState);
-    const { client, consumerGroup, logger, streamName } = privateProps;
+    const { client, logger, useAutoShardAssignment, useItemPerShard } = privateProps;
     const { parent } = shardData;
+    const Key = getShardKey(this, shardId);
+    const shardState = {
+      checkpoint: null,
+      depleted: false,
+      leaseExpiration: null,
+      leaseOwner: null,
+      parent,
+      version: generate()
+    };
 
     try {
-      await client.update({
-        ConditionExpression: `attribute_not_exists(${shardsPath}.#b)`,
-        ExpressionAttributeNames: { ...shardsPathNames, '#b': shardId },
-        ExpressionAttributeValues: {
-          ':x': {
-            checkpoint: null,
-            depleted: false,
-            leaseExpiration: null,
-            leaseOwner: null,
-            parent,
-            version: generate()
-          }
-        },
-        Key: { consumerGroup, streamName },
-        UpdateExpression: `SET ${shardsPath}.#b = :x`
-      });
+      await (useItemPerShard && useAutoShardAssignment
+        ? putNewItem(this, { ...Key, shards: { [shardId]: shardState } })
+        : client.update({
+            ConditionExpression: `attribute_not_exists(${shardsPath}.#b)`,
+            ExpressionAttributeNames: { ...shardsPathNames, '#b': shardId },
+            ExpressionAttributeValues: { ':x': shardState },
+            Key,
+            UpdateExpression: `SET ${shardsPath}.#b = :x`
+          }));
     } catch (err) {
       if (err.code !== 'ConditionalCheckFailedException') {
         logger.error(err);
@@ -392,13 +706,14 @@ class StateStore {
 
   /**
    * Returns the ARN of the enhanced fan-out consumer assigned to this consumer. It will try to
-   * lock one if the consumer is using enhanced fan-out but hasn't been assigned one before.
+   * lock one if the consumer is using enhanced fan-out but hasn't been assigned one before, in
+   * which case the `enhancedConsumerAssigned` event is emitted.
    *
    * @fulfil {string} - The ARN of the assigned enhanced fan-out consumer, `null` otherwise.
    * @returns {Promise}
    */
   async getAssignedEnhancedConsumer() {
-    const { consumerId, logger } = internal(this);
+    const { consumerId, emitEvent, logger } = internal(this);
 
     let consumerArn;
     let consumerName;
@@ -426,6 +741,7 @@ class StateStore {
         if (await lockEnhancedConsumer(this, name, version)) {
           consumerArn = arn;
           consumerName = name;
+          emitEvent('enhancedConsumerAssigned', { consumerArn, consumerName });
           break;
         }
       }
@@ -455,6 +771,7 @@ class StateStore {
 
   /**
    * Returns an object with the state of the shards for which this consumer has an active lease.
+   * The shards marked for handoff aren't included, so their consumers are stopped.
    *
    * @fulfil {Object} - An object with the state of the owned shards.
    * @returns {Promise}
@@ -465,11 +782,15 @@ class StateStore {
     const { shards } = await this.getShardsData(streamState);
 
     return Object.keys(shards)
-      .filter((shardId) => shards[shardId].leaseOwner === consumerId)
+      .filter((shardId) => shards[shardId].leaseOwner === consumerId && !shards[shardId].handoff)
       .reduce((obj, shardId) => {
-        const { checkpoint, depleted, leaseExpiration, version } = shards[shardId];
+        const { checkpoint, depleted, leaseExpiration, resetId, startingPosition, version } =
+          shards[shardId];
         if (new Date(leaseExpiration).getTime() - Date.now() > 0 && !depleted)
-          return { ...obj, [shardId]: { checkpoint, leaseExpiration, version } };
+          return {
+            ...obj,
+            [shardId]: { checkpoint, leaseExpiration, resetId, startingPosition, version }
+          };
         return obj;
       }, {});
   }
@@ -496,6 +817,36 @@ class StateStore {
     return getState();
   }
 
+  /**
+   * Returns an object with the current states for all the shards and the entire stream, read at
+   * once. The stream state is only read again if the state of some of the given shards had to be
+   * created.
+   *
+   * @param {Object} shardsData - The data describing the shards as provided by the AWS Kinesis
+   *        API, by shard ID.
+   * @fulfil {Object} - An object containing `shards` (the state of the shards, as returned by
+   *         `getShardsData`) and `streamState` (the stream state).
+   * @returns {Promise}
+   */
+  async getShardsAndStreamState(shardsData) {
+    const getStates = async () => {
+      const streamState = await getStreamState(this);
+      const { shards } = await this.getShardsData(streamState);
+      return { shards, streamState };
+    };
+    const states = await getStates();
+    const missingShardIds = Object.keys(shardsData).filter(
+      (shardId) => states.shards[shardId] === undefined
+    );
+    if (missingShardIds.length === 0) return states;
+    await Promise.all(
+      missingShardIds.map((shardId) =>
+        this.ensureShardStateExists(shardId, shardsData[shardId], states.streamState)
+      )
+    );
+    return getStates();
+  }
+
   /**
    * Returns the current state of the stream shards and pointers that can be used to update the
    * stream shard state in subsequent calls. This is useful as the shards state is stored in
@@ -506,6 +857,11 @@ class StateStore {
    * - When reading from all the shards and using enhanced fan-out consumers, the shards state
    *   is stored in `.enhancedConsumers[].shards`.
    *
+   * When using an item per shard, the paths are the same but in the items of the shards or the
+   * consumers, so the key of the item to update is resolved from the shard ID in each update.
+   * The paths are specific to this store, so they aren't part of the methods required from the
+   * other state stores, which are given shard IDs only.
+   *
    * @param {Object} [streamState] - The current state for the entire stream, if not provided,
    *        the stream state is fetched. This parameter is useful to avoid repeated calls for
    *        the stream state retrieval if that information is already present.
@@ -517,63 +873,26 @@ class StateStore {
    * @returns {Promise}
    */
   async getShardsData(streamState) {
-    const { consumerId, useAutoShardAssignment, useEnhancedFanOut } = internal(this);
     const normStreamState = !streamState ? await getStreamState(this) : streamState;
-    const { consumers, enhancedConsumers } = normStreamState;
-
-    if (!useAutoShardAssignment) {
-      if (useEnhancedFanOut) {
-        const enhancedConsumerState = Object.entries(enhancedConsumers).find(
-          ([, value]) => value.isUsedBy === consumerId
-        );
-        if (!enhancedConsumerState) {
-          throw new Error('The enhanced consumer state is not where expected.');
-        }
-        const [consumerName, { shards }] = enhancedConsumerState;
-        return {
-          shards,
-          shardsPath: '#a0.#a1.#a2',
-          shardsPathNames: {
-            '#a0': 'enhancedConsumers',
-            '#a1': consumerName,
-            '#a2': 'shards'
-          }
-        };
-      }
-      const { shards } = consumers[consumerId];
-      return {
-        shards,
-        shardsPath: '#a0.#a1.#a2',
-        shardsPathNames: {
-          '#a0': 'consumers',
-          '#a1': consumerId,
-          '#a2': 'shards'
-        }
-      };
-    }
-    const { shards } = normStreamState;
-    return {
-      shards,
-      shardsPath: '#a',
-      shardsPathNames: {
-        '#a': 'shards'
-      }
-    };
+    const [type, id] = getShardsEntry(this, normStreamState.enhancedConsumers);
+    const { shards } = type ? normStreamState[type][id] : normStreamState;
+    return { shards, ...getShardsPath(type, id) };
   }
 
   /**
-   * Tries to lock the lease of a given shard.
+   * Tries to lock the lease of a given shard. A pending handoff of the shard is cancelled.
    *
    * @param {string} shardId - The ID of the shard to lock a lease for.
    * @param {number} leaseTermTimeout - The duration of the lease in milliseconds.
    * @param {string} version - The known version number of the shard state entry.
    * @param {Object} streamState - The known stream state.
-   * @fulfil {boolean} - `true` if the lease was successfuly locked, `false` otherwise.
+   * @fulfil {string} - The new version number if the lease is locked, `null` otherwise.
    * @returns {Promise}
    */
   async lockShardLease(shardId, leaseTermTimeout, version, streamState) {
-    const { client, consumerGroup, consumerId, logger, streamName } = internal(this);
+    const { client, consumerId, logger } = internal(this);
     const { shardsPath, shardsPathNames } = await this.getShardsData(streamState);
+    const lockedVersion = generate();
     try {
       await client.update({
         ConditionExpression: `${shardsPath}.#b.#e = :z`,
@@ -582,33 +901,37 @@ class StateStore {
           '#b': shardId,
           '#c': 'leaseOwner',
           '#d': 'leaseExpiration',
-          '#e': 'version'
+          '#e': 'version',
+          '#f': 'handoff'
         },
         ExpressionAttributeValues: {
+          ':v': false,
           ':w': consumerId,
           ':x': new Date(Date.now() + leaseTermTimeout).toISOString(),
-          ':y': generate(),
+          ':y': lockedVersion,
           ':z': version
         },
-        Key: { consumerGroup, streamName },
+        Key: getShardKey(this, shardId),
         UpdateExpression: `SET ${[
           `${shardsPath}.#b.#c = :w`,
           `${shardsPath}.#b.#d = :x`,
-          `${shardsPath}.#b.#e = :y`
+          `${shardsPath}.#b.#e = :y`,
+          `${shardsPath}.#b.#f = :v`
         ].join(', ')}`
       });
-      return true;
+      return lockedVersion;
     } catch (err) {
       if (err.code !== 'ConditionalCheckFailedException') {
         logger.error(err);
         throw err;
       }
-      return false;
+      return null;
     }
   }
 
   /**
-   * Marks a shard as depleted in the stream state so children shards can be leased.
+   * Marks a shard as depleted in the stream state so children shards can be leased, and emits
+   * the `shardEnded` event.
    *
    * @param {Object} shardsData - The current shards state.
    * @param {string} parentShardId - The ID of the shard to mark as depleted.
@@ -616,7 +939,7 @@ class StateStore {
    * @returns {Promise}
    */
   async markShardAsDepleted(shardsData, parentShardId) {
-    const { client, consumerGroup, streamName } = internal(this);
+    const { client, emitEvent, useAutoShardAssignment, useItemPerShard } = internal(this);
 
     const streamState = await getStreamState(this);
     const { shards, shardsPath, shardsPathNames } = await this.getShardsData(streamState);
@@ -641,14 +964,33 @@ class StateStore {
       })
     );
 
+    // The checkpoints of the children shards stored in their own items are updated on their own.
+    const hasChildrenItems = useItemPerShard && useAutoShardAssignment;
+    await Promise.all(
+      (hasChildrenItems ? childrenShards : []).map(({ shardId, startingSequenceNumber }) =>
+        client.update({
+          ExpressionAttributeNames: {
+            ...shardsPathNames,
+            '#b': shardId,
+            '#c': 'checkpoint',
+            '#d': 'version'
+          },
+          ExpressionAttributeValues: { ':x': startingSequenceNumber, ':y': generate() },
+          Key: getShardKey(this, shardId),
+          UpdateExpression: `SET ${shardsPath}.#b.#c = :x, ${shardsPath}.#b.#d = :y`
+        })
+      )
+    );
+    const updatedChildren = hasChildrenItems ? [] : childrenShards;
+
     await client.update({
       ExpressionAttributeNames: {
         ...shardsPathNames,
         '#b': parentShardId,
         '#c': 'depleted',
         '#d': 'version',
-        ...(childrenShards.length > 0 && { '#e': 'checkpoint' }),
-        ...childrenShards.reduce(
+        ...(updatedChildren.length > 0 && { '#e': 'checkpoint' }),
+        ...updatedChildren.reduce(
           (obj, childShard, index) => ({ ...obj, [`#${index}`]: childShard.shardId }),
           {}
         )
@@ -656,7 +998,7 @@ class StateStore {
       ExpressionAttributeValues: {
         ':x': true,
         ':y': generate(),
-        ...childrenShards.reduce(
+        ...updatedChildren.reduce(
           (obj, childShard, index) => ({
             ...obj,
             [`:${index * 2}`]: childShard.startingSequenceNumber,
@@ -665,11 +1007,11 @@ class StateStore {
           {}
         )
       },
-      Key: { consumerGroup, streamName },
+      Key: getShardKey(this, parentShardId),
       UpdateExpression: `SET ${[
         `${shardsPath}.#b.#c = :x`,
         `${shardsPath}.#b.#d = :y`,
-        ...childrenShards.map((childShard, index) =>
+        ...updatedChildren.map((childShard, index) =>
           [
             `${shardsPath}.#${index}.#e = :${index * 2}`,
             `${shardsPath}.#${index}.#d = :${index * 2 + 1}`
@@ -677,48 +1019,132 @@ class StateStore {
         )
       ].join(', ')}`
     });
+
+    emitEvent('shardEnded', { shardId: parentShardId });
+  }
+
+  /**
+   * Marks a shard leased by this consumer for handoff, so its consumer can be stopped before the
+   * lease is released for other consumer to take over.
+   *
+   * @param {string} shardId - The ID of the shard to mark for handoff.
+   * @param {string} version - The known version number of the shard state entry.
+   * @param {Object} streamState - The known stream state.
+   * @fulfil {string} - The new version number if the shard is marked, `null` otherwise.
+   * @returns {Promise}
+   */
+  async markShardForHandoff(shardId, version, streamState) {
+    const { client, logger } = internal(this);
+    const { shardsPath, shardsPathNames } = await this.getShardsData(streamState);
+    const handoffVersion = generate();
+
+    try {
+      await client.update({
+        ConditionExpression: `${shardsPath}.#b.#d = :z`,
+        ExpressionAttributeNames: {
+          ...shardsPathNames,
+          '#b': shardId,
+          '#c': 'handoff',
+          '#d': 'version'
+        },
+        ExpressionAttributeValues: {
+          ':x': true,
+          ':y': handoffVersion,
+          ':z': version
+        },
+        Key: getShardKey(this, shardId),
+        UpdateExpression: `SET ${shardsPath}.#b.#c = :x, ${shardsPath}.#b.#d = :y`
+      });
+      return handoffVersion;
+    } catch (err) {
+      if (err.code !== 'ConditionalCheckFailedException') {
+        logger.error(err);
+        throw err;
+      }
+      return null;
+    }
   }
 
   /**
    * Registers the current consumer in the state if not present there yet. If present,
-   * it updates the consumer hearbeat.
+   * it updates the consumer hearbeat. Consumers using automatic shard distribution are
+   * registered with their `capacityWeight`, `maxLeases`, and whether they're pinned to a subset of
+   * the shards (`isPinned` and `shardFilter`), so the shards are distributed accordingly.
+   * Standalone consumers with an instance name take over the shards state (i.e. the checkpoints)
+   * left by previous runs of the same instance when registered, and the entries of the previous
+   * runs are removed.
    *
    * @fulfil {undefined}
    * @returns {Promise}
    */
   async registerConsumer() {
     const {
+      capacityWeight,
       client,
       consumerGroup,
       consumerId,
+      instanceName,
+      isPinned,
       logger,
+      maxLeases,
+      shardFilter,
       streamName,
       useAutoShardAssignment,
-      useEnhancedFanOut
+      useEnhancedFanOut,
+      useItemPerShard
     } = internal(this);
 
+    const usesOwnShards = !useAutoShardAssignment && !useEnhancedFanOut;
+    const { consumers, previousIds } =
+      instanceName && usesOwnShards
+        ? await getPreviousEntries(this)
+        : { consumers: {}, previousIds: [] };
+    const [previousId] = previousIds;
+    const previousNames = previousIds.map((id, index) => `#a.#${index}`);
+    const Key = getItemKey(internal(this), 'consumers', consumerId);
+    const consumer = {
+      appName,
+      heartbeat: new Date().toISOString(),
+      host,
+      isActive: true,
+      isStandalone: !useAutoShardAssignment,
+      pid,
+      startedOn: new Date(Date.now() - uptime() * 1000).toISOString(),
+      ...(instanceName && { instanceName }),
+      ...(useAutoShardAssignment && { capacityWeight, isPinned, maxLeases, shardFilter }),
+      ...(usesOwnShards && { shards: previousId ? consumers[previousId].shards : {} })
+    };
+
     try {
-      await client.update({
-        ConditionExpression: 'attribute_not_exists(#a.#b)',
-        ExpressionAttributeNames: {
-          '#a': 'consumers',
-          '#b': consumerId
-        },
-        ExpressionAttributeValues: {
-          ':x': {
-            appName,
-            heartbeat: new Date().toISOString(),
-            host,
-            isActive: true,
-            isStandalone: !useAutoShardAssignment,
-            pid,
-            startedOn: new Date(Date.now() - uptime() * 1000).toISOString(),
-            ...(!useAutoShardAssignment && !useEnhancedFanOut && { shards: {} })
-          }
-        },
-        Key: { consumerGroup, streamName },
-        UpdateExpression: 'SET #a.#b = :x'
-      });
+      if (useItemPerShard) {
+        await putNewItem(this, { ...Key, consumers: { [consumerId]: consumer } });
+        await Promise.all(
+          previousIds.map((id) =>
+            client.delete({ Key: getItemKey(internal(this), 'consumers', id) })
+          )
+        );
+      } else {
+        await client.update({
+          ConditionExpression: [
+            'attribute_not_exists(#a.#b)',
+            ...previousNames.map((name) => `attribute_exists(${name})`)
+          ].join(' AND '),
+          ExpressionAttributeNames: {
+            '#a': 'consumers',
+            '#b': consumerId,
+            ...previousIds.reduce((obj, id, index) => ({ ...obj, [`#${index}`]: id }), {})
+          },
+          ExpressionAttributeValues: { ':x': consumer },
+          Key: { consumerGroup, streamName },
+          UpdateExpression: [
+            'SET #a.#b = :x',
+            ...(previousNames.length > 0 ? [`REMOVE ${previousNames.join(', ')}`] : [])
+          ].join(' ')
+        });
+      }
+      if (previousId) {
+        logger.debug(`The shards state of "${previousId}" has been migrated to "${consumerId}".`);
+      }
       logger.debug(`The consumer "${consumerId}" is now registered.`);
     } catch (err) {
       if (err.code === 'ConditionalCheckFailedException') {
@@ -732,7 +1158,7 @@ class StateStore {
             ExpressionAttributeValues: {
               ':x': new Date().toISOString()
             },
-            Key: { consumerGroup, streamName },
+            Key,
             UpdateExpression: 'SET #a.#b.#c = :x'
           })
           .catch(() => {
@@ -785,7 +1211,7 @@ class StateStore {
   }
 
   /**
-   * Tries to release the lease of a shard.
+   * Tries to release the lease of a shard, which also completes a pending handoff of the shard.
    *
    * @param {string} shardId - The ID of the shard to release a lease for.
    * @param {string} version - The known version number of the shard state entry.
@@ -795,7 +1221,7 @@ class StateStore {
    */
   async releaseShardLease(shardId, version, streamState) {
     const privateProps = internal(this);
-    const { client, consumerGroup, logger, streamName } = privateProps;
+    const { client, logger } = privateProps;
     const { shardsPath, shardsPathNames } = await this.getShardsData(streamState);
     const releasedVersion = generate();
 
@@ -807,19 +1233,22 @@ class StateStore {
           '#b': shardId,
           '#c': 'leaseOwner',
           '#d': 'leaseExpiration',
-          '#e': 'version'
+          '#e': 'version',
+          '#f': 'handoff'
         },
         ExpressionAttributeValues: {
+          ':v': false,
           ':w': null,
           ':x': null,
           ':y': releasedVersion,
           ':z': version
         },
-        Key: { consumerGroup, streamName },
+        Key: getShardKey(this, shardId),
         UpdateExpression: `SET ${[
           `${shardsPath}.#b.#c = :w`,
           `${shardsPath}.#b.#d = :x`,
-          `${shardsPath}.#b.#e = :y`
+          `${shardsPath}.#b.#e = :y`,
+          `${shardsPath}.#b.#f = :v`
         ].join(', ')}`
       });
       return releasedVersion;
@@ -832,6 +1261,134 @@ class StateStore {
     }
   }
 
+  /**
+   * Renews the leases owned by this consumer for the given shards. The leases are renewed with a
+   * single update, or with an update per group of up to 25 leases as the update expressions are
+   * limited in size. When using an item per shard, each lease is renewed with its own update. The
+   * leases that changed since they were last known (i.e. released or locked again) aren't renewed,
+   * but the changes made by checkpoints don't prevent a renewal. A pending handoff of the shards is
+   * cancelled.
+   *
+   * @param {Array<string>} shardIds - The IDs of the shards to renew the leases for.
+   * @param {number} leaseTermTimeout - The duration of the leases in milliseconds.
+   * @param {Object} streamState - The known stream state.
+   * @fulfil {Object} - The new version numbers of the shard state entries, by shard ID, for the
+   *         leases that were renewed.
+   * @returns {Promise}
+   */
+  async renewShardLeases(shardIds, leaseTermTimeout, streamState) {
+    const { client, consumerId, logger, useAutoShardAssignment, useItemPerShard } = internal(this);
+    const { shards, shardsPath, shardsPathNames } = await this.getShardsData(streamState);
+    const leaseExpiration = new Date(Date.now() + leaseTermTimeout).toISOString();
+    const groupSize = useItemPerShard && useAutoShardAssignment ? 1 : RENEWALS_PER_UPDATE;
+    const groups = shardIds.reduce((arr, shardId, index) => {
+      if (index % groupSize === 0) return [...arr, [shardId]];
+      arr[arr.length - 1].push(shardId);
+      return arr;
+    }, []);
+
+    const renewals = await Promise.all(
+      groups.map(async (ids) => {
+        const versions = ids.map(() => generate());
+        try {
+          await client.update({
+            ConditionExpression: ids
+              .map(
+                (id, index) =>
+                  `${shardsPath}.#${index}.#b = :w AND ${shardsPath}.#${index}.#c = :${index * 2}`
+              )
+              .join(' AND '),
+            ExpressionAttributeNames: {
+              ...shardsPathNames,
+              '#b': 'leaseOwner',
+              '#c': 'leaseExpiration',
+              '#d': 'version',
+              '#e': 'handoff',
+              ...ids.reduce((obj, id, index) => ({ ...obj, [`#${index}`]: id }), {})
+            },
+            ExpressionAttributeValues: {
+              ':v': false,
+              ':w': consumerId,
+              ':x': leaseExpiration,
+              ...ids.reduce(
+                (obj, id, index) => ({
+                  ...obj,
+                  [`:${index * 2}`]: shards[id].leaseExpiration,
+                  [`:${index * 2 + 1}`]: versions[index]
+                }),
+                {}
+              )
+            },
+            Key: getShardKey(this, ids[0]),
+            UpdateExpression: `SET ${ids
+              .map((id, index) =>
+                [
+                  `${shardsPath}.#${index}.#c = :x`,
+                  `${shardsPath}.#${index}.#d = :${index * 2 + 1}`,
+                  `${shardsPath}.#${index}.#e = :v`
+                ].join(', ')
+              )
+              .join(', ')}`
+          });
+          return ids.reduce((obj, id, index) => ({ ...obj, [id]: versions[index] }), {});
+        } catch (err) {
+          if (err.code !== 'ConditionalCheckFailedException') {
+            logger.error(err);
+            throw err;
+          }
+          return {};
+        }
+      })
+    );
+    return Object.assign({}, ...renewals);
+  }
+
+  /**
+   * Resets the checkpoint of a shard to the given position. If the position is after a sequence
+   * number, the sequence number becomes the shard checkpoint. For any other position, the shard
+   * checkpoint is cleared and the position is stored as the starting position for the shard. The
+   * shard is also flagged as not depleted, and a new reset ID is recorded so the consumers
+   * currently reading from the shard can detect the reset and start reading from the new position.
+   *
+   * @param {string} shardId - The ID of the shard to reset the checkpoint for.
+   * @param {Object} position - The position to reset the shard to, an object with `type`, and
+   *        either `sequenceNumber` or `timestamp` (as an ISO string).
+   * @fulfil {undefined}
+   * @returns {Promise}
+   */
+  async resetShardCheckpoint(shardId, position) {
+    const { client } = internal(this);
+    const { shardsPath, shardsPathNames } = await resolveShardsPath(this);
+    const isAfterSequenceNumber = position.type === 'AFTER_SEQUENCE_NUMBER';
+
+    await client.update({
+      ExpressionAttributeNames: {
+        ...shardsPathNames,
+        '#b': shardId,
+        '#c': 'checkpoint',
+        '#d': 'startingPosition',
+        '#e': 'depleted',
+        '#f': 'resetId',
+        '#g': 'version'
+      },
+      ExpressionAttributeValues: {
+        ':u': isAfterSequenceNumber ? position.sequenceNumber : null,
+        ':v': isAfterSequenceNumber ? null : position,
+        ':w': false,
+        ':x': generate(),
+        ':y': generate()
+      },
+      Key: getShardKey(this, shardId),
+      UpdateExpression: `SET ${[
+        `${shardsPath}.#b.#c = :u`,
+        `${shardsPath}.#b.#d = :v`,
+        `${shardsPath}.#b.#e = :w`,
+        `${shardsPath}.#b.#f = :x`,
+        `${shardsPath}.#b.#g = :y`
+      ].join(', ')}`
+    });
+  }
+
   /**
    * Starts the state store by initializing a DynamoDB client and a document client. Then,
    * it will ensure the table exists, that is tagged as required, and there's an entry for
@@ -853,33 +1410,48 @@ class StateStore {
   }
 
   /**
-   * Store a shard checkpoint.
+   * Store a shard checkpoint. The checkpoint won't be stored if the shard checkpoint has been
+   * reset since the consumer started reading from the shard, so stale checkpoints don't override
+   * the position the shard has been reset to.
    *
    * @param {string} shardId - The ID of the shard to store a checkpoint for.
    * @param {string} checkpoint - The sequence number to store as the recovery point.
-   * @param {string} shardsPath - The path pointing to where the shards state is stored.
-   * @param {Object} shardsPathNames - The values of the attribute names in the path.
-   * @fulfil {undefined}
+   * @param {string} [resetId] - The ID of the last known reset of the shard checkpoint.
+   * @fulfil {boolean} - `true` if the checkpoint was stored, `false` if it was reset.
    * @returns {Promise}
    */
-  async storeShardCheckpoint(shardId, checkpoint, shardsPath, shardsPathNames) {
+  async storeShardCheckpoint(shardId, checkpoint, resetId) {
     if (typeof checkpoint !== 'string') throw new TypeError('The sequence number is required.');
-    const { client, consumerGroup, streamName } = internal(this);
+    const { client, logger, streamName } = internal(this);
+    const { shardsPath, shardsPathNames } = await resolveShardsPath(this);
 
-    await client.update({
-      ExpressionAttributeNames: {
-        ...shardsPathNames,
-        '#b': shardId,
-        '#c': 'checkpoint',
-        '#d': 'version'
-      },
-      ExpressionAttributeValues: {
-        ':x': checkpoint,
-        ':y': generate()
-      },
-      Key: { consumerGroup, streamName },
-      UpdateExpression: `SET ${shardsPath}.#b.#c = :x, ${shardsPath}.#b.#d = :y`
-    });
+    try {
+      await client.update({
+        ConditionExpression: `attribute_not_exists(${shardsPath}.#b.#e) OR ${shardsPath}.#b.#e = :z`,
+        ExpressionAttributeNames: {
+          ...shardsPathNames,
+          '#b': shardId,
+          '#c': 'checkpoint',
+          '#d': 'version',
+          '#e': 'resetId'
+        },
+        ExpressionAttributeValues: {
+          ':x': checkpoint,
+          ':y': generate(),
+          ':z': resetId || null
+        },
+        Key: getShardKey(this, shardId),
+        UpdateExpression: `SET ${shardsPath}.#b.#c = :x, ${shardsPath}.#b.#d = :y`
+      });
+      reportShardState(streamName, shardId, { checkpoint });
+      return true;
+    } catch (err) {
+      if (err.code !== 'ConditionalCheckFailedException') {
+        logger.error(err);
+        throw err;
+      }
+      return false;
+    }
   }
 }
 
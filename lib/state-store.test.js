@@ -4,20 +4,27 @@ const { resetMockCounter } = require('short-uuid');
 
 const DynamoDbClient = require('./dynamodb-client');
 const StateStore = require('./state-store');
+const { getStats } = require('./stats');
 const { confirmTableTags, ensureTableExists } = require('./table');
 
 jest.mock('./dynamodb-client', () => {
   const get = jest.fn(() => Promise.resolve({}));
   const put = jest.fn(() => Promise.resolve({}));
   const deleteMock = jest.fn(() => Promise.resolve({}));
+  const query = jest.fn(() => Promise.resolve({ Items: [] }));
   const update = jest.fn(() => Promise.resolve({}));
-  return jest.fn(() => ({ delete: deleteMock, get, put, update }));
+  return jest.fn(() => ({ delete: deleteMock, get, put, query, update }));
 });
 
 jest.mock('./table');
 
+function conditionalError() {
+  return Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' });
+}
+
 describe('lib/state-store', () => {
   const debug = jest.fn();
+  const emitEvent = jest.fn();
   const error = jest.fn();
   const warn = jest.fn();
   const logger = { debug, error, warn };
@@ -26,6 +33,7 @@ describe('lib/state-store', () => {
     consumerGroup: 'test-group',
     consumerId: 'test-id',
     dynamoDb: { tags: { foo: 'bar' } },
+    emitEvent,
     logger,
     streamCreatedOn: '2019-01-01T00:00:00.000Z',
     streamName: 'test-stream',
@@ -33,12 +41,15 @@ describe('lib/state-store', () => {
     useEnhancedFanOut: false
   };
 
+  const itemOptions = { ...options, useItemPerShard: true };
+
   beforeAll(() => {
     ensureTableExists.mockResolvedValue('arn:table-arn');
   });
 
   afterEach(() => {
     debug.mockClear();
+    emitEvent.mockClear();
     ensureTableExists.mockClear();
     error.mockClear();
     warn.mockClear();
@@ -48,6 +59,7 @@ describe('lib/state-store', () => {
     client.delete.mockClear();
     client.get.mockClear();
     client.put.mockClear();
+    client.query.mockClear();
     client.update.mockClear();
 
     DynamoDbClient.mockClear();
@@ -59,18 +71,23 @@ describe('lib/state-store', () => {
     expect(Object.getOwnPropertyNames(StateStore.prototype)).toEqual([
       'constructor',
       'clearOldConsumers',
+      'deregisterConsumer',
       'deregisterEnhancedConsumer',
       'ensureShardStateExists',
       'getAssignedEnhancedConsumer',
       'getEnhancedConsumers',
       'getOwnedShards',
       'getShardAndStreamState',
+      'getShardsAndStreamState',
       'getShardsData',
       'lockShardLease',
       'markShardAsDepleted',
+      'markShardForHandoff',
       'registerConsumer',
       'registerEnhancedConsumer',
       'releaseShardLease',
+      'renewShardLeases',
+      'resetShardCheckpoint',
       'start',
       'storeShardCheckpoint'
     ]);
@@ -235,6 +252,69 @@ describe('lib/state-store', () => {
       'Enhanced consumer "enhanced-consumer-1" has been released.'
     );
     expect(debug).toHaveBeenCalledTimes(4);
+
+    expect(emitEvent.mock.calls).toEqual([
+      ['consumerJoined', { consumerId: 'consumer-1' }],
+      ['consumerJoined', { consumerId: 'consumer-3' }]
+    ]);
+  });
+
+  test('clearOldConsumers reports the consumers that joined or left the group', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { get } = new DynamoDbClient();
+    const heartbeat = new Date('2100-01-01');
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: { 'consumer-1': { heartbeat }, 'consumer-2': { heartbeat } },
+        enhancedConsumers: {}
+      }
+    });
+    await store.clearOldConsumers(1000);
+    emitEvent.mockClear();
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: { 'consumer-2': { heartbeat }, 'consumer-3': { heartbeat } },
+        enhancedConsumers: {}
+      }
+    });
+    await store.clearOldConsumers(1000);
+    expect(emitEvent.mock.calls).toEqual([
+      ['consumerLeft', { consumerId: 'consumer-1' }],
+      ['consumerJoined', { consumerId: 'consumer-3' }]
+    ]);
+  });
+
+  test('clearOldConsumers keeps the gone standalone consumers with an instance name', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    const day = 24 * 60 * 60 * 1000;
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: {
+          'consumer-1': { heartbeat: new Date() },
+          'consumer-2': { heartbeat: new Date(Date.now() - day), instanceName: 'foo', shards: {} },
+          'consumer-3': { heartbeat: new Date('2019-01-01'), instanceName: 'bar', shards: {} },
+          'consumer-4': { heartbeat: new Date(Date.now() - day), instanceName: 'baz' }
+        },
+        enhancedConsumers: {},
+        version: '0000'
+      }
+    });
+    await expect(store.clearOldConsumers(1000, 7 * day)).resolves.toBeUndefined();
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        ExpressionAttributeNames: {
+          '#0': 'consumer-3',
+          '#1': 'consumer-4',
+          '#a': 'consumers',
+          '#b': 'version'
+        },
+        UpdateExpression: 'REMOVE #a.#0, #a.#1 SET #b = :x'
+      })
+    );
+    expect(emitEvent.mock.calls).toEqual([['consumerJoined', { consumerId: 'consumer-1' }]]);
   });
 
   test('clearOldConsumers ignores conditional update mismatches', async () => {
@@ -262,6 +342,7 @@ describe('lib/state-store', () => {
       UpdateExpression: 'REMOVE #a.#0 SET #b = :x'
     });
     expect(update).toHaveBeenCalledTimes(1);
+    expect(emitEvent).toHaveBeenCalledWith('consumerJoined', { consumerId: 'consumer-1' });
   });
 
   test('clearOldConsumers throws if the update to remove old consumers throws', async () => {
@@ -391,6 +472,58 @@ describe('lib/state-store', () => {
     expect(error).toHaveBeenCalledTimes(1);
   });
 
+  test('deregisterConsumer removes the consumer from the store', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    await expect(store.deregisterConsumer()).resolves.toBeUndefined();
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenCalledWith({
+      ConditionExpression: 'attribute_exists(#a.#b)',
+      ExpressionAttributeNames: { '#a': 'consumers', '#b': 'test-id' },
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' },
+      UpdateExpression: 'REMOVE #a.#b'
+    });
+    expect(debug).toHaveBeenNthCalledWith(2, 'The consumer "test-id" is now de-registered.');
+    expect(debug).toHaveBeenCalledTimes(2);
+  });
+
+  test('deregisterConsumer keeps the standalone consumers with an instance name', async () => {
+    const store = new StateStore({
+      ...options,
+      instanceName: 'foo',
+      useAutoShardAssignment: false
+    });
+    await store.start();
+    await expect(store.deregisterConsumer()).resolves.toBeUndefined();
+    const { update } = new DynamoDbClient();
+    expect(update).not.toHaveBeenCalled();
+    expect(debug).toHaveBeenNthCalledWith(
+      2,
+      'The consumer "test-id" is kept so its checkpoints can be resumed.'
+    );
+  });
+
+  test('deregisterConsumer ignores conditional update mismatches', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    update.mockRejectedValueOnce(
+      Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' })
+    );
+    await expect(store.deregisterConsumer()).resolves.toBeUndefined();
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('deregisterConsumer throws if DynamoDB throws', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    update.mockRejectedValueOnce(new Error('foo'));
+    await expect(store.deregisterConsumer()).rejects.toThrow('foo');
+    expect(error).toHaveBeenNthCalledWith(1, expect.objectContaining({ message: 'foo' }));
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+
   test('deregisterEnhancedConsumer removes enhanced fan-out consumers from the store', async () => {
     const store = new StateStore(options);
     await store.start();
@@ -600,6 +733,10 @@ describe('lib/state-store', () => {
       2,
       'Using the "enhanced-consumer-0" enhanced fan-out consumer.'
     );
+    expect(emitEvent).toHaveBeenCalledWith('enhancedConsumerAssigned', {
+      consumerArn: 'arn:enhanced-consumer-0',
+      consumerName: 'enhanced-consumer-0'
+    });
   });
 
   test('getAssignedEnhancedConsumer works when auto shard assignment is off', async () => {
@@ -769,6 +906,8 @@ describe('lib/state-store', () => {
             depleted: false,
             leaseExpiration: fiveMinsFromNow,
             leaseOwner: 'test-id',
+            resetId: '0005',
+            startingPosition: { type: 'TRIM_HORIZON' },
             version: '0000'
           },
           'shard-0002': {
@@ -777,6 +916,13 @@ describe('lib/state-store', () => {
             leaseExpiration: fiveMinsFromNow,
             leaseOwner: 'test-id',
             version: '0000'
+          },
+          'shard-0003': {
+            checkpoint: '3',
+            handoff: true,
+            leaseExpiration: fiveMinsFromNow,
+            leaseOwner: 'test-id',
+            version: '0000'
           }
         }
       }
@@ -785,6 +931,8 @@ describe('lib/state-store', () => {
       'shard-0001': {
         checkpoint: '1',
         leaseExpiration: fiveMinsFromNow,
+        resetId: '0005',
+        startingPosition: { type: 'TRIM_HORIZON' },
         version: '0000'
       }
     });
@@ -934,13 +1082,60 @@ describe('lib/state-store', () => {
     );
   });
 
-  test('lockShardLease locks a shard lease and returns true', async () => {
+  test('getShardsAndStreamState returns the stream state and the state of the shards', async () => {
+    const state = new StateStore(options);
+    await state.start();
+    const { get, update } = new DynamoDbClient();
+    const Item = {
+      consumers: { foo: 'bar' },
+      shards: { 'shard-0001': { baz: 'qux' }, 'shard-0002': { quux: 'quuz' } }
+    };
+    get.mockClear();
+    get.mockResolvedValueOnce({ Item });
+    await expect(
+      state.getShardsAndStreamState({ 'shard-0001': {}, 'shard-0002': {} })
+    ).resolves.toEqual({ shards: Item.shards, streamState: Item });
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('getShardsAndStreamState creates the missing shard states and reads them again', async () => {
+    const state = new StateStore(options);
+    await state.start();
+    const { get, update } = new DynamoDbClient();
+    const data = { Item: { consumers: {}, shards: { 'shard-0001': { baz: 'qux' } } } };
+    get.mockClear();
+    get.mockResolvedValue(data);
+    update.mockImplementation((params) => {
+      const {
+        ExpressionAttributeNames: { '#b': shardId },
+        ExpressionAttributeValues: { ':x': updateData }
+      } = params;
+      data.Item.shards[shardId] = updateData;
+      return Promise.resolve({});
+    });
+    const { shards } = await state.getShardsAndStreamState({
+      'shard-0001': {},
+      'shard-0002': { parent: 'shard-0001' },
+      'shard-0003': { parent: 'shard-0001' }
+    });
+    expect(Object.keys(shards)).toEqual(['shard-0001', 'shard-0002', 'shard-0003']);
+    expect(shards['shard-0002']).toEqual(expect.objectContaining({ parent: 'shard-0001' }));
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(get).toHaveBeenCalledTimes(2);
+    get.mockReset();
+    get.mockResolvedValue({});
+    update.mockReset();
+    update.mockResolvedValue({});
+  });
+
+  test('lockShardLease locks a shard lease and returns the new version', async () => {
     const store = new StateStore(options);
     await store.start();
     const spy = jest
       .spyOn(Date, 'now')
       .mockImplementationOnce(() => new Date('2019-01-01').getTime());
-    await expect(store.lockShardLease('shard-0001', 10000, '0000', {})).resolves.toBe(true);
+    await expect(store.lockShardLease('shard-0001', 10000, '0000', {})).resolves.toBe('0001');
     const { update } = new DynamoDbClient();
     expect(update).toHaveBeenCalledWith({
       ConditionExpression: '#a.#b.#e = :z',
@@ -949,28 +1144,30 @@ describe('lib/state-store', () => {
         '#b': 'shard-0001',
         '#c': 'leaseOwner',
         '#d': 'leaseExpiration',
-        '#e': 'version'
+        '#e': 'version',
+        '#f': 'handoff'
       },
       ExpressionAttributeValues: {
+        ':v': false,
         ':w': 'test-id',
         ':x': '2019-01-01T00:00:10.000Z',
         ':y': '0001',
         ':z': '0000'
       },
       Key: { consumerGroup: 'test-group', streamName: 'test-stream' },
-      UpdateExpression: 'SET #a.#b.#c = :w, #a.#b.#d = :x, #a.#b.#e = :y'
+      UpdateExpression: 'SET #a.#b.#c = :w, #a.#b.#d = :x, #a.#b.#e = :y, #a.#b.#f = :v'
     });
     spy.mockRestore();
   });
 
-  test('lockShardLease returns false if unable to acquire the lock', async () => {
+  test('lockShardLease returns null if unable to acquire the lock', async () => {
     const store = new StateStore(options);
     await store.start();
     const { update } = new DynamoDbClient();
     update.mockRejectedValueOnce(
       Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' })
     );
-    await expect(store.lockShardLease('shard-0001', 10000, '0000', {})).resolves.toBe(false);
+    await expect(store.lockShardLease('shard-0001', 10000, '0000', {})).resolves.toBeNull();
     expect(error).not.toHaveBeenCalled();
   });
 
@@ -984,6 +1181,90 @@ describe('lib/state-store', () => {
     expect(error).toHaveBeenCalledTimes(1);
   });
 
+  test('renewShardLeases renews the owned leases with a single update', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const spy = jest
+      .spyOn(Date, 'now')
+      .mockImplementationOnce(() => new Date('2019-01-01').getTime());
+    const shards = {
+      'shard-0001': { leaseExpiration: '2019-01-01T00:00:01.000Z' },
+      'shard-0002': { leaseExpiration: '2019-01-01T00:00:02.000Z' }
+    };
+    await expect(
+      store.renewShardLeases(['shard-0001', 'shard-0002'], 10000, { shards })
+    ).resolves.toEqual({ 'shard-0001': '0001', 'shard-0002': '0002' });
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenCalledWith({
+      ConditionExpression: '#a.#0.#b = :w AND #a.#0.#c = :0 AND #a.#1.#b = :w AND #a.#1.#c = :2',
+      ExpressionAttributeNames: {
+        '#0': 'shard-0001',
+        '#1': 'shard-0002',
+        '#a': 'shards',
+        '#b': 'leaseOwner',
+        '#c': 'leaseExpiration',
+        '#d': 'version',
+        '#e': 'handoff'
+      },
+      ExpressionAttributeValues: {
+        ':0': '2019-01-01T00:00:01.000Z',
+        ':1': '0001',
+        ':2': '2019-01-01T00:00:02.000Z',
+        ':3': '0002',
+        ':v': false,
+        ':w': 'test-id',
+        ':x': '2019-01-01T00:00:10.000Z'
+      },
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' },
+      UpdateExpression:
+        'SET #a.#0.#c = :x, #a.#0.#d = :1, #a.#0.#e = :v, #a.#1.#c = :x, #a.#1.#d = :3, #a.#1.#e = :v'
+    });
+    expect(update).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+
+  test('renewShardLeases splits the renewals of many leases in several updates', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const shardIds = Array.from({ length: 30 }, (value, index) => `shard-${index}`);
+    const shards = shardIds.reduce((obj, id) => ({ ...obj, [id]: {} }), {});
+    const { update } = new DynamoDbClient();
+    update.mockResolvedValueOnce({}).mockRejectedValueOnce(conditionalError());
+    const versions = await store.renewShardLeases(shardIds, 10000, { shards });
+    expect(Object.keys(versions)).toEqual(shardIds.slice(0, 25));
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[1][0].ExpressionAttributeNames).toEqual(
+      expect.objectContaining({ '#0': 'shard-25', '#4': 'shard-29' })
+    );
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('renewShardLeases renews each lease with its own update when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const shards = { 'shard-0001': {}, 'shard-0002': {} };
+    const { update } = new DynamoDbClient();
+    await expect(
+      store.renewShardLeases(['shard-0001', 'shard-0002'], 10000, { shards })
+    ).resolves.toEqual({ 'shard-0001': '0001', 'shard-0002': '0002' });
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls.map(([params]) => params.Key.streamName)).toEqual([
+      'test-stream/shards/shard-0001',
+      'test-stream/shards/shard-0002'
+    ]);
+  });
+
+  test('renewShardLeases throws if DynamoDB throws', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    update.mockRejectedValueOnce(new Error('foo'));
+    const streamState = { shards: { 'shard-0001': {} } };
+    await expect(store.renewShardLeases(['shard-0001'], 10000, streamState)).rejects.toThrow('foo');
+    expect(error).toHaveBeenNthCalledWith(1, expect.objectContaining({ message: 'foo' }));
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+
   test("markShardAsDepleted marks a depletion and updates the children's checkpoints", async () => {
     const store = new StateStore(options);
     await store.start();
@@ -1037,6 +1318,7 @@ describe('lib/state-store', () => {
       UpdateExpression: 'SET #a.#b.#c = :x, #a.#b.#d = :y, #a.#0.#e = :0, #a.#0.#d = :1'
     });
     expect(update).toHaveBeenCalledTimes(2);
+    expect(emitEvent).toHaveBeenCalledWith('shardEnded', { shardId: 'shard-0000' });
   });
 
   test('markShardAsDepleted marks a depletion without passing an unset checkpoint', async () => {
@@ -1088,11 +1370,15 @@ describe('lib/state-store', () => {
       ExpressionAttributeValues: {
         ':x': {
           appName: 'lifion-kinesis',
+          capacityWeight: 1,
           heartbeat: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
           host: expect.any(String),
           isActive: true,
+          isPinned: false,
           isStandalone: false,
+          maxLeases: null,
           pid: expect.any(Number),
+          shardFilter: null,
           startedOn: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/)
         }
       },
@@ -1107,6 +1393,27 @@ describe('lib/state-store', () => {
     expect(debug).toHaveBeenCalledTimes(2);
   });
 
+  test('registerConsumer stores the capacity weight, the maximum of leases, and pinning', async () => {
+    const shardFilter = { excludedShardIds: [], hashKeyRange: null, shardIds: ['shard-0001'] };
+    const store = new StateStore({ ...options, capacityWeight: 2.5, maxLeases: 4, shardFilter });
+    await store.start();
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        ExpressionAttributeValues: {
+          ':x': expect.objectContaining({
+            capacityWeight: 2.5,
+            isPinned: true,
+            maxLeases: 4,
+            shardFilter
+          })
+        }
+      })
+    );
+  });
+
   test('registerConsumer makes an update to add a standalone consumer to the state', async () => {
     const store = new StateStore({ ...options, useAutoShardAssignment: false });
     await store.start();
@@ -1138,6 +1445,86 @@ describe('lib/state-store', () => {
     });
   });
 
+  test('registerConsumer migrates the shards state of the previous runs of an instance', async () => {
+    const store = new StateStore({
+      ...options,
+      instanceName: 'foo',
+      useAutoShardAssignment: false
+    });
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    const shards = { 'shard-0001': { checkpoint: '1' } };
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: {
+          'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z', instanceName: 'foo', shards: {} },
+          'consumer-2': { heartbeat: '2019-01-02T00:00:00.000Z', instanceName: 'foo', shards },
+          'consumer-3': { heartbeat: '2100-01-01T00:00:00.000Z', instanceName: 'foo', shards: {} },
+          'consumer-4': { heartbeat: '2019-01-03T00:00:00.000Z', instanceName: 'bar', shards: {} },
+          'consumer-5': { heartbeat: '2019-01-03T00:00:00.000Z', instanceName: 'foo' }
+        }
+      }
+    });
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    expect(update).toHaveBeenNthCalledWith(1, {
+      ConditionExpression:
+        'attribute_not_exists(#a.#b) AND attribute_exists(#a.#0) AND attribute_exists(#a.#1)',
+      ExpressionAttributeNames: {
+        '#0': 'consumer-2',
+        '#1': 'consumer-1',
+        '#a': 'consumers',
+        '#b': 'test-id'
+      },
+      ExpressionAttributeValues: {
+        ':x': expect.objectContaining({ instanceName: 'foo', isStandalone: true, shards })
+      },
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' },
+      UpdateExpression: 'SET #a.#b = :x REMOVE #a.#0, #a.#1'
+    });
+    expect(debug).toHaveBeenNthCalledWith(
+      2,
+      'The shards state of "consumer-2" has been migrated to "test-id".'
+    );
+  });
+
+  test("registerConsumer doesn't migrate when the consumer is already registered", async () => {
+    const store = new StateStore({
+      ...options,
+      instanceName: 'foo',
+      useAutoShardAssignment: false
+    });
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: {
+          'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z', instanceName: 'foo', shards: {} },
+          'test-id': { heartbeat: '2100-01-01T00:00:00.000Z', instanceName: 'foo', shards: {} }
+        }
+      }
+    });
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    expect(update).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        ConditionExpression: 'attribute_not_exists(#a.#b)',
+        ExpressionAttributeValues: { ':x': expect.objectContaining({ shards: {} }) },
+        UpdateExpression: 'SET #a.#b = :x'
+      })
+    );
+  });
+
+  test('registerConsumer stores the instance name of consumers using leases', async () => {
+    const store = new StateStore({ ...options, instanceName: 'foo' });
+    await store.start();
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    const { get, update } = new DynamoDbClient();
+    expect(get).toHaveBeenCalledTimes(1);
+    const { ':x': item } = update.mock.calls[0][0].ExpressionAttributeValues;
+    expect(item).toEqual(expect.objectContaining({ instanceName: 'foo', isStandalone: false }));
+    expect(item).not.toHaveProperty('shards');
+  });
+
   test('registerConsumer updates the hearbeat if the consumer is already registered', async () => {
     const store = new StateStore(options);
     await store.start();
@@ -1263,6 +1650,58 @@ describe('lib/state-store', () => {
     expect(error).toHaveBeenCalledTimes(1);
   });
 
+  test('markShardForHandoff makes an update to mark a shard for handoff', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: {} });
+    await expect(store.markShardForHandoff('shard-0001', '0000', {})).resolves.toBe('0001');
+    expect(update).toHaveBeenNthCalledWith(1, {
+      ConditionExpression: '#a.#b.#d = :z',
+      ExpressionAttributeNames: {
+        '#a': 'shards',
+        '#b': 'shard-0001',
+        '#c': 'handoff',
+        '#d': 'version'
+      },
+      ExpressionAttributeValues: {
+        ':x': true,
+        ':y': '0001',
+        ':z': '0000'
+      },
+      Key: {
+        consumerGroup: 'test-group',
+        streamName: 'test-stream'
+      },
+      UpdateExpression: 'SET #a.#b.#c = :x, #a.#b.#d = :y'
+    });
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('markShardForHandoff ignores conditional update mismatches', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: {} });
+    update.mockRejectedValueOnce(
+      Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' })
+    );
+    await expect(store.markShardForHandoff('shard-0001', '0000', {})).resolves.toBe(null);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('markShardForHandoff throws when DynamoDB throws', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: {} });
+    update.mockRejectedValueOnce(new Error('foo'));
+    await expect(store.markShardForHandoff('shard-0001', '0000', {})).rejects.toThrow('foo');
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'foo' }));
+  });
+
   test('releaseShardLease makes an update to release a shard lease', async () => {
     const store = new StateStore(options);
     await store.start();
@@ -1276,9 +1715,11 @@ describe('lib/state-store', () => {
         '#b': 'shard-0001',
         '#c': 'leaseOwner',
         '#d': 'leaseExpiration',
-        '#e': 'version'
+        '#e': 'version',
+        '#f': 'handoff'
       },
       ExpressionAttributeValues: {
+        ':v': false,
         ':w': null,
         ':x': null,
         ':y': '0001',
@@ -1288,7 +1729,7 @@ describe('lib/state-store', () => {
         consumerGroup: 'test-group',
         streamName: 'test-stream'
       },
-      UpdateExpression: 'SET #a.#b.#c = :w, #a.#b.#d = :x, #a.#b.#e = :y'
+      UpdateExpression: 'SET #a.#b.#c = :w, #a.#b.#d = :x, #a.#b.#e = :y, #a.#b.#f = :v'
     });
     expect(update).toHaveBeenCalledTimes(1);
   });
@@ -1320,28 +1761,92 @@ describe('lib/state-store', () => {
   test('storeShardCheckpoint throws if called with no checkpoint', async () => {
     const store = new StateStore(options);
     await store.start();
+    await expect(store.storeShardCheckpoint('shard-0001', null)).rejects.toThrow(
+      'The sequence number is required.'
+    );
+  });
+
+  test('resetShardCheckpoint resets the checkpoint of a shard to a sequence number', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const position = { sequenceNumber: '1', type: 'AFTER_SEQUENCE_NUMBER' };
+    await expect(store.resetShardCheckpoint('shard-0001', position)).resolves.toBeUndefined();
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenNthCalledWith(1, {
+      ExpressionAttributeNames: {
+        '#a': 'shards',
+        '#b': 'shard-0001',
+        '#c': 'checkpoint',
+        '#d': 'startingPosition',
+        '#e': 'depleted',
+        '#f': 'resetId',
+        '#g': 'version'
+      },
+      ExpressionAttributeValues: {
+        ':u': '1',
+        ':v': null,
+        ':w': false,
+        ':x': '0001',
+        ':y': '0002'
+      },
+      Key: {
+        consumerGroup: 'test-group',
+        streamName: 'test-stream'
+      },
+      UpdateExpression:
+        'SET #a.#b.#c = :u, #a.#b.#d = :v, #a.#b.#e = :w, #a.#b.#f = :x, #a.#b.#g = :y'
+    });
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('resetShardCheckpoint resets the checkpoint of a shard to a starting position', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const position = { timestamp: '2019-01-01T00:00:00.000Z', type: 'AT_TIMESTAMP' };
+    await store.resetShardCheckpoint('shard-0001', position);
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        ExpressionAttributeValues: {
+          ':u': null,
+          ':v': position,
+          ':w': false,
+          ':x': '0001',
+          ':y': '0002'
+        }
+      })
+    );
+  });
+
+  test('resetShardCheckpoint throws if DynamoDB throws', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    update.mockRejectedValueOnce(new Error('foo'));
     await expect(
-      store.storeShardCheckpoint('shard-0001', null, '#a', { '#a': 'a' })
-    ).rejects.toThrow('The sequence number is required.');
+      store.resetShardCheckpoint('shard-0001', { type: 'TRIM_HORIZON' })
+    ).rejects.toThrow('foo');
   });
 
   test('storeShardCheckpoint updates the checkpoint of a shard', async () => {
     const store = new StateStore(options);
     await store.start();
-    await expect(
-      store.storeShardCheckpoint('shard-0001', '1', '#a', { '#a': 'a' })
-    ).resolves.toBeUndefined();
+    await expect(store.storeShardCheckpoint('shard-0001', '1')).resolves.toBe(true);
     const { update } = new DynamoDbClient();
     expect(update).toHaveBeenNthCalledWith(1, {
+      ConditionExpression: 'attribute_not_exists(#a.#b.#e) OR #a.#b.#e = :z',
       ExpressionAttributeNames: {
-        '#a': 'a',
+        '#a': 'shards',
         '#b': 'shard-0001',
         '#c': 'checkpoint',
-        '#d': 'version'
+        '#d': 'version',
+        '#e': 'resetId'
       },
       ExpressionAttributeValues: {
         ':x': '1',
-        ':y': '0001'
+        ':y': '0001',
+        ':z': null
       },
       Key: {
         consumerGroup: 'test-group',
@@ -1350,6 +1855,33 @@ describe('lib/state-store', () => {
       UpdateExpression: 'SET #a.#b.#c = :x, #a.#b.#d = :y'
     });
     expect(update).toHaveBeenCalledTimes(1);
+    expect(getStats('test-stream').kinesis.shards['shard-0001']).toEqual(
+      expect.objectContaining({ checkpoint: '1' })
+    );
+  });
+
+  test('storeShardCheckpoint expects the given checkpoint reset ID', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    await store.storeShardCheckpoint('shard-0001', '1', '0005');
+    const { update } = new DynamoDbClient();
+    expect(update).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        ExpressionAttributeValues: { ':x': '1', ':y': '0001', ':z': '0005' }
+      })
+    );
+  });
+
+  test('storeShardCheckpoint returns false if the checkpoint has been reset', async () => {
+    const store = new StateStore(options);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    update.mockRejectedValueOnce(
+      Object.assign(new Error('foo'), { code: 'ConditionalCheckFailedException' })
+    );
+    await expect(store.storeShardCheckpoint('shard-0001', '1')).resolves.toBe(false);
+    expect(error).not.toHaveBeenCalled();
   });
 
   test('storeShardCheckpoint throws if DynamoDB throws', async () => {
@@ -1357,8 +1889,423 @@ describe('lib/state-store', () => {
     await store.start();
     const { update } = new DynamoDbClient();
     update.mockRejectedValueOnce(new Error('foo'));
+    await expect(store.storeShardCheckpoint('shard-0001', '1')).rejects.toThrow('foo');
+  });
+  test('starting the store with an item per shard migrates a state stored in a single item', async () => {
+    const store = new StateStore(itemOptions);
+    const { get, put, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({
+      Item: {
+        consumers: { 'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z' } },
+        shards: { 'shard-0001': { checkpoint: '1' } },
+        streamCreatedOn: '2019-01-01T00:00:00.000Z',
+        version: '1'
+      }
+    });
+    put.mockRejectedValueOnce(conditionalError());
+    await expect(store.start()).resolves.toBeUndefined();
+    expect(put.mock.calls).toEqual([
+      [
+        {
+          ConditionExpression: 'attribute_not_exists(streamName)',
+          Item: {
+            consumerGroup: 'test-group',
+            consumers: { 'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z' } },
+            streamName: 'test-stream/consumers/consumer-1'
+          }
+        }
+      ],
+      [
+        {
+          ConditionExpression: 'attribute_not_exists(streamName)',
+          Item: {
+            consumerGroup: 'test-group',
+            shards: { 'shard-0001': { checkpoint: '1' } },
+            streamName: 'test-stream/shards/shard-0001'
+          }
+        }
+      ],
+      [
+        {
+          ConditionExpression: 'attribute_not_exists(streamName)',
+          Item: {
+            consumerGroup: 'test-group',
+            enhancedConsumers: {},
+            streamCreatedOn: '2019-01-01T00:00:00.000Z',
+            streamName: 'test-stream',
+            version: '0001'
+          }
+        }
+      ]
+    ]);
+    expect(update).toHaveBeenCalledWith({
+      ConditionExpression: '#c = :y',
+      ExpressionAttributeNames: { '#a': 'consumers', '#b': 'shards', '#c': 'version' },
+      ExpressionAttributeValues: { ':x': '0000', ':y': '1' },
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' },
+      UpdateExpression: 'REMOVE #a, #b SET #c = :x'
+    });
+    expect(debug).toHaveBeenNthCalledWith(
+      1,
+      'The state has been migrated to an item per shard (2 entries).'
+    );
+  });
+
+  test('the migration to an item per shard is retried if the state changes meanwhile', async () => {
+    const store = new StateStore(itemOptions);
+    const { get, put, update } = new DynamoDbClient();
+    const streamCreatedOn = '2019-01-01T00:00:00.000Z';
+    get
+      .mockResolvedValueOnce({
+        Item: { shards: { 'shard-0001': { checkpoint: '1' } }, streamCreatedOn, version: '1' }
+      })
+      .mockResolvedValueOnce({
+        Item: {
+          consumers: { 'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z' } },
+          shards: { 'shard-0001': { checkpoint: '2' } },
+          streamCreatedOn,
+          version: '2'
+        }
+      });
+    update.mockRejectedValueOnce(conditionalError());
+    put.mockResolvedValueOnce({}).mockRejectedValueOnce(conditionalError());
+    await expect(store.start()).resolves.toBeUndefined();
+    expect(get).toHaveBeenNthCalledWith(2, {
+      ConsistentRead: true,
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' }
+    });
+    expect(put.mock.calls.map(([{ Item }]) => Item.streamName)).toEqual([
+      'test-stream/shards/shard-0001',
+      'test-stream/consumers/consumer-1',
+      'test-stream/shards/shard-0001',
+      'test-stream'
+    ]);
+    expect(
+      update.mock.calls.map(([{ ExpressionAttributeValues }]) => ExpressionAttributeValues)
+    ).toEqual([
+      { ':x': '0000', ':y': '1' },
+      { ':x': '0001', ':y': '2' }
+    ]);
+    expect(debug).toHaveBeenNthCalledWith(
+      1,
+      'The state changed while being migrated, trying again…'
+    );
+    expect(debug).toHaveBeenNthCalledWith(
+      2,
+      'The state has been migrated to an item per shard (2 entries).'
+    );
+  });
+
+  test("the migration to an item per shard isn't retried if the state was migrated meanwhile", async () => {
+    const store = new StateStore(itemOptions);
+    const { get, update } = new DynamoDbClient();
+    const streamCreatedOn = '2019-01-01T00:00:00.000Z';
+    get
+      .mockResolvedValueOnce({ Item: { shards: {}, streamCreatedOn, version: '1' } })
+      .mockResolvedValueOnce({ Item: { streamCreatedOn, version: '2' } });
+    update.mockRejectedValueOnce(conditionalError());
+    await expect(store.start()).resolves.toBeUndefined();
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(debug).not.toHaveBeenCalledWith(expect.stringMatching(/^The state has been migrated/));
+  });
+
+  test('the migration to an item per shard throws on unexpected errors while removing', async () => {
+    const store = new StateStore(itemOptions);
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({
+      Item: { shards: {}, streamCreatedOn: '2019-01-01T00:00:00.000Z', version: '1' }
+    });
+    update.mockRejectedValueOnce(new Error('foo'));
+    await expect(store.start()).rejects.toThrow('foo');
+    expect(error.mock.calls).toEqual([[expect.objectContaining({ message: 'foo' })]]);
+  });
+
+  test('starting the store with an item per shard throws if the migration fails', async () => {
+    const store = new StateStore(itemOptions);
+    const { get, put, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({
+      Item: { shards: {}, streamCreatedOn: '2019-01-01T00:00:00.000Z' }
+    });
+    await expect(store.start()).resolves.toBeUndefined();
+    expect(update).toHaveBeenCalledTimes(1);
+    get.mockResolvedValueOnce({
+      Item: { consumers: { 'consumer-1': {} }, streamCreatedOn: '2019-01-01T00:00:00.000Z' }
+    });
+    put.mockRejectedValueOnce(new Error('foo'));
+    await expect(store.start()).rejects.toThrow('foo');
+    expect(error.mock.calls).toEqual([[expect.objectContaining({ message: 'foo' })]]);
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('starting the store with an item per shard deletes all the items if the stream differs', async () => {
+    const store = new StateStore(itemOptions);
+    const { delete: deleteMock, get, query } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: { streamCreatedOn: '2018-12-31T00:00:00.000Z' } });
+    const lastKey = { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0001' };
+    query.mockResolvedValueOnce({ Items: [lastKey], LastEvaluatedKey: lastKey });
+    query.mockResolvedValueOnce({
+      Items: [{ consumerGroup: 'test-group', streamName: 'test-stream/consumers/consumer-1' }]
+    });
+    await expect(store.start()).resolves.toBeUndefined();
+    expect(query.mock.calls).toEqual([
+      [
+        {
+          ConsistentRead: true,
+          ExclusiveStartKey: undefined,
+          ExpressionAttributeNames: { '#a': 'consumerGroup', '#b': 'streamName' },
+          ExpressionAttributeValues: { ':a': 'test-group', ':b': 'test-stream/' },
+          KeyConditionExpression: '#a = :a AND begins_with(#b, :b)'
+        }
+      ],
+      [expect.objectContaining({ ExclusiveStartKey: lastKey })]
+    ]);
+    expect(deleteMock.mock.calls).toEqual([
+      [{ Key: { consumerGroup: 'test-group', streamName: 'test-stream' } }],
+      [{ Key: { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0001' } }],
+      [{ Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/consumer-1' } }]
+    ]);
+  });
+
+  test('getOwnedShards merges the items of the shards when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const { get, query } = new DynamoDbClient();
+    const leaseExpiration = new Date(Date.now() + 5 * 60 * 1000);
+    const shardState = { checkpoint: '1', leaseExpiration, leaseOwner: 'test-id', version: '0000' };
+    get.mockResolvedValueOnce({ Item: { enhancedConsumers: {} } });
+    query.mockResolvedValueOnce({
+      Items: [
+        { consumers: { 'test-id': { heartbeat: leaseExpiration } } },
+        { shards: { 'shard-0001': shardState } },
+        { shards: { 'shard-0002': { ...shardState, leaseOwner: 'consumer-1' } } }
+      ]
+    });
+    await expect(store.getOwnedShards()).resolves.toEqual({
+      'shard-0001': {
+        checkpoint: '1',
+        leaseExpiration,
+        resetId: undefined,
+        startingPosition: undefined,
+        version: '0000'
+      }
+    });
+  });
+
+  test('clearOldConsumers deletes the items of old consumers when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const { delete: deleteMock, get, query } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: { enhancedConsumers: {} } });
+    query.mockResolvedValueOnce({
+      Items: [
+        { consumers: { 'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z' } } },
+        { consumers: { 'consumer-2': { heartbeat: new Date().toISOString() } } }
+      ]
+    });
+    await expect(store.clearOldConsumers(1000)).resolves.toBeUndefined();
+    expect(deleteMock.mock.calls).toEqual([
+      [
+        {
+          ConditionExpression: '#a.#b.#c = :x',
+          ExpressionAttributeNames: { '#a': 'consumers', '#b': 'consumer-1', '#c': 'heartbeat' },
+          ExpressionAttributeValues: { ':x': '2019-01-01T00:00:00.000Z' },
+          Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/consumer-1' }
+        }
+      ]
+    ]);
+    expect(emitEvent.mock.calls).toEqual([['consumerJoined', { consumerId: 'consumer-2' }]]);
+  });
+
+  test('deregisterConsumer deletes the item of the consumer when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    await expect(store.deregisterConsumer()).resolves.toBeUndefined();
+    const { delete: deleteMock, update } = new DynamoDbClient();
+    expect(deleteMock).toHaveBeenCalledWith({
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/test-id' }
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('ensureShardStateExists puts the item of the shard when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const { put, update } = new DynamoDbClient();
+    put.mockClear();
+    put.mockRejectedValueOnce(conditionalError());
     await expect(
-      store.storeShardCheckpoint('shard-0001', '1', '#a', { '#a': 'a' })
-    ).rejects.toThrow('foo');
+      store.ensureShardStateExists('shard-0001', { parent: null }, { shards: {} })
+    ).resolves.toBeUndefined();
+    expect(put).toHaveBeenCalledWith({
+      ConditionExpression: 'attribute_not_exists(streamName)',
+      Item: {
+        consumerGroup: 'test-group',
+        shards: {
+          'shard-0001': {
+            checkpoint: null,
+            depleted: false,
+            leaseExpiration: null,
+            leaseOwner: null,
+            parent: null,
+            version: '0001'
+          }
+        },
+        streamName: 'test-stream/shards/shard-0001'
+      }
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('the shard leases are updated in the items of the shards when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const { update } = new DynamoDbClient();
+    const streamState = { shards: {} };
+    await store.lockShardLease('shard-0001', 1000, '0000', streamState);
+    await store.markShardForHandoff('shard-0001', '0000', streamState);
+    await store.releaseShardLease('shard-0001', '0000', streamState);
+    await store.resetShardCheckpoint('shard-0001', { type: 'LATEST' });
+    await store.storeShardCheckpoint('shard-0001', '1');
+    const Key = { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0001' };
+    expect(update).toHaveBeenCalledTimes(5);
+    update.mock.calls.forEach(([params]) => expect(params.Key).toEqual(Key));
+  });
+
+  test('the shards state of standalone consumers is in their items when using an item per shard', async () => {
+    const store = new StateStore({ ...itemOptions, useAutoShardAssignment: false });
+    await store.start();
+    const { update } = new DynamoDbClient();
+    await store.storeShardCheckpoint('shard-0001', '1');
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        ExpressionAttributeNames: expect.objectContaining({
+          '#a0': 'consumers',
+          '#a1': 'test-id',
+          '#a2': 'shards'
+        }),
+        Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/test-id' },
+        UpdateExpression: 'SET #a0.#a1.#a2.#b.#c = :x, #a0.#a1.#a2.#b.#d = :y'
+      })
+    );
+  });
+
+  test('the shards state of enhanced consumers stays in the stream item with an item per shard', async () => {
+    const store = new StateStore({
+      ...itemOptions,
+      useAutoShardAssignment: false,
+      useEnhancedFanOut: true
+    });
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockClear();
+    get.mockResolvedValueOnce({
+      Item: { enhancedConsumers: { bar: { isUsedBy: 'baz' }, foo: { isUsedBy: 'test-id' } } }
+    });
+    await store.storeShardCheckpoint('shard-0001', '1');
+    expect(get).toHaveBeenCalledWith({
+      ConsistentRead: true,
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream' }
+    });
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        ExpressionAttributeNames: expect.objectContaining({
+          '#a0': 'enhancedConsumers',
+          '#a1': 'foo',
+          '#a2': 'shards'
+        }),
+        Key: { consumerGroup: 'test-group', streamName: 'test-stream' }
+      })
+    );
+  });
+
+  test('markShardAsDepleted updates the items of the children when using an item per shard', async () => {
+    const store = new StateStore(itemOptions);
+    await store.start();
+    const { query, update } = new DynamoDbClient();
+    query.mockResolvedValueOnce({ Items: [{ shards: { 'shard-0000': { checkpoint: '1' } } }] });
+    const shardsData = { 'shard-0001': { parent: 'shard-0000', startingSequenceNumber: '2' } };
+    await expect(store.markShardAsDepleted(shardsData, 'shard-0000')).resolves.toBeUndefined();
+    expect(update.mock.calls).toEqual([
+      [
+        {
+          ExpressionAttributeNames: {
+            '#a': 'shards',
+            '#b': 'shard-0001',
+            '#c': 'checkpoint',
+            '#d': 'version'
+          },
+          ExpressionAttributeValues: { ':x': '2', ':y': '0002' },
+          Key: { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0001' },
+          UpdateExpression: 'SET #a.#b.#c = :x, #a.#b.#d = :y'
+        }
+      ],
+      [
+        {
+          ExpressionAttributeNames: {
+            '#a': 'shards',
+            '#b': 'shard-0000',
+            '#c': 'depleted',
+            '#d': 'version'
+          },
+          ExpressionAttributeValues: { ':x': true, ':y': '0003' },
+          Key: { consumerGroup: 'test-group', streamName: 'test-stream/shards/shard-0000' },
+          UpdateExpression: 'SET #a.#b.#c = :x, #a.#b.#d = :y'
+        }
+      ]
+    ]);
+  });
+
+  test('registerConsumer puts the item of the consumer when using an item per shard', async () => {
+    const store = new StateStore({
+      ...itemOptions,
+      instanceName: 'foo',
+      useAutoShardAssignment: false
+    });
+    await store.start();
+    const { delete: deleteMock, put, query, update } = new DynamoDbClient();
+    const shards = { 'shard-0001': { checkpoint: '1' } };
+    query.mockResolvedValueOnce({
+      Items: [
+        {
+          consumers: {
+            'consumer-1': { heartbeat: '2019-01-01T00:00:00.000Z', instanceName: 'foo', shards }
+          }
+        }
+      ]
+    });
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    expect(put).toHaveBeenLastCalledWith({
+      ConditionExpression: 'attribute_not_exists(streamName)',
+      Item: {
+        consumerGroup: 'test-group',
+        consumers: { 'test-id': expect.objectContaining({ instanceName: 'foo', shards }) },
+        streamName: 'test-stream/consumers/test-id'
+      }
+    });
+    expect(deleteMock).toHaveBeenCalledWith({
+      Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/consumer-1' }
+    });
+
+    put.mockRejectedValueOnce(conditionalError());
+    await expect(store.registerConsumer()).resolves.toBeUndefined();
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/test-id' },
+        UpdateExpression: 'SET #a.#b.#c = :x'
+      })
+    );
+  });
+
+  test('the is active flag is updated in the item of the consumer when using an item per shard', async () => {
+    const store = new StateStore({ ...itemOptions, useEnhancedFanOut: true });
+    await store.start();
+    const { get, update } = new DynamoDbClient();
+    get.mockResolvedValueOnce({ Item: { enhancedConsumers: {} } });
+    await expect(store.getAssignedEnhancedConsumer()).resolves.toBeNull();
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        Key: { consumerGroup: 'test-group', streamName: 'test-stream/consumers/test-id' }
+      })
+    );
   });
 });
@@ -12,6 +12,8 @@ const Cache = require('lru-cache');
 const { version } = require('../package.json');
 
 const FIVE_MINS = 5 * 60 * 1000;
+const RATE_WINDOW = 60 * 1000;
+const STREAM_NAME_REQUIRED = 'The "streamName" argument is required.';
 
 const moduleStats = {};
 const streams = {};
@@ -38,6 +40,58 @@ function getStore(streamName, key) {
   return store;
 }
 
+/**
+ * Returns an object where the stats of a stream shard should be stored.
+ *
+ * @param {string} streamName - The name of a Kinesis stream.
+ * @param {string} shardId - The ID of a shard of the stream.
+ * @returns {Object} The store for the shard stats.
+ * @private
+ */
+function getShardStore(streamName, shardId) {
+  const shards = getStore(streamName, 'shards');
+  if (!shards[shardId]) shards[shardId] = { samples: [] };
+  return shards[shardId];
+}
+
+/**
+ * Removes the consumption samples of a shard that are older than the window used to calculate
+ * the consumption rates.
+ *
+ * @param {Array<Object>} samples - The consumption samples of a shard.
+ * @private
+ */
+function pruneSamples(samples) {
+  const windowStart = Date.now() - RATE_WINDOW;
+  while (samples.length > 0 && samples[0].timestamp < windowStart) samples.shift();
+}
+
+/**
+ * Returns the stats of the shards of a stream, with the records and bytes consumed per second
+ * calculated over the last minute.
+ *
+ * @param {Object} shards - The stores for the shards stats.
+ * @returns {Object}
+ * @private
+ */
+function formatShards(shards) {
+  return Object.entries(shards).reduce((results, [shardId, { samples, ...shardStats }]) => {
+    pruneSamples(samples);
+    const totals = samples.reduce(
+      (acc, sample) => ({ bytes: acc.bytes + sample.bytes, records: acc.records + sample.records }),
+      { bytes: 0, records: 0 }
+    );
+    const seconds = RATE_WINDOW / 1000;
+    return Object.assign(results, {
+      [shardId]: {
+        ...shardStats,
+        bytesPerSecond: totals.bytes / seconds,
+        recordsPerSecond: totals.records / seconds
+      }
+    });
+  }, {});
+}
+
 /**
  * Stores an exception in the history of recent exceptions of the given store.
  *
@@ -91,6 +145,8 @@ function getStats(streamName) {
     let formattedValue = value;
     if (key === 'recentExceptions') {
       formattedValue = formatExceptions(value);
+    } else if (key === 'shards') {
+      formattedValue = formatShards(value);
     } else if (recentExceptions) {
       formattedValue = { ...value, recentExceptions: formatExceptions(recentExceptions) };
     }
@@ -137,12 +193,57 @@ function reportError(source, exception, streamName) {
  * @memberof module:stats
  */
 function reportRecordConsumed(streamName) {
-  if (!streamName) throw new TypeError('The "streamName" argument is required.');
+  if (!streamName) throw new TypeError(STREAM_NAME_REQUIRED);
   const now = new Date();
   getStore(streamName).lastRecordConsumed = now;
   getStore(null, 'kinesis').lastRecordConsumed = now;
 }
 
+/**
+ * Reports the consumption of a batch of records from a stream shard into the stats.
+ *
+ * @param {string} streamName - The name of the Kinesis stream.
+ * @param {Object} params - The parameters.
+ * @param {number} params.bytes - The size in bytes of the data of the records.
+ * @param {number} [params.iteratorAge] - The time in milliseconds since the last record of the
+ *        batch was added to the stream.
+ * @param {number} params.millisBehindLatest - How far behind the tip of the stream the shard
+ *        consumer is, in milliseconds.
+ * @param {number} params.records - The number of records in the batch.
+ * @param {string} params.shardId - The ID of the shard.
+ * @memberof module:stats
+ */
+function reportShardConsumption(streamName, params) {
+  if (!streamName) throw new TypeError(STREAM_NAME_REQUIRED);
+  const { bytes, iteratorAge, millisBehindLatest, records, shardId } = params;
+  const shardStore = getShardStore(streamName, shardId);
+  const now = Date.now();
+  shardStore.samples.push({ bytes, records, timestamp: now });
+  pruneSamples(shardStore.samples);
+  Object.assign(shardStore, {
+    iteratorAge: iteratorAge === undefined ? null : iteratorAge,
+    lastRecordConsumed: new Date(now),
+    millisBehindLatest
+  });
+}
+
+/**
+ * Reports the known state of a stream shard into the stats.
+ *
+ * @param {string} streamName - The name of the Kinesis stream.
+ * @param {string} shardId - The ID of the shard.
+ * @param {Object} state - The state of the shard, either its `checkpoint`, its `leaseOwner`, or
+ *        both.
+ * @memberof module:stats
+ */
+function reportShardState(streamName, shardId, state) {
+  if (!streamName) throw new TypeError(STREAM_NAME_REQUIRED);
+  const shardStore = getShardStore(streamName, shardId);
+  ['checkpoint', 'leaseOwner'].forEach((key) => {
+    if (state[key] !== undefined) shardStore[key] = state[key];
+  });
+}
+
 /**
  * Reports the submission of a Kinesis record into the stats.
  *
@@ -150,7 +251,7 @@ function reportRecordConsumed(streamName) {
  * @memberof module:stats
  */
 function reportRecordSent(streamName) {
-  if (!streamName) throw new TypeError('The "streamName" argument is required.');
+  if (!streamName) throw new TypeError(STREAM_NAME_REQUIRED);
   const now = new Date();
   getStore(streamName).lastRecordSent = now;
   getStore(null, 'kinesis').lastRecordSent = now;
@@ -176,5 +277,7 @@ module.exports = {
   reportError,
   reportRecordConsumed,
   reportRecordSent,
-  reportResponse
+  reportResponse,
+  reportShardConsumption,
+  reportShardState
 };
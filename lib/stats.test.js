@@ -12,11 +12,21 @@ describe('lib/stats', () => {
   let reportRecordConsumed;
   let reportRecordSent;
   let reportResponse;
+  let reportShardConsumption;
+  let reportShardState;
   let stats;
 
   beforeEach(() => {
     stats = require('./stats');
-    ({ getStats, reportError, reportRecordConsumed, reportRecordSent, reportResponse } = stats);
+    ({
+      getStats,
+      reportError,
+      reportRecordConsumed,
+      reportRecordSent,
+      reportResponse,
+      reportShardConsumption,
+      reportShardState
+    } = stats);
   });
 
   afterEach(() => {
@@ -29,7 +39,9 @@ describe('lib/stats', () => {
       reportError: expect.any(Function),
       reportRecordConsumed: expect.any(Function),
       reportRecordSent: expect.any(Function),
-      reportResponse: expect.any(Function)
+      reportResponse: expect.any(Function),
+      reportShardConsumption: expect.any(Function),
+      reportShardState: expect.any(Function)
     });
   });
 
@@ -142,4 +154,55 @@ describe('lib/stats', () => {
       version
     });
   });
+
+  test('reportShardConsumption throws if not called with a stream name', () => {
+    expect(() => reportShardConsumption()).toThrow('The "streamName" argument is required.');
+  });
+
+  test('reportShardConsumption updates the lag and the consumption rates of a shard', () => {
+    const now = Date.now();
+    const dateNow = jest.spyOn(Date, 'now');
+    try {
+      const params = { bytes: 600, millisBehindLatest: 5000, records: 6, shardId: 'bar' };
+      dateNow.mockReturnValue(now - 90000);
+      reportShardConsumption('foo', params);
+      dateNow.mockReturnValue(now - 30000);
+      reportShardConsumption('foo', { ...params, iteratorAge: 4000 });
+      dateNow.mockReturnValue(now);
+      reportShardConsumption('foo', { ...params, bytes: 1200, millisBehindLatest: 0, records: 6 });
+      expect(getStats('foo').kinesis).toEqual({
+        shards: {
+          bar: {
+            bytesPerSecond: 30,
+            iteratorAge: null,
+            lastRecordConsumed: new Date(now),
+            millisBehindLatest: 0,
+            recordsPerSecond: 0.2
+          }
+        }
+      });
+      dateNow.mockReturnValue(now + 45000);
+      expect(getStats().streams.foo.shards.bar).toEqual(
+        expect.objectContaining({ bytesPerSecond: 20, recordsPerSecond: 0.1 })
+      );
+    } finally {
+      dateNow.mockRestore();
+    }
+  });
+
+  test('reportShardState throws if not called with a stream name', () => {
+    expect(() => reportShardState()).toThrow('The "streamName" argument is required.');
+  });
+
+  test('reportShardState updates the checkpoint and the lease owner of a shard', () => {
+    reportShardState('foo', 'bar', { checkpoint: '1', leaseOwner: 'baz' });
+    reportShardState('foo', 'bar', { checkpoint: '2' });
+    reportShardState('foo', 'qux', { leaseOwner: null });
+    expect(getStats('foo').kinesis).toEqual({
+      shards: {
+        bar: { bytesPerSecond: 0, checkpoint: '2', leaseOwner: 'baz', recordsPerSecond: 0 },
+        qux: { bytesPerSecond: 0, leaseOwner: null, recordsPerSecond: 0 }
+      }
+    });
+  });
 });
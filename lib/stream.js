@@ -14,6 +14,43 @@ const CONSUMER_STATE_CHECK_DELAY = 3000;
 
 const wait = promisify(setTimeout);
 
+/**
+ * Compares two hash keys, given as strings of decimal digits that can go beyond the safe integers.
+ *
+ * @param {string} a - A hash key.
+ * @param {string} b - Another hash key.
+ * @returns {number} A negative number if `a` is lower than `b`, a positive number if it's higher,
+ *          or zero if they're equal.
+ * @private
+ */
+function compareHashKeys(a, b) {
+  return a.padStart(39, '0').localeCompare(b.padStart(39, '0'));
+}
+
+/**
+ * Tells whether a shard is one of the shards a consumer is pinned to. A shard is selected if it's
+ * in the `shardIds` allow-list (when given), it's not in the `excludedShardIds` deny-list, and its
+ * hash key range overlaps the `hashKeyRange` (when given).
+ *
+ * @param {Object} shardFilter - The filter with `excludedShardIds`, `hashKeyRange`, and `shardIds`.
+ * @param {string} shardId - The ID of the shard.
+ * @param {Object} [hashKeyRange] - The range of hash keys mapped to the shard, with
+ *        `startingHashKey` and `endingHashKey`.
+ * @returns {boolean} `true` if the shard is selected, `false` otherwise.
+ * @memberof module:stream
+ */
+function isShardSelected(shardFilter, shardId, hashKeyRange) {
+  const { excludedShardIds, hashKeyRange: range, shardIds } = shardFilter;
+  if (shardIds && !shardIds.includes(shardId)) return false;
+  if (excludedShardIds.includes(shardId)) return false;
+  return (
+    !range ||
+    (Boolean(hashKeyRange) &&
+      compareHashKeys(hashKeyRange.startingHashKey, range.endingHashKey) <= 0 &&
+      compareHashKeys(hashKeyRange.endingHashKey, range.startingHashKey) >= 0)
+  );
+}
+
 /**
  * Checks if the given stream exists. If the stream is getting deleted or in the middle of an
  * update, it will wait for the status change completion. If the stream exists, the stream ARN and
@@ -200,28 +237,70 @@ async function getEnhancedConsumers(params) {
   return consumers;
 }
 
+/**
+ * Returns the hash key ranges of the open shards of the stream, so records can be mapped to the
+ * shards they'll be written to. All the pages of shards are retrieved.
+ *
+ * @param {Object} params - The parameters.
+ * @param {Object} params.client - An instance of the Kinesis client.
+ * @param {Object} params.logger - An instance of a logger.
+ * @param {string} params.streamName - The name of the stream to get the hash key ranges for.
+ * @fulfil {Array<Object>} - Objects with `shardId`, `startingHashKey`, and `endingHashKey`.
+ * @returns {Promise}
+ * @memberof module:stream
+ */
+async function getShardsHashKeyRanges({ client, logger, streamName }) {
+  logger.debug(`Retrieving the hash key ranges of the "${streamName}" shards…`);
+
+  const shards = [];
+  let params = { StreamName: streamName };
+  do {
+    const { NextToken, Shards } = await client.listShards(params);
+    shards.push(...Shards);
+    params = NextToken ? { NextToken } : null;
+  } while (params);
+
+  return shards
+    .filter(({ SequenceNumberRange }) => !SequenceNumberRange.EndingSequenceNumber)
+    .map(({ HashKeyRange, ShardId }) => ({
+      endingHashKey: HashKeyRange.EndingHashKey,
+      shardId: ShardId,
+      startingHashKey: HashKeyRange.StartingHashKey
+    }));
+}
+
 /**
  * Returns an object with the information of the stream shards. For each pair, the key corresponds
- * to the shard ID, while the value stores the details for the shard.
+ * to the shard ID, while the value stores the details for the shard (its `parent`, its
+ * `startingSequenceNumber`, and its `hashKeyRange`). If a shard filter is given, only the shards
+ * selected by the filter are returned, but their parent shards are still known.
  *
  * @param {Object} params - The parameters.
  * @param {Object} params.client - An instance of the Kinesis client.
  * @param {Object} params.logger - An instance of a logger.
+ * @param {Object} [params.shardFilter] - The shards the consumer is pinned to, an object with an
+ *        allow-list of `shardIds`, a deny-list of `excludedShardIds`, and a `hashKeyRange`.
  * @param {string} params.streamName - The name of the stream to get shards for.
  * @fulfil {Object} - The shard information as an object hashed by shard ID.
  * @returns {Promise}
  * @memberof module:stream
  */
-async function getStreamShards({ client, logger, streamName }) {
+async function getStreamShards({ client, logger, shardFilter, streamName }) {
   logger.debug(`Retrieving shards for the "${streamName}" stream…`);
 
   const { Shards } = await client.listShards({ StreamName: streamName });
 
   const shards = Shards.reduce((obj, item) => {
-    const { ParentShardId, SequenceNumberRange, ShardId } = item;
+    const { HashKeyRange, ParentShardId, SequenceNumberRange, ShardId } = item;
     return {
       ...obj,
       [ShardId]: {
+        ...(HashKeyRange && {
+          hashKeyRange: {
+            endingHashKey: HashKeyRange.EndingHashKey,
+            startingHashKey: HashKeyRange.StartingHashKey
+          }
+        }),
         parent: ParentShardId || null,
         startingSequenceNumber: SequenceNumberRange.StartingSequenceNumber
       }
@@ -236,7 +315,10 @@ async function getStreamShards({ client, logger, streamName }) {
     }
   });
 
-  return shards;
+  if (!shardFilter) return shards;
+  return Object.keys(shards)
+    .filter((shardId) => isShardSelected(shardFilter, shardId, shards[shardId].hashKeyRange))
+    .reduce((obj, shardId) => ({ ...obj, [shardId]: shards[shardId] }), {});
 }
 
 /**
@@ -275,6 +357,8 @@ module.exports = {
   ensureStreamEncription,
   ensureStreamExists,
   getEnhancedConsumers,
+  getShardsHashKeyRanges,
   getStreamShards,
+  isShardSelected,
   registerEnhancedConsumer
 };
@@ -18,7 +18,9 @@ describe('lib/stream', () => {
     ensureStreamEncription,
     ensureStreamExists,
     getEnhancedConsumers,
+    getShardsHashKeyRanges,
     getStreamShards,
+    isShardSelected,
     registerEnhancedConsumer
   } = stream;
 
@@ -79,7 +81,9 @@ describe('lib/stream', () => {
       ensureStreamEncription: expect.any(Function),
       ensureStreamExists: expect.any(Function),
       getEnhancedConsumers: expect.any(Function),
+      getShardsHashKeyRanges: expect.any(Function),
       getStreamShards: expect.any(Function),
+      isShardSelected: expect.any(Function),
       registerEnhancedConsumer: expect.any(Function)
     });
   });
@@ -279,6 +283,68 @@ describe('lib/stream', () => {
     expect(wait).toHaveBeenCalledWith(3000);
   });
 
+  test('getShardsHashKeyRanges resolves with the hash key ranges of the open shards', async () => {
+    listShards.mockResolvedValueOnce({
+      Shards: [
+        {
+          HashKeyRange: { EndingHashKey: '9', StartingHashKey: '0' },
+          SequenceNumberRange: { EndingSequenceNumber: '2', StartingSequenceNumber: '0' },
+          ShardId: 'foo'
+        },
+        {
+          HashKeyRange: { EndingHashKey: '4', StartingHashKey: '0' },
+          ParentShardId: 'foo',
+          SequenceNumberRange: { StartingSequenceNumber: '3' },
+          ShardId: 'bar'
+        },
+        {
+          HashKeyRange: { EndingHashKey: '9', StartingHashKey: '5' },
+          ParentShardId: 'foo',
+          SequenceNumberRange: { StartingSequenceNumber: '4' },
+          ShardId: 'baz'
+        }
+      ]
+    });
+    await expect(getShardsHashKeyRanges(commonParams)).resolves.toEqual([
+      { endingHashKey: '4', shardId: 'bar', startingHashKey: '0' },
+      { endingHashKey: '9', shardId: 'baz', startingHashKey: '5' }
+    ]);
+    expect(listShards).toHaveBeenCalledWith({ StreamName: 'test-stream' });
+    expect(debug.mock.calls).toEqual([
+      ['Retrieving the hash key ranges of the "test-stream" shards…']
+    ]);
+  });
+
+  test('getShardsHashKeyRanges retrieves all the pages of shards', async () => {
+    listShards.mockResolvedValueOnce({
+      NextToken: 'qux',
+      Shards: [
+        {
+          HashKeyRange: { EndingHashKey: '4', StartingHashKey: '0' },
+          SequenceNumberRange: { StartingSequenceNumber: '0' },
+          ShardId: 'foo'
+        }
+      ]
+    });
+    listShards.mockResolvedValueOnce({
+      Shards: [
+        {
+          HashKeyRange: { EndingHashKey: '9', StartingHashKey: '5' },
+          SequenceNumberRange: { StartingSequenceNumber: '1' },
+          ShardId: 'bar'
+        }
+      ]
+    });
+    await expect(getShardsHashKeyRanges(commonParams)).resolves.toEqual([
+      { endingHashKey: '4', shardId: 'foo', startingHashKey: '0' },
+      { endingHashKey: '9', shardId: 'bar', startingHashKey: '5' }
+    ]);
+    expect(listShards.mock.calls).toEqual([
+      [{ StreamName: 'test-stream' }],
+      [{ NextToken: 'qux' }]
+    ]);
+  });
+
   test('getStreamShards resolves with an object listing the stream shards', async () => {
     listShards.mockResolvedValueOnce({
       Shards: [
@@ -306,6 +372,78 @@ describe('lib/stream', () => {
     expect(debug.mock.calls).toEqual([['Retrieving shards for the "test-stream" stream…']]);
   });
 
+  test('getStreamShards only lists the shards selected by the shard filter', async () => {
+    const maxHashKey = '340282366920938463463374607431768211455';
+    const halfHashKey = '170141183460469231731687303715884105727';
+    listShards.mockResolvedValue({
+      Shards: [
+        {
+          HashKeyRange: { EndingHashKey: maxHashKey, StartingHashKey: '0' },
+          SequenceNumberRange: { EndingSequenceNumber: 1, StartingSequenceNumber: 0 },
+          ShardId: 'foo'
+        },
+        {
+          HashKeyRange: { EndingHashKey: halfHashKey, StartingHashKey: '0' },
+          ParentShardId: 'foo',
+          SequenceNumberRange: { StartingSequenceNumber: 2 },
+          ShardId: 'bar'
+        },
+        {
+          HashKeyRange: { EndingHashKey: maxHashKey, StartingHashKey: '1'.padEnd(39, '7') },
+          ParentShardId: 'foo',
+          SequenceNumberRange: { StartingSequenceNumber: 3 },
+          ShardId: 'baz'
+        }
+      ]
+    });
+    try {
+      const shardFilters = [
+        { excludedShardIds: [], hashKeyRange: null, shardIds: ['bar', 'qux'] },
+        { excludedShardIds: ['foo'], hashKeyRange: null, shardIds: null },
+        {
+          excludedShardIds: [],
+          hashKeyRange: { endingHashKey: maxHashKey, startingHashKey: '2'.padEnd(39, '0') },
+          shardIds: null
+        },
+        {
+          excludedShardIds: [],
+          hashKeyRange: { endingHashKey: '100', startingHashKey: '0' },
+          shardIds: null
+        }
+      ];
+      const results = await Promise.all(
+        shardFilters.map((shardFilter) => getStreamShards({ ...commonParams, shardFilter }))
+      );
+      expect(results.map((shards) => Object.keys(shards).sort())).toEqual([
+        ['bar'],
+        ['bar', 'baz'],
+        ['baz', 'foo'],
+        ['bar', 'foo']
+      ]);
+      expect(results[0]).toEqual({
+        bar: {
+          hashKeyRange: { endingHashKey: halfHashKey, startingHashKey: '0' },
+          parent: 'foo',
+          startingSequenceNumber: 2
+        }
+      });
+    } finally {
+      listShards.mockReset();
+    }
+  });
+
+  test("isShardSelected doesn't select shards with an unknown range for a hash key range", () => {
+    const shardFilter = {
+      excludedShardIds: [],
+      hashKeyRange: { endingHashKey: '100', startingHashKey: '0' },
+      shardIds: null
+    };
+    expect(isShardSelected(shardFilter, 'foo')).toBe(false);
+    expect(isShardSelected(shardFilter, 'foo', { endingHashKey: '50', startingHashKey: '0' })).toBe(
+      true
+    );
+  });
+
   test('registerEnhancedConsumer should wait for the activation', async () => {
     registerStreamConsumer.mockResolvedValueOnce({ ConsumerStatus: 'CREATING' });
     listStreamConsumers.mockResolvedValueOnce({ Consumers: [] });
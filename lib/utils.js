@@ -8,11 +8,30 @@
 'use strict';
 
 const isRetryAllowed = require('is-retry-allowed');
+const retry = require('async-retry');
 
 const { BAIL_RETRY_LIST, FORCED_RETRY_LIST } = require('./constants');
 
 const { CAPTURE_STACK_TRACE } = process.env;
 
+/**
+ * Compares the consumers in the group with the ones known from the previous check, and emits
+ * the `consumerJoined` and `consumerLeft` events for the ones that changed.
+ *
+ * @param {Function} emitEvent - A function that emits an event from the client.
+ * @param {Array<string>} knownConsumerIds - The IDs of the consumers known from the previous check.
+ * @param {Array<string>} consumerIds - The IDs of the consumers currently in the group.
+ * @memberof module:utils
+ */
+function reportConsumersChanges(emitEvent, knownConsumerIds, consumerIds) {
+  knownConsumerIds
+    .filter((consumerId) => !consumerIds.includes(consumerId))
+    .forEach((consumerId) => emitEvent('consumerLeft', { consumerId }));
+  consumerIds
+    .filter((consumerId) => !knownConsumerIds.includes(consumerId))
+    .forEach((consumerId) => emitEvent('consumerJoined', { consumerId }));
+}
+
 /**
  * Determines if the request or call that caused the given error should not be retried.
  *
@@ -68,4 +87,107 @@ function getStackObj(caller) {
   return stackObj;
 }
 
-module.exports = { getStackObj, shouldBailRetry, transformErrorStack };
+/**
+ * Builds the retry options for the given kind of operation out of a retry policy. The options of
+ * the policy for the operation take precedence over the common ones. Calls are retried forever,
+ * with a backoff of 1 second up to 5 minutes, unless the policy says otherwise.
+ *
+ * @param {Object} [retryPolicy={}] - The retry policy, as in the `retry` option of the client.
+ * @param {string} operation - The kind of operation, either `get`, `put`, `state`, or `s3`.
+ * @param {Function} onRetry - A function called with the error of each failed attempt.
+ * @returns {Object} The [retry options as in async-retry]{@link external:AsyncRetry}, plus the
+ *          `deadline` of the operation (if any).
+ * @memberof module:utils
+ */
+function getRetryOpts(retryPolicy = {}, operation, onRetry) {
+  const {
+    deadline,
+    jitter = true,
+    maxAttempts,
+    maxBackoff = 5 * 60 * 1000,
+    minBackoff = 1000
+  } = { ...retryPolicy, ...retryPolicy[operation] };
+  const maxAttemptsNumber = Number(maxAttempts);
+  const hasMaxAttempts = maxAttemptsNumber >= 1;
+  return {
+    deadline: Number(deadline) > 0 ? Number(deadline) : undefined,
+    forever: !hasMaxAttempts,
+    maxTimeout: maxBackoff,
+    minTimeout: minBackoff,
+    onRetry,
+    randomize: Boolean(jitter),
+    ...(hasMaxAttempts && { retries: Math.floor(maxAttemptsNumber) - 1 })
+  };
+}
+
+/**
+ * Waits for the given time.
+ *
+ * @param {number} delay - The time to wait in milliseconds.
+ * @returns {Promise}
+ * @private
+ */
+function wait(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+/**
+ * Gets the backoff before retrying after the given attempt, the same way async-retry does: an
+ * exponential backoff from the minimum timeout up to the maximum, optionally randomized.
+ *
+ * @param {Object} retryOpts - The retry options as returned by `getRetryOpts`.
+ * @param {number} attempt - The number of the failed attempt.
+ * @returns {number} The backoff in milliseconds.
+ * @private
+ */
+function getBackoff(retryOpts, attempt) {
+  const { maxTimeout, minTimeout, randomize } = retryOpts;
+  const random = randomize ? Math.random() + 1 : 1;
+  return Math.min(Math.round(random * Math.max(minTimeout, 1) * 2 ** (attempt - 1)), maxTimeout);
+}
+
+/**
+ * Calls the given function, retrying it according to the given retry options. Retries stop once
+ * the `deadline` in the options (in milliseconds) goes by, and the backoffs are shortened so they
+ * don't go past it. Errors thrown after the retries are exhausted or bailed include the number of
+ * attempts made in the `attempts` property.
+ *
+ * @param {Function} func - The function to retry, called with `bail` and the attempt number.
+ * @param {Object} retryOpts - The retry options as returned by `getRetryOpts`.
+ * @fulfil {*} - The result of the successful attempt.
+ * @reject {Error} - The error of the last attempt.
+ * @returns {Promise}
+ * @memberof module:utils
+ */
+function retryCall(func, retryOpts) {
+  const { deadline, ...opts } = retryOpts;
+  const startTime = Date.now();
+  let attempts = 0;
+  return retry(
+    (bail, attempt) => {
+      attempts = attempt;
+      return Promise.resolve(func(bail, attempt)).catch(async (err) => {
+        if (deadline === undefined || attempt > opts.retries) throw err;
+        const remainingTime = deadline - (Date.now() - startTime);
+        if (remainingTime <= 0) {
+          bail(err);
+          return undefined;
+        }
+        await wait(Math.min(getBackoff(opts, attempt), remainingTime));
+        throw err;
+      });
+    },
+    deadline === undefined ? opts : { ...opts, maxTimeout: 0, minTimeout: 0 }
+  ).catch((err) => {
+    throw Object.assign(err, { attempts });
+  });
+}
+
+module.exports = {
+  getRetryOpts,
+  getStackObj,
+  reportConsumersChanges,
+  retryCall,
+  shouldBailRetry,
+  transformErrorStack
+};
@@ -8,11 +8,15 @@ jest.mock('./constants', () => ({
 }));
 
 describe('lib/utils', () => {
-  const { shouldBailRetry, transformErrorStack } = utils;
+  const { getRetryOpts, reportConsumersChanges, retryCall, shouldBailRetry, transformErrorStack } =
+    utils;
 
   test('the module exports the expected', () => {
     expect(utils).toEqual({
+      getRetryOpts: expect.any(Function),
       getStackObj: expect.any(Function),
+      reportConsumersChanges: expect.any(Function),
+      retryCall: expect.any(Function),
       shouldBailRetry: expect.any(Function),
       transformErrorStack: expect.any(Function)
     });
@@ -75,4 +79,131 @@ describe('lib/utils', () => {
     const { statusCode } = transformErrorStack(error, stackObj);
     expect(statusCode).toBe('bar');
   });
+
+  test('getRetryOpts returns options to retry forever by default', () => {
+    const onRetry = jest.fn();
+    expect(getRetryOpts(undefined, 'get', onRetry)).toEqual({
+      deadline: undefined,
+      forever: true,
+      maxTimeout: 300000,
+      minTimeout: 1000,
+      onRetry,
+      randomize: true
+    });
+  });
+
+  test('getRetryOpts returns options from the policy overriden by the operation', () => {
+    const onRetry = jest.fn();
+    const retryPolicy = {
+      deadline: 5000,
+      jitter: false,
+      maxAttempts: 3,
+      maxBackoff: 2000,
+      minBackoff: 100,
+      put: { deadline: 10000, maxAttempts: 5 }
+    };
+    expect(getRetryOpts(retryPolicy, 'get', onRetry)).toEqual({
+      deadline: 5000,
+      forever: false,
+      maxTimeout: 2000,
+      minTimeout: 100,
+      onRetry,
+      randomize: false,
+      retries: 2
+    });
+    expect(getRetryOpts(retryPolicy, 'put', onRetry)).toEqual(
+      expect.objectContaining({ deadline: 10000, forever: false, retries: 4 })
+    );
+    expect(getRetryOpts({ deadline: -1, maxAttempts: 0 }, 'get', onRetry)).toEqual(
+      expect.objectContaining({ deadline: undefined, forever: true })
+    );
+  });
+
+  test('reportConsumersChanges emits events for the consumers that joined or left', () => {
+    const emitEvent = jest.fn();
+    reportConsumersChanges(emitEvent, ['id-1', 'id-2'], ['id-2', 'id-3']);
+    expect(emitEvent.mock.calls).toEqual([
+      ['consumerLeft', { consumerId: 'id-1' }],
+      ['consumerJoined', { consumerId: 'id-3' }]
+    ]);
+  });
+
+  test('retryCall retries a function until it succeeds', async () => {
+    const onRetry = jest.fn();
+    const func = jest.fn().mockRejectedValueOnce(new Error('foo')).mockResolvedValueOnce('bar');
+    await expect(retryCall(func, getRetryOpts({}, 'get', onRetry))).resolves.toBe('bar');
+    expect(func).toHaveBeenNthCalledWith(1, expect.any(Function), 1);
+    expect(func).toHaveBeenNthCalledWith(2, expect.any(Function), 2);
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  test('retryCall includes the number of attempts in the errors once retries run out', async () => {
+    const func = jest.fn().mockRejectedValue(new Error('foo'));
+    const retryOpts = getRetryOpts({ maxAttempts: 3 }, 'get', jest.fn());
+    await expect(retryCall(func, retryOpts)).rejects.toEqual(
+      expect.objectContaining({ attempts: 3, message: 'foo' })
+    );
+    expect(func).toHaveBeenCalledTimes(3);
+  });
+
+  test('retryCall stops retrying once the deadline goes by', async () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValueOnce(0).mockReturnValueOnce(500).mockReturnValueOnce(1000);
+    const func = jest.fn().mockRejectedValue(new Error('foo'));
+    const retryOpts = getRetryOpts({ deadline: 1000 }, 'get', jest.fn());
+    try {
+      await expect(retryCall(func, retryOpts)).rejects.toEqual(
+        expect.objectContaining({ attempts: 2, message: 'foo' })
+      );
+      expect(func).toHaveBeenCalledTimes(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('retryCall shortens the backoffs so they do not go past the deadline', async () => {
+    const func = jest.fn().mockRejectedValue(new Error('foo'));
+    const retryPolicy = { deadline: 50, jitter: false, maxBackoff: 60000, minBackoff: 60000 };
+    const startTime = Date.now();
+    await expect(retryCall(func, getRetryOpts(retryPolicy, 'get', jest.fn()))).rejects.toEqual(
+      expect.objectContaining({ message: 'foo' })
+    );
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    expect(func.mock.calls.length).toBeGreaterThanOrEqual(2);
+  });
+
+  test('retryCall backs off exponentially when there is a deadline', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const func = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('foo'))
+      .mockRejectedValueOnce(new Error('bar'))
+      .mockResolvedValueOnce('baz');
+    const retryPolicy = { deadline: 60000, jitter: false, maxBackoff: 15, minBackoff: 10 };
+    try {
+      await expect(retryCall(func, getRetryOpts(retryPolicy, 'get', jest.fn()))).resolves.toBe(
+        'baz'
+      );
+      const delays = setTimeoutSpy.mock.calls.map(([, delay]) => delay).filter(Boolean);
+      expect(delays).toEqual([10, 15]);
+    } finally {
+      now.mockRestore();
+      setTimeoutSpy.mockRestore();
+    }
+  });
+
+  test('retryCall does not wait after the last attempt when there is a deadline', async () => {
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const func = jest.fn().mockRejectedValue(new Error('foo'));
+    const retryPolicy = { deadline: 60000, maxAttempts: 1 };
+    try {
+      await expect(retryCall(func, getRetryOpts(retryPolicy, 'get', jest.fn()))).rejects.toEqual(
+        expect.objectContaining({ attempts: 1, message: 'foo' })
+      );
+      expect(setTimeoutSpy).not.toHaveBeenCalled();
+    } finally {
+      setTimeoutSpy.mockRestore();
+    }
+  });
 });